@@ -318,7 +318,10 @@ async function runShowcase() {
 
   // --- 10. Dynamic Rule Management ---
   console.log("--- 10. Dynamic Rule Management ---");
+  // The action modifies the `amount` its own pattern reads, which would re-activate the rule on the
+  // discounted order until the guard fails; `noLoop()` keeps it to one discount per order.
   const temporarySaleRule = Rule('TemporarySaleDiscount')
+    .noLoop()
     .when({ order: { type: OrderSchema.name, userId: '?uid', amount: '?amt' } })
     .pre(_.guard.gt('?amt', 50))
     .then((ctx, b) => {
@@ -36,6 +36,22 @@ export class Agenda {
     return this.#tasks.shift();
   }
 
+  /**
+   * Exports the pending tasks, in order, e.g. for an engine snapshot.
+   * @returns {Array<object>} Copies of the pending tasks.
+   */
+  exportState() {
+    return this.#tasks.map(task => ({ ...task }));
+  }
+
+  /**
+   * Replaces the pending tasks with previously exported ones.
+   * @param {Array<object>} tasks - Tasks returned by `exportState()`.
+   */
+  importState(tasks) {
+    this.#tasks = tasks.map(task => ({ ...task }));
+  }
+
   /**
    * Clears all tasks from the agenda. Primarily for resetting state or testing.
    */
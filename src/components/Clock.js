@@ -0,0 +1,84 @@
+/**
+ * @file Defines the clocks an engine reads the current time from: `SystemClock`, backed by
+ * `Date.now()`, and `PseudoClock`, which only moves when told to, for deterministic tests and simulations.
+ * @module components/Clock
+ */
+
+import { parseDuration, toTimestamp } from '../utils/time.js';
+
+/**
+ * A clock that reports the system time. This is the engine's default clock.
+ * Any object with a `now()` method returning epoch milliseconds can be used as a clock.
+ * @export
+ */
+export class SystemClock {
+  /**
+   * Returns the current time.
+   * @returns {number} Epoch milliseconds.
+   */
+  now() {
+    return Date.now();
+  }
+}
+
+/**
+ * A clock whose time is set explicitly, so time-based logic (windows, timers, expirations and
+ * event timestamps) can be tested deterministically: hours of activity can be simulated instantly.
+ * @export
+ * @example
+ * const clock = new PseudoClock();
+ * const engine = new LeapEngine({ ...dependencies, clock });
+ * engine.assertFact({ type: 'transaction', card: 'c1' });
+ * clock.advance('11m');
+ * await engine.fireAll(); // the transaction has left every 10-minute window
+ */
+export class PseudoClock {
+  /**
+   * The current time, in epoch milliseconds.
+   * @type {number}
+   */
+  #time = 0;
+
+  /**
+   * Creates a pseudo-clock.
+   * @param {number|string|Date} [startTime=0] - The initial time (epoch milliseconds, `Date` or date string).
+   * @throws {TypeError} If the start time is not a valid point in time.
+   */
+  constructor(startTime = 0) {
+    this.setTime(startTime);
+  }
+
+  /**
+   * Returns the current time.
+   * @returns {number} Epoch milliseconds.
+   */
+  now() {
+    return this.#time;
+  }
+
+  /**
+   * Moves the clock forward.
+   * @param {number|string} duration - Milliseconds or a duration string such as `'90s'` or `'2h'`.
+   * @returns {number} The new time.
+   * @throws {TypeError} If the duration is invalid.
+   */
+  advance(duration) {
+    this.#time += parseDuration(duration);
+    return this.#time;
+  }
+
+  /**
+   * Sets the clock to a point in time, which may be earlier than its current time.
+   * @param {number|string|Date} time - Epoch milliseconds, a `Date` or a date string.
+   * @returns {number} The new time.
+   * @throws {TypeError} If the time is not a valid point in time.
+   */
+  setTime(time) {
+    const timestamp = toTimestamp(time);
+    if (timestamp === undefined) {
+      throw new TypeError(`PseudoClock: Invalid time ${JSON.stringify(time)}.`);
+    }
+    this.#time = timestamp;
+    return this.#time;
+  }
+}
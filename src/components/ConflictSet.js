@@ -0,0 +1,390 @@
+/**
+ * A rule activation: a complete match of a rule's conditions, with the variable bindings of the match
+ * and the ids of the facts it consumed.
+ * @typedef {{rule: Object<string, *>, bindings: Object<string, *>, consumedFactIds: Set<number>}} Activation
+ */
+
+/**
+ * A pending activation with its group, its insertion sequence number and its position in the group's heap.
+ * @typedef {{activation: Activation, group: *, sequence: number, position: number}} PendingActivation
+ */
+
+/**
+ * Holds the pending rule activations (the conflict set) of an engine.
+ * Activations are added as the matching network produces complete matches and
+ * cancelled when those matches are invalidated by later changes to working memory.
+ *
+ * Activations are partitioned into groups (the engine's agenda groups) and each group is kept
+ * ordered in a binary heap, so the next activation of a group is found without scanning the set and
+ * adding or cancelling an activation takes O(log n). The order is given by a `compare` function
+ * (typically the conflict resolver's); activations it ranks equally, or all of them without one,
+ * are ordered by insertion.
+ *
+ * The set also implements refraction: it remembers the fact tuples (rule id plus the ordered
+ * consumed fact ids) each rule has fired on, so a re-match of the same tuple can be suppressed
+ * until one of its facts changes or the rule is redefined.
+ * @export
+ */
+export class ConflictSet {
+  /**
+   * The pending activations, in insertion order, with their group, insertion sequence and heap position.
+   * @type {Map<Activation, PendingActivation>}
+   */
+  #activations = new Map();
+  /**
+   * One heap of activation entries per group, with the entry that fires first at the root.
+   * @type {Map<*, Array<PendingActivation>>}
+   */
+  #heaps = new Map();
+  /** @type {(function(Activation, Activation): number)|null} */
+  #compare;
+  /** @type {function(Activation): *} */
+  #groupOf;
+  /** @type {number} */
+  #sequence = 0;
+  /**
+   * The fired fact tuples, keyed by tuple key.
+   * @type {Map<string, {ruleId: string, factIds: Array<number>}>}
+   */
+  #fired = new Map();
+  /**
+   * Fired tuple keys indexed by the fact ids they contain.
+   * @type {Map<number, Set<string>>}
+   */
+  #firedByFact = new Map();
+  /**
+   * Fired tuple keys indexed by rule id.
+   * @type {Map<string, Set<string>>}
+   */
+  #firedByRule = new Map();
+
+  /**
+   * Creates an empty conflict set.
+   * @param {object} [options={}]
+   * @param {function(Activation, Activation): number} [options.compare] - Orders two activations of a group:
+   * negative if the first fires first, positive if the second does, `0` to keep insertion order.
+   * @param {function(Activation): *} [options.groupOf] - Returns the group of an activation. By default,
+   * all activations are in one group, `undefined`.
+   */
+  constructor({ compare, groupOf = () => undefined } = {}) {
+    this.#compare = compare ?? null;
+    this.#groupOf = groupOf;
+  }
+
+  /**
+   * The number of pending activations.
+   * @returns {number}
+   */
+  get size() {
+    return this.#activations.size;
+  }
+
+  /**
+   * Adds an activation to the set.
+   * @param {Activation} activation - The activation to add.
+   * @returns {boolean} True if the activation was added, false if it was already pending.
+   */
+  add(activation) {
+    if (this.#activations.has(activation)) return false;
+    const group = this.#groupOf(activation);
+    let heap = this.#heaps.get(group);
+    if (!heap) {
+      heap = [];
+      this.#heaps.set(group, heap);
+    }
+    const entry = { activation, group, sequence: ++this.#sequence, position: heap.length };
+    this.#activations.set(activation, entry);
+    heap.push(entry);
+    this.#siftUp(heap, entry.position);
+    return true;
+  }
+
+  /**
+   * Checks whether an activation is pending.
+   * @param {Activation} activation
+   * @returns {boolean}
+   */
+  has(activation) {
+    return this.#activations.has(activation);
+  }
+
+  /**
+   * Removes an activation from the set (because it fired or was cancelled).
+   * @param {Activation} activation
+   * @returns {boolean} True if the activation was pending and has been removed.
+   */
+  remove(activation) {
+    const entry = this.#activations.get(activation);
+    if (!entry) return false;
+    this.#activations.delete(activation);
+    const heap = /** @type {Array<PendingActivation>} */ (this.#heaps.get(entry.group));
+    const last = /** @type {PendingActivation} */ (heap.pop());
+    if (last !== entry) {
+      heap[entry.position] = last;
+      last.position = entry.position;
+      this.#siftUp(heap, last.position);
+      this.#siftDown(heap, last.position);
+    }
+    if (heap.length === 0) this.#heaps.delete(entry.group);
+    return true;
+  }
+
+  /**
+   * Removes every pending activation that satisfies a predicate.
+   * @param {function(Activation): boolean} predicate
+   * @returns {Array<Activation>} The removed activations.
+   */
+  removeWhere(predicate) {
+    const removed = [];
+    for (const activation of this.#activations.keys()) {
+      if (predicate(activation)) {
+        this.remove(activation);
+        removed.push(activation);
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Returns the activation of a group that fires first: the first in the order of `compare`,
+   * then of insertion.
+   * @param {*} group
+   * @returns {Activation | null} The activation, or null if the group has no pending activations.
+   */
+  peek(group) {
+    return this.#heaps.get(group)?.[0].activation ?? null;
+  }
+
+  /**
+   * The number of pending activations in a group.
+   * @param {*} group
+   * @returns {number}
+   */
+  sizeOf(group) {
+    return this.#heaps.get(group)?.length ?? 0;
+  }
+
+  /**
+   * Returns an iterator over the pending activations of a group, in insertion order.
+   * This visits every pending activation; `peek` finds the next one to fire directly.
+   * @param {*} group
+   * @returns {IterableIterator<Activation>}
+   */
+  * valuesIn(group) {
+    if (!this.#heaps.has(group)) return;
+    for (const entry of this.#activations.values()) {
+      if (entry.group === group) yield entry.activation;
+    }
+  }
+
+  /**
+   * Returns an iterator over the pending activations, in insertion order.
+   * @returns {IterableIterator<Activation>}
+   */
+  values() {
+    return this.#activations.keys();
+  }
+
+  /**
+   * Makes the conflict set iterable.
+   * @returns {IterableIterator<Activation>}
+   */
+  [Symbol.iterator]() {
+    return this.values();
+  }
+
+  /**
+   * Records that an activation fired, so later matches of the same fact tuple are refracted.
+   * @param {{rule: Object<string, *>, consumedFactIds: Iterable<number>}} activation
+   */
+  markFired(activation) {
+    const key = ConflictSet.tupleKey(activation);
+    if (this.#fired.has(key)) return;
+    const factIds = [...activation.consumedFactIds];
+    this.#fired.set(key, { ruleId: activation.rule.id, factIds });
+    for (const factId of factIds) ConflictSet.#index(this.#firedByFact, factId, key);
+    ConflictSet.#index(this.#firedByRule, activation.rule.id, key);
+  }
+
+  /**
+   * Checks whether the rule of an activation already fired on the same fact tuple.
+   * @param {{rule: Object<string, *>, consumedFactIds: Iterable<number>}} activation
+   * @returns {boolean}
+   */
+  hasFired(activation) {
+    return this.#fired.has(ConflictSet.tupleKey(activation));
+  }
+
+  /**
+   * Forgets that the rule of an activation fired on its fact tuple.
+   * @param {{rule: Object<string, *>, consumedFactIds: Iterable<number>}} activation
+   */
+  forgetFired(activation) {
+    this.#forget(ConflictSet.tupleKey(activation));
+  }
+
+  /**
+   * Forgets every fired tuple containing a fact, typically because the fact was modified or retracted.
+   * @param {number} factId
+   */
+  forgetFact(factId) {
+    for (const key of this.#firedByFact.get(factId) || []) this.#forget(key);
+  }
+
+  /**
+   * Lists the fired tuples containing a fact, e.g. to mark them fired again if a change to the fact is undone.
+   * @param {number} factId
+   * @returns {Array<{ruleId: string, factIds: Array<number>}>}
+   */
+  firedWith(factId) {
+    return [...(this.#firedByFact.get(factId) || [])].map(key => {
+      const { ruleId, factIds } = /** @type {{ruleId: string, factIds: Array<number>}} */ (this.#fired.get(key));
+      return { ruleId, factIds: [...factIds] };
+    });
+  }
+
+  /**
+   * Forgets every fired tuple of a rule, typically because the rule was redefined or retracted.
+   * @param {string} ruleId
+   */
+  forgetRule(ruleId) {
+    for (const key of this.#firedByRule.get(ruleId) || []) this.#forget(key);
+  }
+
+  /**
+   * Exports the fired fact tuples, e.g. for an engine snapshot. Pending activations are not
+   * included; they reference rule definitions and are rebuilt by the engine.
+   * @returns {{fired: Array<{ruleId: string, factIds: Array<number>}>}}
+   */
+  exportState() {
+    return { fired: [...this.#fired.values()].map(({ ruleId, factIds }) => ({ ruleId, factIds: [...factIds] })) };
+  }
+
+  /**
+   * Clears the set and restores previously exported fired tuples.
+   * @param {{fired: Array<{ruleId: string, factIds: Array<number>}>}} state - State returned by `exportState()`.
+   */
+  importState({ fired }) {
+    this.clear();
+    for (const { ruleId, factIds } of fired) this.markFired({ rule: { id: ruleId }, consumedFactIds: factIds });
+  }
+
+  /**
+   * Removes all pending activations and forgets all fired tuples.
+   */
+  clear() {
+    this.#activations.clear();
+    this.#heaps.clear();
+    this.#fired.clear();
+    this.#firedByFact.clear();
+    this.#firedByRule.clear();
+  }
+
+  /**
+   * Checks whether the entry at heap position `i` fires before the one at position `j`.
+   * @param {Array<PendingActivation>} heap
+   * @param {number} i
+   * @param {number} j
+   * @returns {boolean}
+   */
+  #precedes(heap, i, j) {
+    const a = heap[i];
+    const b = heap[j];
+    const order = this.#compare ? this.#compare(a.activation, b.activation) : 0;
+    return order !== 0 ? order < 0 : a.sequence < b.sequence;
+  }
+
+  /**
+   * Moves the entry at a heap position towards the root until its parent fires before it.
+   * @param {Array<PendingActivation>} heap
+   * @param {number} position
+   */
+  #siftUp(heap, position) {
+    let child = position;
+    while (child > 0) {
+      const parent = (child - 1) >> 1;
+      if (!this.#precedes(heap, child, parent)) break;
+      ConflictSet.#swap(heap, child, parent);
+      child = parent;
+    }
+  }
+
+  /**
+   * Moves the entry at a heap position towards the leaves until it fires before its children.
+   * @param {Array<PendingActivation>} heap
+   * @param {number} position
+   */
+  #siftDown(heap, position) {
+    let parent = position;
+    while (true) {
+      const left = 2 * parent + 1;
+      const right = left + 1;
+      let first = parent;
+      if (left < heap.length && this.#precedes(heap, left, first)) first = left;
+      if (right < heap.length && this.#precedes(heap, right, first)) first = right;
+      if (first === parent) return;
+      ConflictSet.#swap(heap, parent, first);
+      parent = first;
+    }
+  }
+
+  /**
+   * Swaps two heap entries and updates their positions.
+   * @param {Array<PendingActivation>} heap
+   * @param {number} i
+   * @param {number} j
+   */
+  static #swap(heap, i, j) {
+    [heap[i], heap[j]] = [heap[j], heap[i]];
+    heap[i].position = i;
+    heap[j].position = j;
+  }
+
+  /**
+   * Removes a fired tuple and its index entries.
+   * @param {string} key
+   */
+  #forget(key) {
+    const entry = this.#fired.get(key);
+    if (!entry) return;
+    this.#fired.delete(key);
+    for (const factId of entry.factIds) ConflictSet.#unindex(this.#firedByFact, factId, key);
+    ConflictSet.#unindex(this.#firedByRule, entry.ruleId, key);
+  }
+
+  /**
+   * Builds the tuple key of an activation: its rule id plus the ordered consumed fact ids.
+   * @param {{rule: Object<string, *>, consumedFactIds?: Iterable<number>}} activation
+   * @returns {string}
+   */
+  static tupleKey(activation) {
+    return JSON.stringify([activation.rule.id, ...(activation.consumedFactIds || [])]);
+  }
+
+  /**
+   * Adds a key to the set stored under `id` in an index map.
+   * @template K
+   * @param {Map<K, Set<string>>} map
+   * @param {K} id
+   * @param {string} key
+   */
+  static #index(map, id, key) {
+    const keys = map.get(id);
+    if (keys) keys.add(key);
+    else map.set(id, new Set([key]));
+  }
+
+  /**
+   * Removes a key from the set stored under `id` in an index map.
+   * @template K
+   * @param {Map<K, Set<string>>} map
+   * @param {K} id
+   * @param {string} key
+   */
+  static #unindex(map, id, key) {
+    const keys = map.get(id);
+    if (!keys) return;
+    keys.delete(key);
+    if (keys.size === 0) map.delete(id);
+  }
+}
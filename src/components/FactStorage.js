@@ -1,4 +1,20 @@
 // src/components/FactStorage.js
+import { factContentKey, naturalKey } from '../utils/facts.js';
+
+/** The duplicate checks a `FactStorage` can apply when facts are asserted. */
+const FACT_EQUALITY_MODES = ['identity', 'equality'];
+
+/**
+ * A stored fact: its `type`, its fields and the `_id` the storage assigned to it.
+ * @typedef {Object<string, *> & {type: string, _id: number}} StoredFact
+ */
+
+/**
+ * A field index (see `createIndex`): the facts holding each value and, for a sorted index, the facts with
+ * numeric values ordered by value.
+ * @typedef {{sorted: boolean, buckets: Map<*, Map<number, StoredFact>>, order: Array<StoredFact>|null}} FieldIndex
+ */
+
 /**
  * Manages the storage, indexing, and retrieval of facts within the engine.
  * Each fact is assigned a unique internal ID upon assertion.
@@ -15,7 +31,7 @@ export class FactStorage {
   /** * Stores all facts, keyed by their unique internal ID.
    * The value is an entry containing the fact and its metadata.
    * @private 
-   * @type {Map<number, {fact: object & {_id: number}, metadata: object}>} 
+   * @type {Map<number, {fact: StoredFact, metadata: object}>} 
    */
   #facts = new Map();
 
@@ -23,25 +39,230 @@ export class FactStorage {
    * This allows for quick retrieval of all facts of a certain type.
    * `Map<factType, Map<factId, factObject>>`
    * @private 
-   * @type {Map<string, Map<number, object & {_id: number}>>} 
+   * @type {Map<string, Map<number, StoredFact>>} 
    */
   #alphaNetwork = new Map();
 
+  /**
+   * How asserted facts are compared with the stored ones: `'identity'` or `'equality'`.
+   * @type {'identity'|'equality'}
+   */
+  #factEquality;
+
+  /**
+   * In the equality mode, the ID of the stored fact with each content (see `factContentKey`).
+   * @type {Map<string, number>}
+   */
+  #contentIndex = new Map();
+
+  /**
+   * The natural key fields declared for fact types, and the ID of the fact with each key.
+   * `Map<factType, {fields: Array<string>, index: Map<key, factId>}>`
+   * @type {Map<string, {fields: Array<string>, index: Map<string, number>}>}
+   */
+  #keys = new Map();
+
+  /**
+   * Secondary indexes on fact fields, created with `createIndex`. Each maps the field values to the facts
+   * holding them; a sorted index also keeps its facts with numeric values ordered by value, for ranges.
+   * `Map<factType, Map<field, {sorted: boolean, buckets: Map<value, Map<factId, fact>>, order: Array<fact>|null}>>`
+   * @type {Map<string, Map<string, FieldIndex>>}
+   */
+  #fieldIndexes = new Map();
+
+  /**
+   * Creates a fact storage.
+   * @param {object} [options={}]
+   * @param {'identity'|'equality'} [options.factEquality='identity'] - With `'identity'`, every assertion
+   * stores a new fact. With `'equality'`, a fact structurally equal to a stored one (same type and field
+   * values, whatever its `_id`) is not stored again: `assert` returns the stored entry, and the engine
+   * reports the assertion with `fact:duplicateIgnored`. Facts are indexed by a content key for this check;
+   * facts that contain a cycle have no content key and are always stored.
+   * @throws {TypeError} If `factEquality` is not one of the modes.
+   */
+  constructor({ factEquality = 'identity' } = {}) {
+    if (!FACT_EQUALITY_MODES.includes(factEquality)) {
+      throw new TypeError(`FactStorage: 'factEquality' must be 'identity' or 'equality'. Got: ${JSON.stringify(factEquality)}.`);
+    }
+    this.#factEquality = factEquality;
+  }
+
+  /**
+   * The duplicate check applied to assertions: `'identity'` or `'equality'`.
+   * @type {'identity'|'equality'}
+   */
+  get factEquality() {
+    return this.#factEquality;
+  }
+
+  /**
+   * Creates an empty fact storage configured like this one: the same `factEquality` mode, declared keys
+   * and field indexes, but no facts.
+   * @returns {FactStorage}
+   * @example
+   * const scratch = factStorage.createEmpty();
+   */
+  createEmpty() {
+    const storage = new FactStorage({ factEquality: this.#factEquality });
+    for (const [type, { fields }] of this.#keys) storage.defineKey(type, fields);
+    for (const [type, indexes] of this.#fieldIndexes) {
+      for (const [field, { sorted }] of indexes) storage.createIndex(type, field, { sorted });
+    }
+    return storage;
+  }
+
+  /**
+   * Finds the stored fact structurally equal to a fact, in the equality mode.
+   * @param {object} fact - The fact to look up; its `_id`, if any, is ignored.
+   * @returns {{fact: StoredFact, metadata: object} | undefined} The entry of the equal fact, or
+   * undefined if there is none or the storage is in the identity mode.
+   */
+  findEqual(fact) {
+    if (this.#factEquality !== 'equality') return undefined;
+    const key = factContentKey(fact);
+    const factId = key === null ? undefined : this.#contentIndex.get(key);
+    return factId === undefined ? undefined : this.#facts.get(factId);
+  }
+
+  /**
+   * Declares the natural key of a fact type: the fields whose values identify its facts, such as an
+   * order's `id`. Facts of the type, already stored and future, are indexed by their key for `getFactByKey`.
+   * Declaring the same fields again has no effect. The storage does not enforce uniqueness; when
+   * several facts share a key, the index refers to the one stored or modified last.
+   * @param {string} type - The fact type.
+   * @param {Array<string>} fields - The key fields, in order.
+   * @throws {TypeError} If `fields` is not a non-empty array of field names.
+   */
+  defineKey(type, fields) {
+    if (!Array.isArray(fields) || fields.length === 0 || fields.some(field => typeof field !== 'string' || field === '')) {
+      throw new TypeError(`FactStorage: The key of '${type}' must be a non-empty array of field names.`);
+    }
+    const current = this.#keys.get(type);
+    if (current && current.fields.length === fields.length && current.fields.every((field, i) => field === fields[i])) return;
+
+    const key = { fields: [...fields], index: new Map() };
+    this.#keys.set(type, key);
+    for (const fact of this.getFactsByType(type)) this.#indexKey(fact);
+  }
+
+  /**
+   * Retrieves the entry of a fact by its natural key (see `defineKey`).
+   * @param {string} type - The fact type.
+   * @param {Array<*>} values - The values of the key fields, in order.
+   * @returns {{fact: StoredFact, metadata: object} | undefined} The fact entry, or undefined
+   * if no fact has that key or the type has no key.
+   */
+  getFactByKey(type, values) {
+    const key = this.#keys.get(type);
+    const value = naturalKey(values);
+    const factId = value === null ? undefined : key?.index.get(value);
+    return factId === undefined ? undefined : this.#facts.get(factId);
+  }
+
+  /**
+   * Creates a secondary index on a field of a fact type, so that `findByField` (and, for a sorted index,
+   * `findInRange`) retrieve the facts with given values without scanning all the facts of the type.
+   * Facts of the type, already stored and future, are indexed. A hash index serves equality lookups; a
+   * sorted index also serves numeric ranges. Creating an index that exists has no effect, except that a
+   * hash index is upgraded when a sorted one is requested.
+   * @param {string} type - The fact type.
+   * @param {string} field - The field to index.
+   * @param {object} [options={}]
+   * @param {boolean} [options.sorted=false] - Whether to create a sorted index.
+   * @throws {TypeError} If `type` or `field` is not a non-empty string.
+   * @example
+   * factStorage.createIndex('order', 'customerId');
+   * factStorage.createIndex('order', 'total', { sorted: true });
+   */
+  createIndex(type, field, { sorted = false } = {}) {
+    if (typeof type !== 'string' || type === '' || typeof field !== 'string' || field === '') {
+      throw new TypeError('FactStorage: createIndex() requires a fact type and a field name.');
+    }
+    let indexes = this.#fieldIndexes.get(type);
+    const current = indexes?.get(field);
+    if (current && (current.sorted || !sorted)) return;
+
+    const index = { sorted: !!sorted, buckets: new Map(), order: sorted ? [] : null };
+    if (!indexes) {
+      indexes = new Map();
+      this.#fieldIndexes.set(type, indexes);
+    }
+    indexes.set(field, index);
+    for (const fact of this.getFactsByType(type)) this.#indexField(index, field, fact, true);
+  }
+
+  /**
+   * Describes the index on a field of a fact type.
+   * @param {string} type - The fact type.
+   * @param {string} field - The field.
+   * @returns {{sorted: boolean} | undefined} The index, or undefined if the field is not indexed.
+   */
+  getIndex(type, field) {
+    const index = this.#fieldIndexes.get(type)?.get(field);
+    return index ? { sorted: index.sorted } : undefined;
+  }
+
+  /**
+   * Retrieves the facts of a type whose field holds a value, through the index on the field.
+   * Values are compared as by `Map` keys (`SameValueZero`), so objects only match themselves.
+   * @param {string} type - The fact type.
+   * @param {string} field - The indexed field.
+   * @param {*} value - The value to look up.
+   * @returns {Array<StoredFact> | undefined} The facts, in the order they were asserted, or
+   * undefined if the field is not indexed.
+   */
+  findByField(type, field, value) {
+    const index = this.#fieldIndexes.get(type)?.get(field);
+    if (!index) return undefined;
+    return Array.from(index.buckets.get(value)?.values() ?? []);
+  }
+
+  /**
+   * Retrieves the facts of a type whose field holds a number within a range, through a sorted index on the field.
+   * @param {string} type - The fact type.
+   * @param {string} field - The field, which must have a sorted index.
+   * @param {{gt?: number, gte?: number, lt?: number, lte?: number}} range - The bounds; omitted bounds are open.
+   * @returns {Array<StoredFact> | undefined} The facts, in the order they were asserted, or
+   * undefined if the field has no sorted index.
+   * @example
+   * factStorage.findInRange('order', 'total', { gte: 100, lt: 500 });
+   */
+  findInRange(type, field, { gt, gte, lt, lte } = {}) {
+    const index = this.#fieldIndexes.get(type)?.get(field);
+    if (!index?.sorted) return undefined;
+    const order = /** @type {Array<StoredFact>} */ (index.order);
+    let start = 0;
+    if (gte !== undefined) start = FactStorage.#bound(order, field, value => value < gte);
+    if (gt !== undefined) start = Math.max(start, FactStorage.#bound(order, field, value => value <= gt));
+    let end = order.length;
+    if (lte !== undefined) end = FactStorage.#bound(order, field, value => value <= lte);
+    if (lt !== undefined) end = Math.min(end, FactStorage.#bound(order, field, value => value < lt));
+    return FactStorage.#inAssertionOrder(start < end ? order.slice(start, end) : []);
+  }
+
   /**
    * Retrieves an iterator over all fact objects of a given type.
    * @param {string} type - The type of facts to retrieve.
-   * @returns {IterableIterator<object & {_id: number}>} An iterator over the fact objects.
+   * @returns {IterableIterator<StoredFact>} An iterator over the fact objects.
    * Returns an empty iterator if no facts of that type exist.
    */
   getFactsByType(type) {
     return this.#alphaNetwork.get(type)?.values() ?? [][Symbol.iterator]();
   }
 
+  /**
+   * Retrieves an iterator over all stored fact objects, whatever their type, in the order they were asserted.
+   * @returns {IterableIterator<StoredFact>} An iterator over the fact objects.
+   */
+  *getAllFacts() {
+    for (const { fact } of this.#facts.values()) yield fact;
+  }
+
   /**
    * Retrieves a single fact entry (the fact object and its associated metadata) 
    * by its internal, engine-assigned ID.
    * @param {number} id - The internal ID of the fact.
-   * @returns {{fact: object & {_id: number}, metadata: object} | undefined} The fact entry 
+   * @returns {{fact: StoredFact, metadata: object} | undefined} The fact entry 
    * (containing the fact and its metadata), or undefined if no fact with that ID is found.
    */
   getFactEntry(id) {
@@ -55,8 +276,9 @@ export class FactStorage {
    * @param {object} fact - The fact data to assert. Must include a `type` property.
    * @param {object} [metadata={}] - Optional metadata to store alongside the fact 
    * (e.g., for Truth Maintenance System, rule production info).
-   * @returns {{fact: object & {_id: number}, metadata: object} | null} The asserted fact entry 
+   * @returns {{fact: StoredFact, metadata: object} | null} The asserted fact entry 
    * (including its newly assigned `_id` and metadata), or null if the fact is invalid (e.g., missing `type`).
+   * In the equality mode, the entry of the stored equal fact, if any, is returned unchanged instead.
    */
   assert(fact, metadata = {}) {
     if (!fact || typeof fact.type !== 'string') {
@@ -64,12 +286,19 @@ export class FactStorage {
       // In a production system, you might throw an error or have a more robust error handling/logging mechanism.
       return null;
     }
+    const duplicate = this.findEqual(fact);
+    if (duplicate) {
+      return duplicate;
+    }
     const factId = ++this.#factIdCounter;
     // Ensure the original fact object is not mutated if it's passed around elsewhere.
-    const newFact = { ...fact, _id: factId };
+    const newFact = /** @type {StoredFact} */ ({ ...fact, _id: factId });
 
     const factEntry = { fact: newFact, metadata };
     this.#facts.set(factId, factEntry);
+    this.#indexContent(newFact);
+    this.#indexKey(newFact);
+    this.#indexFields(newFact, { latest: true });
 
     // Update the alphaNetwork index by type.
     const factTypeIndex = this.#alphaNetwork.get(newFact.type);
@@ -81,10 +310,48 @@ export class FactStorage {
     return factEntry;
   }
 
+  /**
+   * Updates a stored fact in place. The fact keeps its `_id` and object identity, so existing
+   * references observe the new values. The `_id` and `type` properties cannot be changed and
+   * are ignored in `updates`. In the equality mode, the fact is re-indexed by its new content; the engine
+   * rejects modifications that would make it equal to another stored fact.
+   * @param {number} factId - The internal ID of the fact to modify.
+   * @param {Object<string, *>} updates - The properties to set on the fact.
+   * @returns {{entry: {fact: StoredFact, metadata: object}, changes: Object<string, {from: *, to: *}>} | null}
+   * The modified entry and the fields whose values actually changed, or null if no fact with that ID was found.
+   */
+  modify(factId, updates) {
+    const entry = this.#facts.get(factId);
+    if (!entry) {
+      return null;
+    }
+
+    /** @type {Object<string, {from: *, to: *}>} */
+    const changes = {};
+    for (const [field, value] of Object.entries(updates || {})) {
+      if (field === '_id' || field === 'type') continue;
+      const from = entry.fact[field];
+      if (Object.is(from, value) && Object.prototype.hasOwnProperty.call(entry.fact, field)) continue;
+      changes[field] = { from, to: value };
+    }
+    const changedFields = Object.keys(changes);
+    if (changedFields.length === 0) {
+      return { entry, changes };
+    }
+    this.#unindexContent(entry.fact);
+    this.#unindexKey(entry.fact);
+    this.#unindexFields(entry.fact, changedFields);
+    for (const field of changedFields) entry.fact[field] = changes[field].to;
+    this.#indexContent(entry.fact);
+    this.#indexKey(entry.fact);
+    this.#indexFields(entry.fact, { fields: changedFields });
+    return { entry, changes };
+  }
+
   /**
    * Retracts (deletes) a fact from the storage by its internal ID.
    * @param {number} factId - The internal ID of the fact to retract.
-   * @returns {{fact: object & {_id: number}, metadata: object} | null} The entry of the retracted fact 
+   * @returns {{fact: StoredFact, metadata: object} | null} The entry of the retracted fact 
    * (including its metadata), or null if no fact with that ID was found.
    */
   retract(factId) {
@@ -94,6 +361,9 @@ export class FactStorage {
     }
 
     this.#facts.delete(factId);
+    this.#unindexContent(entry.fact);
+    this.#unindexKey(entry.fact);
+    this.#unindexFields(entry.fact);
 
     // Remove from alphaNetwork index
     const factTypeIndex = this.#alphaNetwork.get(entry.fact.type);
@@ -107,14 +377,249 @@ export class FactStorage {
     return entry;
   }
 
+  /**
+   * Puts a retracted entry back, e.g. when the engine rolls back a transaction. The fact keeps its
+   * `_id`, object identity and metadata, and takes its place in assertion order again.
+   * @param {{fact: StoredFact, metadata: object}} entry - An entry returned by `retract`.
+   * @returns {boolean} False if a fact with the same `_id` is stored.
+   */
+  restore(entry) {
+    const { fact } = entry;
+    if (this.#facts.has(fact._id)) {
+      return false;
+    }
+    FactStorage.#setInAssertionOrder(this.#facts, fact._id, entry);
+    this.#indexContent(fact);
+    this.#indexKey(fact);
+    this.#indexFields(fact);
+    const factTypeIndex = this.#alphaNetwork.get(fact.type);
+    if (factTypeIndex) {
+      FactStorage.#setInAssertionOrder(factTypeIndex, fact._id, fact);
+    } else {
+      this.#alphaNetwork.set(fact.type, new Map([[fact._id, fact]]));
+    }
+    return true;
+  }
+
+  /**
+   * Exports the stored facts and the ID counter, e.g. for an engine snapshot.
+   * The entries are copies, so later changes to the storage do not affect the exported state.
+   * @returns {{factIdCounter: number, entries: Array<{fact: StoredFact, metadata: object}>}}
+   */
+  exportState() {
+    const entries = [];
+    for (const { fact, metadata } of this.#facts.values()) {
+      entries.push({ fact: { ...fact }, metadata: { ...metadata } });
+    }
+    return { factIdCounter: this.#factIdCounter, entries };
+  }
+
+  /**
+   * Replaces the stored facts with previously exported state. Facts keep their `_id`.
+   * @param {{factIdCounter: number, entries: Array<{fact: StoredFact, metadata: object}>}} state
+   * - State returned by `exportState()`.
+   */
+  importState({ factIdCounter, entries }) {
+    this.clear();
+    for (const { fact, metadata } of entries) {
+      const factEntry = { fact: { ...fact }, metadata: { ...metadata } };
+      this.#facts.set(fact._id, factEntry);
+      this.#indexContent(factEntry.fact);
+      this.#indexKey(factEntry.fact);
+      this.#indexFields(factEntry.fact, { latest: true });
+      const factTypeIndex = this.#alphaNetwork.get(fact.type);
+      if (factTypeIndex) {
+        factTypeIndex.set(fact._id, factEntry.fact);
+      } else {
+        this.#alphaNetwork.set(fact.type, new Map([[fact._id, factEntry.fact]]));
+      }
+    }
+    this.#factIdCounter = factIdCounter;
+  }
+
   /** * Clears all facts and resets the internal ID counter. 
    * This method is primarily intended for use in testing environments 
-   * to ensure a clean state between tests.
+   * to ensure a clean state between tests. Declared keys and created indexes are kept.
    */
   clear() {
     this.#factIdCounter = 0;
     this.#facts.clear();
     this.#alphaNetwork.clear();
+    this.#contentIndex.clear();
+    for (const key of this.#keys.values()) key.index.clear();
+    for (const indexes of this.#fieldIndexes.values()) {
+      for (const index of indexes.values()) {
+        index.buckets.clear();
+        if (index.order) index.order.length = 0;
+      }
+    }
     // console.log("FactStorage cleared."); // Optional: for debugging
   }
-}
\ No newline at end of file
+
+  /**
+   * Adds a stored fact to the content index, in the equality mode.
+   * @param {StoredFact} fact
+   */
+  #indexContent(fact) {
+    if (this.#factEquality !== 'equality') return;
+    const key = factContentKey(fact);
+    if (key !== null) this.#contentIndex.set(key, fact._id);
+  }
+
+  /**
+   * Adds a stored fact to the key index of its type, if the type has a key.
+   * @param {StoredFact} fact
+   */
+  #indexKey(fact) {
+    const key = this.#keys.get(fact.type);
+    if (!key) return;
+    const value = naturalKey(key.fields.map(field => fact[field]));
+    if (value !== null) key.index.set(value, fact._id);
+  }
+
+  /**
+   * Removes a stored fact from the key index of its type.
+   * @param {StoredFact} fact
+   */
+  #unindexKey(fact) {
+    const key = this.#keys.get(fact.type);
+    if (!key) return;
+    const value = naturalKey(key.fields.map(field => fact[field]));
+    if (value !== null && key.index.get(value) === fact._id) key.index.delete(value);
+  }
+
+  /**
+   * Removes a stored fact from the content index, in the equality mode.
+   * @param {StoredFact} fact
+   */
+  #unindexContent(fact) {
+    if (this.#factEquality !== 'equality') return;
+    const key = factContentKey(fact);
+    if (key !== null && this.#contentIndex.get(key) === fact._id) this.#contentIndex.delete(key);
+  }
+
+  /**
+   * Adds a stored fact to the field indexes of its type.
+   * @param {StoredFact} fact
+   * @param {object} [options]
+   * @param {Array<string>} [options.fields] - Only index these fields, e.g. those a modification changed.
+   * @param {boolean} [options.latest=false] - Whether the fact was asserted after every indexed fact.
+   */
+  #indexFields(fact, { fields, latest = false } = {}) {
+    const indexes = this.#fieldIndexes.get(fact.type);
+    if (!indexes) return;
+    for (const [field, index] of indexes) {
+      if (!fields || fields.includes(field)) this.#indexField(index, field, fact, latest);
+    }
+  }
+
+  /**
+   * Adds a stored fact to one field index, if it has the field. Buckets keep their facts in assertion
+   * order: the latest fact is appended, while an older one (modified or restored) is put back in its place.
+   * @param {FieldIndex} index
+   * @param {string} field
+   * @param {StoredFact} fact
+   * @param {boolean} latest - Whether the fact was asserted after every fact in the index.
+   */
+  #indexField(index, field, fact, latest) {
+    if (!Object.prototype.hasOwnProperty.call(fact, field)) return;
+    const value = fact[field];
+    const bucket = index.buckets.get(value);
+    if (!bucket) index.buckets.set(value, new Map([[fact._id, fact]]));
+    else if (latest) bucket.set(fact._id, fact);
+    else FactStorage.#setInAssertionOrder(bucket, fact._id, fact);
+    if (index.order && FactStorage.#isOrderable(value)) {
+      index.order.splice(FactStorage.#position(index.order, field, fact), 0, fact);
+    }
+  }
+
+  /**
+   * Removes a stored fact from the field indexes of its type, before it changes or leaves.
+   * @param {StoredFact} fact
+   * @param {Array<string>} [fields] - Only unindex these fields, e.g. those a modification changes.
+   */
+  #unindexFields(fact, fields) {
+    const indexes = this.#fieldIndexes.get(fact.type);
+    if (!indexes) return;
+    for (const [field, index] of indexes) {
+      if (fields && !fields.includes(field)) continue;
+      if (!Object.prototype.hasOwnProperty.call(fact, field)) continue;
+      const value = fact[field];
+      const bucket = index.buckets.get(value);
+      if (bucket) {
+        bucket.delete(fact._id);
+        if (bucket.size === 0) index.buckets.delete(value);
+      }
+      if (index.order && FactStorage.#isOrderable(value)) {
+        const position = FactStorage.#position(index.order, field, fact);
+        if (index.order[position] === fact) index.order.splice(position, 1);
+      }
+    }
+  }
+
+  /**
+   * Whether a field value is kept in the order of a sorted index: numbers other than `NaN`.
+   * @param {*} value
+   * @returns {boolean}
+   */
+  static #isOrderable(value) {
+    return typeof value === 'number' && !Number.isNaN(value);
+  }
+
+  /**
+   * Returns the position of a fact in a sorted index, ordered by field value and then by `_id`.
+   * @param {Array<StoredFact>} order
+   * @param {string} field
+   * @param {StoredFact} fact
+   * @returns {number}
+   */
+  static #position(order, field, fact) {
+    const value = fact[field];
+    return FactStorage.#bound(order, field, (other, otherFact) => other < value || (other === value && otherFact._id < fact._id));
+  }
+
+  /**
+   * Returns the number of leading facts of a sorted index for which `before(value, fact)` holds.
+   * @param {Array<StoredFact>} order
+   * @param {string} field
+   * @param {function(*, StoredFact): boolean} before
+   * @returns {number}
+   */
+  static #bound(order, field, before) {
+    let low = 0;
+    let high = order.length;
+    while (low < high) {
+      const middle = (low + high) >>> 1;
+      if (before(order[middle][field], order[middle])) low = middle + 1;
+      else high = middle;
+    }
+    return low;
+  }
+
+  /**
+   * Sets a value of a map keyed by fact `_id`, keeping the keys in ascending order. The entries
+   * after the new one are moved behind it, so this is cheap only when the key is the largest.
+   * @template T
+   * @param {Map<number, T>} map
+   * @param {number} id
+   * @param {T} value
+   */
+  static #setInAssertionOrder(map, id, value) {
+    const later = [];
+    for (const entry of map) {
+      if (entry[0] > id) later.push(entry);
+    }
+    for (const [key] of later) map.delete(key);
+    map.set(id, value);
+    for (const [key, stored] of later) map.set(key, stored);
+  }
+
+  /**
+   * Returns the facts sorted by `_id`, which is the order `getFactsByType` yields them in.
+   * @param {Iterable<StoredFact>} facts
+   * @returns {Array<StoredFact>}
+   */
+  static #inAssertionOrder(facts) {
+    return Array.from(facts).sort((a, b) => a._id - b._id);
+  }
+}
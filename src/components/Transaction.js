@@ -0,0 +1,152 @@
+/**
+ * Buffers the working-memory changes made in a transaction so that they can be applied together
+ * or discarded. Changes are recorded as operations, in order, and left for the engine to apply on commit.
+ * The transaction also keeps an overlay of the facts it retracted or modified, so reads made through
+ * it see the pending state while working memory itself is untouched until the commit, and indexes the
+ * facts it asserted or modified by the keys the engine gives it (content and natural keys), so that
+ * conflicts between its own changes are found without scanning them.
+ * @export
+ */
+export class Transaction {
+  /**
+   * The recorded operations, in order.
+   * @type {Array<{type: 'assert'|'retract'|'modify', fact?: Object<string, *>, options?: Object<string, *>, factId?: number, updates?: Object<string, *>}>}
+   */
+  #operations = [];
+  /**
+   * Ids of the facts retracted in this transaction.
+   * @type {Set<number>}
+   */
+  #retracted = new Set();
+  /**
+   * Pending views of the facts modified in this transaction, keyed by fact id.
+   * @type {Map<number, Object<string, *>>}
+   */
+  #modified = new Map();
+  /**
+   * The facts asserted or modified in this transaction, by the keys given when they were recorded.
+   * @type {Map<string, Object<string, *>>}
+   */
+  #pending = new Map();
+  /**
+   * The keys each pending fact is indexed by: buffered assertions by their fact, modifications by fact id.
+   * @type {Map<object|number, Array<string>>}
+   */
+  #keys = new Map();
+  /**
+   * Looks a fact up in working memory by id.
+   * @type {function(number): (Object<string, *>|undefined)}
+   */
+  #lookup;
+
+  /**
+   * Creates a new transaction.
+   * @param {function(number): (Object<string, *>|undefined)} lookup - Returns the stored fact with a given id.
+   */
+  constructor(lookup) {
+    this.#lookup = lookup;
+  }
+
+  /**
+   * The number of recorded operations.
+   * @returns {number}
+   */
+  get size() {
+    return this.#operations.length;
+  }
+
+  /**
+   * The recorded operations, in order.
+   * @returns {Array<Object<string, *>>}
+   */
+  get operations() {
+    return [...this.#operations];
+  }
+
+  /**
+   * Returns a fact as seen from this transaction: `null` if it was retracted here, its pending
+   * values if it was modified here, and the stored fact otherwise.
+   * @param {number} factId
+   * @returns {Object<string, *> | null}
+   */
+  getFact(factId) {
+    if (this.#retracted.has(factId)) return null;
+    return this.#modified.get(factId) ?? this.#lookup(factId) ?? null;
+  }
+
+  /**
+   * Returns the fact asserted or modified in this transaction that was recorded with a given key.
+   * @param {string} key
+   * @returns {Object<string, *> | undefined}
+   */
+  findPending(key) {
+    return this.#pending.get(key);
+  }
+
+  /**
+   * Records the assertion of a (validated) fact.
+   * @param {Object<string, *>} fact - The fact data to assert on commit.
+   * @param {Object<string, *>} [options] - Assertion options, e.g. `{ logical: true }`.
+   * @param {Array<string>} [keys] - Keys to find the fact by with `findPending`.
+   */
+  recordAssert(fact, options = {}, keys = []) {
+    this.#index(fact, fact, keys);
+    this.#operations.push({ type: 'assert', fact, options });
+  }
+
+  /**
+   * Records the retraction of a stored fact.
+   * @param {number} factId
+   */
+  recordRetract(factId) {
+    this.#unindex(factId);
+    this.#retracted.add(factId);
+    this.#modified.delete(factId);
+    this.#operations.push({ type: 'retract', factId });
+  }
+
+  /**
+   * Records the modification of a stored fact.
+   * @param {number} factId
+   * @param {Object<string, *>} updates - The properties to set on commit.
+   * @param {Object<string, *>} pendingFact - The fact with all updates of this transaction applied.
+   * @param {Array<string>} [keys] - Keys to find the pending fact by with `findPending`.
+   */
+  recordModify(factId, updates, pendingFact, keys = []) {
+    this.#unindex(factId);
+    this.#index(factId, pendingFact, keys);
+    this.#modified.set(factId, pendingFact);
+    this.#operations.push({ type: 'modify', factId, updates });
+  }
+
+  /**
+   * Discards every recorded operation.
+   */
+  clear() {
+    this.#operations = [];
+    this.#retracted.clear();
+    this.#modified.clear();
+    this.#pending.clear();
+    this.#keys.clear();
+  }
+
+  /**
+   * Indexes a pending fact by its keys.
+   * @param {object|number} owner - The buffered fact, or the id of the modified fact.
+   * @param {Object<string, *>} fact
+   * @param {Array<string>} keys
+   */
+  #index(owner, fact, keys) {
+    for (const key of keys) this.#pending.set(key, fact);
+    this.#keys.set(owner, keys);
+  }
+
+  /**
+   * Removes the keys of a modified fact from the index.
+   * @param {number} factId
+   */
+  #unindex(factId) {
+    for (const key of this.#keys.get(factId) ?? []) this.#pending.delete(key);
+    this.#keys.delete(factId);
+  }
+}
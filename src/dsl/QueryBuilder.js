@@ -10,6 +10,8 @@
 // and `_.from` for accumulators, would be available in the scope where queries are defined
 // (e.g., imported by the user).
 
+import { validateGoal } from '../utils/facts.js';
+
 /**
  * A fluent builder for creating query definitions.
  * Instances are typically created via the `Query(id)` factory function.
@@ -39,6 +41,7 @@ export class QueryBuilder {
      * limit?: number,
      * offset?: number,
      * distinct?: boolean,
+     * derives?: object,
      * type: 'query'
      * }}
      */
@@ -134,6 +137,29 @@ export class QueryBuilder {
     return this;
   }
 
+  /**
+   * Declares the goal this query derives for backward chaining: whenever `engine.prove()` needs facts
+   * of the goal's type, the query's conditions are proven and each solution yields a derived goal
+   * instance, with the goal's variables taken from the solution's bindings. The query can use the goal
+   * type in its own conditions (e.g., transitive hierarchies); recursion terminates through tabling.
+   * @param {object} goal - A goal pattern `{ type: { field: valueOrVariable, ... } }`.
+   * @returns {QueryBuilder} The builder instance for chaining.
+   * @throws {TypeError} If goal is not a pattern for a single type, or contains predicates.
+   * @example
+   * Query('ReportsToTransitively')
+   * .when({ reportsTo: { employee: '?e', manager: '?m' } }, { reportsTo: { employee: '?m', manager: '?top' } })
+   * .derives({ reportsTo: { employee: '?e', manager: '?top' } })
+   */
+  derives(goal) {
+    try {
+      validateGoal(goal);
+    } catch (e) {
+      throw new TypeError(`Query [${this.query.id}] .derives() ${/** @type {Error} */ (e).message}`);
+    }
+    this.query.derives = goal;
+    return this;
+  }
+
   /**
    * Skips a specified number of records from the beginning of the result set.
    * Typically used with `.limit()` for pagination. Applied after projection, distinctness, and sorting.
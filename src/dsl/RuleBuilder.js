@@ -8,6 +8,10 @@
 // It's assumed that the `_` (when) helper object, particularly `_.guard` for pre-conditions,
 // would be available in the scope where rules are defined (e.g., imported by the user).
 
+import { parseDuration } from '../utils/time.js';
+import { parseCron } from '../utils/cron.js';
+import { validateGoal } from '../utils/facts.js';
+
 /**
  * A fluent builder for creating rule definitions.
  * Instances are typically created via the `Rule(id)` factory function.
@@ -39,6 +43,14 @@ export class RuleBuilder {
      * throws?: Object<string, function(Error, object, object): (void|Promise<void>)>,
      * log?: {before?: boolean, after?: boolean},
      * salience: number,
+     * noLoop?: boolean,
+     * lockOnActive?: boolean,
+     * transactional?: boolean,
+     * derives?: object,
+     * timer?: number,
+     * cron?: string,
+     * agendaGroup?: string,
+     * activationGroup?: string,
      * around?: function(object, object, function(): Promise<void>): Promise<void>,
      * after?: function(object, object): (void|Promise<void>)
      * }}
@@ -146,6 +158,161 @@ export class RuleBuilder {
     return this;
   }
 
+  /**
+   * Assigns the rule to an agenda group. Activations of the rule only fire while its group has
+   * the focus (see `engine.setFocus(group)` and `context.setFocus(group)`).
+   * Rules without an agenda group belong to the `'MAIN'` group.
+   * @param {string} group - The name of the agenda group.
+   * @returns {RuleBuilder} The builder instance for chaining.
+   * @throws {TypeError} If group is not a non-empty string.
+   * @example
+   * Rule('ValidateOrder').agendaGroup('validation')
+   */
+  agendaGroup(group) {
+    if (typeof group !== 'string' || group.trim() === '') {
+      throw new TypeError(`Rule [${this.rule.id}] agenda group must be a non-empty string.`);
+    }
+    this.rule.agendaGroup = group;
+    return this;
+  }
+
+  /**
+   * Assigns the rule to an activation group of mutually exclusive rules. When an activation of
+   * a rule in the group fires, the engine cancels the other pending activations in the group that
+   * matched the same facts, and reports each through a `rule:activationCancelled` event with
+   * `reason: 'activationGroup'`. Activations for other facts (e.g., other customers) still fire.
+   * @param {string} group - The name of the activation group.
+   * @returns {RuleBuilder} The builder instance for chaining.
+   * @throws {TypeError} If group is not a non-empty string.
+   * @example
+   * Rule('DiscountTierA').activationGroup('discountTier').salience(30)
+   */
+  activationGroup(group) {
+    if (typeof group !== 'string' || group.trim() === '') {
+      throw new TypeError(`Rule [${this.rule.id}] activation group must be a non-empty string.`);
+    }
+    this.rule.activationGroup = group;
+    return this;
+  }
+
+  /**
+   * Prevents the rule from being reactivated by its own changes. Activations of this rule created
+   * while its action is running (e.g., because it modified one of its own matched facts) are
+   * suppressed, and the engine emits `rule:activationSuppressed` with `reason: 'noLoop'`.
+   * @param {boolean} [enabled=true] - Whether no-loop is enabled.
+   * @returns {RuleBuilder} The builder instance for chaining.
+   * @throws {TypeError} If enabled is not a boolean.
+   */
+  noLoop(enabled = true) {
+    if (typeof enabled !== 'boolean') {
+      throw new TypeError(`Rule [${this.rule.id}] .noLoop() argument must be a boolean. Got: ${typeof enabled}`);
+    }
+    this.rule.noLoop = enabled;
+    return this;
+  }
+
+  /**
+   * Prevents the rule from being activated again while its agenda group is active.
+   * Activations that were pending when the group became active still fire; activations created
+   * afterwards (by any rule) are suppressed, and the engine emits `rule:activationSuppressed`
+   * with `reason: 'lockOnActive'`.
+   * @param {boolean} [enabled=true] - Whether lock-on-active is enabled.
+   * @returns {RuleBuilder} The builder instance for chaining.
+   * @throws {TypeError} If enabled is not a boolean.
+   */
+  lockOnActive(enabled = true) {
+    if (typeof enabled !== 'boolean') {
+      throw new TypeError(`Rule [${this.rule.id}] .lockOnActive() argument must be a boolean. Got: ${typeof enabled}`);
+    }
+    this.rule.lockOnActive = enabled;
+    return this;
+  }
+
+  /**
+   * Runs the rule's `then` action in a working-memory transaction. The facts it asserts, modifies
+   * or retracts through the context are buffered and applied together once the action completes;
+   * if the action throws, they are discarded, so `throws` handlers see the state before the action ran.
+   * @param {boolean} [enabled=true] - Whether the action is transactional.
+   * @returns {RuleBuilder} The builder instance for chaining.
+   * @throws {TypeError} If enabled is not a boolean.
+   */
+  transactional(enabled = true) {
+    if (typeof enabled !== 'boolean') {
+      throw new TypeError(`Rule [${this.rule.id}] .transactional() argument must be a boolean. Got: ${typeof enabled}`);
+    }
+    this.rule.transactional = enabled;
+    return this;
+  }
+
+  /**
+   * Delays the rule: a match only becomes an activation once the rule's conditions have held for
+   * `delay`, measured on the engine's clock. If the match is invalidated first, nothing fires.
+   * @param {number|string} delay - Milliseconds or a duration string such as `'30s'` or `'5m'`.
+   * @returns {RuleBuilder} The builder instance for chaining.
+   * @throws {TypeError} If delay is not a valid duration.
+   * @example
+   * Rule('CancelUnpaidOrder')
+   * .when({ order: { id: '?o' } }, _.lacks({ payment: { orderId: '?o' } }))
+   * .timer('30s')
+   * .then((ctx, b) => ctx.modifyFact(b.order._id, { status: 'cancelled' }))
+   */
+  timer(delay) {
+    try {
+      this.rule.timer = parseDuration(delay);
+    } catch (e) {
+      throw new TypeError(`Rule [${this.rule.id}] .timer() delay must be milliseconds or a duration such as '30s'. Got: ${JSON.stringify(delay)}`);
+    }
+    return this;
+  }
+
+  /**
+   * Schedules the rule with a cron expression (see `parseCron`), evaluated in local time on the engine's
+   * clock: at every occurrence, each match of the rule's conditions at that time becomes an activation,
+   * even if the rule fired on it before. Matches do not fire between occurrences. A rule without
+   * conditions fires once per occurrence.
+   * @param {string} expression - A five-field cron expression, e.g. `'0 2 * * *'` for every day at 02:00.
+   * @returns {RuleBuilder} The builder instance for chaining.
+   * @throws {TypeError} If the expression is invalid.
+   * @example
+   * Rule('CloseStaleCarts')
+   * .when({ cart: { status: 'abandoned' } })
+   * .cron('0 2 * * *')
+   * .then((ctx, b) => ctx.modifyFact(b.cart._id, { status: 'closed' }))
+   */
+  cron(expression) {
+    try {
+      parseCron(expression);
+    } catch (e) {
+      throw new TypeError(`Rule [${this.rule.id}] .cron() ${/** @type {Error} */ (e).message}`);
+    }
+    this.rule.cron = expression;
+    return this;
+  }
+
+  /**
+   * Declares the goal this rule derives for backward chaining: whenever `engine.prove()` needs facts
+   * of the goal's type, the rule's conditions are proven and each solution yields a derived goal
+   * instance, with the goal's variables taken from the solution's bindings. Proving does not run the
+   * rule's action; the rule still fires normally when its conditions match working memory.
+   * @param {object} goal - A goal pattern `{ type: { field: valueOrVariable, ... } }`.
+   * @returns {RuleBuilder} The builder instance for chaining.
+   * @throws {TypeError} If goal is not a pattern for a single type, or contains predicates.
+   * @example
+   * Rule('Eligibility')
+   * .when({ customer: { id: '?c', tier: 'gold' } })
+   * .derives({ eligible: { customerId: '?c' } })
+   * .then((ctx, b) => ctx.assertFact({ type: 'eligible', customerId: b['?c'] }))
+   */
+  derives(goal) {
+    try {
+      validateGoal(goal);
+    } catch (e) {
+      throw new TypeError(`Rule [${this.rule.id}] .derives() ${/** @type {Error} */ (e).message}`);
+    }
+    this.rule.derives = goal;
+    return this;
+  }
+
   /**
    * Defines an "around" advice for Aspect-Oriented Programming (AOP).
    * This function wraps the core rule action (`then` block) and its associated lifecycle stages (logging, post-conditions).
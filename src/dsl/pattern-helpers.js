@@ -5,6 +5,124 @@
  * @exports _
  */
 
+import { parseDuration } from '../utils/time.js';
+
+/**
+ * The accumulator methods of `_.from(...)`.
+ * @typedef {{sum: function(string): object, count: function(): object, average: function(string): object, collect: function(string): object, minNumber: function(string): object, maxNumber: function(string): object, minDate: function(string): object, maxDate: function(string): object, minString: function(string): object, maxString: function(string): object, minBoolean: function(string): object, maxBoolean: function(string): object, distinctCollect: function(string): object, window: function(object): AccumulatorMethods}} AccumulatorMethods
+ */
+
+/**
+ * Builds the accumulator methods of `_.from(...)` for an accumulator definition.
+ * @private
+ * @param {object} baseAccumulatorDef - The definition so far (`_isAccumulator`, `from` and an optional `window`).
+ * @returns {AccumulatorMethods}
+ */
+function accumulatorBuilder(baseAccumulatorDef) {
+  return {
+    /** @param {string} field @returns {{into: function(string): object}} */
+    sum: (field) => ({ ...baseAccumulatorDef, accumulate: 'sum', on: field, into: (varName) => ({ ...baseAccumulatorDef, accumulate: 'sum', on: field, into: varName }) }),
+    /** @returns {{into: function(string): object}} */
+    count: () => ({ ...baseAccumulatorDef, accumulate: 'count', into: (varName) => ({ ...baseAccumulatorDef, accumulate: 'count', into: varName }) }),
+    /** @param {string} field @returns {{into: function(string): object}} */
+    average: (field) => ({ ...baseAccumulatorDef, accumulate: 'average', on: field, into: (varName) => ({ ...baseAccumulatorDef, accumulate: 'average', on: field, into: varName }) }),
+    /** @param {string} field @returns {{into: function(string): object}} */
+    collect: (field) => ({ ...baseAccumulatorDef, accumulate: 'collect', on: field, into: (varName) => ({ ...baseAccumulatorDef, accumulate: 'collect', on: field, into: varName }) }),
+    /** @param {string} field @returns {{into: function(string): object}} */
+    minNumber: (field) => ({ ...baseAccumulatorDef, accumulate: 'minNumber', on: field, into: (varName) => ({ ...baseAccumulatorDef, accumulate: 'minNumber', on: field, into: varName }) }),
+    /** @param {string} field @returns {{into: function(string): object}} */
+    maxNumber: (field) => ({ ...baseAccumulatorDef, accumulate: 'maxNumber', on: field, into: (varName) => ({ ...baseAccumulatorDef, accumulate: 'maxNumber', on: field, into: varName }) }),
+    /** @param {string} field @returns {{into: function(string): object}} */
+    minDate: (field) => ({ ...baseAccumulatorDef, accumulate: 'minDate', on: field, into: (varName) => ({ ...baseAccumulatorDef, accumulate: 'minDate', on: field, into: varName }) }),
+    /** @param {string} field @returns {{into: function(string): object}} */
+    maxDate: (field) => ({ ...baseAccumulatorDef, accumulate: 'maxDate', on: field, into: (varName) => ({ ...baseAccumulatorDef, accumulate: 'maxDate', on: field, into: varName }) }),
+    /** @param {string} field @returns {{into: function(string): object}} */
+    minString: (field) => ({ ...baseAccumulatorDef, accumulate: 'minString', on: field, into: (varName) => ({ ...baseAccumulatorDef, accumulate: 'minString', on: field, into: varName }) }),
+    /** @param {string} field @returns {{into: function(string): object}} */
+    maxString: (field) => ({ ...baseAccumulatorDef, accumulate: 'maxString', on: field, into: (varName) => ({ ...baseAccumulatorDef, accumulate: 'maxString', on: field, into: varName }) }),
+    /** @param {string} field @returns {{into: function(string): object}} */
+    minBoolean: (field) => ({ ...baseAccumulatorDef, accumulate: 'minBoolean', on: field, into: (varName) => ({ ...baseAccumulatorDef, accumulate: 'minBoolean', on: field, into: varName }) }),
+    /** @param {string} field @returns {{into: function(string): object}} */
+    maxBoolean: (field) => ({ ...baseAccumulatorDef, accumulate: 'maxBoolean', on: field, into: (varName) => ({ ...baseAccumulatorDef, accumulate: 'maxBoolean', on: field, into: varName }) }),
+    /**
+     * Collects unique values for a field.
+     * @param {string} field - The field whose unique values to collect.
+     * @returns {{into: function(string): object}} An object with an `into` method.
+     * @example _.from({ type: 'tag' }).distinctCollect('name').into('?uniqueTags')
+     */
+    distinctCollect: (field) => ({ ...baseAccumulatorDef, accumulate: 'distinctCollect', on: field, into: (varName) => ({ ...baseAccumulatorDef, accumulate: 'distinctCollect', on: field, into: varName }) }),
+    /**
+     * Restricts the accumulation to a sliding window of the matching facts. Facts that leave the window
+     * stop counting and the rules using the accumulator are re-evaluated.
+     * @param {object} spec - The window. At least one of `time` and `length` is required.
+     * @param {number|string} [spec.time] - Keep facts from the last `time` (milliseconds or a duration such as `'10m'`).
+     * @param {number} [spec.length] - Keep the `length` most recent facts.
+     * @param {string} [spec.field] - The fact field holding each fact's timestamp (epoch milliseconds, `Date` or
+     * date string). Defaults to the time the fact was asserted.
+     * @returns {AccumulatorMethods} The accumulator methods, applied to the facts in the window.
+     * @throws {TypeError} If the window is invalid.
+     * @example _.from({ type: 'transaction', card: '?card' }).window({ time: '10m', field: 'at' }).count().into('?recent')
+     */
+    window: (spec) => accumulatorBuilder({ ...baseAccumulatorDef, window: normalizeWindow(spec) }),
+  };
+}
+
+/**
+ * Marks a numeric predicate with the range of values it accepts.
+ * @private
+ * @param {{gt?: number, gte?: number, lt?: number, lte?: number}} range
+ * @param {function(*): boolean} predicate
+ * @returns {(function(*): boolean) & {range: {gt?: number, gte?: number, lt?: number, lte?: number}}} The predicate,
+ * with a `range` property.
+ */
+function rangePredicate(range, predicate) {
+  return Object.assign(predicate, { range });
+}
+
+/**
+ * Builds the S-expression of a temporal guard, leaving out the tolerances that are not given.
+ * @private
+ * @param {string} relation - One of the temporal relations (see `TEMPORAL_RELATIONS`).
+ * @param {string|Array<*>} a - The first event.
+ * @param {string|Array<*>} b - The second event.
+ * @param {Array<number|string|undefined>} tolerances
+ * @returns {Array<*>} `[relation, a, b, ...tolerances]`
+ */
+function temporalGuard(relation, a, b, tolerances) {
+  const given = [...tolerances];
+  while (given.length > 0 && given[given.length - 1] === undefined) given.pop();
+  return [relation, a, b, ...given];
+}
+
+/**
+ * Validates a `_.from(...).window(spec)` specification and converts its `time` to milliseconds.
+ * @private
+ * @param {{time?: number|string, length?: number, field?: string}} spec
+ * @returns {{time?: number, length?: number, field?: string}}
+ * @throws {TypeError} If the window is invalid.
+ */
+function normalizeWindow(spec) {
+  if (!spec || typeof spec !== 'object' || (spec.time === undefined && spec.length === undefined)) {
+    throw new TypeError("_.from().window() requires a 'time' and/or 'length' option.");
+  }
+  /** @type {{time?: number, length?: number, field?: string}} */
+  const window = {};
+  if (spec.time !== undefined) window.time = parseDuration(spec.time);
+  if (spec.length !== undefined) {
+    if (!Number.isInteger(spec.length) || spec.length < 1) {
+      throw new TypeError("_.from().window() 'length' must be a positive integer.");
+    }
+    window.length = spec.length;
+  }
+  if (spec.field !== undefined) {
+    if (typeof spec.field !== 'string' || spec.field === '') {
+      throw new TypeError("_.from().window() 'field' must be a non-empty string.");
+    }
+    window.field = spec.field;
+  }
+  return window;
+}
+
 /**
  * The primary helper object for building rule and query conditions.
  * It's a collection of predicate functions and builder objects.
@@ -100,16 +218,18 @@ export const _ = {
   // ====================================================================
   // III. NUMERIC / RANGE OPERATORS
   // ====================================================================
+  // The range predicates carry their bounds as a `range` property, which lets the engine look up
+  // candidate facts through a sorted index (see `FactStorage.createIndex`).
   /** @function gt @memberof _ @param {number} val @returns {function(number): boolean} @example _.gt(100) */
-  gt: (val) => (factValue) => typeof factValue === 'number' && !isNaN(factValue) && factValue > val,
+  gt: (val) => rangePredicate({ gt: val }, (factValue) => typeof factValue === 'number' && !isNaN(factValue) && factValue > val),
   /** @function gte @memberof _ @param {number} val @returns {function(number): boolean} @example _.gte(100) */
-  gte: (val) => (factValue) => typeof factValue === 'number' && !isNaN(factValue) && factValue >= val,
+  gte: (val) => rangePredicate({ gte: val }, (factValue) => typeof factValue === 'number' && !isNaN(factValue) && factValue >= val),
   /** @function lt @memberof _ @param {number} val @returns {function(number): boolean} @example _.lt(100) */
-  lt: (val) => (factValue) => typeof factValue === 'number' && !isNaN(factValue) && factValue < val,
+  lt: (val) => rangePredicate({ lt: val }, (factValue) => typeof factValue === 'number' && !isNaN(factValue) && factValue < val),
   /** @function lte @memberof _ @param {number} val @returns {function(number): boolean} @example _.lte(100) */
-  lte: (val) => (factValue) => typeof factValue === 'number' && !isNaN(factValue) && factValue <= val,
+  lte: (val) => rangePredicate({ lte: val }, (factValue) => typeof factValue === 'number' && !isNaN(factValue) && factValue <= val),
   /** @function between @memberof _ @param {number} min @param {number} max @returns {function(number): boolean} @example _.between(18, 65) */
-  between: (min, max) => (factValue) => typeof factValue === 'number' && !isNaN(factValue) && factValue >= min && factValue <= max,
+  between: (min, max) => rangePredicate({ gte: min, lte: max }, (factValue) => typeof factValue === 'number' && !isNaN(factValue) && factValue >= min && factValue <= max),
 
   // ====================================================================
   // IV. COLLECTION OPERATORS
@@ -117,7 +237,7 @@ export const _ = {
   /** @function contains @memberof _ @param {*} element @returns {function(Array<*>): boolean} @example _.contains('vip') */
   contains: (element) => (factValue) => Array.isArray(factValue) && factValue.includes(element),
   /** @function hasSize @memberof _ @param {number|function} sizeMatcher @returns {function(Array<*>|Set<*>|Map<*,*>|string): boolean} @example _.hasSize(3) or _.hasSize(_.gt(0)) */
-  hasSize: (sizeMatcher) => (factValue) => {
+  hasSize: (sizeMatcher) => (/** @type {*} */ factValue) => {
     const size = factValue?.length ?? factValue?.size;
     if (typeof size !== 'number') return false;
     if (typeof sizeMatcher === 'function') return sizeMatcher(size);
@@ -164,12 +284,16 @@ export const _ = {
       return p(factValue);
     });
   },
+  // Given only values, `anyOf` carries them as a `values` property, so that `type: _.anyOf('order', 'invoice')`
+  // lets the engine visit only the facts of those types for a type-agnostic pattern.
   /** @function anyOf @memberof _ @param {...(function(*):boolean | *)} predicatesOrValues @returns {function(*): boolean} @example _.anyOf('admin', 'editor', _.startsWith('guest_')) */
-  anyOf: (...predicatesOrValues) => (factValue) => {
-    return predicatesOrValues.some(p => {
+  anyOf: (...predicatesOrValues) => {
+    /** @param {*} factValue */
+    const predicate = (factValue) => predicatesOrValues.some(p => {
       if (typeof p === 'function') return p(factValue);
       return factValue === p;
     });
+    return predicatesOrValues.some(p => typeof p === 'function') ? predicate : Object.assign(predicate, { values: predicatesOrValues });
   },
   /** @function not @memberof _ @param {function(*):boolean | *} predicateOrValue @returns {function(*): boolean} @example _.not('disabled') or _.not(_.gt(10)) */
   not: (predicateOrValue) => (factValue) => {
@@ -200,9 +324,10 @@ export const _ = {
    * @function from
    * @memberof _
    * @param {object} pattern - The pattern to match facts for accumulation (e.g., `{ type: 'order', status: 'completed' }`).
-   * @returns {{sum: function(string): object, count: function(): object, average: function(string): object, collect: function(string): object, minNumber: function(string): object, maxNumber: function(string): object, minDate: function(string): object, maxDate: function(string): object, minString: function(string): object, maxString: function(string): object, minBoolean: function(string): object, maxBoolean: function(string): object, distinctCollect: function(string): object}}
+   * @returns {AccumulatorMethods}
    * An object with accumulator methods (`sum`, `count`, `average`, `collect`, etc.), each returning an object   * An object with accumulator methods (`sum`, `count`, `average`, `collect`), each returning an object
-   * with an `into(variableName)` method to complete the definition.
+   * with an `into(variableName)` method to complete the definition. Call `window({ time, length, field })` first
+   * to accumulate over a sliding window of the matching facts only.
    * @example
    * Rule('BigSpenderAlert')
    * .when(
@@ -210,43 +335,7 @@ export const _ = {
    * _.from({ type: 'order', userId: '?userId' }).sum('total').into('?totalSpent')
    * ) // ...
    */
-  from: (pattern) => {
-    const baseAccumulatorDef = { _isAccumulator: true, from: pattern };
-    return {
-      /** @param {string} field @returns {{into: function(string): object}} */
-      sum: (field) => ({ ...baseAccumulatorDef, accumulate: 'sum', on: field, into: (varName) => ({ ...baseAccumulatorDef, accumulate: 'sum', on: field, into: varName }) }),
-      /** @returns {{into: function(string): object}} */
-      count: () => ({ ...baseAccumulatorDef, accumulate: 'count', into: (varName) => ({ ...baseAccumulatorDef, accumulate: 'count', into: varName }) }),
-      /** @param {string} field @returns {{into: function(string): object}} */
-      average: (field) => ({ ...baseAccumulatorDef, accumulate: 'average', on: field, into: (varName) => ({ ...baseAccumulatorDef, accumulate: 'average', on: field, into: varName }) }),
-      /** @param {string} field @returns {{into: function(string): object}} */
-      collect: (field) => ({ ...baseAccumulatorDef, accumulate: 'collect', on: field, into: (varName) => ({ ...baseAccumulatorDef, accumulate: 'collect', on: field, into: varName }) }),
-      /** @param {string} field @returns {{into: function(string): object}} */
-      minNumber: (field) => ({ ...baseAccumulatorDef, accumulate: 'minNumber', on: field, into: (varName) => ({ ...baseAccumulatorDef, accumulate: 'minNumber', on: field, into: varName }) }),
-      /** @param {string} field @returns {{into: function(string): object}} */
-      maxNumber: (field) => ({ ...baseAccumulatorDef, accumulate: 'maxNumber', on: field, into: (varName) => ({ ...baseAccumulatorDef, accumulate: 'maxNumber', on: field, into: varName }) }),
-      /** @param {string} field @returns {{into: function(string): object}} */
-      minDate: (field) => ({ ...baseAccumulatorDef, accumulate: 'minDate', on: field, into: (varName) => ({ ...baseAccumulatorDef, accumulate: 'minDate', on: field, into: varName }) }),
-      /** @param {string} field @returns {{into: function(string): object}} */
-      maxDate: (field) => ({ ...baseAccumulatorDef, accumulate: 'maxDate', on: field, into: (varName) => ({ ...baseAccumulatorDef, accumulate: 'maxDate', on: field, into: varName }) }),
-      /** @param {string} field @returns {{into: function(string): object}} */
-      minString: (field) => ({ ...baseAccumulatorDef, accumulate: 'minString', on: field, into: (varName) => ({ ...baseAccumulatorDef, accumulate: 'minString', on: field, into: varName }) }),
-      /** @param {string} field @returns {{into: function(string): object}} */
-      maxString: (field) => ({ ...baseAccumulatorDef, accumulate: 'maxString', on: field, into: (varName) => ({ ...baseAccumulatorDef, accumulate: 'maxString', on: field, into: varName }) }),
-      /** @param {string} field @returns {{into: function(string): object}} */
-      minBoolean: (field) => ({ ...baseAccumulatorDef, accumulate: 'minBoolean', on: field, into: (varName) => ({ ...baseAccumulatorDef, accumulate: 'minBoolean', on: field, into: varName }) }),
-      /** @param {string} field @returns {{into: function(string): object}} */
-      maxBoolean: (field) => ({ ...baseAccumulatorDef, accumulate: 'maxBoolean', on: field, into: (varName) => ({ ...baseAccumulatorDef, accumulate: 'maxBoolean', on: field, into: varName }) }),
-      /**
-       * Collects unique values for a field.
-       * @param {string} field - The field whose unique values to collect.
-       * @returns {{into: function(string): object}} An object with an `into` method.
-       * @example _.from({ type: 'tag' }).distinctCollect('name').into('?uniqueTags')
-       */
-      distinctCollect: (field) => ({ ...baseAccumulatorDef, accumulate: 'distinctCollect', on: field, into: (varName) => ({ ...baseAccumulatorDef, accumulate: 'distinctCollect', on: field, into: varName }) })
-
-    };
-  },
+  from: (pattern) => accumulatorBuilder({ _isAccumulator: true, from: pattern }),
 
   // ====================================================================
   // IX. GUARD & SELECT EXPRESSION BUILDERS
@@ -325,8 +414,73 @@ export const _ = {
      * @param {string|Array<*>} target - The variable (e.g., '?field') or S-expression for the target value.
      * @returns {Array<*>} `['isDefined', target]`
      */
-    isDefined: (target) => ['isDefined', target]
+    isDefined: (target) => ['isDefined', target],
 
+    // Temporal relations between events (Allen's interval algebra). Each event is a bound fact, timed by
+    // the `timestamp`/`duration` fields its template declares, its `start`/`end` or `timestamp` fields, or
+    // the time it was asserted; or a time value (epoch milliseconds, `Date` or date string).
+    // Tolerances are durations such as `'30s'` or `'5m'`.
+    /**
+     * Checks that event `a` ends before event `b` starts, by `min` to `max` (default: 1ms to unbounded).
+     * @function before
+     * @memberof _.guard
+     * @param {string|Array<*>} a - The first event (e.g., '?login').
+     * @param {string|Array<*>} b - The second event.
+     * @param {number|string} [min] - The minimum distance.
+     * @param {number|string} [max] - The maximum distance.
+     * @returns {Array<*>} `['before', a, b, ...tolerances]`
+     * @example _.guard.before('?login', '?purchase', '0s', '5m') // the purchase started within 5 minutes of the login
+     */
+    before: (a, b, min, max) => temporalGuard('before', a, b, [min, max]),
+    /**
+     * Checks that event `a` starts after event `b` ends, by `min` to `max` (default: 1ms to unbounded).
+     * @function after
+     * @memberof _.guard
+     * @param {string|Array<*>} a @param {string|Array<*>} b
+     * @param {number|string} [min] @param {number|string} [max]
+     * @returns {Array<*>} `['after', a, b, ...tolerances]`
+     * @example _.guard.after('?purchase', '?login', '0s', '5m')
+     */
+    after: (a, b, min, max) => temporalGuard('after', a, b, [min, max]),
+    /**
+     * Checks that event `b` starts when event `a` ends, within `tolerance` (default: 0).
+     * @function meets
+     * @memberof _.guard
+     * @param {string|Array<*>} a @param {string|Array<*>} b @param {number|string} [tolerance]
+     * @returns {Array<*>} `['meets', a, b, ...tolerances]`
+     */
+    meets: (a, b, tolerance) => temporalGuard('meets', a, b, [tolerance]),
+    /**
+     * Checks that event `a` happens within event `b`: it starts `min` to `max` after `b` starts and ends
+     * `min` to `max` before `b` ends (default: 1ms to unbounded).
+     * @function during
+     * @memberof _.guard
+     * @param {string|Array<*>} a @param {string|Array<*>} b
+     * @param {number|string} [min] @param {number|string} [max]
+     * @returns {Array<*>} `['during', a, b, ...tolerances]`
+     * @example _.guard.during('?alarm', '?maintenanceWindow')
+     */
+    during: (a, b, min, max) => temporalGuard('during', a, b, [min, max]),
+    /**
+     * Checks that event `a` starts first and `b` starts before `a` ends and ends after it, with an overlap
+     * of `min` to `max` (default: 1ms to unbounded).
+     * @function overlaps
+     * @memberof _.guard
+     * @param {string|Array<*>} a @param {string|Array<*>} b
+     * @param {number|string} [min] @param {number|string} [max]
+     * @returns {Array<*>} `['overlaps', a, b, ...tolerances]`
+     */
+    overlaps: (a, b, min, max) => temporalGuard('overlaps', a, b, [min, max]),
+    /**
+     * Checks that events `a` and `b` start within `startTolerance` and end within `endTolerance`
+     * of each other (default: 0 and `startTolerance`).
+     * @function coincides
+     * @memberof _.guard
+     * @param {string|Array<*>} a @param {string|Array<*>} b
+     * @param {number|string} [startTolerance] @param {number|string} [endTolerance]
+     * @returns {Array<*>} `['coincides', a, b, ...tolerances]`
+     */
+    coincides: (a, b, startTolerance, endTolerance) => temporalGuard('coincides', a, b, [startTolerance, endTolerance]),
   },
 
   /**
@@ -349,6 +503,12 @@ export const _ = {
    * @borrows _.guard.isNil as _.select.isNil
    * @borrows _.guard.isDefined as _.select.isDefined
    * @borrows _.guard.hasSize as _.select.hasSize
+   * @borrows _.guard.before as _.select.before
+   * @borrows _.guard.after as _.select.after
+   * @borrows _.guard.meets as _.select.meets
+   * @borrows _.guard.during as _.select.during
+   * @borrows _.guard.overlaps as _.select.overlaps
+   * @borrows _.guard.coincides as _.select.coincides
    */
   select: {} // Will be aliased after `_` object is fully defined.
 };
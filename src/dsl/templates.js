@@ -5,6 +5,8 @@
  * enhancing data integrity and rule robustness.
  */
 
+import { parseDuration } from '../utils/time.js';
+
 // It's assumed that the `_` (when) helper object would be imported or globally available
 // if used within the `validate` predicates of a schema definition by the user.
 // e.g., import { _ } from './pattern-helpers.js'; // If _ is used in schema.validate
@@ -13,7 +15,7 @@
  * A private module-level Map to store all defined templates.
  * The engine will use `getTemplate` to access these.
  * @private
- * @type {Map<string, {name: string, schema: object}>}
+ * @type {Map<string, {name: string, schema: object, timestamp?: string, duration?: string, expires?: number, key?: Array<string>}>}
  */
 const TEMPLATES = new Map();
 
@@ -39,13 +41,26 @@ const TEMPLATES = new Map();
  * @param {function(*):boolean} [schema.fieldName.validate] - A predicate function
  * (often from the `_` helpers, e.g., `_.gt(0)`) that the field's value must pass
  * if the field is present.
- * @returns {{name: string, schema: object, create: function(object): object}}
- * A template object containing its name, schema, and a `create` helper function.
+ * @param {object} [options={}] - Event, lifetime and identity options.
+ * @param {string} [options.timestamp] - The field holding the event's time (epoch milliseconds, `Date` or date
+ * string). Temporal guards (`_.guard.before`, ...) and accumulator windows without a `field` use it instead
+ * of the assertion time.
+ * @param {string} [options.duration] - The field holding the event's duration (milliseconds or a duration
+ * string such as `'5m'`), for events that last over an interval.
+ * @param {number|string} [options.expires] - How long facts of this type live (milliseconds or a duration such as
+ * `'1h'`) before the engine retracts them; `assertFact(fact, { ttl })` overrides it per fact. Stored in milliseconds.
+ * @param {string|Array<string>} [options.key] - The natural key: the field (or fields) whose values identify a fact
+ * of this type, such as an order's `id`. Key fields are required, no two facts may share a key, and facts can be
+ * looked up with `engine.getFactByKey(name, value)` and updated with `engine.upsertFact(fact)`. Stored as an array.
+ * @returns {{name: string, schema: object, timestamp?: string, duration?: string, expires?: number, key?: Array<string>,
+ * create: function(object): object}}
+ * A template object containing its name, schema, event, lifetime and identity options, and a `create` helper function.
  * The `create(data)` function helps construct fact objects of this template type
  * by automatically adding the `type: name` property.
  * @throws {Error} If the template name is invalid, the schema is not an object,
- * or if a field definition in the schema is malformed (e.g., missing `type`,
- * invalid `validate` type).
+ * if a field definition in the schema is malformed (e.g., missing `type`,
+ * invalid `validate` type), if an event option is not a non-empty string, if `expires` is not a duration,
+ * or if `key` is not a field name or a non-empty array of field names.
  * @example
  * const userTemplate = deftemplate('user', {
  * id: { type: 'string', required: true, validate: _.startsWith('usr_') },
@@ -64,7 +79,28 @@ const TEMPLATES = new Map();
  * // { type: 'user', id: 'usr_123', email: 'test@example.com', age: 30 }
  * // (tags would use its default if not provided)
  */
-export function deftemplate(name, schema = {}) {
+export function deftemplate(name, schema = {}, options = {}) {
+  const { create, ...definition } = createTemplate(name, schema, options);
+  TEMPLATES.set(name, definition);
+  const template = { ...definition, create };
+  // console.log(`--- Template Defined: ${name} ---`); // Optional: for debugging
+  return template;
+}
+
+/**
+ * Validates a schema and creates a template object, without registering it globally.
+ * `deftemplate` registers the result for every engine; a `RuleBase` keeps its own templates
+ * for the sessions it creates.
+ * @export
+ * @param {string} name - The template name (the `type` of its facts).
+ * @param {object} [schema={}] - The schema, as described for `deftemplate`.
+ * @param {{timestamp?: string, duration?: string, expires?: number|string, key?: string|Array<string>}} [options={}]
+ * - The event, lifetime and identity options, as described for `deftemplate`.
+ * @returns {{name: string, schema: object, timestamp?: string, duration?: string, expires?: number, key?: Array<string>,
+ * create: function(object): object}} The template object.
+ * @throws {Error} If the template name, schema or options are invalid (see `deftemplate`).
+ */
+export function createTemplate(name, schema = {}, options = {}) {
   if (typeof name !== 'string' || name.trim() === '') {
     throw new Error("deftemplate Error: Template name must be a non-empty string.");
   }
@@ -96,11 +132,35 @@ export function deftemplate(name, schema = {}) {
     }
   }
 
-  TEMPLATES.set(name, { name, schema });
-  // console.log(`--- Template Defined: ${name} ---`); // Optional: for debugging
+  /** @type {{timestamp?: string, duration?: string, expires?: number, key?: Array<string>}} */
+  const templateOptions = {};
+  for (const option of /** @type {const} */ (['timestamp', 'duration'])) {
+    const field = options?.[option];
+    if (field === undefined) continue;
+    if (typeof field !== 'string' || field.trim() === '') {
+      throw new Error(`deftemplate Error: Template '${name}': '${option}' option, if provided, must be a non-empty string.`);
+    }
+    templateOptions[option] = field;
+  }
+  if (options?.expires !== undefined) {
+    try {
+      templateOptions.expires = parseDuration(options.expires);
+    } catch {
+      throw new Error(`deftemplate Error: Template '${name}': 'expires' option, if provided, must be milliseconds or a duration such as '1h'.`);
+    }
+  }
+  if (options?.key !== undefined) {
+    const key = Array.isArray(options.key) ? options.key : [options.key];
+    if (key.length === 0 || key.some(field => typeof field !== 'string' || field.trim() === '')) {
+      throw new Error(`deftemplate Error: Template '${name}': 'key' option, if provided, must be a field name or a non-empty array of field names.`);
+    }
+    templateOptions.key = [...key];
+  }
+
   return {
     name,
     schema,
+    ...templateOptions,
     /**
      * Helper function to create a fact object conforming to this template's type.
      * It automatically adds the `type: name` property to the provided data.
@@ -118,8 +178,8 @@ export function deftemplate(name, schema = {}) {
  * This is used internally by the LeapEngine during fact assertion for validation.
  * @export
  * @param {string} name - The name of the template to retrieve.
- * @returns {{name: string, schema: object} | undefined} The template definition object
- * (containing its name and schema), or undefined if no template with that name exists.
+ * @returns {{name: string, schema: object, timestamp?: string, duration?: string, expires?: number, key?: Array<string>} | undefined}
+ * The template definition object (containing its name, schema, event, lifetime and identity options), or undefined if no template with that name exists.
  */
 export const getTemplate = (name) => TEMPLATES.get(name);
 
@@ -7,14 +7,47 @@
 // These would be actual imports in a modular project.
 // For this self-contained example, they are assumed to be available globally or defined elsewhere
 // when this class is instantiated (e.g., SimpleEventEmitter, FactStorage, Agenda, AdvancedMatcher,
-// SalienceConflictResolver, accumulators, getTemplate from dsl/templates.js).
+// SalienceConflictResolver, accumulators).
 import { SimpleEventEmitter } from '../utils/SimpleEventEmitter.js';
+import {
+  selectWindow, toTimestamp, parseDuration, holdsTemporalRelation, TEMPORAL_RELATIONS,
+} from '../utils/time.js';
+import { parseCron, nextCronTime } from '../utils/cron.js';
+import { factContentKey, naturalKey, patternTypes } from '../utils/facts.js';
+import { ReteNetwork } from './ReteNetwork.js';
+import { ConflictSet } from '../components/ConflictSet.js';
+import { Transaction } from '../components/Transaction.js';
+import { SystemClock } from '../components/Clock.js';
+import { getTemplate } from '../dsl/templates.js';
+
+/** @typedef {import('./RuleBase.js').RuleBase} RuleBase */
+/** @typedef {import('../components/ConflictSet.js').Activation} Activation */
+/** @typedef {import('../utils/cron.js').CronSchedule} CronSchedule */
+/**
+ * The state of a match lost while a transaction commits: whether it fired, the activations that fired
+ * on it and, for a `timer` rule, when it was due.
+ * @typedef {{fired: boolean, activationIds: Array<number>, dueAt: (number|undefined)}} LostMatch
+ */
+
+/**
+ * The answers found for a subgoal while backward chaining, and whether it is being proven, was reached
+ * again while it was, or depends on an unfinished ancestor subgoal.
+ * @typedef {{answers: Map<string, Object<string, *>>, inProgress: boolean, recursive: boolean, dependent: boolean}} GoalTable
+ */
 
-// Assume 'getTemplate' (for deftemplate) and 'accumulators' are globally available or imported
+/**
+ * The state of a backward-chaining proof: the subgoal tables, keyed by subgoal, and the subgoals being proven.
+ * @typedef {{tables: Map<string, GoalTable>, stack: Array<GoalTable>}} ProofState
+ */
+
+// Assume 'accumulators' are globally available or imported
 // For a real application, these should be proper imports or injected dependencies.
-// Example: import { getTemplate } from '../dsl/templates.js'; // Adjusted path
 // Example: import { accumulators } from '../strategies/Accumulators.js'; // Adjusted path
 
+/** The agenda group of rules that do not declare one; it is always at the bottom of the focus stack. */
+const MAIN_AGENDA_GROUP = 'MAIN';
+/** The format version of engine snapshots; `restore()` rejects snapshots of other versions. */
+const SNAPSHOT_VERSION = 1;
 
 export class LeapEngine {
   /** @private @type {FactStorage} */
@@ -38,12 +71,126 @@ export class LeapEngine {
    * @type {Map<number, {ruleId: string, consumed: Set<number>, produced: Set<number>}>}
    */
   #activations = new Map();
+  /**
+   * The IDs of the activation records of each network match, so that truth maintenance can invalidate
+   * them when the match is lost.
+   * @type {WeakMap<object, Set<number>>}
+   */
+  #activationsByMatch = new WeakMap();
   /** @private @type {number} */
   #activationCounter = 0;
   /** @private @type {SimpleEventEmitter} */
   #eventEmitter;
   /** @private @type {object} */
   #accumulators;
+  /**
+   * The clock the engine reads the current time from.
+   * @type {{now: function(): number}}
+   */
+  #clock;
+  /**
+   * The pending matches of `timer` rules, with the time at which each becomes an activation.
+   * @type {Map<Activation, number>}
+   */
+  #timers = new Map();
+  /**
+   * The schedules of `cron` rules and their next occurrence, keyed by rule ID.
+   * @type {Map<string, {schedule: CronSchedule, nextAt: number}>}
+   */
+  #cronSchedules = new Map();
+  /**
+   * The expiry time of the facts asserted with a time to live, keyed by fact ID.
+   * @type {Map<number, number>}
+   */
+  #expirations = new Map();
+  /**
+   * The ID of the logical fact with each content key (see `factContentKey`), so that a rule asserting a
+   * fact equal to a logical one justifies it without scanning the facts of its type.
+   * @type {Map<string, number>}
+   */
+  #logicalFacts = new Map();
+  /**
+   * While a transaction commits, how to undo each change made to working memory and the state of the
+   * matches lost, so that a failed commit can be undone (see `#commit`).
+   * @type {{undo: Array<function(): void>, lostMatches: Map<string, LostMatch>} | null}
+   */
+  #commitJournal = null;
+  /**
+   * While a failed commit is undone, the matches it lost, keyed by fact tuple (see `#relinkMatch`).
+   * @type {Map<string, LostMatch> | null}
+   */
+  #undoneMatches = null;
+  /**
+   * The facts put back by failed commits whose retraction task has not been processed yet; truth
+   * maintenance skips it (see `#processTasks`).
+   * @type {WeakSet<object>}
+   */
+  #restoredFacts = new WeakSet();
+  /**
+   * Whether `fireUntilHalt()` is active. Cleared by `halt()`.
+   * @type {boolean}
+   */
+  #untilHalt = false;
+  /**
+   * Ends the current wait of `fireUntilHalt()` early, e.g. when a fact is asserted.
+   * @type {(function(): void) | null}
+   */
+  #wakeUp = null;
+  /**
+   * How the last run was halted, or null if it ended because the conflict set was drained.
+   * @type {Object<string, *> | null}
+   */
+  #lastHalt = null;
+  /**
+   * The compiled matching network for rule definitions (queries are evaluated on demand).
+   * It is updated as facts are asserted and retracted.
+   * @type {ReteNetwork}
+   */
+  #network;
+  /**
+   * The pending activations produced by the network, grouped by agenda group. It persists across
+   * agenda tasks and is drained in the order chosen by the conflict resolver.
+   * @type {ConflictSet}
+   */
+  #conflictSet;
+  /**
+   * The activation whose rule is currently executing, used to enforce `noLoop`.
+   * @type {Activation | null}
+   */
+  #firingActivation = null;
+  /**
+   * Whether `run()` is in progress. The focused agenda group is active while the engine runs;
+   * this is used to enforce `lockOnActive`.
+   * @type {boolean}
+   */
+  #running = false;
+  /**
+   * The agenda group focus stack. Only activations of the group on top fire; the group is popped
+   * once it has no activations left. The main group is never popped.
+   * @type {Array<string>}
+   */
+  #focusStack = [MAIN_AGENDA_GROUP];
+  /**
+   * Set by `halt()`; the current run stops before firing its next activation.
+   * @type {boolean}
+   */
+  #haltRequested = false;
+  /**
+   * The rule base this engine is a session of, if any. It provides the shared definitions,
+   * templates and compiled rule conditions.
+   * @type {RuleBase | null}
+   */
+  #ruleBase = null;
+  /**
+   * Set on the throwaway engines of `evaluate()`: firings are not recorded for truth maintenance.
+   * @type {boolean}
+   */
+  #sequential = false;
+  /**
+   * Whether the fields constrained by query patterns are indexed in the fact storage as definitions are added.
+   * @type {boolean}
+   */
+  #autoIndex = false;
 
   /**
    * Creates a new LeapEngine instance.
@@ -53,9 +200,15 @@ export class LeapEngine {
    * @param {AdvancedMatcher} dependencies.matcher - An instance of AdvancedMatcher.
    * @param {SalienceConflictResolver} dependencies.resolver - An instance of a conflict resolver (e.g., SalienceConflictResolver).
    * @param {object} dependencies.accumulators - An object containing accumulator functions.
+   * @param {RuleBase} [dependencies.ruleBase] - A rule base whose definitions and templates this engine uses
+   * as a session. Prefer `ruleBase.newSession()`, which also keeps the session in sync with the rule base.
+   * @param {{now: function(): number}} [dependencies.clock] - The clock used for event timestamps, assertion
+   * times, windows, timers and expirations. Defaults to a `SystemClock`; use a `PseudoClock` to control time in tests.
+   * @param {boolean} [dependencies.autoIndex=false] - Whether to create fact storage indexes (see
+   * `FactStorage.createIndex`) for the fields that query patterns constrain, as definitions are added.
    * @throws {Error} If any required dependencies are missing.
    */
-  constructor({ factStorage, agenda, matcher, resolver, accumulators }) {
+  constructor({ factStorage, agenda, matcher, resolver, accumulators, ruleBase, clock = new SystemClock(), autoIndex = false }) {
     if (!factStorage || !agenda || !matcher || !resolver) {
       throw new Error("LeapEngine constructor: All dependencies (factStorage, agenda, matcher, resolver) are required.");
     }
@@ -63,8 +216,96 @@ export class LeapEngine {
     this.#agenda = agenda;
     this.#matcher = matcher;
     this.#resolver = resolver;
+    this.#conflictSet = new ConflictSet({
+      compare: typeof resolver.compare === 'function' ? (a, b) => resolver.compare(a, b) : undefined,
+      groupOf: activation => activation.rule.agendaGroup || MAIN_AGENDA_GROUP,
+    });
     this.#eventEmitter = new SimpleEventEmitter();
     this.#accumulators = accumulators;
+    this.#clock = clock;
+    this.#autoIndex = !!autoIndex;
+    this.#network = this.#createNetwork();
+    if (ruleBase) {
+      this.#ruleBase = ruleBase;
+      for (const definition of ruleBase.getDefinitions()) this.addDefinition(definition);
+    }
+  }
+
+  /** Creates an empty matching network over the engine's fact storage. */
+  #createNetwork() {
+    return new ReteNetwork({
+      matcher: this.#matcher,
+      accumulators: /** @type {Object<string, function(*): function(Array<Object<string, *>>): *>} */ (this.#accumulators),
+      evaluateGuard: (guard, bindings, ruleId) => this.#executeGuard(guard, bindings, ruleId),
+      factSource: (type) => this.#factsOfType(type, undefined),
+      eventTime: (fact) => this.#eventTime(fact),
+      now: () => this.#clock.now(),
+    });
+  }
+
+  /**
+   * The clock the engine reads the current time from.
+   * @returns {{now: function(): number}}
+   */
+  get clock() {
+    return this.#clock;
+  }
+
+  /**
+   * Returns the time a stored fact was asserted, from its metadata.
+   * @param {Object<string, *>} fact
+   * @returns {number|undefined}
+   */
+  #assertedAt(fact) {
+    return this.#factStorage.getFactEntry(fact._id)?.metadata?.assertedAt;
+  }
+
+  /**
+   * Returns the time of a fact for accumulator windows without a `field`: the field its
+   * template declares as `timestamp`, or else the time it was asserted.
+   * @param {Object<string, *>} fact
+   * @returns {number|undefined}
+   */
+  #eventTime(fact) {
+    const field = typeof fact.type === 'string' ? this.#lookupTemplate(fact.type)?.timestamp : undefined;
+    return field === undefined ? this.#assertedAt(fact) : toTimestamp(fact[field]);
+  }
+
+  /**
+   * Returns the time interval of an event operand of a temporal guard. A fact is timed by the
+   * `timestamp` and `duration` fields its template declares, else by its `start`/`end` or `timestamp`
+   * fields, else by its assertion time; any other value must be a time value.
+   * @param {*} value
+   * @returns {{start: number, end: number} | null} The interval (equal bounds for point events), or null.
+   */
+  #eventInterval(value) {
+    if (value === null || typeof value !== 'object' || value instanceof Date) {
+      const time = toTimestamp(value);
+      return time === undefined ? null : { start: time, end: time };
+    }
+    const template = typeof value.type === 'string' ? this.#lookupTemplate(value.type) : undefined;
+    let start;
+    let end;
+    if (template?.timestamp !== undefined) {
+      start = toTimestamp(value[template.timestamp]);
+      if (start !== undefined && template.duration !== undefined && value[template.duration] !== undefined) {
+        try {
+          end = start + parseDuration(value[template.duration]);
+        } catch (e) {
+          return null;
+        }
+      }
+    } else if (value.start !== undefined) {
+      start = toTimestamp(value.start);
+      end = value.end === undefined ? undefined : toTimestamp(value.end);
+      if (value.end !== undefined && end === undefined) return null;
+    } else if (value.timestamp !== undefined) {
+      start = toTimestamp(value.timestamp);
+    } else if (value._id !== undefined) {
+      start = this.#assertedAt(value);
+    }
+    if (start === undefined || (end !== undefined && end < start)) return null;
+    return { start, end: end ?? start };
   }
 
   /**
@@ -81,11 +322,40 @@ export class LeapEngine {
    * @param {string} eventName - The name of the event.
    * @param {object} data - The event data.
   */
-  #emit(eventName, data) { this.#eventEmitter.emit(eventName, { ...data, timestamp: Date.now() }); }
+  #emit(eventName, data) { this.#eventEmitter.emit(eventName, { ...data, timestamp: this.#clock.now() }); }
+
+  /**
+   * Pushes an agenda group onto the focus stack, so that only activations of that group fire
+   * until it is exhausted (or another group is focused). Focusing the group that already
+   * has the focus has no effect.
+   * @param {string} group - The name of the agenda group to focus.
+   * @example
+   * engine.setFocus('validation'); // validation rules fire first, then the stack pops back to MAIN
+   */
+  setFocus(group) {
+    if (typeof group !== 'string' || group.trim() === '') {
+      this.#emit('engine:error', { error: new Error('setFocus: Agenda group must be a non-empty string.'), group });
+      return;
+    }
+    const previous = this.getFocus();
+    if (previous === group) return;
+    this.#focusStack.push(group);
+    this.#emit('agenda:focusPushed', { group, previous });
+  }
+
+  /**
+   * Returns the agenda group that currently has the focus.
+   * @returns {string} The name of the focused agenda group (`'MAIN'` by default).
+   */
+  getFocus() {
+    return this.#focusStack[this.#focusStack.length - 1];
+  }
 
   /**
    * Adds a rule or query definition to the engine.
    * Definitions are typically created using the `Rule().build()` or `Query().build()` fluent APIs.
+   * A definition with the same ID replaces the existing one; the logical facts of the replaced rule are
+   * kept (see `retractDefinition`).
    * @param {object} definition - The rule or query definition object. Must have an `id` property (string).
    */
   addDefinition(definition) {
@@ -93,20 +363,54 @@ export class LeapEngine {
       this.#emit('engine:error', { error: new Error("Definition must be an object with a non-empty string 'id'.") });
       return;
     }
+    const replaced = this.#definitions.has(definition.id);
     this.#definitions.set(definition.id, definition);
+    this.#conflictSet.forgetRule(definition.id);
+    try {
+      this.#scheduleDefinition(definition);
+      if (this.#autoIndex) this.#createIndexes(definition);
+      if (replaced) this.#removeRule(definition.id, false);
+      if (definition.type !== 'query') {
+        this.#applyNetworkChanges(this.#network.addRule(definition, this.#ruleBase?.getCompiledConditions(definition)));
+      }
+    } catch (e) {
+      this.#emit('engine:error', { error: e, definitionId: definition.id });
+    }
     this.#emit('engine:definitionAdded', { definitionId: definition.id, type: definition.type || 'rule' });
   }
 
+  /**
+   * Checks whether a rule or query definition with the given ID has been added.
+   * @param {string} definitionId
+   * @returns {boolean}
+   */
+  hasDefinition(definitionId) {
+    return this.#definitions.has(definitionId);
+  }
+
   /**
    * Removes a rule or query definition from the engine by its ID.
-   * Once retracted, the rule/query will no longer be considered during engine execution.
+   * Once retracted, the rule/query will no longer be considered during engine execution: its pending
+   * activations and timers are cancelled (`rule:activationCancelled` with reason `'ruleRetracted'`) and
+   * its Truth Maintenance records are discarded. The facts it asserted with `{ logical: true }` lose the
+   * rule's justifications; with `retractLogicalFacts`, those left without any justification are retracted
+   * (e.g., to drop the conclusions of an outdated rule version before adding the new one), otherwise they
+   * are kept as ordinary facts.
    * @param {string} definitionId - The ID of the rule or query definition to retract.
+   * @param {object} [options={}]
+   * @param {boolean} [options.retractLogicalFacts=false] - Whether to retract the rule's logical facts.
    * @returns {boolean} True if a definition was found and retracted, false otherwise.
+   * @example
+   * engine.retractDefinition('DiscountRule', { retractLogicalFacts: true });
+   * engine.addDefinition(discountRuleV2);
    */
-  retractDefinition(definitionId) {
+  retractDefinition(definitionId, { retractLogicalFacts = false } = {}) {
     if (this.#definitions.has(definitionId)) {
       const definitionType = this.#definitions.get(definitionId)?.type || 'unknown';
       this.#definitions.delete(definitionId);
+      this.#conflictSet.forgetRule(definitionId);
+      this.#cronSchedules.delete(definitionId);
+      this.#removeRule(definitionId, retractLogicalFacts);
       this.#emit('engine:definitionRetracted', { definitionId, type: definitionType });
       return true;
     }
@@ -116,10 +420,9 @@ export class LeapEngine {
 
   /**
    * Updates an existing fact by applying new values using an updater function.
-   * The updater function receives the current state of the fact (without its `_id`)
-   * and should return an object containing only the properties to be changed.
-   * This operation correctly triggers the Truth Maintenance System by performing
-   * an internal retract and assert.
+   * The updater function receives a copy of the current state of the fact (without its `_id`)
+   * and should return an object containing only the properties to be changed,
+   * which are then applied in place with `modifyFact`.
    * @param {number} factId - The internal ID of the fact to update.
    * @param {function(object): object} updateFn - A function that takes the current fact object
    * (without its `_id` or metadata) and returns an object with the properties to update.
@@ -135,7 +438,9 @@ export class LeapEngine {
       this.#emit('engine:error', { error: new Error(`Cannot update fact: ID ${factId} not found or entry has no fact.`), factId });
       return;
     }
-    const updates = updateFn(originalEntry.fact);
+    // A copy, so changes made to it directly cannot bypass the diff and index updates of `modifyFact`.
+    const { _id, ...current } = originalEntry.fact;
+    const updates = updateFn(current);
     if (updates && typeof updates === 'object' && !Array.isArray(updates)) {
       this.modifyFact(factId, updates);
     } else {
@@ -144,26 +449,125 @@ export class LeapEngine {
   }
 
   /**
-   * Modifies an existing fact by merging new property values.
-   * This is implemented as a retract of the old fact state and an assert of the new fact state
-   * to ensure the Truth Maintenance System and rule re-evaluation occur correctly.
-   * The original fact `type` is preserved. The `_id` will be new after re-assertion,
-   * reflecting its new state in the engine's history.
+   * Modifies an existing fact in place by merging new property values.
+   * The fact keeps its `_id` and object identity (its `type` cannot change), so references held
+   * elsewhere stay valid and no Truth Maintenance cascade is triggered. The merged fact is validated
+   * against its `deftemplate`; invalid updates are rejected with an 'engine:schemaError' event.
+   * The engine emits `fact:modified` with a `changes` diff of the fields whose values actually changed
+   * (`{ field: { from, to } }`) and re-evaluates only the rules whose patterns read one of those
+   * fields (property reactivity). Matches of re-evaluated rules may fire again for the modified fact.
    * @param {number} factId - The internal ID of the fact to modify.
    * @param {object} updates - An object containing the properties and new values to update.
+   * @returns {Object<string, *> | null} The modified fact, or `null` if it could not be modified.
+   * @example
+   * engine.on('fact:modified', ({ fact, changes }) => console.log(fact._id, changes));
+   * engine.modifyFact(orderFact._id, { status: 'shipped' }); // { status: { from: 'open', to: 'shipped' } }
    */
   modifyFact(factId, updates) {
     const originalEntry = this.#factStorage.getFactEntry(factId);
     if (!originalEntry || !originalEntry.fact) {
       this.#emit('engine:error', { error: new Error(`Cannot modify fact: ID ${factId} not found or entry has no fact.`), factId });
-      return;
+      return null;
+    }
+    if (!this.#validateModification(originalEntry.fact, updates)) {
+      return null;
+    }
+
+    const logical = !!originalEntry.metadata?.logical;
+    if (logical) this.#unindexLogicalFact(originalEntry.fact);
+    const modified = this.#factStorage.modify(factId, updates);
+    if (!modified) return null;
+    const { entry: { fact }, changes } = modified;
+    if (logical) this.#indexLogicalFact(fact);
+    const changedFields = Object.keys(changes);
+    if (changedFields.length === 0) return fact;
+
+    this.#journal(() => this.modifyFact(factId, Object.fromEntries(changedFields.map(field => [field, changes[field].from]))));
+    const networkChanges = this.#network.modifyFact(fact, changedFields);
+    // The re-evaluated matches reflect the new values, so they are not refracted.
+    for (const match of networkChanges.removed) {
+      this.#journalLostMatch(match);
+      this.#conflictSet.forgetFired(match);
+    }
+    this.#applyNetworkChanges(networkChanges);
+    this.#emit('fact:modified', { fact, changes, by: 'direct' });
+    this.#queueTask({ type: 'modify', fact, changes });
+    return fact;
+  }
+
+  /**
+   * Checks that `updates` is a plain object, that the fact with the updates applied
+   * satisfies its `deftemplate` and that it does not become equal to another fact (in the equality mode)
+   * or take another fact's natural key. Emits `engine:error` or `engine:schemaError` otherwise.
+   * @param {Object<string, *>} fact - The current fact.
+   * @param {Object<string, *>} updates - The properties to change.
+   * @param {Transaction} [transaction] - The transaction buffering the change, whose view of working memory
+   * is checked; a clash with another fact then throws instead of emitting `engine:error`.
+   * @returns {Object<string, *> | null} A copy of the fact with the updates applied, or `null` if they are invalid.
+   * @throws {Error} If the change clashes with another fact in a transaction.
+   */
+  #validateModification(fact, updates, transaction) {
+    const factId = fact._id;
+    if (!updates || typeof updates !== 'object' || Array.isArray(updates)) {
+      this.#emit('engine:error', { error: new Error(`Cannot modify fact: updates for fact ID ${factId} must be a plain object.`), factId });
+      return null;
+    }
+    const candidate = { ...fact, ...updates, type: fact.type, _id: factId };
+    if (!this.#validateFact(candidate, updates)) return null;
+    const { duplicate, conflict } = this.#findClashes(candidate, transaction);
+    const error = duplicate
+      ? new Error(`Cannot modify fact: ID ${factId} would become equal to ${LeapEngine.#describeFact(duplicate)}.`)
+      : conflict && new Error(`Cannot modify fact: ID ${factId} would have the same key as ${LeapEngine.#describeFact(conflict)}.`);
+    if (error && transaction) throw error;
+    if (error) {
+      this.#emit('engine:error', { error, factId });
+      return null;
     }
-    const newFactData = { ...originalEntry.fact, ...updates };
-    const originalType = originalEntry.fact.type;
-    delete newFactData._id;
+    return candidate;
+  }
 
-    this.retractFact(factId);
-    this.assertFact({ ...newFactData, type: originalType });
+  /**
+   * Finds the facts that a fact to assert, or a modified fact, would clash with: an equal fact (in the
+   * equality mode) and a fact with the same natural key. In a transaction, working memory is seen as changed
+   * so far by the transaction: stored facts it retracted or modified no longer clash as stored, while the
+   * facts it asserted and the pending values of the facts it modified do.
+   * @param {Object<string, *>} fact - The fact; a modified fact keeps its `_id` and does not clash with itself.
+   * @param {Transaction} [transaction]
+   * @returns {{duplicate: (Object<string, *>|undefined), conflict: (Object<string, *>|undefined)}}
+   */
+  #findClashes(fact, transaction) {
+    const isOther = /** @param {Object<string, *>|undefined} other */ other => other && other !== fact && (other._id === undefined || other._id !== fact._id) ? other : undefined;
+    const visible = /** @param {Object<string, *>|undefined} stored */ stored => stored && (!transaction || transaction.getFact(stored._id) === stored) ? stored : undefined;
+    const { content, key } = transaction ? this.#transactionKeys(fact) : {};
+    return {
+      duplicate: isOther(visible(this.#factStorage.findEqual?.(fact)?.fact)) ?? (content ? isOther(transaction?.findPending(content)) : undefined),
+      conflict: visible(this.#keyConflict(fact)) ?? (key ? isOther(transaction?.findPending(key)) : undefined),
+    };
+  }
+
+  /**
+   * Computes the keys a transaction indexes a pending fact by: its content key in the equality mode
+   * and its natural key if its template declares one.
+   * @param {Object<string, *>} fact
+   * @returns {{content: (string|undefined), key: (string|undefined)}}
+   */
+  #transactionKeys(fact) {
+    const content = this.#factStorage.factEquality === 'equality' ? factContentKey(fact) : null;
+    const fields = this.#keyFields(fact.type);
+    const key = fields ? naturalKey(fields.map(field => fact[field])) : null;
+    return {
+      content: content === null ? undefined : `=${content}`,
+      key: key === null ? undefined : `#${JSON.stringify(fact.type)}:${key}`,
+    };
+  }
+
+  /**
+   * Names a fact in an error message.
+   * @param {Object<string, *>} fact - A stored fact, or one asserted in a transaction that has no `_id` yet.
+   * @returns {string}
+   */
+  static #describeFact(fact) {
+    return fact._id === undefined ? 'a fact asserted in the same transaction' : `fact ID ${fact._id}`;
   }
 
   /**
@@ -171,21 +575,140 @@ export class LeapEngine {
    * If a `deftemplate` exists for the fact's `type`, the fact will be validated
    * against the template's schema (checking types, required fields, applying defaults, and running custom validators).
    * Invalid facts (failing schema validation) will not be asserted, and an 'engine:schemaError' event will be emitted.
+   * If the fact storage is in the `'equality'` mode (see `FactStorage`) and a structurally equal fact is already
+   * in working memory, that fact is returned instead and `fact:duplicateIgnored` is emitted.
    * @param {object} factData - The fact data to assert. Must include a `type` property (string).
+   * @param {object} [options={}]
+   * @param {number|string} [options.ttl] - How long the fact lives (milliseconds or a duration such as `'1h'`),
+   * overriding the `expires` option of its template. Once the engine clock passes its expiry, the fact is
+   * retracted the next time the engine processes its agenda, and `fact:expired` is emitted.
    * @returns {object | null} The asserted fact object (including its engine-assigned `_id`) or `null` if assertion failed (e.g., due to schema validation or missing type).
    * @example
    * const userFact = engine.assertFact({ type: 'user', name: 'Alice', age: 30 });
    * if (userFact) { console.log('User Alice asserted with ID:', userFact._id); }
+   * engine.assertFact({ type: 'heartbeat', host: 'web-1' }, { ttl: '90s' });
    */
-  assertFact(factData) {
-    let factToAssert = { ...factData };
-    const templateName = factToAssert.type;
+  assertFact(factData, { ttl } = {}) {
+    const factToAssert = this.#prepareAssertion(factData);
+    if (!factToAssert) {
+      return null;
+    }
+    const duplicate = this.#factStorage.findEqual?.(factToAssert);
+    if (duplicate) {
+      this.#emit('fact:duplicateIgnored', { fact: duplicate.fact, factData });
+      return duplicate.fact;
+    }
+    const conflict = this.#keyConflict(factToAssert);
+    if (conflict) {
+      this.#emit('engine:error', {
+        error: new Error(`Fact assertion error: a '${conflict.type}' fact with the same key already exists (ID ${conflict._id}). Use upsertFact() to update it.`),
+        factData,
+      });
+      return null;
+    }
+    const lifetime = this.#lifetime(factToAssert.type, ttl, factData);
+    if (lifetime === null) {
+      return null;
+    }
+
+    const now = this.#clock.now();
+    const metadata = lifetime === undefined ? { assertedAt: now } : { assertedAt: now, expiresAt: now + lifetime };
+    const newFactEntry = this.#factStorage.assert(factToAssert, metadata); // factToAssert has defaults applied
+    if (newFactEntry && newFactEntry.fact) {
+      const factId = newFactEntry.fact._id;
+      this.#journal(() => this.retractFact(factId));
+      if (lifetime !== undefined) this.#expirations.set(factId, now + lifetime);
+      this.#applyNetworkChanges(this.#network.assertFact(newFactEntry.fact));
+      this.#emit('fact:asserted', { fact: newFactEntry.fact, by: 'direct' });
+      this.#queueTask({ type: 'assert', fact: newFactEntry.fact });
+      return newFactEntry.fact;
+    }
+    return null;
+  }
+
+  /**
+   * Asserts a fact, or updates the fact with the same natural key if there is one. The type of the fact must
+   * have a `deftemplate` declaring a `key`. An existing fact is modified in place with the given fields
+   * (see `modifyFact`; fields that are not given keep their values), otherwise the fact is asserted.
+   * @param {Object<string, *>} factData - The fact data, including its `type` and key fields.
+   * @param {Object<string, *>} [options={}] - Assertion options (see `assertFact`), used if the fact is new.
+   * @returns {Object<string, *> | null} The modified or asserted fact, or `null` if it could not be stored.
+   * @example
+   * deftemplate('order', { id: { type: 'string' }, status: { type: 'string' } }, { key: 'id' });
+   * engine.upsertFact({ type: 'order', id: 'o-1', status: 'open' });   // asserted
+   * engine.upsertFact({ type: 'order', id: 'o-1', status: 'shipped' }); // modified
+   */
+  upsertFact(factData, options = {}) {
+    const type = factData?.type;
+    const fields = typeof type === 'string' ? this.#keyFields(type) : undefined;
+    if (!fields) {
+      this.#emit('engine:error', { error: new Error(`Cannot upsert fact: the template of type '${type}' must declare a 'key'.`), factData });
+      return null;
+    }
+    const existing = fields.every(field => factData[field] !== undefined)
+      ? this.#factStorage.getFactByKey(type, fields.map(field => factData[field]))
+      : undefined;
+    if (!existing) {
+      return this.assertFact(factData, options);
+    }
+    const { type: _type, _id, ...updates } = factData;
+    return this.modifyFact(existing.fact._id, updates);
+  }
 
+  /**
+   * Copies fact data for assertion, checking its `type` and validating it against its
+   * `deftemplate` (which applies schema defaults to the copy).
+   * @param {Object<string, *>} factData
+   * @returns {Object<string, *> | null} The fact to store, or `null` if it is invalid (an error event was emitted).
+   */
+  #prepareAssertion(factData) {
+    const factToAssert = { ...factData };
+    const templateName = factToAssert.type;
     if (typeof templateName !== 'string' || templateName.trim() === '') {
       this.#emit('engine:error', { error: new Error("Fact assertion error: 'type' property must be a non-empty string."), factData });
       return null;
     }
-    const template = typeof getTemplate === 'function' ? getTemplate(templateName) : null;
+    return this.#validateFact(factToAssert, factData) ? factToAssert : null;
+  }
+
+  /**
+   * Determines how long a fact lives: the `ttl` given at assertion, else the `expires` option of its template.
+   * @param {string} type - The fact type.
+   * @param {number|string|undefined} ttl
+   * @param {Object<string, *>} factData - The caller's data, reported with errors.
+   * @returns {number | undefined | null} Milliseconds, `undefined` if the fact does not expire, or `null` if the
+   * `ttl` is invalid (an error event was emitted).
+   */
+  #lifetime(type, ttl, factData) {
+    if (ttl === undefined) return this.#lookupTemplate(type)?.expires;
+    try {
+      return parseDuration(ttl);
+    } catch (e) {
+      this.#emit('engine:error', { error: new TypeError(`Fact assertion error: invalid 'ttl'. ${/** @type {Error} */ (e).message}`), factData });
+      return null;
+    }
+  }
+
+  /**
+   * Finds the template for a fact type: the rule base's own templates take precedence
+   * over the ones registered globally with `deftemplate`.
+   * @param {string} name
+   * @returns {{name: string, schema: object, timestamp?: string, duration?: string, expires?: number, key?: Array<string>} | undefined}
+   */
+  #lookupTemplate(name) {
+    return this.#ruleBase?.getTemplate(name) ?? getTemplate(name);
+  }
+
+  /**
+   * Validates a fact against the `deftemplate` of its type, if any, applying schema
+   * defaults to `factToAssert` in place. Emits `engine:schemaError` for invalid facts.
+   * @param {Object<string, *>} factToAssert - The fact to validate (defaults are written to it).
+   * @param {Object<string, *>} factData - The caller's data, reported with schema errors.
+   * @returns {boolean} True if the fact is valid (or has no template).
+   */
+  #validateFact(factToAssert, factData) {
+    const templateName = factToAssert.type;
+    const template = this.#lookupTemplate(templateName);
 
     // TODO: Implement full recursive validation for nested objects.
     // This helper is currently a simplified placeholder.
@@ -196,12 +719,12 @@ export class LeapEngine {
       for (const fieldName in objSchema) {
         const fieldDef = objSchema[fieldName];
         const nestedValue = obj[fieldName];
-        if (nestedValue && typeof getTemplate === 'function' && getTemplate(fieldDef.type)) {
+        if (nestedValue && this.#lookupTemplate(fieldDef.type)) {
           if (typeof nestedValue !== 'object' || nestedValue.type !== fieldDef.type) {
             throw new Error(`Schema Error: Field '${fieldName}' for type '${objTypeForErrorMsg}' expected nested type '${fieldDef.type}' but got incompatible object or mismatched type property.`);
           }
           // Full recursion would be:
-          // validateObjectAgainstSchema(nestedValue, getTemplate(fieldDef.type).schema, fieldDef.type);
+          // validateObjectAgainstSchema(nestedValue, this.#lookupTemplate(fieldDef.type).schema, fieldDef.type);
         }
       }
     };
@@ -222,7 +745,7 @@ export class LeapEngine {
         if (fieldSchema.required && (value === undefined || value === null)) {
           const errorMsg = `Schema Validation Error: Field '${fieldName}' is required for type '${templateName}' but is missing or null.`;
           this.#emit('engine:schemaError', { error: new Error(errorMsg), factData });
-          return null;
+          return false;
         }
         if (!fieldSchema.required && !Object.prototype.hasOwnProperty.call(factToAssert, fieldName)) {
           continue;
@@ -240,7 +763,7 @@ export class LeapEngine {
           case 'object': typeMatches = actualType === 'object' && value !== null; break;
           case 'any': typeMatches = true; break;
           default:
-            if (typeof getTemplate === 'function' && getTemplate(expectedType)) {
+            if (this.#lookupTemplate(expectedType)) {
               if (actualType === 'object' && value !== null && value.type === expectedType) {
                 typeMatches = true;
               } else {
@@ -248,30 +771,54 @@ export class LeapEngine {
               }
             } else {
               this.#emit('engine:schemaError', { error: new Error(`Unknown type '${expectedType}' in schema for '${templateName}.${fieldName}'.`), factData });
-              return null;
+              return false;
             }
             break;
         }
         if (!typeMatches) {
           const errorMsg = `Schema Error: Field '${fieldName}' for type '${templateName}' expected type '${expectedType}' but got '${actualType}'. Value: ${JSON.stringify(value)}`;
           this.#emit('engine:schemaError', { error: new Error(errorMsg), factData });
-          return null;
+          return false;
         }
         if (fieldSchema.validate && !fieldSchema.validate(value)) {
           const errorMsg = `Schema Error: Field '${fieldName}' for type '${templateName}' with value '${JSON.stringify(value)}' failed custom validation.`;
           this.#emit('engine:schemaError', { error: new Error(errorMsg), factData });
-          return null;
+          return false;
         }
       }
     }
-
-    const newFactEntry = this.#factStorage.assert(factToAssert); // factToAssert has defaults applied
-    if (newFactEntry && newFactEntry.fact) {
-      this.#emit('fact:asserted', { fact: newFactEntry.fact, by: 'direct' });
-      this.#agenda.push({ type: 'assert', fact: newFactEntry.fact });
-      return newFactEntry.fact;
+    for (const field of this.#keyFields(templateName) || []) {
+      if (factToAssert[field] === undefined || factToAssert[field] === null) {
+        const errorMsg = `Schema Validation Error: Key field '${field}' is required for type '${templateName}' but is missing or null.`;
+        this.#emit('engine:schemaError', { error: new Error(errorMsg), factData });
+        return false;
+      }
     }
-    return null;
+    return true;
+  }
+
+  /**
+   * Returns the natural key fields the template of a fact type declares, making sure the fact
+   * storage indexes the facts of the type by them.
+   * @param {string} type
+   * @returns {Array<string> | undefined}
+   */
+  #keyFields(type) {
+    const fields = this.#lookupTemplate(type)?.key;
+    if (fields) this.#factStorage.defineKey?.(type, fields);
+    return fields;
+  }
+
+  /**
+   * Finds another fact with the same natural key as `fact`.
+   * @param {Object<string, *>} fact - A fact of a type with a key; its own `_id`, if any, is not a conflict.
+   * @returns {Object<string, *> | undefined} The conflicting fact.
+   */
+  #keyConflict(fact) {
+    const fields = this.#keyFields(fact.type);
+    if (!fields) return undefined;
+    const existing = this.#factStorage.getFactByKey?.(fact.type, fields.map(field => fact[field]));
+    return existing && existing.fact._id !== fact._id ? existing.fact : undefined;
   }
 
   /**
@@ -280,88 +827,424 @@ export class LeapEngine {
    * @param {number} factId - The internal `_id` of the fact to retract.
    */
   retractFact(factId) {
+    const fired = this.#commitJournal ? this.#conflictSet.firedWith(factId) : [];
     const retractedEntry = this.#factStorage.retract(factId);
+    this.#expirations.delete(factId);
     if (retractedEntry && retractedEntry.fact) {
+      this.#journal(() => this.#restoreFact(retractedEntry, fired));
+      if (retractedEntry.metadata?.logical) this.#unindexLogicalFact(retractedEntry.fact);
+      this.#applyNetworkChanges(this.#network.retractFact(retractedEntry.fact), factId);
+      this.#conflictSet.forgetFact(factId);
       this.#emit('fact:retracted', { fact: retractedEntry.fact, by: 'direct', factId });
-      this.#agenda.push({ type: 'retract', fact: retractedEntry.fact });
+      this.#queueTask({ type: 'retract', fact: retractedEntry.fact });
     }
   }
 
   /**
    * Retracts all facts matching a given pattern object.
    * @param {object} patternObject - A pattern object to match facts for retraction,
-   * in the format `{ typeName: { fieldPattern1: value1, ... } }`.
+   * in the format `{ typeName: { fieldPattern1: value1, ... } }`. A variable key (`{ '?fact': {...} }`) matches
+   * facts of any type, or of the types listed by a `type: _.anyOf(...)` field.
    * @example engine.retractWhere({ user: { status: 'inactive' } });
+   * @example engine.retractWhere({ '?stale': { type: _.anyOf('quote', 'cart'), status: 'expired' } });
    */
   retractWhere(patternObject) {
+    const parsed = this.#parseRetractPattern(patternObject);
+    if (!parsed) return;
+    this.#findFactIds(parsed.factType, parsed.pattern).forEach(id => this.retractFact(id));
+  }
+
+  /**
+   * Splits a `retractWhere` pattern object into its fact type and field pattern,
+   * emitting `engine:error` if it is malformed. The type is null for type-agnostic patterns.
+   * @param {*} patternObject
+   * @returns {{factType: string|null, pattern: Object<string, *>} | null}
+   */
+  #parseRetractPattern(patternObject) {
     if (typeof patternObject !== 'object' || patternObject === null) {
       this.#emit('engine:error', { error: new Error("retractWhere pattern must be an object.") });
-      return;
+      return null;
     }
     const factType = Object.keys(patternObject)[0];
     if (!factType) {
       this.#emit('engine:error', { error: new Error("retractWhere patternObject must have a type key.") });
-      return;
+      return null;
     }
     const pattern = patternObject[factType];
     if (typeof pattern !== 'object' || pattern === null) {
       this.#emit('engine:error', { error: new Error("retractWhere pattern for type must be an object.") });
-      return;
+      return null;
     }
+    if (factType.startsWith('?')) return { factType: typeof pattern.type === 'string' ? pattern.type : null, pattern };
+    return { factType, pattern };
+  }
 
-    const factsToRetract = [];
-    const factEntryIterable = this.#factStorage.getFactsByType(factType);
+  /**
+   * Finds the ids of the stored facts of a type that match a pattern.
+   * @param {string|null} factType - The type, or null for a type-agnostic pattern.
+   * @param {Object<string, *>} pattern
+   * @param {function(Object<string, *>): (Object<string, *>|null)} [view] - Maps a stored fact to the values to match, or null to skip it.
+   * Without a view, candidates are looked up through the storage indexes.
+   * @returns {Array<number>}
+   */
+  #findFactIds(factType, pattern, view) {
+    const factIds = [];
+    const factEntryIterable = view ? this.#factsOfType(factType, pattern) : this.#candidateFacts(factType, pattern);
     if (factEntryIterable) {
       for (const factEntry of Array.from(factEntryIterable)) {
-        const plainFact = (factEntry && typeof factEntry.fact !== 'undefined') ? factEntry.fact : factEntry;
+        const storedFact = (factEntry && typeof factEntry.fact !== 'undefined') ? factEntry.fact : factEntry;
+        const plainFact = storedFact && view ? view(storedFact) : storedFact;
         if (plainFact && this.#matcher.match(pattern, plainFact, {}).isMatch) {
-          factsToRetract.push(factEntry._id); // Use factEntry._id for retraction
+          factIds.push(factEntry._id); // Use factEntry._id for retraction
         }
       }
     }
-    factsToRetract.forEach(id => this.retractFact(id));
+    return factIds;
   }
 
   /**
-   * Retrieves facts from the engine's working memory that match a given pattern.
-   * If no pattern is provided, it may return all facts (behavior depends on FactStorage).
-   * @param {object} [patternObject] - An optional pattern object to filter facts.
-   *   The pattern format is typically `{ typeName: { field1: value1, ... } }`.
-   *   If only a type is needed, it can be `{ type: 'typeName' }`.
-   * @returns {Array<object>} An array of matching fact objects (including their `_id`).
+   * Returns the justifications of a fact: the rule activations whose logical assertions currently support it.
+   * A logical fact asserted by several activations (rule actions asserting equal facts with `{ logical: true }`)
+   * stays in working memory until the last of them is invalidated by truth maintenance.
+   * @param {number} factId - The internal `_id` of the fact.
+   * @returns {Array<{activationId: number, ruleId: string, factIds: Array<number>}> | null} One entry per
+   * justification, with the rule that fired and the IDs of the facts it matched; empty for facts asserted
+   * directly (which do not depend on any activation). `null` if the fact does not exist.
    * @example
-   * const allUsers = engine.getFacts({ type: 'user' });
-   * const specificOrder = engine.getFacts({ order: { id: 'order123' } });
+   * engine.getJustifications(alert._id); // [{ activationId: 4, ruleId: 'HighTemp', factIds: [1] }, ...]
    */
-  getFacts(patternObject = {}) {
-    const factType = patternObject.type;
-    let factEntryIterable = []; // Can be an array or iterator
-
-    if (factType && typeof factType === 'string') {
-      factEntryIterable = this.#factStorage.getFactsByType(factType) || [];
-    } else if (Object.keys(patternObject).length === 0 && this.#factStorage.getAllFacts) {
-      factEntryIterable = this.#factStorage.getAllFacts() || [];
-    } else if (Object.keys(patternObject).length > 0 && !factType) {
-      // If pattern has fields but no explicit top-level 'type', try to filter from all facts
-      if (this.#factStorage.getAllFacts) {
-        factEntryIterable = this.#factStorage.getAllFacts() || [];
-      } else {
-        return [];
+  getJustifications(factId) {
+    const entry = this.#factStorage.getFactEntry(factId);
+    if (!entry) return null;
+    if (!entry.metadata?.logical) return [];
+    return (entry.metadata.justifiedBy || []).map((/** @type {number} */ activationId) => {
+      const activation = this.#activations.get(activationId);
+      return { activationId, ruleId: activation?.ruleId, factIds: activation ? [...activation.consumed] : [] };
+    });
+  }
+
+  /**
+   * Runs a unit of work as a working-memory transaction.
+   * The work function receives a transaction object with `assertFact`, `modifyFact`, `updateFact`,
+   * `retractFact`, `retractWhere` and `publish` methods. They validate each change immediately (emitting
+   * the usual error events and returning `null` for invalid changes) but only buffer it; `getFact(id)`
+   * reads a fact as changed so far by the transaction. A change that would give a fact the natural key of
+   * another fact, or make it equal to another fact in the equality mode, throws; facts are compared as
+   * changed so far by the transaction, including the ones it asserted. When the work completes, the buffered
+   * changes are applied in order and `transaction:committed` is emitted. If the work throws, they are
+   * discarded, `transaction:rolledBack` is emitted and the error is rethrown, leaving working memory untouched.
+   * The commit is all-or-nothing: if a buffered change can no longer be applied (e.g., a fact with the same
+   * key was asserted directly while the work was running), no change is applied and the transaction is
+   * rolled back; if applying a change fails anyway, the changes applied before it are undone first.
+   * Facts returned by `assertFact` receive their `_id` when the transaction commits.
+   * @async
+   * @param {function(Object<string, *>): (*|Promise<*>)} work - The unit of work; receives the transaction object.
+   * @returns {Promise<*>} A promise resolving to the value returned by `work`.
+   * @example
+   * await engine.transaction(async (tx) => {
+   *   tx.modifyFact(account._id, { balance: account.balance - 100 });
+   *   tx.assertFact({ type: 'payment', accountId: account.id, amount: 100 });
+   * });
+   */
+  async transaction(work) {
+    if (typeof work !== 'function') {
+      this.#emit('engine:error', { error: new TypeError('transaction() expects a function.') });
+      return undefined;
+    }
+    const transaction = new Transaction(factId => this.#factStorage.getFactEntry(factId)?.fact);
+    try {
+      const result = await work(this.#transactionContext(transaction));
+      this.#commit(transaction, (fact, opts) => this.assertFact(fact, opts));
+      return result;
+    } catch (e) {
+      this.#rollback(transaction, e);
+      throw e;
+    }
+  }
+
+  /**
+   * Creates the methods that validate working-memory changes and buffer them in a transaction.
+   * The methods throw if a change clashes with another fact (see `transaction()`).
+   * @param {Transaction} transaction
+   * @returns {Object<string, *>}
+   */
+  #transactionContext(transaction) {
+    const txContext = {
+      getFact: /** @param {number} factId */ (factId) => transaction.getFact(factId),
+      /**
+       * @param {Object<string, *>} factData
+       * @param {{ttl?: number|string, logical?: boolean}} [opts]
+       */
+      assertFact: (factData, opts = {}) => {
+        const fact = this.#prepareAssertion(factData);
+        if (!fact || this.#lifetime(fact.type, opts.ttl, factData) === null) return null;
+        const { duplicate, conflict } = this.#findClashes(fact, transaction);
+        // A logical assertion is buffered anyway: on commit, it justifies the equal fact.
+        if (duplicate && !opts.logical) {
+          this.#emit('fact:duplicateIgnored', { fact: duplicate, factData });
+          return duplicate;
+        }
+        if (conflict) {
+          throw new Error(`Fact assertion error: a '${fact.type}' fact with the same key already exists (${LeapEngine.#describeFact(conflict)}).`);
+        }
+        transaction.recordAssert(fact, opts, LeapEngine.#keyList(this.#transactionKeys(fact)));
+        return fact;
+      },
+      /**
+       * @param {number} factId
+       * @param {Object<string, *>} updates
+       */
+      modifyFact: (factId, updates) => {
+        const fact = transaction.getFact(factId);
+        if (!fact) {
+          this.#emit('engine:error', { error: new Error(`Cannot modify fact: ID ${factId} not found or entry has no fact.`), factId });
+          return null;
+        }
+        const pendingFact = this.#validateModification(fact, updates, transaction);
+        if (pendingFact) transaction.recordModify(factId, updates, pendingFact, LeapEngine.#keyList(this.#transactionKeys(pendingFact)));
+        return pendingFact;
+      },
+      /**
+       * @param {number} factId
+       * @param {function(Object<string, *>): Object<string, *>} updateFn
+       */
+      updateFact: (factId, updateFn) => {
+        const fact = transaction.getFact(factId);
+        if (!fact) {
+          this.#emit('engine:error', { error: new Error(`Cannot update fact: ID ${factId} not found or entry has no fact.`), factId });
+          return;
+        }
+        const { _id, ...current } = fact;
+        const updates = updateFn(current);
+        if (updates && typeof updates === 'object' && !Array.isArray(updates)) {
+          txContext.modifyFact(factId, updates);
+        } else {
+          this.#emit('engine:error', { error: new Error(`Update function for fact ID ${factId} did not return a plain object with updates.`), factId });
+        }
+      },
+      retractFact: /** @param {number} factId */ (factId) => {
+        if (transaction.getFact(factId)) transaction.recordRetract(factId);
+      },
+      retractWhere: /** @param {Object<string, *>} patternObject */ (patternObject) => {
+        const parsed = this.#parseRetractPattern(patternObject);
+        if (!parsed) return;
+        const factIds = this.#findFactIds(parsed.factType, parsed.pattern, fact => transaction.getFact(fact._id));
+        factIds.forEach(id => transaction.recordRetract(id));
+      },
+      /**
+       * @param {string} topicName
+       * @param {*} payload
+       */
+      publish: (topicName, payload) => {
+        txContext.assertFact({ type: '_topic_event', topic: topicName, payload: payload, timestamp: this.#clock.now() });
       }
-    } else {
-      // No type, no fields, and no getAllFacts, or type not found by getFactsByType
-      return [];
+    };
+    return txContext;
+  }
+
+  /**
+   * Applies the buffered operations of a transaction and emits `transaction:committed`.
+   * Working memory may have changed while the work was running, so the operations are checked again first
+   * and none is applied if one of them no longer can be. If an operation fails anyway, the changes made so
+   * far, including those of truth maintenance, are undone in reverse order from a journal: asserted facts
+   * are retracted, retracted facts are put back with their `_id`, object identity and metadata, modified
+   * facts get their previous values back and invalidated activations are restored. Either way an error is
+   * thrown, for the caller to roll back.
+   * @param {Transaction} transaction
+   * @param {function(Object<string, *>, Object<string, *>): (Object<string, *>|null)} assert - Asserts a buffered fact with its options.
+   * @param {string} [ruleId] - The transactional rule whose action made the changes.
+   * @throws {Error} If a buffered operation could not be applied.
+   */
+  #commit(transaction, assert, ruleId) {
+    const operations = transaction.operations;
+    const stale = this.#findStaleOperation(operations);
+    if (stale) {
+      throw new Error(`Transaction error: working memory changed while the transaction was open, so a buffered '${stale.type}' operation can no longer be applied.`);
+    }
+    /** @type {{undo: Array<function(): void>, lostMatches: Map<string, LostMatch>}} */
+    const journal = { undo: [], lostMatches: new Map() };
+    this.#commitJournal = journal;
+    let failed;
+    try {
+      failed = operations.find(operation => !this.#applyOperation(operation, assert));
+    } finally {
+      this.#commitJournal = null;
     }
+    if (failed) {
+      this.#undoneMatches = journal.lostMatches;
+      try {
+        for (let i = journal.undo.length - 1; i >= 0; i--) journal.undo[i]();
+      } finally {
+        this.#undoneMatches = null;
+      }
+      throw new Error(`Transaction error: a buffered '${failed.type}' operation could not be applied; working memory was restored.`);
+    }
+    transaction.clear();
+    this.#emit('transaction:committed', { operations: operations.length, ruleId });
+  }
 
-    const factEntriesArray = Array.from(factEntryIterable);
-    const candidatePlainFacts = factEntriesArray
-      .map(entry => (entry && typeof entry.fact === 'object' && entry.fact !== null) ? entry.fact : entry)
-      .filter(fact => fact && typeof fact === 'object');
+  /**
+   * Replays the buffered operations of a transaction against working memory as it is now: the
+   * modified facts must still be there and no change may clash with another fact.
+   * @param {Array<Object<string, *>>} operations
+   * @returns {Object<string, *> | undefined} The first operation that can no longer be applied.
+   */
+  #findStaleOperation(operations) {
+    const replay = new Transaction(factId => this.#factStorage.getFactEntry(factId)?.fact);
+    return operations.find(operation => {
+      if (operation.type === 'retract') {
+        replay.recordRetract(operation.factId);
+        return false;
+      }
+      const current = operation.type === 'modify' ? replay.getFact(operation.factId) : undefined;
+      if (current === null) return true;
+      const fact = current ? { ...current, ...operation.updates, type: current.type, _id: current._id } : operation.fact;
+      const { duplicate, conflict } = this.#findClashes(fact, replay);
+      if (conflict || (current && duplicate)) return true;
+      const keys = LeapEngine.#keyList(this.#transactionKeys(fact));
+      if (current) replay.recordModify(operation.factId, operation.updates, fact, keys);
+      else replay.recordAssert(fact, operation.options, keys);
+      return false;
+    });
+  }
 
+  /**
+   * Applies one buffered operation of a transaction.
+   * @param {Object<string, *>} operation
+   * @param {function(Object<string, *>, Object<string, *>): (Object<string, *>|null)} assert - Asserts a buffered fact with its options.
+   * @returns {boolean} False if the assertion or modification failed.
+   */
+  #applyOperation(operation, assert) {
+    if (operation.type === 'retract') {
+      this.retractFact(operation.factId);
+      return true;
+    }
+    if (operation.type === 'modify') {
+      return this.modifyFact(operation.factId, operation.updates) !== null;
+    }
+    const asserted = assert(operation.fact, operation.options);
+    if (asserted) operation.fact._id = asserted._id;
+    return !!asserted;
+  }
 
-    if (Object.keys(patternObject).length === 0 || (Object.keys(patternObject).length === 1 && factType)) {
-      return candidatePlainFacts;
+  /**
+   * Records how to undo a working-memory change made while a transaction commits (see `#commit`).
+   * @param {function(): void} undo
+   */
+  #journal(undo) {
+    this.#commitJournal?.undo.push(undo);
+  }
+
+  /**
+   * Records the state of a match lost while a transaction commits, for `#relinkMatch` to give it back
+   * to the match that replaces it if the commit is undone. Only the state before the commit is kept.
+   * @param {Activation} match
+   */
+  #journalLostMatch(match) {
+    const lostMatches = this.#commitJournal?.lostMatches;
+    const key = ConflictSet.tupleKey(match);
+    if (!lostMatches || lostMatches.has(key)) return;
+    lostMatches.set(key, {
+      fired: this.#conflictSet.hasFired(match),
+      activationIds: [...(this.#activationsByMatch.get(match) || [])],
+      dueAt: this.#timers.get(match),
+    });
+  }
+
+  /**
+   * While a failed commit is undone, gives a match the network creates again the state of the match
+   * it lost during the commit: the activations that fired on it, its refraction and its timer.
+   * @param {Activation} match
+   * @returns {boolean} True if the match fired or waits for its timer, so it is not to be activated.
+   */
+  #relinkMatch(match) {
+    const lost = this.#undoneMatches?.get(ConflictSet.tupleKey(match));
+    if (!lost) return false;
+    for (const activationId of lost.activationIds) this.#indexActivation(match, activationId);
+    if (lost.dueAt !== undefined) this.#timers.set(match, lost.dueAt);
+    if (lost.fired) this.#conflictSet.markFired(match);
+    return lost.fired || lost.dueAt !== undefined;
+  }
+
+  /**
+   * Puts back the entry of a fact retracted by a transaction whose commit failed, with its `_id`, object
+   * identity and metadata, and emits `fact:asserted`. Fact storages without `restore` leave it retracted.
+   * @param {{fact: Object<string, *> & {type: string, _id: number}, metadata: Object<string, *>}} entry
+   * @param {Array<{ruleId: string, factIds: Array<number>}>} fired - The fired tuples containing the fact.
+   */
+  #restoreFact(entry, fired) {
+    if (!this.#factStorage.restore?.(entry)) return;
+    const { fact, metadata } = entry;
+    this.#restoredFacts.add(fact);
+    for (const { ruleId, factIds } of fired) this.#conflictSet.markFired({ rule: { id: ruleId }, consumedFactIds: factIds });
+    if (typeof metadata?.expiresAt === 'number') this.#expirations.set(fact._id, metadata.expiresAt);
+    if (metadata?.logical) this.#indexLogicalFact(fact);
+    this.#applyNetworkChanges(this.#network.assertFact(fact));
+    this.#emit('fact:asserted', { fact, by: 'rollback' });
+  }
+
+  /**
+   * Lists the keys of a pending fact that it has.
+   * @param {{content: (string|undefined), key: (string|undefined)}} keys
+   * @returns {Array<string>}
+   */
+  static #keyList({ content, key }) {
+    return [content, key].filter(value => value !== undefined);
+  }
+
+  /**
+   * Discards the buffered operations of a transaction and emits `transaction:rolledBack`.
+   * @param {Transaction} transaction
+   * @param {*} error - The error that aborted the transaction.
+   * @param {string} [ruleId] - The transactional rule whose action failed.
+   */
+  #rollback(transaction, error, ruleId) {
+    const operations = transaction.size;
+    transaction.clear();
+    this.#emit('transaction:rolledBack', { error, operations, ruleId });
+  }
+
+  /**
+   * Retrieves a fact by its natural key, declared with the `key` option of its `deftemplate`.
+   * The lookup uses the fact storage's key index.
+   * @param {string} type - The fact type.
+   * @param {*|Array<*>} key - The value of the key field, or the values of the key fields in order for a composite key.
+   * @returns {Object<string, *> | null} The fact, or `null` if there is none (emits `engine:error` if the type has no key).
+   * @example
+   * const order = engine.getFactByKey('order', 'o-1');
+   * const line = engine.getFactByKey('orderLine', ['o-1', 2]);
+   */
+  getFactByKey(type, key) {
+    const fields = this.#keyFields(type);
+    if (!fields) {
+      this.#emit('engine:error', { error: new Error(`Cannot get fact by key: the template of type '${type}' must declare a 'key'.`) });
+      return null;
     }
+    const values = fields.length === 1 ? [key] : key;
+    if (!Array.isArray(values) || values.length !== fields.length) {
+      this.#emit('engine:error', { error: new Error(`Cannot get fact by key: type '${type}' has a key of ${fields.length} fields.`) });
+      return null;
+    }
+    return this.#factStorage.getFactByKey(type, values)?.fact ?? null;
+  }
+
+  /**
+   * Retrieves facts from the engine's working memory that match a given pattern.
+   * If no pattern is provided, all facts are returned.
+   * @param {object} [patternObject] - An optional pattern object to filter facts: an optional `type` and
+   *   field patterns, e.g. `{ type: 'order', status: 'open' }`. Without a string `type`, facts of every type
+   *   are matched; `type: _.anyOf('order', 'invoice')` limits them to those types.
+   * @returns {Array<object>} An array of matching fact objects (including their `_id`).
+   * @example
+   * const allUsers = engine.getFacts({ type: 'user' });
+   * const openOrders = engine.getFacts({ type: 'order', status: 'open' });
+   * const overdue = engine.getFacts({ status: 'overdue' }); // of any type
+   */
+  getFacts(patternObject = {}) {
+    const factType = typeof patternObject.type === 'string' ? patternObject.type : null;
+    const candidatePlainFacts = Array.from(this.#candidateFacts(factType, patternObject))
+      .map(entry => (entry && typeof entry.fact === 'object' && entry.fact !== null) ? entry.fact : entry)
+      .filter(fact => fact && typeof fact === 'object');
 
     const filterPatternFields = { ...patternObject };
     if (factType) delete filterPatternFields.type;
@@ -549,57 +1432,353 @@ export class LeapEngine {
       });
     }
 
-    const result = finalResults.length > 0 ? finalResults[0] : null;
-    this.#emit('engine:queryOneCompleted', { queryId, result, timestamp: Date.now() });
-    return result;
+    const result = finalResults.length > 0 ? finalResults[0] : null;
+    this.#emit('engine:queryOneCompleted', { queryId, result });
+    return result;
+  }
+
+  /**
+   * Executes a query and returns `true` if any facts match its conditions, `false` otherwise.
+   * This is more efficient than `queryAll().length > 0` if you only need to check for existence.
+   * @async
+   * @param {string} queryId - The ID of the query definition.
+   * @param {object} [initialBindings={}] - Optional initial bindings.
+   * @returns {Promise<boolean>} A promise resolving to true if any matches exist, false otherwise.
+   */
+  async queryExists(queryId, initialBindings = {}) {
+    this.#emit('engine:queryExistsStarted', { queryId, initialBindings });
+    const query = this.#definitions.get(queryId);
+    if (!query || query.type !== 'query') {
+      this.#emit('engine:error', { error: new Error(`Query '${queryId}' not found for queryExists.`) });
+      return false;
+    }
+    const whenConditions = Array.isArray(query.when) ? query.when : [];
+    const matchIterator = this.#checkRule(query, whenConditions, initialBindings);
+    const firstMatch = matchIterator.next(); // Check if the iterator yields at least one item
+    const exists = !firstMatch.done && firstMatch.value !== undefined;
+    this.#emit('engine:queryExistsCompleted', { queryId, exists });
+    return exists;
+  }
+
+  /**
+   * Makes a one-shot decision without touching this engine's working memory. The facts are asserted
+   * into a throwaway working memory (an empty fact storage configured like this engine's, from its
+   * `createEmpty()` hook, or else a new instance of its class, and a new agenda)
+   * that uses this engine's definitions and templates, the rules are
+   * fired to quiescence and the named queries are run against the result; nothing lingers afterwards.
+   * The throwaway engine runs in sequential mode: firings are not recorded for truth maintenance,
+   * so logically asserted facts are not retracted when their premises are.
+   * Emits `engine:evaluated` on this engine.
+   * @async
+   * @param {Iterable<Object<string, *>>} facts - The facts to decide on; each must include a `type`.
+   * @param {object} [options]
+   * @param {Array<string>} [options.queries=[]] - The IDs of the queries to run once the rules have fired.
+   * @param {number} [options.maxCycles] - Limits the run (see `run()`).
+   * @param {number} [options.maxFiringsPerRule] - Limits the run (see `run()`).
+   * @param {number} [options.timeBudgetMs] - Limits the run (see `run()`).
+   * @returns {Promise<{facts: Array<Object<string, *>>, firedRules: Array<{ruleId: string, bindings: object}>, queryResults: Object<string, Array<Object<string, *>>>} | null>}
+   * The final facts, the rules fired in order and the results of each query, or `null` if `facts` is not iterable.
+   * @example
+   * const { firedRules, queryResults } = await engine.evaluate(
+   *   [{ type: 'applicant', age: 17 }],
+   *   { queries: ['Decisions'] },
+   * );
+   */
+  async evaluate(facts, { queries = [], maxCycles, maxFiringsPerRule, timeBudgetMs } = {}) {
+    if (!facts || typeof facts[Symbol.iterator] !== 'function') {
+      this.#emit('engine:error', { error: new TypeError('evaluate() expects an iterable of facts.') });
+      return null;
+    }
+    const scratch = new LeapEngine({
+      factStorage: this.#factStorage.createEmpty?.() ?? new this.#factStorage.constructor(),
+      agenda: new this.#agenda.constructor(),
+      matcher: this.#matcher,
+      resolver: this.#resolver,
+      accumulators: this.#accumulators,
+      clock: this.#clock,
+      autoIndex: this.#autoIndex,
+    });
+    scratch.#sequential = true;
+    scratch.#ruleBase = this.#ruleBase;
+    for (const definition of this.#definitions.values()) scratch.addDefinition(definition);
+    const liveFacts = new Map();
+    scratch.on('fact:asserted', (event) => {
+      const { fact } = /** @type {{fact: Object<string, *>}} */ (event);
+      liveFacts.set(fact._id, fact);
+    });
+    scratch.on('fact:retracted', (event) => { liveFacts.delete(/** @type {{factId: number}} */ (event).factId); });
+    scratch.on('engine:error', (data) => this.#emit('engine:error', data));
+    scratch.on('engine:schemaError', (data) => this.#emit('engine:schemaError', data));
+
+    for (const fact of facts) scratch.assertFact(fact);
+    const activations = await scratch.collectActivations({ maxCycles, maxFiringsPerRule, timeBudgetMs });
+    /** @type {Object<string, Array<Object<string, *>>>} */
+    const queryResults = {};
+    for (const queryId of queries) {
+      queryResults[queryId] = await scratch.queryAll(queryId);
+    }
+
+    const result = {
+      facts: [...liveFacts.values()],
+      firedRules: activations.map(({ rule, bindings }) => ({ ruleId: rule.id, bindings })),
+      queryResults,
+    };
+    this.#emit('engine:evaluated', { factCount: result.facts.length, firedRuleCount: result.firedRules.length });
+    return result;
+  }
+
+  /**
+   * Captures the engine's working-memory state as a JSON-serializable object: every fact with its `_id`
+   * and metadata, the Truth Maintenance activation table, the pending agenda tasks and activations,
+   * the fired fact tuples used for refraction, the agenda group focus stack, the pending timers and
+   * next cron occurrences, and the id counters.
+   * Rule and query definitions are code and are not included; an engine restoring the snapshot must
+   * have the same definitions added. The fact storage and agenda take part through their
+   * `exportState()` / `importState()` hooks, which custom implementations must provide.
+   * @returns {Object<string, *> | null} The snapshot, or `null` if the fact storage or agenda has no `exportState()` hook.
+   * @example
+   * fs.writeFileSync('session.json', JSON.stringify(engine.snapshot()));
+   */
+  snapshot() {
+    const snapshot = this.#exportState();
+    if (!snapshot) {
+      this.#emit('engine:error', { error: new Error('Cannot snapshot: the fact storage and agenda must implement exportState().') });
+    }
+    return snapshot;
+  }
+
+  /**
+   * Exports the working-memory state (see `snapshot()`).
+   * @returns {Object<string, *> | null} The state, or `null` if the fact storage or agenda has no `exportState()` hook.
+   */
+  #exportState() {
+    if (typeof this.#factStorage.exportState !== 'function' || typeof this.#agenda.exportState !== 'function') {
+      return null;
+    }
+    return {
+      version: SNAPSHOT_VERSION,
+      facts: this.#factStorage.exportState(),
+      agenda: this.#agenda.exportState(),
+      activations: [...this.#activations].map(([id, { ruleId, consumed, produced }]) => ({
+        id, ruleId, consumed: [...consumed], produced: [...produced],
+      })),
+      activationCounter: this.#activationCounter,
+      conflictSet: this.#conflictSet.exportState(),
+      pendingActivations: [...this.#conflictSet].map(({ rule, consumedFactIds }) => ({
+        ruleId: rule.id, factIds: [...(consumedFactIds || [])],
+      })),
+      focusStack: [...this.#focusStack],
+      timers: [...this.#timers].map(([{ rule, consumedFactIds }, dueAt]) => ({
+        ruleId: rule.id, factIds: [...(consumedFactIds || [])], dueAt,
+      })),
+      cronSchedules: [...this.#cronSchedules].map(([ruleId, { nextAt }]) => ({ ruleId, nextAt })),
+    };
   }
 
   /**
-   * Executes a query and returns `true` if any facts match its conditions, `false` otherwise.
-   * This is more efficient than `queryAll().length > 0` if you only need to check for existence.
-   * @async
-   * @param {string} queryId - The ID of the query definition.
-   * @param {object} [initialBindings={}] - Optional initial bindings.
-   * @returns {Promise<boolean>} A promise resolving to true if any matches exist, false otherwise.
+   * Replaces the engine's working-memory state with a snapshot taken by `snapshot()`, keeping the
+   * rule and query definitions currently added. The matching network is rebuilt from the restored
+   * facts, and the activations that were pending when the snapshot was taken become pending again
+   * (activations of rules that are no longer defined are dropped). Emits `engine:restored`.
+   * Cannot be called while the engine is running.
+   * @param {Object<string, *>} snapshot - A snapshot returned by `snapshot()` (possibly after a JSON round trip).
+   * @returns {boolean} True if the snapshot was restored.
+   * @example
+   * const engine = createEngineWithRules();
+   * engine.restore(JSON.parse(fs.readFileSync('session.json', 'utf8')));
+   * await engine.fireAll();
    */
-  async queryExists(queryId, initialBindings = {}) {
-    this.#emit('engine:queryExistsStarted', { queryId, initialBindings });
-    const query = this.#definitions.get(queryId);
-    if (!query || query.type !== 'query') {
-      this.#emit('engine:error', { error: new Error(`Query '${queryId}' not found for queryExists.`) });
+  restore(snapshot) {
+    if (this.#running) {
+      this.#emit('engine:error', { error: new Error('Cannot restore a snapshot while the engine is running.') });
       return false;
     }
-    const whenConditions = Array.isArray(query.when) ? query.when : [];
-    const matchIterator = this.#checkRule(query, whenConditions, initialBindings);
-    const firstMatch = matchIterator.next(); // Check if the iterator yields at least one item
-    const exists = !firstMatch.done && firstMatch.value !== undefined;
-    this.#emit('engine:queryExistsCompleted', { queryId, exists });
-    return exists;
+    if (!snapshot || typeof snapshot !== 'object' || snapshot.version !== SNAPSHOT_VERSION) {
+      this.#emit('engine:error', { error: new Error(`Cannot restore: expected a snapshot with version ${SNAPSHOT_VERSION}.`) });
+      return false;
+    }
+    if (typeof this.#factStorage.importState !== 'function' || typeof this.#agenda.importState !== 'function') {
+      this.#emit('engine:error', { error: new Error('Cannot restore: the fact storage and agenda must implement importState().') });
+      return false;
+    }
+    this.#importState(snapshot);
+    this.#emit('engine:restored', { pendingActivations: this.#conflictSet.size });
+    return true;
   }
 
   /**
-   * Runs the engine until the agenda is empty. This is a "fire-and-forget" method
+   * Replaces the working-memory state with an exported one (see `restore()`).
+   * @param {Object<string, *>} snapshot
+   */
+  #importState(snapshot) {
+    this.#factStorage.importState(snapshot.facts);
+    this.#agenda.importState(snapshot.agenda);
+    this.#activations = new Map(snapshot.activations.map((/** @type {{id: number, ruleId: string, consumed: Array<number>, produced: Array<number>}} */ { id, ruleId, consumed, produced }) => [
+      id, { ruleId, consumed: new Set(consumed), produced: new Set(produced) },
+    ]));
+    this.#activationCounter = snapshot.activationCounter;
+    this.#conflictSet.importState(snapshot.conflictSet);
+    this.#focusStack = snapshot.focusStack.length > 0 ? [...snapshot.focusStack] : [MAIN_AGENDA_GROUP];
+
+    this.#expirations = new Map();
+    this.#logicalFacts = new Map();
+    for (const { fact, metadata } of snapshot.facts.entries || []) {
+      if (typeof metadata?.expiresAt === 'number') this.#expirations.set(fact._id, metadata.expiresAt);
+      if (metadata?.logical) this.#indexLogicalFact(fact);
+    }
+
+    this.#network = this.#createNetwork();
+    this.#timers = new Map();
+    const matches = new Map();
+    for (const definition of this.#definitions.values()) {
+      if (definition.type === 'query') continue;
+      try {
+        for (const match of this.#network.addRule(definition, this.#ruleBase?.getCompiledConditions(definition)).added) matches.set(ConflictSet.tupleKey(match), match);
+      } catch (e) {
+        this.#emit('engine:error', { error: e, definitionId: definition.id });
+      }
+    }
+    this.#activationsByMatch = new WeakMap();
+    for (const [activationId, { ruleId, consumed }] of this.#activations) {
+      const match = matches.get(ConflictSet.tupleKey({ rule: { id: ruleId }, consumedFactIds: consumed }));
+      if (match) this.#indexActivation(match, activationId);
+    }
+    for (const { ruleId, factIds } of snapshot.pendingActivations) {
+      const match = matches.get(ConflictSet.tupleKey({ rule: { id: ruleId }, consumedFactIds: factIds }));
+      if (match) this.#conflictSet.add(match);
+    }
+    for (const { ruleId, factIds, dueAt } of snapshot.timers || []) {
+      const match = matches.get(ConflictSet.tupleKey({ rule: { id: ruleId }, consumedFactIds: factIds }));
+      if (match) this.#timers.set(match, dueAt);
+    }
+    for (const { ruleId, nextAt } of snapshot.cronSchedules || []) {
+      const cron = this.#cronSchedules.get(ruleId);
+      if (cron) cron.nextAt = typeof nextAt === 'number' ? nextAt : Infinity;
+    }
+  }
+
+  /**
+   * Proves a goal by backward chaining. Facts of the goal's type come from working memory and from the
+   * rule and query definitions that declare they `derives` that type: their conditions are proven in turn
+   * (recursively, through further derivable goals) and every solution yields a derived goal instance.
+   * Proving only reads working memory; rule actions are not run.
+   * Each distinct subgoal is tabled, so recursive definitions (e.g., a transitive `reportsTo` hierarchy)
+   * terminate once no new answers appear. Accumulators are evaluated against working memory only,
+   * and `lacks` conditions use negation as failure.
+   * Emits `engine:proveCompleted` with the number of solutions.
+   * @async
+   * @param {Object<string, *>} goal - The goal pattern, in the format `{ typeName: { field: valueOrVariable, ... } }`.
+   * Predicates (e.g., `_.gt(5)`) are allowed and filter the answers.
+   * @param {Object<string, *>} [initialBindings={}] - Initial bindings for the goal's variables.
+   * @returns {Promise<Array<Object<string, *>>>} One bindings object per solution, including the goal's variables and
+   * its type alias (e.g., `?eligible`) bound to the stored or derived fact. Empty if the goal cannot be proven.
+   * @example
+   * const proofs = await engine.prove({ eligible: { customerId: 'c1' } });
+   * if (proofs.length > 0) { console.log('c1 is eligible'); }
+   */
+  async prove(goal, initialBindings = {}) {
+    const type = goal && typeof goal === 'object' && !Array.isArray(goal) ? Object.keys(goal)[0] : undefined;
+    if (type === undefined || !goal[type] || typeof goal[type] !== 'object') {
+      this.#emit('engine:error', { error: new TypeError("prove() goal must be an object like { typeName: { field: value } }.") });
+      return [];
+    }
+    const definition = { id: `prove:${type}`, type: 'query', when: [goal] };
+    /** @type {ProofState} */
+    const state = { tables: new Map(), stack: [] };
+    const solutions = [...this.#proveConditions(definition, definition.when, initialBindings, state)];
+    this.#emit('engine:proveCompleted', { goal, solutionCount: solutions.length });
+    return solutions;
+  }
+
+  /**
+   * Requests the current run to stop. The activation that is firing completes, then the run ends
+   * before firing the next one and emits `engine:halted` with `reason: 'halt'`. Pending activations
+   * stay in the conflict set and fire on the next run. Also ends `fireUntilHalt()`. Has no effect when
+   * the engine is not running. Rule actions can call `context.halt()` instead.
+   */
+  halt() {
+    if (this.#running) this.#haltRequested = true;
+    if (this.#untilHalt) {
+      this.#untilHalt = false;
+      this.#wakeUp?.();
+    }
+  }
+
+  /**
+   * Runs the engine until the agenda and the conflict set are empty. This is a "fire-and-forget" method
    * if you don't need to process each activation individually.
    * Events will still be emitted for observability.
    * @async
+   * @param {object} [limits] - Optional limits that stop the run cleanly (see `run()`).
+   * @param {number} [limits.maxCycles] - The maximum number of rule firings.
+   * @param {number} [limits.maxFiringsPerRule] - The maximum number of firings of any single rule.
+   * @param {number} [limits.timeBudgetMs] - The time after which no further activation is fired. It is measured in real time, not on the engine clock.
    * @returns {Promise<void>} A promise that resolves when the engine has completed its run.
+   * @example
+   * engine.on('engine:halted', ({ reason, topRules }) => console.warn(reason, topRules));
+   * await engine.fireAll({ maxCycles: 10000, maxFiringsPerRule: 500, timeBudgetMs: 2000 });
    */
-  async fireAll() {
+  async fireAll(limits = {}) {
     this.#emit('engine:fireAllStarted', { initialAgendaSize: this.#agenda.length });
-    for await (const _activation of this.run()) { /* Consumes the iterator */ }
+    for await (const _activation of this.run(limits)) { /* Consumes the iterator */ }
     this.#emit('engine:fireAllCompleted');
   }
 
   /**
-   * Runs the engine until the agenda is empty and collects all rule activations
+   * Runs the engine until it is halted, for long-running processes. Whenever the conflict set is drained,
+   * the engine waits until a fact is asserted, modified or retracted, or until the next timer, cron
+   * occurrence or window expiry on its clock, and then runs again. `halt()` (or `context.halt()`) ends it,
+   * as does a run stopped by one of the limits.
+   * @async
+   * @param {object} [options] - The run limits (see `run()`), which apply to each run, and:
+   * @param {number} [options.pollIntervalMs=1000] - The longest real time to wait before checking the clock
+   * again, so that time moved on an external clock (e.g., a `PseudoClock`) is noticed.
+   * @returns {Promise<void>} A promise that resolves once the engine has been halted.
+   * @example
+   * const stopped = engine.fireUntilHalt();
+   * // ... facts arrive, timers and cron rules fire ...
+   * engine.halt();
+   * await stopped;
+   */
+  async fireUntilHalt({ pollIntervalMs = 1000, ...limits } = {}) {
+    if (this.#running || this.#untilHalt) {
+      this.#emit('engine:error', { error: new Error('fireUntilHalt() cannot start while the engine is running.') });
+      return;
+    }
+    this.#untilHalt = true;
+    this.#emit('engine:fireUntilHaltStarted', { initialAgendaSize: this.#agenda.length });
+    try {
+      while (this.#untilHalt) {
+        for await (const _activation of this.run(limits)) { /* Consumes the iterator */ }
+        if (!this.#untilHalt || this.#lastHalt) break;
+        if (this.#agenda.hasTasks) continue;
+        const delay = Math.min(Math.max(this.#nextScheduledTime() - this.#clock.now(), 0), pollIntervalMs);
+        await new Promise((resolve) => {
+          const timeout = setTimeout(() => this.#wakeUp?.(), delay);
+          this.#wakeUp = () => {
+            clearTimeout(timeout);
+            this.#wakeUp = null;
+            resolve(undefined);
+          };
+        });
+      }
+    } finally {
+      this.#untilHalt = false;
+    }
+    this.#emit('engine:fireUntilHaltCompleted', { reason: this.#lastHalt?.reason ?? 'halt' });
+  }
+
+  /**
+   * Runs the engine until the agenda and the conflict set are empty and collects all rule activations
    * (the combination of a fired rule and its bindings).
    * @async
+   * @param {Object<string, *>} [limits] - Optional limits that stop the run cleanly (see `run()`).
    * @returns {Promise<Array<{rule: object, bindings: object}>>} A promise resolving to an array of activation objects.
    */
-  async collectActivations() {
+  async collectActivations(limits = {}) {
     this.#emit('engine:collectActivationsStarted', { initialAgendaSize: this.#agenda.length });
     const activations = [];
-    for await (const activation of this.run()) {
+    for await (const activation of this.run(limits)) {
       activations.push(activation);
     }
     this.#emit('engine:collectActivationsCompleted', { count: activations.length });
@@ -610,27 +1789,54 @@ export class LeapEngine {
    * The main execution cycle of the engine. This is an async generator that yields
    * each rule activation as it occurs, allowing for fine-grained control over the
    * execution flow and an opportunity to interleave application logic.
+   * Before each firing the queued agenda tasks are processed, then the conflict resolver picks
+   * the next activation of the focused agenda group from the conflict set. Activations stay pending across tasks until they
+   * fire or are cancelled because the facts they matched were retracted, so every matching rule fires.
+   * New matches are suppressed by refraction and by the `noLoop` and `lockOnActive` rule attributes
+   * (reported through `rule:activationSuppressed`).
+   * The run stops early when `halt()` is called or one of the limits is reached. It then emits
+   * `engine:halted` with the `reason` (`'halt'`, `'maxCycles'`, `'maxFiringsPerRule'` or `'timeBudget'`),
+   * the number of `cycles` fired and `topRules`, the rules that fired most often. The activations
+   * that did not fire stay pending.
    * Use with `for await (const activation of engine)` or `engine.run().next()`.
    * @async
    * @generator
-   * @yields {{rule: object, bindings: object}} An object containing the rule that fired and the bindings
+   * @param {object} [limits] - Optional limits guarding against runaway rule loops.
+   * @param {number} [limits.maxCycles] - The maximum number of rule firings.
+   * @param {number} [limits.maxFiringsPerRule] - The maximum number of firings of any single rule.
+   * @param {number} [limits.timeBudgetMs] - The time, in milliseconds, after which no further activation is fired.
+   * It is measured in real time, not on the engine clock.
+   * @yields {{rule: Object<string, *>, bindings: Object<string, *>}} An object containing the rule that fired and the bindings
    * that satisfied its conditions.
    */
-  async *run() {
+  async *run({ maxCycles, maxFiringsPerRule, timeBudgetMs } = {}) {
     this.#emit('engine:beforeCycle', { agendaSize: this.#agenda.length });
-    while (this.#agenda.hasTasks) {
-      const task = this.#agenda.shift();
-      this.#emit('agenda:taskProcessed', { task });
-
-      if (task.type === 'retract') {
-        this.#truthMaintenance(task.fact._id);
-        continue;
-      }
-
-      const matchIterator = this.#findMatches(task);
-      const activation = this.#resolver.resolve(matchIterator);
+    this.#running = true;
+    this.#haltRequested = false;
+    const startedAt = Date.now();
+    const firingsByRule = new Map();
+    let cycles = 0;
+    let halt = null;
+    try {
+      while (true) {
+        this.#processTasks();
+        if (this.#haltRequested) {
+          halt = { reason: 'halt' };
+          break;
+        }
+        const activation = this.#nextActivation();
+        if (!activation || !this.#conflictSet.has(activation)) break;
+
+        if (maxCycles !== undefined && cycles >= maxCycles) {
+          halt = { reason: 'maxCycles', limit: maxCycles };
+        } else if (maxFiringsPerRule !== undefined && (firingsByRule.get(activation.rule.id) || 0) >= maxFiringsPerRule) {
+          halt = { reason: 'maxFiringsPerRule', limit: maxFiringsPerRule, ruleId: activation.rule.id };
+        } else if (timeBudgetMs !== undefined && Date.now() - startedAt >= timeBudgetMs) {
+          halt = { reason: 'timeBudget', limit: timeBudgetMs };
+        }
+        if (halt) break;
+        this.#conflictSet.remove(activation);
 
-      if (activation) {
         const { rule, bindings, consumedFactIds } = activation;
         this.#emit('rule:activationFound', { ruleId: rule.id, bindings });
 
@@ -645,19 +1851,38 @@ export class LeapEngine {
           this.#emit('rule:afterPreConditions', { ruleId: rule.id, bindings, result: true });
         }
 
+        this.#conflictSet.markFired(activation);
+        if (rule.activationGroup) this.#cancelActivationGroup(activation);
+        cycles++;
+        firingsByRule.set(rule.id, (firingsByRule.get(rule.id) || 0) + 1);
         const activationId = ++this.#activationCounter;
         const producedFactIds = new Set();
 
         // Use direct reference to engine methods to avoid test spies blocking event emission
         const context = {
-          assertFact: (factData, opts = {}) => {
-            const metadata = opts.logical ? { logical: true, producedBy: activationId } : {};
-            const assertedFact = this.assertFact({ ...factData }, metadata);
+          assertFact: (factData, /** @type {{logical?: boolean, ttl?: (number|string)}} */ opts = {}) => {
+            if (opts.logical) {
+              const candidate = this.#prepareAssertion(factData);
+              if (!candidate) return null;
+              const justified = this.#justifyEqualFact(candidate, activationId, rule.id);
+              if (justified) {
+                producedFactIds.add(justified._id);
+                return justified;
+              }
+              const stated = this.#factStorage.findEqual?.(candidate);
+              if (stated) {
+                // An equal fact asserted directly does not depend on this activation.
+                this.#emit('fact:duplicateIgnored', { fact: stated.fact, factData });
+                return stated.fact;
+              }
+            }
+            const assertedFact = this.assertFact({ ...factData }, { ttl: opts.ttl });
             if (assertedFact) {
               const finalEntry = this.#factStorage.getFactEntry(assertedFact._id);
               if (finalEntry && opts.logical) {
                 finalEntry.metadata.logical = true;
-                finalEntry.metadata.producedBy = activationId;
+                finalEntry.metadata.justifiedBy = [activationId];
+                this.#indexLogicalFact(finalEntry.fact);
               }
               producedFactIds.add(assertedFact._id);
               this.#emit('fact:assertedByRule', { fact: assertedFact, ruleId: rule.id, logical: !!opts.logical });
@@ -669,25 +1894,35 @@ export class LeapEngine {
           updateFact: (fId, uFn) => this.updateFact(fId, uFn),
           modifyFact: (fId, u) => this.modifyFact(fId, u),
           addRule: (rDef) => this.addDefinition(rDef.build ? rDef.build() : rDef),
-          retractRule: (rId) => LeapEngine.prototype.retractDefinition.call(this, rId),
+          retractRule: (rId, /** @type {Object<string, *>} */ opts) => LeapEngine.prototype.retractDefinition.call(this, rId, opts),
           retractWhere: (p) => this.retractWhere(p),
+          setFocus: (/** @type {string} */ group) => this.setFocus(group),
+          halt: () => this.halt(),
           publish: (topicName, payload) => {
-            const eventFact = { type: '_topic_event', topic: topicName, payload: payload, timestamp: Date.now() };
+            const eventFact = { type: '_topic_event', topic: topicName, payload: payload, timestamp: this.#clock.now() };
             this.assertFact(eventFact);
           }
         };
-        this.#activations.set(activationId, { ruleId: rule.id, consumed: consumedFactIds || new Set(), produced: producedFactIds });
+        if (!this.#sequential) {
+          this.#activations.set(activationId, { ruleId: rule.id, consumed: consumedFactIds || new Set(), produced: producedFactIds });
+          this.#indexActivation(activation, activationId);
+        }
 
         const proceed = async() => {
           if (rule.log?.before) this.#emit('rule:log', { ruleId: rule.id, timing: 'before', bindings });
           this.#emit('rule:beforeAction', { ruleId: rule.id, bindings });
+          const transaction = rule.transactional
+            ? new Transaction(factId => this.#factStorage.getFactEntry(factId)?.fact)
+            : null;
           try {
-            await rule.then(context, bindings);
+            await rule.then(transaction ? { ...context, ...this.#transactionContext(transaction) } : context, bindings);
+            if (transaction) this.#commit(transaction, (fact, opts) => context.assertFact(fact, opts), rule.id);
             this.#emit('rule:actionSuccess', { ruleId: rule.id, bindings });
           } catch (e) {
+            if (transaction) this.#rollback(transaction, e, rule.id);
             this.#emit('rule:actionError', { ruleId: rule.id, bindings, error: e });
             const errorConstructorName = e?.constructor?.name;
-            if (rule.throws?.[errorConstructorName]) {
+            if (errorConstructorName && rule.throws?.[errorConstructorName]) {
               try {
                 await rule.throws[errorConstructorName](e, context, bindings);
               } catch (handlerError) {
@@ -713,6 +1948,7 @@ export class LeapEngine {
           }
         };
 
+        this.#firingActivation = activation;
         try {
           if (rule.around) {
             this.#emit('rule:beforeAround', { ruleId: rule.id, bindings });
@@ -733,12 +1969,144 @@ export class LeapEngine {
             }
             this.#emit('rule:afterAfter', { ruleId: rule.id, bindings });
           }
+          this.#firingActivation = null;
         }
         this.#emit('rule:activationYielded', { ruleId: rule.id, bindings });
         yield { rule, bindings };
       }
+    } finally {
+      this.#running = false;
+      this.#haltRequested = false;
+    }
+    this.#lastHalt = halt;
+    if (halt) {
+      const topRules = [...firingsByRule]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 5)
+        .map(([ruleId, firings]) => ({ ruleId, firings }));
+      this.#emit('engine:halted', { ...halt, cycles, topRules });
+    }
+    this.#emit('engine:afterCycle', { reason: halt ? 'halted' : 'agenda_empty' });
+  }
+
+  /**
+   * Cancels the pending activations in the activation group of a firing activation that matched
+   * the same facts, so that only one rule of the group fires for them (e.g., one discount tier per customer).
+   * @param {Activation} firing
+   */
+  #cancelActivationGroup(firing) {
+    const { activationGroup } = firing.rule;
+    const facts = new Set(firing.consumedFactIds);
+    const cancelled = this.#conflictSet.removeWhere(activation => activation.rule.activationGroup === activationGroup
+      && activation.consumedFactIds.size === facts.size && [...activation.consumedFactIds].every(factId => facts.has(factId)));
+    for (const activation of cancelled) {
+      this.#emit('rule:activationCancelled', {
+        ruleId: activation.rule.id, bindings: activation.bindings, reason: 'activationGroup', activationGroup, firedRuleId: firing.rule.id,
+      });
+    }
+  }
+
+  /**
+   * Returns the next activation of the focused agenda group, popping exhausted groups off the focus stack.
+   * With a resolver that orders activations (`compare`), the conflict set keeps each group in that order;
+   * otherwise the resolver picks from the group's pending activations.
+   * @returns {Activation|null} The activation to fire, or null if no focused group has activations.
+   */
+  #nextActivation() {
+    while (true) {
+      const group = this.getFocus();
+      if (this.#conflictSet.sizeOf(group) > 0) {
+        return typeof this.#resolver.compare === 'function'
+          ? this.#conflictSet.peek(group)
+          : this.#resolver.resolve(this.#conflictSet.valuesIn(group));
+      }
+      if (this.#focusStack.length === 1) return null;
+      this.#focusStack.pop();
+      this.#emit('agenda:focusPopped', { group, focus: this.getFocus() });
+    }
+  }
+
+  /**
+   * Retracts expired facts, re-evaluates the accumulators whose time windows facts have left and
+   * activates due timers and cron schedules, then processes the queued agenda tasks, running truth
+   * maintenance for retractions.
+   */
+  #processTasks() {
+    this.#expireFacts();
+    const expired = this.#network.expireWindows();
+    // The re-evaluated matches reflect the facts left in the windows, so they are not refracted.
+    for (const match of expired.removed) this.#conflictSet.forgetFired(match);
+    this.#applyNetworkChanges(expired);
+    this.#fireSchedules();
+    while (this.#agenda.hasTasks) {
+      const task = this.#agenda.shift();
+      this.#emit('agenda:taskProcessed', { task });
+      if (task.type === 'retract' && !this.#wasRestored(task.fact)) {
+        this.#truthMaintenance(task.fact._id);
+      }
+    }
+  }
+
+  /**
+   * Whether a fact whose retraction task is processed was put back by a failed commit and is still
+   * stored, in which case it keeps its dependents.
+   * @param {Object<string, *>} fact
+   * @returns {boolean}
+   */
+  #wasRestored(fact) {
+    return this.#restoredFacts.delete(fact) && this.#factStorage.getFactEntry(fact._id)?.fact === fact;
+  }
+
+  /** Retracts the facts whose time to live has passed, emitting `fact:expired` for each. */
+  #expireFacts() {
+    const now = this.#clock.now();
+    for (const [factId, expiresAt] of this.#expirations) {
+      if (expiresAt > now) continue;
+      const fact = this.#factStorage.getFactEntry(factId)?.fact;
+      if (fact) this.#emit('fact:expired', { fact, expiresAt });
+      this.retractFact(factId);
+    }
+  }
+
+  /**
+   * Adds an activation to the justifications of the logical fact equal to `fact`, if there is one,
+   * instead of asserting a duplicate. Emits `tms:justificationAdded`.
+   * @param {Object<string, *>} fact - The fact a rule action asserts logically, validated and with template defaults applied.
+   * @param {number} activationId
+   * @param {string} ruleId
+   * @returns {Object<string, *> | null} The existing fact, or null if no logical fact is equal to `fact`.
+   */
+  #justifyEqualFact(fact, activationId, ruleId) {
+    const key = factContentKey(fact);
+    const factId = key === null ? undefined : this.#logicalFacts.get(key);
+    const entry = factId === undefined ? undefined : this.#factStorage.getFactEntry(factId);
+    if (!entry?.metadata?.logical) return null;
+    const justifiedBy = entry.metadata.justifiedBy || [];
+    if (!justifiedBy.includes(activationId)) {
+      this.#journal(() => { entry.metadata.justifiedBy = justifiedBy; });
+      entry.metadata.justifiedBy = [...justifiedBy, activationId];
     }
-    this.#emit('engine:afterCycle', { reason: 'agenda_empty' });
+    this.#emit('tms:justificationAdded', { fact: entry.fact, ruleId, activationId, justifications: entry.metadata.justifiedBy.length });
+    return entry.fact;
+  }
+
+  /**
+   * Indexes a logical fact by its content key for `#justifyEqualFact`. Facts that contain a cycle
+   * have no content key and are not indexed.
+   * @param {Object<string, *>} fact
+   */
+  #indexLogicalFact(fact) {
+    const key = factContentKey(fact);
+    if (key !== null) this.#logicalFacts.set(key, fact._id);
+  }
+
+  /**
+   * Removes a logical fact from the content key index.
+   * @param {Object<string, *>} fact - The fact, with the content it was indexed by.
+   */
+  #unindexLogicalFact(fact) {
+    const key = factContentKey(fact);
+    if (key !== null && this.#logicalFacts.get(key) === fact._id) this.#logicalFacts.delete(key);
   }
 
   /** @private Handles the Truth Maintenance System logic upon fact retraction. */
@@ -755,21 +2123,111 @@ export class LeapEngine {
     }
 
     for (const activationId of invalidActivations) {
-      const activation = this.#activations.get(activationId);
-      if (!activation) continue;
-
-      this.#emit('tms:activationInvalidated', { ruleId: activation.ruleId, activationId });
-      for (const factIdToRetract of activation.produced) {
-        const entry = this.#factStorage.getFactEntry(factIdToRetract);
-        if (entry && entry.metadata.logical && entry.metadata.producedBy === activationId) {
-          this.#emit('tms:factRetracted', { fact: entry.fact, ruleId: activation.ruleId, originFactId: retractedFactId });
-          this.retractFact(factIdToRetract);
-        }
+      this.#invalidateActivation(activationId, { originFactId: retractedFactId });
+    }
+  }
+
+  /**
+   * Runs truth maintenance for a match the network lost although the facts it consumed are still
+   * in working memory: a fact now blocks one of its `lacks` conditions, an accumulated value changed, a
+   * window moved or a modification made a pattern fail. The activations that fired on the match no longer
+   * justify their logical facts. If they justified any, the match is no longer refracted, so that the
+   * conclusions are drawn again if the match is re-established. (Matches lost because a consumed fact was
+   * retracted are handled by `#truthMaintenance` when the retraction task is processed.)
+   * @param {Activation} match - The lost match.
+   */
+  #invalidateLostMatch(match) {
+    const activationIds = this.#activationsByMatch.get(match);
+    if (!activationIds) return;
+    this.#activationsByMatch.delete(match);
+    let justified = false;
+    for (const activationId of activationIds) {
+      justified = this.#invalidateActivation(activationId, { reason: 'matchLost' }) || justified;
+    }
+    if (justified) this.#conflictSet.forgetFired(match);
+  }
+
+  /**
+   * Removes an activation record and its justification of the logical facts it produced,
+   * retracting the facts left without any justification. Emits `tms:activationInvalidated`, then
+   * `tms:justificationRemoved` or `tms:factRetracted` for each fact.
+   * @param {number} activationId
+   * @param {{originFactId?: number, reason?: string}} cause - The retracted fact, or the reason the match was lost;
+   * reported with `tms:factRetracted`.
+   * @returns {boolean} True if the activation justified any logical fact.
+   */
+  #invalidateActivation(activationId, cause) {
+    const activation = this.#activations.get(activationId);
+    if (!activation) return false;
+
+    this.#activations.delete(activationId);
+    this.#journal(() => this.#activations.set(activationId, activation));
+    this.#emit('tms:activationInvalidated', { ruleId: activation.ruleId, activationId });
+    let justified = false;
+    for (const factIdToRetract of activation.produced) {
+      const entry = this.#factStorage.getFactEntry(factIdToRetract);
+      if (!entry || !entry.metadata.logical || !entry.metadata.justifiedBy?.includes(activationId)) continue;
+      justified = true;
+      const { justifiedBy } = entry.metadata;
+      this.#journal(() => { entry.metadata.justifiedBy = justifiedBy; });
+      entry.metadata.justifiedBy = entry.metadata.justifiedBy.filter((/** @type {number} */ id) => id !== activationId);
+      if (entry.metadata.justifiedBy.length > 0) {
+        this.#emit('tms:justificationRemoved', {
+          fact: entry.fact, ruleId: activation.ruleId, activationId, justifications: entry.metadata.justifiedBy.length,
+        });
+      } else {
+        this.#emit('tms:factRetracted', { fact: entry.fact, ruleId: activation.ruleId, ...cause });
+        this.retractFact(factIdToRetract);
+      }
+    }
+    return justified;
+  }
+
+  /**
+   * Removes a rule from the network, cancelling its pending activations and timers, and discards
+   * its activation records. The logical facts they justified are retracted through truth maintenance if
+   * `retractLogicalFacts` is set; otherwise the facts left without any justification become ordinary facts.
+   * @param {string} ruleId
+   * @param {boolean} retractLogicalFacts
+   */
+  #removeRule(ruleId, retractLogicalFacts) {
+    for (const match of this.#network.removeRule(ruleId).removed) {
+      this.#timers.delete(match);
+      if (this.#conflictSet.remove(match)) {
+        this.#emit('rule:activationCancelled', { ruleId, bindings: match.bindings, reason: 'ruleRetracted' });
+      }
+    }
+    for (const [activationId, activation] of this.#activations) {
+      if (activation.ruleId !== ruleId) continue;
+      if (retractLogicalFacts) {
+        this.#invalidateActivation(activationId, { reason: 'ruleRetracted' });
+        continue;
       }
       this.#activations.delete(activationId);
+      for (const factId of activation.produced) {
+        const entry = this.#factStorage.getFactEntry(factId);
+        if (!entry?.metadata.justifiedBy?.includes(activationId)) continue;
+        entry.metadata.justifiedBy = entry.metadata.justifiedBy.filter((/** @type {number} */ id) => id !== activationId);
+        if (entry.metadata.justifiedBy.length === 0) {
+          this.#unindexLogicalFact(entry.fact);
+          delete entry.metadata.logical;
+          delete entry.metadata.justifiedBy;
+        }
+      }
     }
   }
 
+  /**
+   * Records that an activation record was created by firing a match.
+   * @param {Activation} match
+   * @param {number} activationId
+   */
+  #indexActivation(match, activationId) {
+    const activationIds = this.#activationsByMatch.get(match);
+    if (activationIds) activationIds.add(activationId);
+    else this.#activationsByMatch.set(match, new Set([activationId]));
+  }
+
   /** @private Helper to resolve potentially nested property paths for sorting or projections. */
   #resolvePath(object, pathArray) {
     return pathArray.reduce((obj, key) => {
@@ -843,6 +2301,25 @@ export class LeapEngine {
       const val = this.#resolveGuardValue(args[0], bindings);
       return val != null; // Checks for not null and not undefined
     }
+    if (Object.prototype.hasOwnProperty.call(TEMPORAL_RELATIONS, op)) {
+      /** @type {function(string): never} */
+      const fail = (message) => {
+        const error = new TypeError(`Guard '${op}' in rule [${ruleIdForContext || 'unknown'}] ${message}`);
+        this.#emit('engine:guardError', { ruleId: ruleIdForContext, guard, error, bindings });
+        throw error;
+      };
+      if (args.length < 2 || args.length > 2 + TEMPORAL_RELATIONS[op]) {
+        fail(`expects 2 events and up to ${TEMPORAL_RELATIONS[op]} tolerances, got ${args.length} arguments.`);
+      }
+      const [a, b] = args.slice(0, 2).map(arg => this.#eventInterval(this.#resolveGuardValue(arg, bindings)));
+      if (!a || !b) fail('needs events with a timestamp, start/end fields or an assertion time.');
+      const tolerances = args.slice(2).map(arg => this.#resolveGuardValue(arg, bindings));
+      try {
+        return holdsTemporalRelation(op, a, b, tolerances);
+      } catch (e) {
+        return fail(`has an invalid tolerance: ${/** @type {Error} */ (e).message}`);
+      }
+    }
     if (op === 'hasSize') {
       if (args.length !== 2) throw new TypeError(`Guard 'hasSize' expects 2 arguments (target, sizeMatcher), got ${args.length}`);
       const target = this.#resolveGuardValue(args[0], bindings);
@@ -963,13 +2440,383 @@ export class LeapEngine {
     return result;
   }
 
-  /** @private Finds all rule activations for a given task (typically a fact assertion). */
-  * #findMatches(task) {
-    for (const rule of this.#definitions.values()) {
-      if (rule.type === 'query') continue;
-      // Ensure rule.when is an array before passing
-      const whenConditions = Array.isArray(rule.when) ? rule.when : [];
-      yield * this.#checkRule(rule, whenConditions);
+  /** Queues an agenda task and wakes up a waiting `fireUntilHalt()`. */
+  #queueTask(task) {
+    this.#agenda.push(task);
+    this.#wakeUp?.();
+  }
+
+  /**
+   * Adds the activations a network operation created to the conflict set and cancels
+   * the pending activations it invalidated, running truth maintenance for the fired ones (see `#invalidateLostMatch`).
+   * Suppressed matches (see `#suppressionReason`) are not added. Matches of `timer` rules are scheduled instead,
+   * and those of `cron` rules wait for the next occurrence.
+   * The network only replaces a match of a rule with accumulators when an accumulated value changes, and the
+   * new match has the same fact tuple, so the fired tuple is forgotten for the rule to fire on the new value.
+   * @param {{added: Array<Activation>, removed: Array<Activation>}} changes - The matches created and lost.
+   * @param {number} [retractedFactId] - The fact whose retraction caused the changes, if any.
+   */
+  #applyNetworkChanges({ added, removed }, retractedFactId) {
+    for (const match of removed) {
+      this.#journalLostMatch(match);
+      this.#timers.delete(match);
+      if (retractedFactId === undefined || !match.consumedFactIds.has(retractedFactId)) this.#invalidateLostMatch(match);
+      if (LeapEngine.#accumulates(match.rule)) this.#conflictSet.forgetFired(match);
+      if (this.#conflictSet.remove(match)) {
+        this.#emit('rule:activationCancelled', { ruleId: match.rule.id, bindings: match.bindings, reason: 'invalidated' });
+      }
+    }
+    for (const match of added) {
+      const { timer, cron } = match.rule;
+      if (this.#relinkMatch(match)) continue;
+      if (timer !== undefined) {
+        const dueAt = this.#clock.now() + parseDuration(timer);
+        this.#timers.set(match, dueAt);
+        this.#emit('rule:timerScheduled', { ruleId: match.rule.id, bindings: match.bindings, dueAt });
+      } else if (cron === undefined) {
+        this.#activate(match);
+      }
+    }
+  }
+
+  /**
+   * Whether a rule has accumulator conditions, whose values are not part of its fact tuples.
+   * @param {Object<string, *>} rule
+   * @returns {boolean}
+   */
+  static #accumulates(rule) {
+    return Array.isArray(rule.when) && rule.when.some(condition => condition?._isAccumulator);
+  }
+
+  /**
+   * Adds a match to the conflict set, unless it is suppressed (see `#suppressionReason`).
+   * @param {Activation} match
+   */
+  #activate(match) {
+    const suppressedBy = this.#suppressionReason(match);
+    if (suppressedBy) {
+      this.#emit('rule:activationSuppressed', { ruleId: match.rule.id, bindings: match.bindings, reason: suppressedBy });
+    } else if (this.#conflictSet.add(match)) {
+      this.#emit('rule:activationCreated', { ruleId: match.rule.id, bindings: match.bindings });
+    }
+  }
+
+  /**
+   * Activates the matches of `timer` rules that have held for their delay, and the matches of
+   * `cron` rules whose next occurrence has come. Each occurrence fires again, so earlier firings of a
+   * `cron` rule do not refract it.
+   */
+  #fireSchedules() {
+    const now = this.#clock.now();
+    for (const [match, dueAt] of this.#timers) {
+      if (dueAt > now) continue;
+      this.#timers.delete(match);
+      this.#activate(match);
+    }
+    for (const [ruleId, cron] of this.#cronSchedules) {
+      if (cron.nextAt > now) continue;
+      const scheduledAt = cron.nextAt;
+      cron.nextAt = nextCronTime(cron.schedule, now);
+      const matches = this.#network.getMatches(ruleId);
+      this.#emit('rule:cronTriggered', { ruleId, scheduledAt, nextAt: cron.nextAt, matchCount: matches.length });
+      for (const match of matches) {
+        this.#conflictSet.forgetFired(match);
+        this.#activate(match);
+      }
+    }
+  }
+
+  /**
+   * Validates the `timer` of a rule definition and registers its `cron` schedule.
+   * @param {Object<string, *>} definition
+   * @throws {TypeError} If either is invalid.
+   */
+  #scheduleDefinition(definition) {
+    this.#cronSchedules.delete(definition.id);
+    if (definition.type === 'query') return;
+    if (definition.timer !== undefined) parseDuration(definition.timer);
+    if (definition.cron !== undefined) {
+      const schedule = parseCron(definition.cron);
+      this.#cronSchedules.set(definition.id, { schedule, nextAt: nextCronTime(schedule, this.#clock.now()) });
+    }
+  }
+
+  /** The earliest time at which a fact expiry, timer, cron schedule or accumulator window needs attention. */
+  #nextScheduledTime() {
+    let next = this.#network.nextWindowExpiry;
+    for (const expiresAt of this.#expirations.values()) next = Math.min(next, expiresAt);
+    for (const dueAt of this.#timers.values()) next = Math.min(next, dueAt);
+    for (const { nextAt } of this.#cronSchedules.values()) next = Math.min(next, nextAt);
+    return next;
+  }
+
+  /**
+   * Determines whether a new match must not become an activation.
+   * @returns {'refraction'|'noLoop'|'lockOnActive'|null} The reason for suppressing the match, or null.
+   * - `refraction`: the rule already fired on the same fact tuple.
+   * - `noLoop`: the match was caused by the rule's own action.
+   * - `lockOnActive`: the rule's agenda group has the focus while the engine runs.
+   * @param {Activation} match
+   */
+  #suppressionReason(match) {
+    const { rule } = match;
+    if (this.#conflictSet.hasFired(match)) return 'refraction';
+    if (rule.noLoop && this.#firingActivation?.rule.id === rule.id) return 'noLoop';
+    if (rule.lockOnActive && this.#running && (rule.agendaGroup || MAIN_AGENDA_GROUP) === this.getFocus()) return 'lockOnActive';
+    return null;
+  }
+
+  /**
+   * Proves conditions left to right by backward chaining, yielding the bindings of every
+   * solution. Mirrors `#checkRule`, but pattern and `lacks` conditions draw their facts from `#goalAnswers`.
+   * @param {Object<string, *>} definition
+   * @param {Array<*>} conditions
+   * @param {Object<string, *>} bindings
+   * @param {ProofState} state
+   * @returns {Generator<Object<string, *>>}
+   */
+  *#proveConditions(definition, conditions, bindings, state) {
+    if (conditions.length === 0) {
+      yield bindings;
+      return;
+    }
+    const [condition, ...remainingConditions] = conditions;
+
+    if (condition._isLacksCondition) {
+      const type = Object.keys(condition.pattern)[0];
+      const pattern = condition.pattern[type];
+      const blocked = this.#goalAnswers(type, pattern, bindings, state)
+        .some(answer => this.#matcher.match(pattern, answer, bindings).isMatch);
+      if (!blocked) yield * this.#proveConditions(definition, remainingConditions, bindings, state);
+      return;
+    }
+    const [patternObject, ...guards] = Array.isArray(condition) && typeof condition[0] === 'object'
+      ? condition
+      : [condition];
+    const alias = condition._isAccumulator ? undefined : Object.keys(patternObject)[0];
+    const pattern = alias === undefined ? undefined : patternObject[alias];
+    const type = typeof pattern?.type === 'string' ? pattern.type : (alias && !alias.startsWith('?') ? alias : null);
+    if (!type) {
+      // Accumulators and untyped patterns are evaluated against working memory.
+      for (const match of this.#checkRule(definition, [condition], bindings)) {
+        yield * this.#proveConditions(definition, remainingConditions, match.bindings, state);
+      }
+      return;
+    }
+
+    const boundAlias = /** @type {string} */ (alias);
+    for (const answer of this.#goalAnswers(type, pattern, bindings, state)) {
+      const matchResult = this.#matcher.match(pattern, answer, bindings);
+      if (!matchResult.isMatch) continue;
+      const currentBindings = matchResult.bindings;
+      if (!currentBindings[boundAlias]) currentBindings[boundAlias] = answer;
+      const varAlias = boundAlias.startsWith('?') ? boundAlias : `?${boundAlias}`;
+      if (!currentBindings[varAlias]) currentBindings[varAlias] = answer;
+      let allGuardsPassed = false;
+      try {
+        allGuardsPassed = guards.every(guard => this.#executeGuard(guard, currentBindings, definition.id));
+      } catch (e) {
+        allGuardsPassed = false;
+      }
+      if (allGuardsPassed) yield * this.#proveConditions(definition, remainingConditions, currentBindings, state);
+    }
+  }
+
+  /**
+   * Returns the stored and derived facts of a type that may satisfy a goal pattern under the
+   * given bindings. Answers are tabled per subgoal (the type plus its concrete field values). A subgoal
+   * that is reached again while it is being proven receives the answers found so far; it is then
+   * re-evaluated until it finds no new answers, and the subgoals in between are recomputed.
+   * @param {string} type
+   * @param {*} pattern
+   * @param {Object<string, *>} bindings
+   * @param {ProofState} state
+   * @returns {Array<Object<string, *>>}
+   */
+  #goalAnswers(type, pattern, bindings, state) {
+    /** @type {Object<string, *>} */
+    const constraints = {};
+    if (pattern && typeof pattern === 'object' && !Array.isArray(pattern)) {
+      for (const [field, value] of Object.entries(pattern)) {
+        const resolved = typeof value === 'string' && value.startsWith('?') ? bindings[value] : value;
+        if (field === 'type' || resolved === undefined || typeof resolved === 'function' || typeof resolved === 'symbol'
+          || (resolved !== null && typeof resolved === 'object')) continue;
+        constraints[field] = resolved;
+      }
+    }
+    const key = `${type}|${LeapEngine.#answerKey(constraints)}`;
+    const { tables, stack } = state;
+    const known = tables.get(key);
+    if (known) {
+      if (known.inProgress) {
+        known.recursive = true;
+        for (let i = stack.indexOf(known) + 1; i < stack.length; i++) stack[i].dependent = true;
+      }
+      return [...known.answers.values()];
+    }
+
+    /** @type {GoalTable} */
+    const table = { answers: new Map(), inProgress: true, recursive: false, dependent: false };
+    tables.set(key, table);
+    stack.push(table);
+    let size;
+    do {
+      size = table.answers.size;
+      for (const answer of this.#deriveAnswers(type, constraints, state)) {
+        const answerKey = answer._id !== undefined ? `#${answer._id}` : LeapEngine.#answerKey(answer);
+        if (!table.answers.has(answerKey)) table.answers.set(answerKey, answer);
+      }
+    } while (table.recursive && table.answers.size !== size);
+    stack.pop();
+    table.inProgress = false;
+    // Answers that relied on an unfinished ancestor goal may be incomplete; do not reuse them.
+    if (table.dependent) tables.delete(key);
+    return [...table.answers.values()];
+  }
+
+  /**
+   * Yields the stored facts of a type that satisfy the constraints, then the goal instances
+   * derived by the definitions that declare they derive the type.
+   * @param {string} type
+   * @param {Object<string, *>} constraints
+   * @param {ProofState} state
+   * @returns {Generator<Object<string, *>>}
+   */
+  *#deriveAnswers(type, constraints, state) {
+    for (const factEntry of Array.from(this.#candidateFacts(type, constraints))) {
+      const plainFact = (factEntry && typeof factEntry.fact === 'object' && factEntry.fact !== null) ? factEntry.fact : factEntry;
+      if (plainFact && typeof plainFact === 'object' && this.#matcher.match(constraints, plainFact, {}).isMatch) yield plainFact;
+    }
+    for (const definition of /** @type {IterableIterator<Object<string, *>>} */ (this.#definitions.values())) {
+      const derived = definition.derives?.[type];
+      if (!derived) continue;
+      // Unify the goal's concrete values with the derived pattern to seed the definition's bindings.
+      const initialBindings = {};
+      const unifies = Object.entries(constraints).every(([field, value]) => {
+        if (!Object.prototype.hasOwnProperty.call(derived, field)) return false;
+        const target = derived[field];
+        if (typeof target !== 'string' || !target.startsWith('?')) return target === value;
+        if (target in initialBindings) return initialBindings[target] === value;
+        initialBindings[target] = value;
+        return true;
+      });
+      if (!unifies) continue;
+      const conditions = Array.isArray(definition.when) ? definition.when : [];
+      for (const solution of this.#proveConditions(definition, conditions, initialBindings, state)) {
+        /** @type {Object<string, *>} */
+        const instance = { type };
+        for (const [field, value] of Object.entries(derived)) {
+          const resolved = typeof value === 'string' && value.startsWith('?') ? solution[value] : value;
+          if (resolved !== undefined) instance[field] = resolved;
+        }
+        yield instance;
+      }
+    }
+  }
+
+  /** Serializes a derived answer or subgoal constraints into a key with sorted fields. */
+  static #answerKey(object) {
+    const entries = Object.keys(object).sort().map(key => [key, object[key]]);
+    try {
+      return JSON.stringify(entries);
+    } catch (e) {
+      return entries.map(([key, value]) => `${key}=${String(value)}`).join('&');
+    }
+  }
+
+  /**
+   * Returns the stored facts of a type that may match a pattern under the given bindings. When a
+   * field of the pattern is a literal or a bound variable and the fact storage has an index on it, or a range
+   * predicate (`_.gt()`, `_.between()`, ...) and the index is sorted, only the facts found through the index
+   * are returned, using the most selective one. Otherwise, all the facts of the type are. Callers still
+   * match each candidate against the whole pattern.
+   * @param {string|null} type
+   * @param {*} pattern
+   * @param {Object<string, *>} [bindings={}]
+   * @returns {Iterable<Object<string, *>>}
+   */
+  #candidateFacts(type, pattern, bindings = {}) {
+    /** @type {Array<Object<string, *>> | undefined} */
+    let best = undefined;
+    if (typeof type === 'string' && pattern && typeof pattern === 'object' && !Array.isArray(pattern)) {
+      for (const [field, value] of Object.entries(pattern)) {
+        if (field === 'type') continue;
+        const candidates = this.#lookupIndex(type, field, value, bindings);
+        if (candidates && (!best || candidates.length < best.length)) best = candidates;
+        if (best?.length === 0) break;
+      }
+    }
+    return best ?? this.#factsOfType(type, pattern);
+  }
+
+  /**
+   * Returns the stored facts of a type. For a type-agnostic pattern (a null type), returns the facts
+   * of the types its `type: _.anyOf(...)` field lists, or else all the stored facts.
+   * @param {string|null} type
+   * @param {*} pattern
+   * @returns {Iterable<Object<string, *>>}
+   */
+  #factsOfType(type, pattern) {
+    if (typeof type === 'string') return this.#factStorage.getFactsByType(type) || [];
+    const types = patternTypes(pattern);
+    if (!types) return this.#factStorage.getAllFacts?.() || [];
+    return types
+      .flatMap(name => Array.from(this.#factStorage.getFactsByType(name) || []))
+      .sort((a, b) => (a.fact ?? a)._id - (b.fact ?? b)._id);
+  }
+
+  /**
+   * Looks up the facts of a type whose field may match a pattern value through the storage index on the field.
+   * @param {string} type
+   * @param {string} field
+   * @param {*} value
+   * @param {Object<string, *>} bindings
+   * @returns {Array<Object<string, *>> | undefined} The facts, or undefined if the value or the index does not allow a lookup.
+   */
+  #lookupIndex(type, field, value, bindings) {
+    if (typeof value === 'function') {
+      const range = value.range;
+      if (!range || !Object.values(range).every(bound => typeof bound === 'number' && !Number.isNaN(bound))) return undefined;
+      return this.#factStorage.findInRange?.(type, field, range);
+    }
+    const resolved = typeof value === 'string' && value.startsWith('?') ? bindings[value] : value;
+    const isLiteral = resolved === null || ['string', 'number', 'boolean', 'bigint'].includes(typeof resolved);
+    if (!isLiteral || (typeof resolved === 'string' && resolved.startsWith('?'))) return undefined;
+    return this.#factStorage.findByField?.(type, field, resolved);
+  }
+
+  /**
+   * Creates the fact storage indexes a query definition can use: on the fields its patterns
+   * (including `lacks` and accumulator sources) constrain by a literal or a variable, and sorted indexes on
+   * the fields they constrain by a range predicate. Rules are matched by the network, which hashes their
+   * joins on bound variables in its own memories, so their conditions are only indexed when the rule
+   * derives goals for backward chaining.
+   * @param {Object<string, *>} definition
+   */
+  #createIndexes(definition) {
+    if (definition.type !== 'query' && !definition.derives) return;
+    if (typeof this.#factStorage.createIndex !== 'function') return;
+    for (const condition of Array.isArray(definition.when) ? definition.when : []) {
+      let patternObject;
+      if (condition?._isLacksCondition) patternObject = condition.pattern;
+      else if (condition?._isAccumulator) patternObject = condition.from;
+      else patternObject = Array.isArray(condition) && typeof condition[0] === 'object' ? condition[0] : condition;
+      if (!patternObject || typeof patternObject !== 'object') continue;
+
+      const alias = Object.keys(patternObject)[0];
+      const pattern = alias === undefined ? undefined : patternObject[alias];
+      if (!pattern || typeof pattern !== 'object' || Array.isArray(pattern)) continue;
+      const keyedByType = condition._isAccumulator || condition._isLacksCondition;
+      const type = keyedByType ? alias : (pattern.type || (alias.startsWith('?') ? null : alias));
+      if (typeof type !== 'string') continue;
+      for (const [field, value] of Object.entries(pattern)) {
+        if (field === 'type') continue;
+        if (typeof value === 'function') {
+          if (value.range) this.#factStorage.createIndex(type, field, { sorted: true });
+        } else if (value === null || ['string', 'number', 'boolean', 'bigint'].includes(typeof value)) {
+          this.#factStorage.createIndex(type, field);
+        }
+      }
     }
   }
 
@@ -981,7 +2828,7 @@ export class LeapEngine {
    * @param {Array<object|Array<*>>} whenConditions - The array of conditions from the 'when' clause to process.
    * @param {object} [initialBindings={}] - Bindings accumulated from previous conditions.
    * @param {Set<number>} [consumed=new Set()] - Set of fact IDs consumed by this match path.
-   * @yields {{rule: object, bindings: object, consumedFactIds: Set<number>}} An object with the final bindings
+   * @yields {{rule: Object<string, *>, bindings: object, consumedFactIds: Set<number>}} An object with the final bindings
    * for a successful match, the set of fact IDs consumed, and the rule/query that matched.
    */
   *#checkRule(ruleOrQuery, whenConditions, initialBindings = {}, consumed = new Set()) {
@@ -1003,7 +2850,7 @@ export class LeapEngine {
       const factType = Object.keys(lacksPatternObject)[0];
       const pattern = lacksPatternObject[factType];
       let foundMatch = false;
-      const factEntryIterable = this.#factStorage.getFactsByType(factType) || [];
+      const factEntryIterable = this.#candidateFacts(factType, pattern, initialBindings);
       for (const factEntry of Array.from(factEntryIterable)) {
         const plainFact = (factEntry && typeof factEntry.fact === 'object' && factEntry.fact !== null) ? factEntry.fact : factEntry;
         if (!plainFact || typeof plainFact !== 'object') continue;
@@ -1016,11 +2863,11 @@ export class LeapEngine {
         yield * this.#checkRule(ruleOrQuery, remainingConditions, initialBindings, consumed);
       }
     } else if (condition._isAccumulator) {
-      const { from: fromPatternObject, accumulate, on: onField, into: intoVariable } = condition;
+      const { from: fromPatternObject, accumulate, on: onField, into: intoVariable, window } = /** @type {Object<string, *>} */ (condition);
       const factType = Object.keys(fromPatternObject)[0];
       const pattern = fromPatternObject[factType];
-      const sourceFacts = [];
-      const factEntryIterable = this.#factStorage.getFactsByType(factType) || [];
+      let sourceFacts = [];
+      const factEntryIterable = this.#candidateFacts(factType, pattern, initialBindings);
       for (const factEntry of Array.from(factEntryIterable)) {
         const plainFact = (factEntry && typeof factEntry.fact === 'object' && factEntry.fact !== null) ? factEntry.fact : factEntry;
         if (!plainFact || typeof plainFact !== 'object') continue;
@@ -1029,6 +2876,9 @@ export class LeapEngine {
           sourceFacts.push(plainFact);
         }
       }
+      if (window) {
+        sourceFacts = selectWindow(sourceFacts, window, { now: this.#clock.now(), eventTime: fact => this.#eventTime(fact) }).facts;
+      }
       const accumulatorFn = this.#accumulators[accumulate];
       const result = accumulatorFn(onField)(sourceFacts);
       const nextBindings = { ...initialBindings, [intoVariable]: result };
@@ -1043,20 +2893,12 @@ export class LeapEngine {
       const pattern = patternObject[factAlias]; // This gets {type: 'X', ...}
 
       // Determine the fact type to query from storage.
-      // If pattern.type exists, use it. Otherwise, if factAlias is not a variable, assume it's the type.
-      const typeToQuery = pattern.type || (factAlias.startsWith('?') ? null : factAlias);
-      if (!typeToQuery) {
-        // This scenario needs careful handling: if the pattern is like { '?anyFact': { status: 'active' } }
-        // without a type, it implies matching against all facts, which can be inefficient.
-        // Or, the type is expected to be inferred/bound by the matcher from other conditions.
-        // For now, if type is not determinable here, we might skip or log a warning.
-        // console.warn(`Cannot determine type for pattern in rule ${ruleOrQuery.id}:`, patternObject);
-        // Potentially iterate all facts if FactStorage supports it and no type is specified.
-        // This part depends heavily on your AdvancedMatcher's capabilities and DSL design.
-        // For this iteration, we'll assume type is usually present or factAlias is the type.
-      }
+      // If pattern.type is a string, use it. Otherwise, if factAlias is not a variable, assume it's the type.
+      // A pattern like { '?anyFact': { status: 'active' } } has no type and is matched against all facts
+      // (or those of the types listed by a `type: _.anyOf(...)` field).
+      const typeToQuery = typeof pattern?.type === 'string' ? pattern.type : (factAlias.startsWith('?') ? null : factAlias);
 
-      const candidateFactIterable = this.#factStorage.getFactsByType(typeToQuery) || [];
+      const candidateFactIterable = this.#candidateFacts(typeToQuery, pattern, initialBindings);
 
       for (const factEntry of Array.from(candidateFactIterable)) {
         const plainFact = (factEntry && typeof factEntry.fact === 'object' && factEntry.fact !== null) ? factEntry.fact : factEntry;
@@ -1099,7 +2941,7 @@ export class LeapEngine {
    * with `for await...of engine`. Each iteration yields a rule activation.
    * @async
    * @generator
-   * @yields {{rule: object, bindings: object}}
+   * @yields {{rule: Object<string, *>, bindings: Object<string, *>}}
    */
   async *[Symbol.asyncIterator]() { yield * this.run(); }
 }
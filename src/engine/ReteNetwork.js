@@ -0,0 +1,1093 @@
+/**
+ * @file Defines the ReteNetwork class, the compiled matching network the LeapEngine uses
+ * to evaluate rule conditions incrementally as facts enter and leave working memory.
+ * @module engine/ReteNetwork
+ */
+
+import { selectWindow } from '../utils/time.js';
+import { patternTypes } from '../utils/facts.js';
+
+/**
+ * A partial or complete match: the bindings made so far and the IDs of the facts consumed.
+ * @typedef {{rule: Object<string, *>, bindings: Object<string, *>, consumedFactIds: Set<number>}} Token
+ */
+
+/**
+ * A compiled condition, as returned by `ReteNetwork.compile()`. Besides its kind, type, pattern and the
+ * fields it reads (null when any field may matter), it carries the alias and guards of a pattern, or the
+ * accumulator settings of an accumulator. A condition whose pattern constrains a field by a variable an
+ * earlier pattern binds also has a `join`: the field and the variable its facts are looked up by.
+ * @typedef {Object<string, *> & {kind: 'pattern'|'lacks'|'accumulate', type: string|null, pattern: *, fields: Set<string>|null, join?: {field: string, variable: string}}} ConditionDescriptor
+ */
+
+/**
+ * A hash index of the facts of an alpha memory by the value of one field, for joins on that field.
+ * The value each fact is indexed under is kept, so the fact can be moved when the field is modified.
+ * @typedef {{buckets: Map<*, Map<number, Object<string, *>>>, values: Map<number, *>}} AlphaIndex
+ */
+
+/**
+ * A shared alpha node: the facts passing one `(type, pattern)` pair, their indexes by the fields
+ * conditions join on, and the rule positions it feeds.
+ * @typedef {{key: string, type: string|null, types: Array<string|null>, pattern: *, fields: Set<string>|null, memory: Map<number, Object<string, *>>, indexes: Map<string, AlphaIndex>, successors: Array<{compiled: CompiledRule, index: number}>}} AlphaNode
+ */
+
+/**
+ * The tokens of a beta memory grouped by the value they bind to the join variable of the next
+ * condition, so a fact entering that condition only meets the tokens it can join. Tokens binding
+ * a value that cannot be hashed (see `ReteNetwork.#isHashable`) are kept apart and always tried.
+ * @typedef {{buckets: Map<*, Array<Token>>, others: Array<Token>}} TokenIndex
+ */
+
+/**
+ * What a `lacks` or accumulator condition keeps for one partial match reaching it: the facts of its alpha
+ * memory that match under the partial match's bindings (those blocking a `lacks` condition, or the source
+ * facts of an accumulator), the partial match it was extended into, if any, and the
+ * serialized accumulated value bound in that extension.
+ * @typedef {{facts: Map<number, Object<string, *>>, child: Token|null, key?: string}} ConditionState
+ */
+
+/**
+ * A condition of a compiled rule, attached to its alpha node. `lacks` and accumulator conditions also hold
+ * the state of each partial match reaching them, and the partial matches each fact is in the state of.
+ * @typedef {ConditionDescriptor & {alpha: AlphaNode, states?: Map<Token, ConditionState>, parentsByFact?: Map<number, Set<Token>>}} CompiledCondition
+ */
+
+/**
+ * A rule compiled into the network: its conditions, one beta memory per condition plus the terminal one
+ * holding complete matches, and the index of each beta memory whose next condition has a join (null for
+ * the others).
+ * @typedef {{rule: Object<string, *>, conditions: Array<CompiledCondition>, memories: Array<Array<Token>>, tokenIndexes: Array<TokenIndex|null>}} CompiledRule
+ */
+
+/**
+ * The complete matches that appeared and disappeared as the result of a change.
+ * @typedef {{added: Array<Token>, removed: Array<Token>}} MatchChanges
+ */
+
+/**
+ * A compiled, Rete-style matching network for rule definitions.
+ *
+ * Every distinct `(type, pattern)` pair used by any rule is compiled into a single, shared
+ * alpha node whose memory holds the facts that pass that pattern on their own. Each rule then
+ * owns a chain of beta memories, one per condition, holding the partial matches (tokens) that
+ * satisfied its conditions up to that position. Asserting a fact only joins it against the
+ * stored partial matches of the rules that reference its alpha nodes, instead of re-walking
+ * working memory for every rule.
+ *
+ * Matching semantics mirror the engine's `#checkRule`: patterns are evaluated with the injected
+ * matcher (bindings, wildcards, predicates), inline guards go through the engine's guard evaluator,
+ * `lacks` conditions pass when no fact matches under the current bindings, and accumulators bind
+ * their aggregate result. For each partial match reaching a `lacks` or accumulator condition, the
+ * network keeps the facts blocking it or accumulated for it, so a fact entering or leaving the
+ * condition's alpha memory only updates the partial matches it matches under, and only those whose
+ * `lacks` condition becomes blocked or unblocked, or whose accumulated value changes, are extended anew.
+ *
+ * Joins are hashed: when a condition constrains a field by a variable bound by an earlier pattern (e.g.
+ * `{ order: { customerId: '?cid' } }` after `{ customer: { id: '?cid' } }`), its alpha memory is indexed by
+ * that field and the partial matches before it by the variable's value, so a fact or a partial match is
+ * only tested against the ones holding the same value.
+ *
+ * Facts modified in place are property-reactive: each condition records the fields it reads
+ * (its pattern keys, an accumulator's `on` field and `path` lookups on the fact alias in the inline
+ * guards of any condition), and only the conditions that read a changed field are re-evaluated.
+ *
+ * Windowed accumulators (`_.from(...).window(...)`) only aggregate the facts inside their window.
+ * Length windows change with their alpha memory like any accumulator; facts leaving a time window
+ * as time passes are handled by `expireWindows()`, which the engine calls as it runs.
+ *
+ * Every mutating method returns the complete matches that appeared and disappeared as a result,
+ * in the same `{ rule, bindings, consumedFactIds }` shape that `#checkRule` yields.
+ * @export
+ * @class ReteNetwork
+ */
+export class ReteNetwork {
+  /** @type {{match: function(*, *, Object<string, *>): {isMatch: boolean, bindings: Object<string, *>}}} */
+  #matcher;
+  /** @type {Object<string, function(*): function(Array<Object<string, *>>): *>} */
+  #accumulators;
+  /** @type {function(*, Object<string, *>, string): *} */
+  #evaluateGuard;
+  /** @type {function(string|null): (Iterable<*>|undefined)} */
+  #factSource;
+  /** @type {function(): number} */
+  #now;
+  /** @type {function(Object<string, *>): (number|undefined)} */
+  #eventTime;
+  /**
+   * Shared alpha nodes, keyed by their type and serialized pattern.
+   * @type {Map<string, AlphaNode>}
+   */
+  #alphaNodes = new Map();
+  /**
+   * Alpha nodes grouped by the fact type they test, so an incoming fact only visits relevant nodes.
+   * Nodes of type-agnostic patterns are grouped under each type they are limited to, or under `null`.
+   * @type {Map<string|null, Set<AlphaNode>>}
+   */
+  #alphaNodesByType = new Map();
+  /**
+   * Compiled rules, keyed by rule ID. Each holds its conditions and beta memories.
+   * @type {Map<string, CompiledRule>}
+   */
+  #rules = new Map();
+  /** @type {WeakMap<Function, number>} */
+  #functionIds = new WeakMap();
+  /** @type {Map<symbol, number>} */
+  #symbolIds = new Map();
+  /** @type {number} */
+  #identityCounter = 0;
+  /**
+   * The partial match each token was extended from.
+   * @type {WeakMap<Token, Token>}
+   */
+  #parentOf = new WeakMap();
+  /**
+   * Tokens removed from their beta memory, so partial matches collected before a change can be skipped.
+   * @type {WeakSet<Token>}
+   */
+  #discarded = new WeakSet();
+
+  /**
+   * Creates a new, empty network.
+   * @param {object} options
+   * @param {{match: function(*, *, Object<string, *>): {isMatch: boolean, bindings: Object<string, *>}}} options.matcher - The pattern matcher (e.g., an `AdvancedMatcher`).
+   * @param {Object<string, function(*): function(Array<Object<string, *>>): *>} [options.accumulators={}] - Accumulator functions, keyed by name.
+   * @param {function(*, Object<string, *>, string): *} options.evaluateGuard - Evaluates an inline S-expression guard
+   * against bindings; a thrown error counts as a failed guard.
+   * @param {function(string|null): (Iterable<*>|undefined)} options.factSource - Returns the facts (or fact entries)
+   * currently stored for a type, or all of them for `null`. Used to populate alpha nodes created after facts were asserted.
+   * @param {function(): number} [options.now=Date.now] - Returns the current time, for time windows.
+   * @param {function(Object<string, *>): (number|undefined)} [options.eventTime] - Returns the time of a fact, for windows
+   * without a timestamp field. Defaults to reading the fact's `assertedAt` property.
+   */
+  constructor({
+    matcher, accumulators = {}, evaluateGuard, factSource, now = Date.now, eventTime = fact => fact.assertedAt,
+  }) {
+    this.#matcher = matcher;
+    this.#accumulators = accumulators || {};
+    this.#evaluateGuard = evaluateGuard;
+    this.#factSource = factSource;
+    this.#now = now;
+    this.#eventTime = eventTime;
+  }
+
+  /**
+   * The number of alpha nodes currently in the network. Rules that use an identical
+   * pattern for the same type share one node.
+   * @returns {number}
+   */
+  get alphaNodeCount() {
+    return this.#alphaNodes.size;
+  }
+
+  /**
+   * Checks whether a rule has been compiled into the network.
+   * @param {string} ruleId
+   * @returns {boolean}
+   */
+  hasRule(ruleId) {
+    return this.#rules.has(ruleId);
+  }
+
+  /**
+   * Returns the complete matches currently held for a rule.
+   * @param {string} ruleId
+   * @returns {Array<Token>} The matches, or an empty array for unknown rules.
+   */
+  getMatches(ruleId) {
+    const compiled = this.#rules.get(ruleId);
+    return compiled ? [...compiled.memories[compiled.conditions.length]] : [];
+  }
+
+  /**
+   * Compiles the `when` clause of a rule into condition descriptors. The descriptors do not depend
+   * on any working memory, so they can be compiled once and shared by the networks of many sessions.
+   * @param {Object<string, *>} rule - The rule definition.
+   * @returns {Array<ConditionDescriptor>} One descriptor per condition.
+   * @throws {TypeError} If a condition cannot be compiled.
+   */
+  static compile(rule) {
+    /** @type {Array<*>} */
+    const whenConditions = Array.isArray(rule.when) ? rule.when : [];
+    const descriptors = whenConditions.map((condition, index) => ReteNetwork.#compileCondition(condition, rule.id, index));
+    // A guard may read the fact of an earlier condition, e.g. `_.guard.path('?order', 'total')` in the
+    // guards of a customer pattern; the earlier condition then reads that field too.
+    descriptors.forEach((descriptor, index) => {
+      if (descriptor.kind !== 'pattern') return;
+      for (const earlier of descriptors.slice(0, index)) {
+        const { fields } = earlier;
+        if (earlier.kind !== 'pattern' || fields === null) continue;
+        const aliases = ReteNetwork.#aliasesOf(earlier.alias);
+        if (!descriptor.guards.every(/** @param {*} guard */ guard => ReteNetwork.#collectGuardFields(guard, aliases, fields))) earlier.fields = null;
+      }
+    });
+    /** @type {Set<string>} */
+    const bound = new Set();
+    for (const descriptor of descriptors) {
+      const join = ReteNetwork.#joinOf(descriptor.pattern, bound);
+      if (join) descriptor.join = join;
+      if (descriptor.kind === 'pattern') {
+        for (const variable of ReteNetwork.#fieldVariables(descriptor.pattern)) bound.add(variable);
+      }
+    }
+    return descriptors;
+  }
+
+  /**
+   * Compiles a rule into the network and evaluates it against the facts already in working memory.
+   * A rule with the same ID is replaced.
+   * @param {Object<string, *>} rule - The rule definition (its `when` clause is compiled).
+   * @param {Array<ConditionDescriptor>} [descriptors] - The rule's conditions as returned by `ReteNetwork.compile(rule)`,
+   * if they were compiled beforehand.
+   * @returns {MatchChanges} The matches the rule has right away,
+   * and those lost by a replaced rule of the same ID.
+   * @throws {TypeError} If a condition cannot be compiled. The network is left unchanged.
+   */
+  addRule(rule, descriptors = ReteNetwork.compile(rule)) {
+
+    const result = this.#rules.has(rule.id) ? this.removeRule(rule.id) : { added: [], removed: [] };
+    /** @type {CompiledRule} */
+    const compiled = {
+      rule, conditions: [], memories: descriptors.map(() => []), tokenIndexes: descriptors.map(({ join }) => (join ? { buckets: new Map(), others: [] } : null)),
+    };
+    compiled.memories.push([]);
+    compiled.tokenIndexes.push(null);
+    compiled.conditions = descriptors.map((descriptor, index) => {
+      const alpha = this.#attachAlphaNode(descriptor, compiled, index);
+      return descriptor.kind === 'pattern'
+        ? { ...descriptor, alpha }
+        : { ...descriptor, alpha, states: new Map(), parentsByFact: new Map() };
+    });
+    this.#rules.set(rule.id, compiled);
+
+    this.#insert(compiled, 0, { rule, bindings: {}, consumedFactIds: new Set() }, result.added);
+    return result;
+  }
+
+  /**
+   * Removes a rule from the network, releasing alpha nodes no other rule uses.
+   * @param {string} ruleId
+   * @returns {MatchChanges} The rule's matches, all reported as removed.
+   */
+  removeRule(ruleId) {
+    const compiled = this.#rules.get(ruleId);
+    if (!compiled) return { added: [], removed: [] };
+    this.#rules.delete(ruleId);
+    for (const condition of compiled.conditions) {
+      const node = condition.alpha;
+      node.successors = node.successors.filter(successor => successor.compiled !== compiled);
+      if (node.successors.length === 0) {
+        this.#alphaNodes.delete(node.key);
+        for (const type of node.types) {
+          const sameType = this.#alphaNodesByType.get(type);
+          sameType?.delete(node);
+          if (sameType && sameType.size === 0) this.#alphaNodesByType.delete(type);
+        }
+      }
+    }
+    return { added: [], removed: [...compiled.memories[compiled.conditions.length]] };
+  }
+
+  /**
+   * Propagates a newly asserted fact through the network.
+   * Facts already present in an alpha memory are ignored, so a fact may safely be propagated
+   * after a rule compiled later has already picked it up from the fact source.
+   * @param {Object<string, *> & {_id: number, type: string}} fact
+   * @returns {MatchChanges} Matches created, and matches lost
+   * (e.g., when the fact blocks a `lacks` condition).
+   */
+  assertFact(fact) {
+    /** @type {MatchChanges} */
+    const result = { added: [], removed: [] };
+    const nodes = this.#nodesFor(fact);
+    if (!nodes) return result;
+
+    /** @type {Map<CompiledRule, Array<number>>} */
+    const affected = new Map();
+    for (const node of nodes) {
+      if (node.memory.has(fact._id)) continue;
+      if (!this.#matcher.match(node.pattern, fact, {}).isMatch) continue;
+      ReteNetwork.#remember(node, fact);
+      this.#collectSuccessors(node, affected);
+    }
+
+    for (const [compiled, indexes] of affected) {
+      indexes.sort((a, b) => a - b);
+      // Only pre-existing partial matches are joined; newer ones already saw this fact.
+      const parents = indexes.map(index => ReteNetwork.#parentsOf(compiled, index, fact));
+      for (const [i, index] of indexes.entries()) this.#propagate(compiled, index, fact, parents[i], result);
+    }
+    return this.#settle(result);
+  }
+
+  /**
+   * Removes a retracted fact from the network.
+   * @param {Object<string, *> & {_id: number, type: string}} fact
+   * @returns {MatchChanges} Matches lost, and matches created
+   * (e.g., when the fact was blocking a `lacks` condition).
+   */
+  retractFact(fact) {
+    /** @type {MatchChanges} */
+    const result = { added: [], removed: [] };
+    const nodes = this.#nodesFor(fact);
+    if (!nodes) return result;
+
+    /** @type {Map<CompiledRule, Array<number>>} */
+    const affected = new Map();
+    for (const node of nodes) {
+      if (!ReteNetwork.#forget(node, fact._id)) continue;
+      this.#collectSuccessors(node, affected);
+    }
+
+    for (const [compiled, indexes] of affected) {
+      if (indexes.some(index => compiled.conditions[index].kind === 'pattern')) {
+        this.#dropTokens(compiled, fact._id, result);
+      }
+      for (const index of indexes.sort((a, b) => a - b)) {
+        const condition = compiled.conditions[index];
+        if (condition.kind !== 'pattern') this.#reconsider(compiled, index, fact, ReteNetwork.#statesWith(condition, fact._id), result);
+      }
+    }
+    return this.#settle(result);
+  }
+
+  /**
+   * Re-evaluates a fact that was modified in place (keeping its `_id`). Only alpha nodes whose
+   * pattern reads one of the changed fields re-test the fact, and only rules with a condition
+   * reading one of them are re-joined; the matches of other rules are left untouched.
+   * @param {Object<string, *> & {_id: number, type: string}} fact - The fact, already holding its new values.
+   * @param {Iterable<string>} changedFields - The names of the fields whose values changed.
+   * @returns {MatchChanges} Matches lost and matches created.
+   * The matches of re-evaluated rules that consumed the fact are replaced by new ones.
+   */
+  modifyFact(fact, changedFields) {
+    /** @type {MatchChanges} */
+    const result = { added: [], removed: [] };
+    const nodes = this.#nodesFor(fact);
+    if (!nodes) return result;
+
+    const changed = [...changedFields];
+    const reads = /** @param {Set<string>|null} fields */ fields => fields === null || changed.some(field => fields.has(field));
+    /** @type {Map<CompiledRule, Array<number>>} */
+    const affected = new Map();
+    for (const node of nodes) {
+      const wasMember = node.memory.has(fact._id);
+      let isMember = wasMember;
+      if (reads(node.fields)) {
+        isMember = this.#matcher.match(node.pattern, fact, {}).isMatch;
+        if (isMember) ReteNetwork.#remember(node, fact);
+        else ReteNetwork.#forget(node, fact._id);
+      }
+      if (!wasMember && !isMember) continue;
+      for (const successor of node.successors) {
+        if (reads(successor.compiled.conditions[successor.index].fields)) this.#collectSuccessor(successor, affected);
+      }
+    }
+
+    for (const [compiled, indexes] of affected) {
+      // Re-join as if the fact had been retracted from this rule and asserted again.
+      this.#dropTokens(compiled, fact._id, result);
+      const parents = compiled.conditions.map((condition, index) => {
+        if (condition.kind !== 'pattern' && !indexes.includes(index)) return [];
+        const joined = condition.alpha.memory.has(fact._id) ? ReteNetwork.#parentsOf(compiled, index, fact) : [];
+        return condition.kind === 'pattern' ? joined : [...new Set([...ReteNetwork.#statesWith(condition, fact._id), ...joined])];
+      });
+      for (let index = 0; index < compiled.conditions.length; index++) {
+        if (parents[index].length > 0) this.#propagate(compiled, index, fact, parents[index], result);
+      }
+    }
+    return this.#settle(result);
+  }
+
+  /**
+   * Re-evaluates the windowed accumulators from which a fact has left its time window since they
+   * were last evaluated, so the facts stop counting.
+   * @returns {MatchChanges} Matches lost and matches created.
+   */
+  expireWindows() {
+    /** @type {MatchChanges} */
+    const result = { added: [], removed: [] };
+    const now = this.#now();
+    for (const compiled of this.#rules.values()) {
+      compiled.conditions.forEach((condition, index) => {
+        if (!(condition.expiresAt <= now)) return;
+        condition.expiresAt = Infinity;
+        this.#extendAnew(compiled, index, [...compiled.memories[index]], result);
+      });
+    }
+    return this.#settle(result);
+  }
+
+  /**
+   * The earliest time at which a fact leaves the time window of an accumulator.
+   * @returns {number} Epoch milliseconds, or `Infinity` if no time window holds facts.
+   */
+  get nextWindowExpiry() {
+    let next = Infinity;
+    for (const compiled of this.#rules.values()) {
+      for (const condition of compiled.conditions) if (condition.expiresAt < next) next = condition.expiresAt;
+    }
+    return next;
+  }
+
+  /**
+   * Groups the rule positions fed by an alpha node, per compiled rule.
+   * @param {AlphaNode} node
+   * @param {Map<CompiledRule, Array<number>>} affected
+   */
+  #collectSuccessors(node, affected) {
+    for (const successor of node.successors) this.#collectSuccessor(successor, affected);
+  }
+
+  /**
+   * Records one rule position in a per-rule grouping of affected positions.
+   * @param {{compiled: CompiledRule, index: number}} successor
+   * @param {Map<CompiledRule, Array<number>>} affected
+   */
+  #collectSuccessor({ compiled, index }, affected) {
+    const indexes = affected.get(compiled);
+    if (indexes) indexes.push(index);
+    else affected.set(compiled, [index]);
+  }
+
+  /**
+   * Stores a token at a beta level and extends it through the remaining conditions.
+   * Tokens reaching the terminal level are complete matches and are collected into `added`.
+   * @param {CompiledRule} compiled
+   * @param {number} level
+   * @param {Token} token
+   * @param {Array<Token>} added
+   */
+  #insert(compiled, level, token, added) {
+    compiled.memories[level].push(token);
+    if (level === compiled.conditions.length) {
+      added.push(token);
+      return;
+    }
+    const condition = compiled.conditions[level];
+    const tokenIndex = compiled.tokenIndexes[level];
+    if (tokenIndex) ReteNetwork.#indexToken(tokenIndex, condition, token);
+    for (const child of this.#evaluate(compiled, condition, token, ReteNetwork.#candidatesFor(condition, token))) {
+      this.#insert(compiled, level + 1, child, added);
+    }
+  }
+
+  /**
+   * Propagates a fact that entered, left or changed in the alpha memory of a condition to partial matches
+   * collected before the change: joins it with them for a pattern, or reconsiders their state for a `lacks`
+   * or accumulator condition. Partial matches removed in the meantime are skipped.
+   * @param {CompiledRule} compiled
+   * @param {number} index - The condition's position.
+   * @param {Object<string, *>} fact
+   * @param {Array<Token>} parents
+   * @param {MatchChanges} result
+   */
+  #propagate(compiled, index, fact, parents, result) {
+    const condition = compiled.conditions[index];
+    if (condition.kind !== 'pattern') {
+      this.#reconsider(compiled, index, fact, parents, result);
+      return;
+    }
+    for (const parent of parents) {
+      if (this.#discarded.has(parent)) continue;
+      for (const child of this.#evaluate(compiled, condition, parent, [fact])) {
+        this.#insert(compiled, index + 1, child, result.added);
+      }
+    }
+  }
+
+  /**
+   * Updates whether a fact blocks, or is accumulated for, partial matches reaching a `lacks` or accumulator
+   * condition, after it entered, left or changed in the condition's alpha memory, and extends anew those
+   * whose blocking or source facts changed.
+   * @param {CompiledRule} compiled
+   * @param {number} index - The condition's position.
+   * @param {Object<string, *>} fact
+   * @param {Iterable<Token>} parents - The partial matches the fact may match under or was in the state of.
+   * @param {MatchChanges} result
+   */
+  #reconsider(compiled, index, fact, parents, result) {
+    const condition = compiled.conditions[index];
+    const states = /** @type {Map<Token, ConditionState>} */ (condition.states);
+    const isMember = condition.alpha.memory.has(fact._id);
+    const changed = [];
+    for (const parent of parents) {
+      const state = states.get(parent);
+      if (!state) continue;
+      const had = state.facts.has(fact._id);
+      const has = isMember && this.#matcher.match(condition.pattern, fact, parent.bindings).isMatch;
+      if (has) ReteNetwork.#addSource(condition, parent, state, fact);
+      else if (had) ReteNetwork.#removeSource(condition, parent, state, fact._id);
+      // The blocking facts of a `lacks` condition only matter while there are any.
+      if (had !== has || (has && condition.kind === 'accumulate')) changed.push(parent);
+    }
+    this.#extendAnew(compiled, index, changed, result);
+  }
+
+  /**
+   * Re-evaluates the extensions of partial matches through a `lacks` or accumulator condition from their
+   * state, replacing the extensions (and everything matched from them) that changed.
+   * @param {CompiledRule} compiled
+   * @param {number} index - The condition's position.
+   * @param {Array<Token>} parents
+   * @param {MatchChanges} result
+   */
+  #extendAnew(compiled, index, parents, result) {
+    const condition = compiled.conditions[index];
+    const states = /** @type {Map<Token, ConditionState>} */ (condition.states);
+    /** @type {Set<Token>} */
+    const replaced = new Set();
+    const extensions = [];
+    for (const parent of parents) {
+      const state = states.get(parent);
+      if (!state) continue;
+      const extension = this.#extend(compiled, condition, parent, state);
+      if (extension === undefined) continue;
+      if (state.child) replaced.add(state.child);
+      state.child = extension;
+      if (extension) extensions.push(extension);
+    }
+    this.#dropDescendants(compiled, index + 1, replaced, result);
+    for (const extension of extensions) this.#insert(compiled, index + 1, extension, result.added);
+  }
+
+  /**
+   * Extends a partial match through a `lacks` or accumulator condition, given its state: into a copy of
+   * its bindings while no fact blocks a `lacks` condition, or with the accumulated value bound.
+   * @param {CompiledRule} compiled
+   * @param {CompiledCondition} condition
+   * @param {Token} parent
+   * @param {ConditionState} state
+   * @returns {Token|null|undefined} The new extension, null if there is none (a blocked `lacks` condition),
+   * or undefined if the current one still holds.
+   */
+  #extend(compiled, condition, parent, state) {
+    const { rule } = compiled;
+    const { bindings, consumedFactIds } = parent;
+    /** @type {Token} */
+    let child;
+    if (condition.kind === 'lacks') {
+      const blocked = state.facts.size > 0;
+      if (blocked === (state.child === null)) return undefined;
+      if (blocked) return null;
+      child = { rule, bindings: { ...bindings }, consumedFactIds };
+    } else {
+      // In assertion order, as they would be found in the alpha memory.
+      let sourceFacts = [...state.facts.values()].sort((a, b) => a._id - b._id);
+      if (condition.window) {
+        const selected = selectWindow(sourceFacts, condition.window, { now: this.#now(), eventTime: this.#eventTime });
+        sourceFacts = selected.facts;
+        condition.expiresAt = Math.min(condition.expiresAt ?? Infinity, selected.expiresAt);
+      }
+      const accumulatorFn = this.#accumulators[condition.accumulate];
+      if (typeof accumulatorFn !== 'function') {
+        throw new TypeError(`ReteNetwork: Unknown accumulator '${condition.accumulate}' in rule "${rule.id}".`);
+      }
+      const accumulated = accumulatorFn(condition.on)(sourceFacts);
+      const key = ReteNetwork.#valueKey(accumulated);
+      if (state.child && key === state.key) return undefined;
+      state.key = key;
+      child = { rule, bindings: { ...bindings, [condition.into]: accumulated }, consumedFactIds };
+    }
+    this.#parentOf.set(child, parent);
+    return child;
+  }
+
+  /**
+   * Adds a blocking or source fact to the state of a partial match.
+   * @param {CompiledCondition} condition
+   * @param {Token} parent
+   * @param {ConditionState} state
+   * @param {Object<string, *>} fact
+   */
+  static #addSource(condition, parent, state, fact) {
+    state.facts.set(fact._id, fact);
+    const parentsByFact = /** @type {Map<number, Set<Token>>} */ (condition.parentsByFact);
+    const parents = parentsByFact.get(fact._id);
+    if (parents) parents.add(parent);
+    else parentsByFact.set(fact._id, new Set([parent]));
+  }
+
+  /**
+   * Removes a blocking or source fact from the state of a partial match.
+   * @param {CompiledCondition} condition
+   * @param {Token} parent
+   * @param {ConditionState} state
+   * @param {number} factId
+   */
+  static #removeSource(condition, parent, state, factId) {
+    state.facts.delete(factId);
+    const parentsByFact = /** @type {Map<number, Set<Token>>} */ (condition.parentsByFact);
+    const parents = parentsByFact.get(factId);
+    parents?.delete(parent);
+    if (parents?.size === 0) parentsByFact.delete(factId);
+  }
+
+  /**
+   * Returns the partial matches a fact blocks, or is accumulated for, at a `lacks` or accumulator condition.
+   * @param {CompiledCondition} condition
+   * @param {number} factId
+   * @returns {Array<Token>}
+   */
+  static #statesWith(condition, factId) {
+    return [...(condition.parentsByFact?.get(factId) ?? [])];
+  }
+
+  /**
+   * Removes every token that consumed the given fact.
+   * @param {CompiledRule} compiled
+   * @param {number} factId
+   * @param {MatchChanges} result
+   */
+  #dropTokens(compiled, factId, result) {
+    for (let level = 1; level <= compiled.conditions.length; level++) {
+      this.#discard(compiled, level, token => token.consumedFactIds.has(factId), result);
+    }
+  }
+
+  /**
+   * Removes tokens from a beta level, with everything extended from them at the following levels.
+   * @param {CompiledRule} compiled
+   * @param {number} level
+   * @param {Set<Token>} tokens
+   * @param {MatchChanges} result
+   */
+  #dropDescendants(compiled, level, tokens, result) {
+    let removed = tokens;
+    for (let next = level; next <= compiled.conditions.length && removed.size > 0; next++) {
+      const parents = removed;
+      removed = next === level
+        ? this.#discard(compiled, next, token => parents.has(token), result)
+        : this.#discard(compiled, next, token => parents.has(/** @type {Token} */ (this.#parentOf.get(token))), result);
+    }
+  }
+
+  /**
+   * Removes the tokens of a beta level satisfying a predicate, re-indexing the others for the join of the
+   * next condition and forgetting the state of the removed ones. Removed complete matches are reported.
+   * @param {CompiledRule} compiled
+   * @param {number} level
+   * @param {function(Token): boolean} predicate
+   * @param {MatchChanges} result
+   * @returns {Set<Token>} The removed tokens.
+   */
+  #discard(compiled, level, predicate, result) {
+    /** @type {Set<Token>} */
+    const removed = new Set();
+    const tokens = compiled.memories[level];
+    const kept = tokens.filter(token => {
+      if (!predicate(token)) return true;
+      removed.add(token);
+      return false;
+    });
+    if (removed.size === 0) return removed;
+    compiled.memories[level] = kept;
+    if (level === compiled.conditions.length) {
+      result.removed.push(...removed);
+      for (const token of removed) this.#discarded.add(token);
+      return removed;
+    }
+    const condition = compiled.conditions[level];
+    for (const token of removed) {
+      this.#discarded.add(token);
+      const state = condition.states?.get(token);
+      if (!state) continue;
+      for (const factId of state.facts.keys()) ReteNetwork.#removeSource(condition, token, state, factId);
+      condition.states?.delete(token);
+    }
+    const tokenIndex = compiled.tokenIndexes[level];
+    if (tokenIndex) {
+      tokenIndex.buckets.clear();
+      tokenIndex.others = [];
+      for (const token of kept) ReteNetwork.#indexToken(tokenIndex, condition, token);
+    }
+    return removed;
+  }
+
+  /**
+   * Adds a token to the index of its beta level, by the value it binds to the join variable.
+   * @param {TokenIndex} tokenIndex
+   * @param {ConditionDescriptor} condition - The condition the token's level feeds, which has a join.
+   * @param {Token} token
+   */
+  static #indexToken(tokenIndex, condition, token) {
+    const value = token.bindings[/** @type {{variable: string}} */ (condition.join).variable];
+    if (!ReteNetwork.#isHashable(value)) {
+      tokenIndex.others.push(token);
+      return;
+    }
+    const bucket = tokenIndex.buckets.get(value);
+    if (bucket) bucket.push(token);
+    else tokenIndex.buckets.set(value, [token]);
+  }
+
+  /**
+   * Returns the partial matches a fact entering a condition may join, as a new array: all the tokens of
+   * the condition's beta level, or only those binding the fact's value of the join field and those
+   * whose value cannot be hashed.
+   * @param {CompiledRule} compiled
+   * @param {number} index - The condition's position.
+   * @param {Object<string, *>} fact
+   * @returns {Array<Token>}
+   */
+  static #parentsOf(compiled, index, fact) {
+    const tokenIndex = compiled.tokenIndexes[index];
+    if (!tokenIndex) return compiled.memories[index].slice();
+    const { field } = /** @type {{field: string}} */ (compiled.conditions[index].join);
+    const joined = Object.prototype.hasOwnProperty.call(fact, field) ? tokenIndex.buckets.get(fact[field]) ?? [] : [];
+    return [...joined, ...tokenIndex.others];
+  }
+
+  /**
+   * Returns the facts of a condition's alpha memory a partial match may join: all of them, or, when the
+   * token binds a hashable value to the join variable, only those holding that value in the join field.
+   * @param {ConditionDescriptor & {alpha: AlphaNode}} condition
+   * @param {Token} token
+   * @returns {Iterable<Object<string, *>>}
+   */
+  static #candidatesFor(condition, token) {
+    const { join, alpha } = condition;
+    if (!join) return alpha.memory.values();
+    const value = token.bindings[join.variable];
+    if (!ReteNetwork.#isHashable(value)) return alpha.memory.values();
+    return alpha.indexes.get(join.field)?.buckets.get(value)?.values() ?? [];
+  }
+
+  /**
+   * Whether a bound value only matches field values that are the same value, so that joins on it can be
+   * hashed: primitives other than symbols and variable-like strings. Objects, arrays and functions are
+   * matched as patterns by the matcher.
+   * @param {*} value
+   * @returns {boolean}
+   */
+  static #isHashable(value) {
+    if (typeof value === 'string') return !value.startsWith('?');
+    return value === null || typeof value === 'number' || typeof value === 'boolean' || typeof value === 'bigint';
+  }
+
+  /**
+   * Adds a fact to an alpha memory and its indexes, or re-indexes it after a modification.
+   * @param {AlphaNode} node
+   * @param {Object<string, *>} fact
+   */
+  static #remember(node, fact) {
+    node.memory.set(fact._id, fact);
+    for (const [field, index] of node.indexes) ReteNetwork.#indexFact(index, field, fact);
+  }
+
+  /**
+   * Removes a fact from an alpha memory and its indexes.
+   * @param {AlphaNode} node
+   * @param {number} factId
+   * @returns {boolean} False if the fact was not in the memory.
+   */
+  static #forget(node, factId) {
+    if (!node.memory.delete(factId)) return false;
+    for (const index of node.indexes.values()) ReteNetwork.#unindexFact(index, factId);
+    return true;
+  }
+
+  /**
+   * Indexes a fact of an alpha memory by a field, moving it if it was indexed under another value.
+   * @param {AlphaIndex} index
+   * @param {string} field
+   * @param {Object<string, *>} fact
+   */
+  static #indexFact(index, field, fact) {
+    const has = Object.prototype.hasOwnProperty.call(fact, field);
+    if (has && index.values.has(fact._id) && Object.is(index.values.get(fact._id), fact[field])) return;
+    ReteNetwork.#unindexFact(index, fact._id);
+    if (!has) return;
+    const value = fact[field];
+    index.values.set(fact._id, value);
+    const bucket = index.buckets.get(value);
+    if (bucket) bucket.set(fact._id, fact);
+    else index.buckets.set(value, new Map([[fact._id, fact]]));
+  }
+
+  /**
+   * Removes a fact from an alpha memory index.
+   * @param {AlphaIndex} index
+   * @param {number} factId
+   */
+  static #unindexFact(index, factId) {
+    if (!index.values.has(factId)) return;
+    const value = index.values.get(factId);
+    index.values.delete(factId);
+    const bucket = index.buckets.get(value);
+    bucket?.delete(factId);
+    if (bucket?.size === 0) index.buckets.delete(value);
+  }
+
+  /**
+   * Cancels out matches that were both added and removed within one operation.
+   * @param {MatchChanges} result
+   * @returns {MatchChanges}
+   */
+  #settle(result) {
+    const added = new Set(result.added);
+    const transient = new Set(result.removed.filter(token => added.has(token)));
+    if (transient.size === 0) return result;
+    return {
+      added: result.added.filter(token => !transient.has(token)),
+      removed: result.removed.filter(token => !transient.has(token)),
+    };
+  }
+
+  /**
+   * Evaluates one condition for a parent token against candidate facts,
+   * yielding the child tokens (mirrors a single step of the engine's `#checkRule`).
+   * For a `lacks` or accumulator condition, the parent's state is recorded first.
+   * @param {CompiledRule} compiled
+   * @param {CompiledCondition} condition
+   * @param {Token} parent
+   * @param {Iterable<Object<string, *>>} candidates
+   * @returns {Generator<Token>}
+   */
+  *#evaluate(compiled, condition, parent, candidates) {
+    const { rule } = compiled;
+    const { bindings, consumedFactIds } = parent;
+
+    if (condition.kind !== 'pattern') {
+      /** @type {ConditionState} */
+      const state = { facts: new Map(), child: null };
+      /** @type {Map<Token, ConditionState>} */ (condition.states).set(parent, state);
+      for (const fact of candidates) {
+        if (this.#matcher.match(condition.pattern, fact, bindings).isMatch) ReteNetwork.#addSource(condition, parent, state, fact);
+      }
+      const child = this.#extend(compiled, condition, parent, state);
+      if (!child) return;
+      state.child = child;
+      yield child;
+      return;
+    }
+
+    for (const fact of candidates) {
+      const matchResult = this.#matcher.match(condition.pattern, fact, bindings);
+      if (!matchResult.isMatch) continue;
+
+      const currentBindings = matchResult.bindings;
+      if (!currentBindings[condition.alias]) currentBindings[condition.alias] = fact;
+      const varAlias = condition.alias.startsWith('?') ? condition.alias : `?${condition.alias}`;
+      if (!currentBindings[varAlias]) currentBindings[varAlias] = fact;
+
+      try {
+        if (!condition.guards.every(/** @param {*} guard */ guard => this.#evaluateGuard(guard, currentBindings, rule.id))) continue;
+      } catch (e) {
+        continue;
+      }
+      const consumed = new Set(consumedFactIds);
+      if (fact._id !== undefined) consumed.add(fact._id);
+      const child = { rule, bindings: currentBindings, consumedFactIds: consumed };
+      this.#parentOf.set(child, parent);
+      yield child;
+    }
+  }
+
+  /**
+   * Parses one `when` condition into a descriptor, using the same conventions as
+   * `#checkRule`: `{ alias: pattern }` objects (optionally `[patternObject, ...guards]`),
+   * `_.lacks(...)` and `_.from(...)` accumulators.
+   * @param {*} condition
+   * @param {string} ruleId
+   * @param {number} index
+   * @returns {ConditionDescriptor}
+   * @throws {TypeError} If the condition is not in a recognised shape.
+   */
+  static #compileCondition(condition, ruleId, index) {
+    const invalid = () => new TypeError(`ReteNetwork: Rule "${ruleId}" has an invalid condition at position ${index}.`);
+
+    if (condition && condition._isLacksCondition) {
+      const type = ReteNetwork.#firstKey(condition.pattern);
+      if (type === undefined) throw invalid();
+      const pattern = condition.pattern[type];
+      return { kind: 'lacks', type, pattern, fields: ReteNetwork.#patternFields(pattern) };
+    }
+    if (condition && condition._isAccumulator) {
+      const type = ReteNetwork.#firstKey(condition.from);
+      if (type === undefined) throw invalid();
+      const { accumulate, on, into, window } = condition;
+      const pattern = condition.from[type];
+      let fields = ReteNetwork.#patternFields(pattern);
+      if (fields && on !== undefined) fields = typeof on === 'string' ? fields.add(on) : null;
+      if (fields && window?.field !== undefined) fields.add(window.field);
+      return window
+        ? { kind: 'accumulate', type, pattern, accumulate, on, into, window, fields }
+        : { kind: 'accumulate', type, pattern, accumulate, on, into, fields };
+    }
+
+    const [patternObject, ...guards] = Array.isArray(condition) && typeof condition[0] === 'object'
+      ? condition
+      : [condition];
+    const alias = ReteNetwork.#firstKey(patternObject);
+    if (alias === undefined) throw invalid();
+    const pattern = patternObject[alias];
+    const type = typeof pattern?.type === 'string' ? pattern.type : (alias.startsWith('?') ? null : alias);
+    const fields = ReteNetwork.#patternFields(pattern);
+    const aliases = ReteNetwork.#aliasesOf(alias);
+    const guardsReadWholeFact = fields && !guards.every(guard => ReteNetwork.#collectGuardFields(guard, aliases, fields));
+    return { kind: 'pattern', alias, type, pattern, guards, fields: guardsReadWholeFact ? null : fields };
+  }
+
+  /**
+   * Returns the set of fields a pattern reads (its keys), or null when it cannot be
+   * determined (e.g., the pattern is a predicate on the whole fact).
+   * @param {*} pattern
+   * @returns {Set<string>|null}
+   */
+  static #patternFields(pattern) {
+    return pattern && typeof pattern === 'object' && !Array.isArray(pattern) ? new Set(Object.keys(pattern)) : null;
+  }
+
+  /**
+   * Returns the variables a pattern binds or tests in its own fields (e.g., `'?cid'` in `{ id: '?cid' }`).
+   * @param {*} pattern
+   * @returns {Array<string>}
+   */
+  static #fieldVariables(pattern) {
+    if (!pattern || typeof pattern !== 'object' || Array.isArray(pattern)) return [];
+    return Object.values(pattern).filter(value => typeof value === 'string' && value.startsWith('?'));
+  }
+
+  /**
+   * Returns the first field of a pattern constrained by one of the variables bound before it, which
+   * joins its facts with the partial matches (see `ConditionDescriptor`).
+   * @param {*} pattern
+   * @param {Set<string>} bound - The variables bound by the earlier patterns.
+   * @returns {{field: string, variable: string} | undefined}
+   */
+  static #joinOf(pattern, bound) {
+    if (!pattern || typeof pattern !== 'object' || Array.isArray(pattern)) return undefined;
+    const entry = Object.entries(pattern).find(([, value]) => typeof value === 'string' && bound.has(value));
+    return entry && { field: entry[0], variable: entry[1] };
+  }
+
+  /**
+   * Returns the names guards can refer to the fact of a pattern by: its alias, with and without `?`.
+   * @param {string} alias
+   * @returns {Set<string>}
+   */
+  static #aliasesOf(alias) {
+    return new Set([alias, alias.startsWith('?') ? alias : `?${alias}`]);
+  }
+
+  /**
+   * Adds the fields of the fact alias an inline guard reads through `path`/`pathOr` to `fields`.
+   * @param {*} expression
+   * @param {Set<string>} aliases
+   * @param {Set<string>} fields
+   * @returns {boolean} False if the guard uses the aliased fact in another way, so any field may matter.
+   */
+  static #collectGuardFields(expression, aliases, fields) {
+    if (aliases.has(expression)) return false;
+    if (!Array.isArray(expression)) return true;
+    const [op, ...args] = expression;
+    const targetIndex = op === 'pathOr' ? 1 : 0;
+    if ((op === 'path' || op === 'pathOr') && aliases.has(args[targetIndex])) {
+      const field = args[targetIndex + 1];
+      if (typeof field !== 'string') return false;
+      fields.add(field);
+      return args.slice(0, targetIndex).every(arg => ReteNetwork.#collectGuardFields(arg, aliases, fields));
+    }
+    return args.every(arg => ReteNetwork.#collectGuardFields(arg, aliases, fields));
+  }
+
+  /**
+   * Returns the first own key of a plain object, or undefined.
+   * @param {*} value
+   * @returns {string|undefined}
+   */
+  static #firstKey(value) {
+    return value && typeof value === 'object' && !Array.isArray(value) ? Object.keys(value)[0] : undefined;
+  }
+
+  /**
+   * Returns the shared alpha node for a condition (creating and populating it from the
+   * fact source if needed) and registers the rule position as one of its successors.
+   * @param {ConditionDescriptor} descriptor
+   * @param {CompiledRule} compiled
+   * @param {number} index
+   * @returns {AlphaNode}
+   */
+  #attachAlphaNode(descriptor, compiled, index) {
+    const key = `${descriptor.type}|${this.#patternKey(descriptor.pattern)}`;
+    let node = this.#alphaNodes.get(key);
+    if (!node) {
+      const types = descriptor.type === null ? (patternTypes(descriptor.pattern) ?? [null]) : [descriptor.type];
+      node = {
+        key, type: descriptor.type, types, pattern: descriptor.pattern, fields: ReteNetwork.#patternFields(descriptor.pattern), memory: new Map(), indexes: new Map(), successors: [],
+      };
+      this.#alphaNodes.set(key, node);
+      for (const type of types) {
+        const sameType = this.#alphaNodesByType.get(type);
+        if (sameType) sameType.add(node);
+        else this.#alphaNodesByType.set(type, new Set([node]));
+
+        for (const entry of Array.from(this.#factSource(type) || [])) {
+          const fact = entry && typeof entry.fact === 'object' && entry.fact !== null ? entry.fact : entry;
+          if (!fact || typeof fact !== 'object') continue;
+          if (this.#matcher.match(node.pattern, fact, {}).isMatch) ReteNetwork.#remember(node, fact);
+        }
+      }
+    }
+    const field = descriptor.join?.field;
+    if (field !== undefined && !node.indexes.has(field)) {
+      /** @type {AlphaIndex} */
+      const alphaIndex = { buckets: new Map(), values: new Map() };
+      for (const fact of node.memory.values()) ReteNetwork.#indexFact(alphaIndex, field, fact);
+      node.indexes.set(field, alphaIndex);
+    }
+    node.successors.push({ compiled, index });
+    return node;
+  }
+
+  /**
+   * Returns the alpha nodes a fact may enter: those of its type and those of type-agnostic patterns.
+   * @param {*} fact
+   * @returns {Iterable<AlphaNode>|undefined}
+   */
+  #nodesFor(fact) {
+    if (!fact || typeof fact !== 'object') return undefined;
+    const typed = this.#alphaNodesByType.get(fact.type);
+    const untyped = this.#alphaNodesByType.get(null);
+    if (!untyped) return typed;
+    return typed ? [...typed, ...untyped] : untyped;
+  }
+
+  /**
+   * Serializes a pattern into a stable key so structurally identical patterns share an alpha node.
+   * Predicates and symbols are keyed by identity, since they cannot be compared structurally.
+   * @param {*} value
+   * @returns {string}
+   */
+  #patternKey(value) {
+    if (typeof value === 'function') {
+      if (!this.#functionIds.has(value)) this.#functionIds.set(value, ++this.#identityCounter);
+      return `fn#${this.#functionIds.get(value)}`;
+    }
+    if (typeof value === 'symbol') {
+      if (!this.#symbolIds.has(value)) this.#symbolIds.set(value, ++this.#identityCounter);
+      return `sym#${this.#symbolIds.get(value)}`;
+    }
+    if (Array.isArray(value)) {
+      return `[${value.map(item => this.#patternKey(item)).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+      return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${this.#patternKey(value[k])}`).join(',')}}`;
+    }
+    return typeof value === 'string' ? JSON.stringify(value) : `${typeof value}:${String(value)}`;
+  }
+
+  /**
+   * Serializes an accumulated value, to tell whether it changed.
+   * @param {*} value
+   * @returns {string}
+   */
+  static #valueKey(value) {
+    try {
+      return String(JSON.stringify(value));
+    } catch (e) {
+      return String(value);
+    }
+  }
+}
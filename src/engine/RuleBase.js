@@ -0,0 +1,203 @@
+/**
+ * @file Defines the RuleBase class, which holds the rule and query definitions, templates and
+ * compiled rule conditions shared by many lightweight engine sessions.
+ * @module engine/RuleBase
+ */
+
+import { ReteNetwork } from './ReteNetwork.js';
+import { Session } from './Session.js';
+import { FactStorage } from '../components/FactStorage.js';
+import { Agenda } from '../components/Agenda.js';
+import { AdvancedMatcher } from '../strategies/AdvancedMatcher.js';
+import { SalienceConflictResolver } from '../strategies/SalienceConflictResolver.js';
+import { accumulators as defaultAccumulators } from '../strategies/Accumulators.js';
+import { createTemplate } from '../dsl/templates.js';
+
+/** @typedef {import('./ReteNetwork.js').ConditionDescriptor} ConditionDescriptor */
+
+/**
+ * A rule base: the definitions, templates and compiled rule conditions of an application,
+ * shared by any number of sessions. Each session (see `newSession()`) has its own working memory,
+ * agenda, conflict set and Truth Maintenance data, so serving many independent customers only
+ * requires defining and compiling the rules once.
+ *
+ * Definitions added to or retracted from the rule base reach every live session. A session may
+ * also add or retract definitions of its own, which only affect that session.
+ * @export
+ * @class RuleBase
+ * @example
+ * const ruleBase = new RuleBase();
+ * ruleBase.addDefinition(Rule('Welcome').when({ user: { name: '?n' } }).then(greet).build());
+ * const session = ruleBase.newSession();
+ * session.assertFact({ type: 'user', name: 'Alice' });
+ * await session.fireAll();
+ * session.dispose();
+ */
+export class RuleBase {
+  /**
+   * The rule and query definitions, keyed by their ID.
+   * @type {Map<string, object>}
+   */
+  #definitions = new Map();
+  /**
+   * The compiled conditions of each rule definition, keyed by rule ID.
+   * @type {Map<string, Array<ConditionDescriptor>>}
+   */
+  #compiled = new Map();
+  /**
+   * Templates defined on this rule base, keyed by name.
+   * @type {Map<string, {name: string, schema: object, timestamp?: string, duration?: string}>}
+   */
+  #templates = new Map();
+  /**
+   * The live sessions, which receive definition changes.
+   * @type {Set<Session>}
+   */
+  #sessions = new Set();
+  /** @type {AdvancedMatcher} */
+  #matcher;
+  /** @type {SalienceConflictResolver} */
+  #resolver;
+  /** @type {object} */
+  #accumulators;
+
+  /**
+   * Creates a new, empty rule base.
+   * @param {object} [options] - The stateless strategies shared by the sessions.
+   * @param {AdvancedMatcher} [options.matcher] - The pattern matcher. Defaults to a new `AdvancedMatcher`.
+   * @param {SalienceConflictResolver} [options.resolver] - The conflict resolver. Defaults to a new `SalienceConflictResolver`.
+   * @param {object} [options.accumulators] - Accumulator functions. Defaults to the built-in `accumulators`.
+   */
+  constructor({ matcher = new AdvancedMatcher(), resolver = new SalienceConflictResolver(), accumulators = defaultAccumulators } = {}) {
+    this.#matcher = matcher;
+    this.#resolver = resolver;
+    this.#accumulators = accumulators;
+  }
+
+  /**
+   * The number of live sessions.
+   * @returns {number}
+   */
+  get sessionCount() {
+    return this.#sessions.size;
+  }
+
+  /**
+   * Adds (or replaces) a rule or query definition and propagates it to every live session.
+   * A rule's conditions are compiled once here and reused by the sessions.
+   * @param {Object<string, *>} definition - The definition, typically from `Rule().build()` or `Query().build()`.
+   * @throws {TypeError} If the definition has no non-empty string `id` or a rule condition cannot be compiled.
+   */
+  addDefinition(definition) {
+    if (!definition || typeof definition.id !== 'string' || definition.id.trim() === '') {
+      throw new TypeError("RuleBase: Definition must be an object with a non-empty string 'id'.");
+    }
+    if (definition.type === 'query') {
+      this.#compiled.delete(definition.id);
+    } else {
+      this.#compiled.set(definition.id, ReteNetwork.compile(definition));
+    }
+    this.#definitions.set(definition.id, definition);
+    for (const session of this.#sessions) session.addDefinition(definition);
+  }
+
+  /**
+   * Retracts a definition and removes it from every live session that still has it.
+   * @param {string} definitionId
+   * @param {object} [options={}] - Passed to each session's `retractDefinition`.
+   * @param {boolean} [options.retractLogicalFacts=false] - Whether sessions retract the rule's logical facts.
+   * @returns {boolean} True if the definition was found and retracted.
+   */
+  retractDefinition(definitionId, options = {}) {
+    if (!this.#definitions.delete(definitionId)) return false;
+    this.#compiled.delete(definitionId);
+    for (const session of this.#sessions) {
+      if (session.hasDefinition(definitionId)) session.retractDefinition(definitionId, options);
+    }
+    return true;
+  }
+
+  /**
+   * Returns a definition by ID.
+   * @param {string} definitionId
+   * @returns {object | undefined}
+   */
+  getDefinition(definitionId) {
+    return this.#definitions.get(definitionId);
+  }
+
+  /**
+   * Returns all definitions, in the order they were added.
+   * @returns {Array<object>}
+   */
+  getDefinitions() {
+    return [...this.#definitions.values()];
+  }
+
+  /**
+   * Returns the compiled conditions of a rule definition held by this rule base.
+   * @param {Object<string, *>} definition
+   * @returns {Array<ConditionDescriptor> | undefined} The compiled conditions, or undefined if the definition is not
+   * the one this rule base holds under its ID (e.g., a session-local rule).
+   */
+  getCompiledConditions(definition) {
+    return this.#definitions.get(definition?.id) === definition ? this.#compiled.get(definition.id) : undefined;
+  }
+
+  /**
+   * Defines a fact template for the sessions of this rule base. It takes precedence over a global
+   * `deftemplate` of the same name.
+   * @param {string} name - The template name (the `type` of its facts).
+   * @param {object} [schema={}] - The schema, as described for `deftemplate`.
+   * @param {object} [options={}] - The event, lifetime and identity options (`timestamp`, `duration`, `expires`, `key`),
+   * as described for `deftemplate`.
+   * @returns {{name: string, schema: object, create: function(object): object}} The template object.
+   * @throws {Error} If the template name, schema or options are invalid.
+   */
+  deftemplate(name, schema = {}, options = {}) {
+    const template = createTemplate(name, schema, options);
+    const { create, ...definition } = template;
+    this.#templates.set(name, definition);
+    return template;
+  }
+
+  /**
+   * Returns a template defined on this rule base.
+   * @param {string} name
+   * @returns {{name: string, schema: object, timestamp?: string, duration?: string, expires?: number, key?: Array<string>} | undefined}
+   */
+  getTemplate(name) {
+    return this.#templates.get(name);
+  }
+
+  /**
+   * Creates a session: an engine with its own working memory, agenda and Truth Maintenance data
+   * that uses this rule base's definitions and templates and follows later changes to them.
+   * Call `session.dispose()` once the session is no longer needed.
+   * @param {object} [dependencies] - Per-session components.
+   * @param {'identity'|'equality'} [dependencies.factEquality='identity'] - The duplicate check of the default
+   * fact storage (see `FactStorage`); ignored if `factStorage` is given.
+   * @param {FactStorage} [dependencies.factStorage] - Defaults to a new `FactStorage`.
+   * @param {Agenda} [dependencies.agenda] - Defaults to a new `Agenda`.
+   * @param {{now: function(): number}} [dependencies.clock] - Defaults to a `SystemClock`.
+   * @param {boolean} [dependencies.autoIndex=false] - Whether the session indexes the fact fields its queries
+   * constrain (see `LeapEngine`).
+   * @returns {Session}
+   */
+  newSession({ factEquality, factStorage = new FactStorage({ factEquality }), agenda = new Agenda(), clock, autoIndex } = {}) {
+    const session = new Session({
+      factStorage, agenda, matcher: this.#matcher, resolver: this.#resolver, accumulators: this.#accumulators, ruleBase: this, clock, autoIndex,
+    });
+    this.#sessions.add(session);
+    return session;
+  }
+
+  /**
+   * Stops propagating definition changes to a session. Called by `session.dispose()`.
+   * @param {Session} session
+   * @returns {boolean} True if the session was live.
+   */
+  releaseSession(session) {
+    return this.#sessions.delete(session);
+  }
+}
@@ -0,0 +1,60 @@
+/**
+ * @file Defines the Session class, an engine whose definitions come from a shared RuleBase.
+ * @module engine/Session
+ */
+
+import { LeapEngine } from './LeapEngine.js';
+
+/** @typedef {import('./RuleBase.js').RuleBase} RuleBase */
+
+/**
+ * A lightweight engine session created by `RuleBase#newSession()`. It has its own working memory,
+ * agenda, conflict set and Truth Maintenance data, and supports the full `LeapEngine` API.
+ * Definitions added to or retracted from its rule base are applied to the session as well;
+ * definitions added through the session itself stay local to it.
+ * @export
+ * @class Session
+ * @extends LeapEngine
+ */
+export class Session extends LeapEngine {
+  /** @type {RuleBase} */
+  #ruleBase;
+  /** @type {boolean} */
+  #disposed = false;
+
+  /**
+   * Creates a session. Use `ruleBase.newSession()` instead, which registers the session with its rule base.
+   * @param {ConstructorParameters<typeof LeapEngine>[0] & {ruleBase: RuleBase}} dependencies - The `LeapEngine`
+   * dependencies, including the `ruleBase`.
+   */
+  constructor(dependencies) {
+    super(dependencies);
+    this.#ruleBase = dependencies.ruleBase;
+  }
+
+  /**
+   * The rule base this session belongs to.
+   * @returns {RuleBase}
+   */
+  get ruleBase() {
+    return this.#ruleBase;
+  }
+
+  /**
+   * Whether the session has been disposed.
+   * @returns {boolean}
+   */
+  get disposed() {
+    return this.#disposed;
+  }
+
+  /**
+   * Detaches the session from its rule base, so it no longer receives definition changes and can
+   * be garbage collected. Its working memory is left as is.
+   */
+  dispose() {
+    if (this.#disposed) return;
+    this.#disposed = true;
+    this.#ruleBase.releaseSession(this);
+  }
+}
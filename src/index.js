@@ -5,6 +5,8 @@
  *
  * @module Clarus
  * @exports LeapEngine
+ * @exports RuleBase
+ * @exports Session
  * @exports Rule
  * @exports Query
  * @exports deftemplate // Note: deftemplate, getTemplate, clearAllTemplates are all exported
@@ -12,6 +14,10 @@
  * @exports ANY
  * @exports FactStorage
  * @exports Agenda
+ * @exports ConflictSet
+ * @exports Transaction
+ * @exports SystemClock
+ * @exports PseudoClock
  * @exports AdvancedMatcher
  * @exports SalienceConflictResolver
  * @exports accumulators
@@ -27,6 +33,19 @@
  */
 export { LeapEngine } from './engine/LeapEngine.js';
 
+/**
+ * Holds definitions, templates and compiled rule conditions shared by many sessions.
+ * @see {@link ./engine/RuleBase.js} for detailed documentation.
+ * @example const session = ruleBase.newSession();
+ */
+export { RuleBase } from './engine/RuleBase.js';
+
+/**
+ * A lightweight engine with its own working memory, created by `RuleBase#newSession()`.
+ * @see {@link ./engine/Session.js} for detailed documentation.
+ */
+export { Session } from './engine/Session.js';
+
 // --- DSL Builders & Helpers ---
 /**
  * Fluent builder for creating rule definitions.
@@ -70,6 +89,25 @@ export { FactStorage } from './components/FactStorage.js';
  */
 export { Agenda } from './components/Agenda.js';
 
+/**
+ * Holds the pending rule activations, drained by the engine in conflict-resolution order.
+ * @see {@link ./components/ConflictSet.js} for detailed documentation.
+ */
+export { ConflictSet } from './components/ConflictSet.js';
+
+/**
+ * Buffers working-memory changes made in a transaction until the engine commits or discards them.
+ * @see {@link ./components/Transaction.js} for detailed documentation.
+ */
+export { Transaction } from './components/Transaction.js';
+
+/**
+ * Clocks for the engine's notion of time: `SystemClock` (the default) and `PseudoClock`, which
+ * only moves when advanced, for deterministic tests.
+ * @see {@link ./components/Clock.js} for detailed documentation.
+ */
+export { SystemClock, PseudoClock } from './components/Clock.js';
+
 // --- Strategies (Exposed for advanced use or custom implementations) ---
 /**
  * Performs advanced pattern matching of rule conditions against facts.
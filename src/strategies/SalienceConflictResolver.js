@@ -67,4 +67,26 @@ export class SalienceConflictResolver {
     // More complex tie-breaking (e.g., rule complexity, recency of facts) could be added here if needed.
     return groupedBySalience[highestSalience][0];
   }
+
+  /**
+   * Orders two activations the way `resolve` picks between them: the one with the higher salience fires
+   * first, and activations of equal salience are left in their current order (`0`). The engine's conflict
+   * set uses it to keep pending activations ordered, rather than resolving the whole set on every firing.
+   *
+   * @param {{rule: {salience?: number}}} a
+   * @param {{rule: {salience?: number}}} b
+   * @returns {number} Negative if `a` fires first, positive if `b` does, `0` if their saliences are equal.
+   */
+  compare(a, b) {
+    return SalienceConflictResolver.#salience(b) - SalienceConflictResolver.#salience(a);
+  }
+
+  /**
+   * Returns the salience of an activation's rule, `0` if it has none.
+   * @param {{rule: {salience?: number}}} activation
+   * @returns {number}
+   */
+  static #salience(activation) {
+    return typeof activation.rule.salience === 'number' ? activation.rule.salience : 0;
+  }
 }
@@ -0,0 +1,157 @@
+/**
+ * @file Parses standard five-field cron expressions and computes their next occurrence,
+ * for rules scheduled with `Rule(id).cron(...)`.
+ * @module utils/cron
+ */
+
+/**
+ * A parsed cron expression: the values each field allows, and whether the day fields are unrestricted.
+ * @typedef {{expression: string, minutes: Set<number>, hours: Set<number>, daysOfMonth: Set<number>, months: Set<number>,
+ * daysOfWeek: Set<number>, anyDayOfMonth: boolean, anyDayOfWeek: boolean}} CronSchedule
+ */
+
+/**
+ * A field of a cron expression.
+ * @typedef {{name: string, min: number, max: number, names?: Array<string>}} CronField
+ */
+
+/**
+ * The fields of a cron expression, in order.
+ * @private
+ * @type {Array<CronField>}
+ */
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] },
+];
+
+/**
+ * Shorthands for common schedules.
+ * @private
+ * @type {Object<string, string>}
+ */
+const ALIASES = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *',
+};
+
+/**
+ * How far ahead `nextCronTime` searches before concluding that a schedule never occurs (e.g., `0 0 30 2 *`).
+ * @private
+ * @type {number}
+ */
+const SEARCH_YEARS = 8;
+
+/**
+ * Parses a cron expression: `minute hour day-of-month month day-of-week`, where each field is `*`,
+ * a value, a range (`1-5`), a step (`*\/15`, `0-30/10`) or a comma-separated list of those. Months and
+ * days of the week may be given by their three-letter English names; Sunday is `0` or `7`. As in classic
+ * cron, when both the day of the month and the day of the week are restricted, a day matching either
+ * qualifies. The shorthands `@yearly`, `@monthly`, `@weekly`, `@daily` and `@hourly` are also accepted.
+ * @param {string} expression
+ * @returns {CronSchedule} The parsed schedule.
+ * @throws {TypeError} If the expression is invalid.
+ * @example parseCron('0 2 * * *') // every day at 02:00
+ */
+export function parseCron(expression) {
+  /** @param {string} reason */
+  const invalid = (reason) => new TypeError(`Invalid cron expression ${JSON.stringify(expression)}: ${reason}.`);
+  if (typeof expression !== 'string') throw invalid('expected a string');
+  const text = ALIASES[expression.trim().toLowerCase()] ?? expression.trim();
+  const parts = text.split(/\s+/);
+  if (parts.length !== FIELDS.length) throw invalid(`expected ${FIELDS.length} fields`);
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, index) => parseField(part, FIELDS[index], invalid));
+  if (daysOfWeek.delete(7)) daysOfWeek.add(0);
+  return {
+    expression,
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    anyDayOfMonth: parts[2] === '*',
+    anyDayOfWeek: parts[4] === '*',
+  };
+}
+
+/**
+ * Returns the first time after `after` at which a schedule fires, in local time.
+ * @param {CronSchedule} schedule - A schedule returned by `parseCron`.
+ * @param {number} after - Epoch milliseconds; the result is strictly later.
+ * @returns {number} Epoch milliseconds, or `Infinity` if the schedule never fires.
+ */
+export function nextCronTime(schedule, after) {
+  const date = new Date(after);
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+  const limit = new Date(date).setFullYear(date.getFullYear() + SEARCH_YEARS);
+
+  while (date.getTime() <= limit) {
+    if (!schedule.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!matchesDay(schedule, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!schedule.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+    } else if (!schedule.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+    } else {
+      return date.getTime();
+    }
+  }
+  return Infinity;
+}
+
+/**
+ * @private Checks the day-of-month and day-of-week fields of a schedule against a date.
+ * @param {CronSchedule} schedule
+ * @param {Date} date
+ * @returns {boolean}
+ */
+function matchesDay(schedule, date) {
+  const dayOfMonth = schedule.daysOfMonth.has(date.getDate());
+  const dayOfWeek = schedule.daysOfWeek.has(date.getDay());
+  if (schedule.anyDayOfMonth || schedule.anyDayOfWeek) return dayOfMonth && dayOfWeek;
+  return dayOfMonth || dayOfWeek;
+}
+
+/**
+ * @private Parses one field of a cron expression into the set of values it allows.
+ * @param {string} part - The text of the field.
+ * @param {CronField} field
+ * @param {function(string): TypeError} invalid - Creates the error for an invalid expression.
+ * @returns {Set<number>}
+ */
+function parseField(part, field, invalid) {
+  /** @param {string} token */
+  const toValue = (token) => {
+    const nameIndex = field.names ? field.names.indexOf(token.toLowerCase()) : -1;
+    const value = nameIndex !== -1 ? nameIndex + (field.min === 1 ? 1 : 0) : (/^\d+$/.test(token) ? Number(token) : NaN);
+    if (!(value >= field.min && value <= field.max)) throw invalid(`${field.name} '${token}' is out of range`);
+    return value;
+  };
+
+  const values = new Set();
+  for (const item of part.split(',')) {
+    const match = /^(?:(\*)|([a-z\d]+)(?:-([a-z\d]+))?)(?:\/(\d+))?$/i.exec(item);
+    if (!match) throw invalid(`cannot read ${field.name} '${item}'`);
+    const [, star, startToken, endToken, stepToken] = match;
+    const start = star ? field.min : toValue(startToken);
+    const end = star || (endToken === undefined && stepToken !== undefined) ? field.max : toValue(endToken ?? startToken);
+    const step = stepToken === undefined ? 1 : Number(stepToken);
+    if (start > end || step < 1) throw invalid(`invalid ${field.name} range '${item}'`);
+    for (let value = start; value <= end; value += step) values.add(value);
+  }
+  return values;
+}
@@ -0,0 +1,112 @@
+/**
+ * @file Helpers for comparing facts by content rather than by identity, used by truth maintenance
+ * to recognize logically asserted facts that are equal and by `FactStorage` to index facts by content and key,
+ * for finding the fact types a pattern applies to, and for checking the goals rules and queries derive.
+ * @module utils/facts
+ */
+
+/**
+ * Returns the fact types a type-agnostic pattern (one without a string `type`, such as
+ * `{ '?doc': { status: 'overdue' } }`) is limited to by a `type: _.anyOf('order', 'invoice')` field.
+ * @param {*} pattern - The field patterns.
+ * @returns {Array<string> | null} The type names, or null if the pattern may match facts of any type.
+ * @example
+ * patternTypes({ type: _.anyOf('order', 'invoice'), status: 'overdue' }) // ['order', 'invoice']
+ */
+export function patternTypes(pattern) {
+  const values = typeof pattern?.type === 'function' ? pattern.type.values : undefined;
+  return Array.isArray(values) && values.every(value => typeof value === 'string') ? [...values] : null;
+}
+
+/**
+ * Checks a goal declared with `derives()` for backward chaining: it must be a pattern for a single fact type
+ * whose fields hold values or variables, not predicates.
+ * @param {*} goal
+ * @throws {TypeError} If the goal is not such a pattern.
+ * @example
+ * validateGoal({ eligible: { customerId: '?c' } }); // passes
+ * validateGoal({ eligible: { score: _.gt(5) } });   // throws
+ */
+export function validateGoal(goal) {
+  const types = goal && typeof goal === 'object' && !Array.isArray(goal) ? Object.keys(goal) : [];
+  const pattern = goal?.[types[0]];
+  if (types.length !== 1 || !pattern || typeof pattern !== 'object' || Array.isArray(pattern)
+    || Object.values(pattern).some(value => typeof value === 'function')) {
+    throw new TypeError('goal must be { type: { field: valueOrVariable } }.');
+  }
+}
+
+/**
+ * Computes a key that is equal for two facts exactly when they have the same type and field values,
+ * compared structurally (nested objects and arrays by content, `Map`s and `Set`s by their entries in any
+ * order, `Date`s by time, object keys in any order). The engine-assigned `_id` and fields whose value is
+ * `undefined` are ignored.
+ * @param {Object<string, *>} fact
+ * @returns {string | null} The key, or null if the fact contains a cycle: such a fact is only equal to itself.
+ * @example
+ * factContentKey({ type: 'flag', userId: 'u1', _id: 3 }) === factContentKey({ userId: 'u1', type: 'flag' }) // true
+ */
+export function factContentKey(fact) {
+  const { _id, ...content } = fact;
+  return canonicalOrNull(content);
+}
+
+/**
+ * Computes a key that is equal for two lists of values exactly when the values are structurally equal
+ * (compared as in `factContentKey`), e.g., for indexing facts by the fields of their natural key.
+ * @param {Array<*>} values
+ * @returns {string | null} The key, or null if the values contain a cycle.
+ * @example
+ * naturalKey(['o-1']) === naturalKey(['o-1']) // true
+ */
+export function naturalKey(values) {
+  return canonicalOrNull(values);
+}
+
+/** @private Thrown by `canonical` for values that contain themselves. */
+const CYCLE = Symbol('cycle');
+
+/**
+ * @private Serializes a value with `canonical`, or returns null if it contains a cycle.
+ * @param {*} value
+ * @returns {string | null}
+ */
+function canonicalOrNull(value) {
+  try {
+    return canonical(value, new Set());
+  } catch (e) {
+    if (e === CYCLE) return null;
+    throw e;
+  }
+}
+
+/**
+ * @private Serializes a value so that structurally equal values give the same string.
+ * @param {*} value
+ * @param {Set<object>} ancestors - The objects being serialized around the value, to detect cycles.
+ * @returns {string}
+ */
+function canonical(value, ancestors) {
+  if (typeof value === 'string') return JSON.stringify(value);
+  if (value === null || typeof value !== 'object') return `${typeof value}:${String(value)}`;
+  if (value instanceof Date) return `date:${value.getTime()}`;
+  if (ancestors.has(value)) throw CYCLE;
+  ancestors.add(value);
+  let serialized;
+  if (Array.isArray(value)) {
+    serialized = `[${value.map(item => canonical(item, ancestors)).join(',')}]`;
+  } else if (value instanceof Map) {
+    const entries = [...value].map(([key, item]) => `${canonical(key, ancestors)}=>${canonical(item, ancestors)}`);
+    serialized = `map{${entries.sort().join(',')}}`;
+  } else if (value instanceof Set) {
+    serialized = `set{${[...value].map(item => canonical(item, ancestors)).sort().join(',')}}`;
+  } else {
+    const fields = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonical(value[key], ancestors)}`);
+    serialized = `{${fields.join(',')}}`;
+  }
+  ancestors.delete(value);
+  return serialized;
+}
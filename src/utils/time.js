@@ -0,0 +1,144 @@
+/**
+ * @file Time helpers used by the engine's temporal features: parsing durations such as `'10m'`,
+ * reading timestamps from facts and selecting the facts inside an accumulator window.
+ * @module utils/time
+ */
+
+/**
+ * Milliseconds per duration unit.
+ * @private
+ * @type {Object<string, number>}
+ */
+const UNIT_MS = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+/**
+ * Parses a duration into milliseconds.
+ * @param {number|string} value - A non-negative number of milliseconds, or a string made of one or more
+ * `<number><unit>` parts with the units `ms`, `s`, `m`, `h` and `d` (e.g., `'500ms'`, `'10m'`, `'1h30m'`).
+ * @returns {number} The duration in milliseconds.
+ * @throws {TypeError} If the value is not a valid duration.
+ * @example parseDuration('1m30s') // 90000
+ */
+export function parseDuration(value) {
+  if (typeof value === 'number') {
+    if (Number.isFinite(value) && value >= 0) return value;
+  } else if (typeof value === 'string' && /^(\s*\d+(\.\d+)?\s*(ms|s|m|h|d)\s*)+$/.test(value)) {
+    let total = 0;
+    for (const [, amount, , unit] of value.matchAll(/(\d+(\.\d+)?)\s*(ms|s|m|h|d)/g)) {
+      total += Number(amount) * UNIT_MS[unit];
+    }
+    return total;
+  }
+  throw new TypeError(`Invalid duration: ${JSON.stringify(value)}. Use milliseconds or a string such as '30s', '10m' or '1h30m'.`);
+}
+
+/**
+ * Converts a timestamp value to epoch milliseconds.
+ * @param {number|string|Date} value - Epoch milliseconds, a `Date`, or a date string `Date.parse` understands.
+ * @returns {number | undefined} The timestamp, or undefined if the value is not a valid point in time.
+ */
+export function toTimestamp(value) {
+  let time;
+  if (typeof value === 'number') time = value;
+  else if (value instanceof Date) time = value.getTime();
+  else if (typeof value === 'string' && value.trim() !== '') time = Date.parse(value);
+  return Number.isFinite(time) ? time : undefined;
+}
+
+/**
+ * Selects the facts inside an accumulator window (see `_.from(...).window(...)`).
+ * A fact's time is its `window.field` value, or its event time when the window has no field;
+ * facts without a valid time are outside every window. A `time` window keeps the facts whose time is
+ * within the last `time` milliseconds (`now - time < t`); a `length` window keeps the `length` most
+ * recent facts, ties broken by fact id. When both are given, both apply.
+ * @param {Iterable<Object<string, *>>} facts - The candidate facts.
+ * @param {{time?: number, length?: number, field?: string}} window - The normalized window.
+ * @param {object} context
+ * @param {number} context.now - The current time, in epoch milliseconds.
+ * @param {function(object): (number|undefined)} context.eventTime - Returns the time of a fact, for windows without a field.
+ * @returns {{facts: Array<Object<string, *>>, expiresAt: number}} The facts in the window, and the time at which
+ * the first of them leaves a time window (`Infinity` if none will).
+ */
+export function selectWindow(facts, window, { now, eventTime }) {
+  let timed = [];
+  for (const fact of facts) {
+    const time = window.field === undefined ? eventTime(fact) : toTimestamp(fact[window.field]);
+    if (time === undefined) continue;
+    if (window.time !== undefined && time <= now - window.time) continue;
+    timed.push({ fact, time });
+  }
+  if (window.length !== undefined && timed.length > window.length) {
+    const recent = new Set([...timed]
+      .sort((a, b) => (b.time - a.time) || ((b.fact._id ?? 0) - (a.fact._id ?? 0)))
+      .slice(0, window.length));
+    timed = timed.filter(entry => recent.has(entry));
+  }
+  let expiresAt = Infinity;
+  if (window.time !== undefined) {
+    for (const { time } of timed) expiresAt = Math.min(expiresAt, time + window.time);
+  }
+  return { facts: timed.map(({ fact }) => fact), expiresAt };
+}
+
+/**
+ * The temporal relations between events available as `_.guard` operators (after Allen's interval
+ * algebra), with the number of optional tolerance arguments each accepts.
+ * @type {Object<string, number>}
+ */
+export const TEMPORAL_RELATIONS = Object.freeze({
+  before: 2, after: 2, meets: 1, during: 2, overlaps: 2, coincides: 2,
+});
+
+/**
+ * Checks whether a temporal relation holds between two events. Point events have `start === end`.
+ * Tolerances are durations (see `parseDuration`, a leading `-` is allowed):
+ * - `before` / `after` `[min = 1ms, max = ∞]`: `b` starts `min`..`max` after `a` ends / `a` starts `min`..`max` after `b` ends.
+ * - `meets` `[tolerance = 0]`: `b` starts within `tolerance` of the end of `a`.
+ * - `during` `[min = 1ms, max = ∞]`: `a` starts `min`..`max` after `b` starts and ends `min`..`max` before `b` ends.
+ * - `overlaps` `[min = 1ms, max = ∞]`: `a` starts first, `b` starts before `a` ends and ends after it,
+ *   and the overlap lasts `min`..`max`.
+ * - `coincides` `[startTolerance = 0, endTolerance = startTolerance]`: both events start and end at the same time.
+ * @param {string} relation - One of the `TEMPORAL_RELATIONS`.
+ * @param {{start: number, end: number}} a - The first event.
+ * @param {{start: number, end: number}} b - The second event.
+ * @param {Array<number|string>} [tolerances=[]]
+ * @returns {boolean}
+ * @throws {TypeError} If the relation is unknown or a tolerance is not a valid duration.
+ * @example holdsTemporalRelation('after', purchase, login, ['0s', '5m']) // purchase within 5 minutes after login
+ */
+export function holdsTemporalRelation(relation, a, b, tolerances = []) {
+  if (!Object.prototype.hasOwnProperty.call(TEMPORAL_RELATIONS, relation)) {
+    throw new TypeError(`Unknown temporal relation '${relation}'.`);
+  }
+  const [first, second] = tolerances.map(toleranceMs);
+  switch (relation) {
+    case 'before': return within(b.start - a.end, first, second);
+    case 'after': return within(a.start - b.end, first, second);
+    case 'meets': return Math.abs(b.start - a.end) <= (first ?? 0);
+    case 'during': return within(a.start - b.start, first, second) && within(b.end - a.end, first, second);
+    case 'overlaps': return a.start < b.start && b.start < a.end && a.end < b.end && within(a.end - b.start, first, second);
+    default: return Math.abs(a.start - b.start) <= (first ?? 0) && Math.abs(a.end - b.end) <= (second ?? first ?? 0);
+  }
+}
+
+/**
+ * @private Checks that a distance between two time points is within the bounds of a tolerance.
+ * @param {number} distance
+ * @param {number} [min=1]
+ * @param {number} [max=Infinity]
+ * @returns {boolean}
+ */
+function within(distance, min = 1, max = Infinity) {
+  return distance >= min && distance <= max;
+}
+
+/**
+ * @private Parses a temporal tolerance: a duration, optionally negative.
+ * @param {number|string} value
+ * @returns {number}
+ */
+function toleranceMs(value) {
+  if (typeof value === 'number' && Number.isFinite(value)) return value;
+  if (typeof value === 'string' && value.trim().startsWith('-')) return -parseDuration(value.trim().slice(1));
+  return parseDuration(value);
+}
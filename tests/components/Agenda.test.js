@@ -8,6 +8,19 @@ describe('Agenda', () => {
     agenda = new Agenda();
   });
 
+  test('exportState and importState should round-trip the pending tasks in order', () => {
+    agenda.push({ type: 'assert', fact: { _id: 1 } });
+    agenda.push({ type: 'retract', fact: { _id: 2 } });
+    const exported = agenda.exportState();
+    agenda.shift();
+
+    const other = new Agenda();
+    other.importState(exported);
+    expect(other.shift()).toEqual({ type: 'assert', fact: { _id: 1 } });
+    expect(other.shift()).toEqual({ type: 'retract', fact: { _id: 2 } });
+    expect(other.hasTasks).toBe(false);
+  });
+
   test('should initialize with no tasks', () => {
     expect(agenda.hasTasks).toBe(false);
     expect(agenda.shift()).toBeUndefined();
@@ -0,0 +1,35 @@
+import { SystemClock, PseudoClock } from '../../src/components/Clock';
+
+describe('Clock', () => {
+  describe('SystemClock', () => {
+    test('should report the system time', () => {
+      const spy = jest.spyOn(Date, 'now').mockReturnValue(123456);
+      expect(new SystemClock().now()).toBe(123456);
+      spy.mockRestore();
+    });
+  });
+
+  describe('PseudoClock', () => {
+    test('should start at the given time, or at 0', () => {
+      expect(new PseudoClock().now()).toBe(0);
+      expect(new PseudoClock(5000).now()).toBe(5000);
+      expect(new PseudoClock('1970-01-01T00:00:01.000Z').now()).toBe(1000);
+    });
+
+    test('advance should move the clock forward by a duration', () => {
+      const clock = new PseudoClock(1000);
+      expect(clock.advance(500)).toBe(1500);
+      expect(clock.advance('2h')).toBe(1500 + 7200000);
+      expect(clock.now()).toBe(7201500);
+      expect(() => clock.advance(-1)).toThrow(TypeError);
+    });
+
+    test('setTime should set the clock to any point in time', () => {
+      const clock = new PseudoClock(10000);
+      expect(clock.setTime(new Date(2000))).toBe(2000);
+      expect(clock.now()).toBe(2000);
+      expect(() => clock.setTime('not a date')).toThrow('PseudoClock: Invalid time "not a date".');
+      expect(clock.now()).toBe(2000);
+    });
+  });
+});
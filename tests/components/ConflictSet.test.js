@@ -0,0 +1,164 @@
+import { ConflictSet } from '../../src/components/ConflictSet';
+
+describe('ConflictSet', () => {
+  let conflictSet;
+  const activation = (ruleId, factIds = []) => ({ rule: { id: ruleId }, bindings: {}, consumedFactIds: new Set(factIds) });
+
+  beforeEach(() => {
+    conflictSet = new ConflictSet();
+  });
+
+  test('should initialize empty', () => {
+    expect(conflictSet.size).toBe(0);
+    expect([...conflictSet]).toEqual([]);
+  });
+
+  test('add should keep activations in insertion order and ignore duplicates', () => {
+    const a1 = activation('R1');
+    const a2 = activation('R2');
+    expect(conflictSet.add(a1)).toBe(true);
+    expect(conflictSet.add(a2)).toBe(true);
+    expect(conflictSet.add(a1)).toBe(false);
+    expect([...conflictSet.values()]).toEqual([a1, a2]);
+  });
+
+  test('remove should report whether the activation was pending', () => {
+    const a1 = activation('R1');
+    conflictSet.add(a1);
+    expect(conflictSet.has(a1)).toBe(true);
+    expect(conflictSet.remove(a1)).toBe(true);
+    expect(conflictSet.remove(a1)).toBe(false);
+    expect(conflictSet.has(a1)).toBe(false);
+  });
+
+  test('removeWhere should remove and return the matching activations', () => {
+    const a1 = activation('R1');
+    const a2 = activation('R2');
+    const a3 = activation('R1');
+    [a1, a2, a3].forEach(a => conflictSet.add(a));
+
+    expect(conflictSet.removeWhere(a => a.rule.id === 'R1')).toEqual([a1, a3]);
+    expect([...conflictSet]).toEqual([a2]);
+  });
+
+  test('clear should remove all activations', () => {
+    conflictSet.add(activation('R1'));
+    conflictSet.clear();
+    expect(conflictSet.size).toBe(0);
+  });
+
+  describe('ordering', () => {
+    const ranked = (ruleId, salience, group) => ({ rule: { id: ruleId, salience, group }, bindings: {}, consumedFactIds: new Set() });
+    const bySalience = (a, b) => b.rule.salience - a.rule.salience;
+
+    test('peek should return the first activation by compare, then by insertion', () => {
+      conflictSet = new ConflictSet({ compare: bySalience });
+      const low = ranked('low', 1);
+      const high1 = ranked('high1', 5);
+      const high2 = ranked('high2', 5);
+      [low, high1, high2].forEach(a => conflictSet.add(a));
+      expect(conflictSet.peek(undefined)).toBe(high1);
+      conflictSet.remove(high1);
+      expect(conflictSet.peek(undefined)).toBe(high2);
+      conflictSet.remove(high2);
+      expect(conflictSet.peek(undefined)).toBe(low);
+      conflictSet.remove(low);
+      expect(conflictSet.peek(undefined)).toBeNull();
+    });
+
+    test('peek should keep insertion order without a compare function', () => {
+      const a1 = ranked('R1', 1);
+      const a2 = ranked('R2', 9);
+      conflictSet.add(a1);
+      conflictSet.add(a2);
+      expect(conflictSet.peek(undefined)).toBe(a1);
+    });
+
+    test('should keep one ordered group per groupOf value', () => {
+      conflictSet = new ConflictSet({ compare: bySalience, groupOf: a => a.rule.group });
+      const a1 = ranked('A1', 1, 'a');
+      const b1 = ranked('B1', 7, 'b');
+      const a2 = ranked('A2', 3, 'a');
+      [a1, b1, a2].forEach(a => conflictSet.add(a));
+      expect(conflictSet.sizeOf('a')).toBe(2);
+      expect(conflictSet.sizeOf('b')).toBe(1);
+      expect(conflictSet.sizeOf('c')).toBe(0);
+      expect(conflictSet.peek('a')).toBe(a2);
+      expect([...conflictSet.valuesIn('a')]).toEqual([a1, a2]);
+      expect([...conflictSet.valuesIn('c')]).toEqual([]);
+    });
+
+    test('should stay ordered when activations are cancelled from the middle of a group', () => {
+      conflictSet = new ConflictSet({ compare: bySalience });
+      const activations = [5, 3, 8, 1, 9, 2, 7, 4, 6].map(salience => ranked(`R${salience}`, salience));
+      activations.forEach(a => conflictSet.add(a));
+      conflictSet.removeWhere(a => a.rule.salience % 3 === 0);
+      const order = [];
+      for (let next = conflictSet.peek(undefined); next; next = conflictSet.peek(undefined)) {
+        order.push(next.rule.salience);
+        conflictSet.remove(next);
+      }
+      expect(order).toEqual([8, 7, 5, 4, 2, 1]);
+      expect(conflictSet.size).toBe(0);
+    });
+  });
+
+  describe('refraction', () => {
+    test('should remember fired tuples by rule id and ordered fact ids', () => {
+      conflictSet.markFired(activation('R1', [1, 2]));
+      expect(conflictSet.hasFired(activation('R1', [1, 2]))).toBe(true);
+      expect(conflictSet.hasFired(activation('R1', [2, 1]))).toBe(false);
+      expect(conflictSet.hasFired(activation('R2', [1, 2]))).toBe(false);
+    });
+
+    test('forgetFact should forget every tuple containing the fact', () => {
+      conflictSet.markFired(activation('R1', [1, 2]));
+      conflictSet.markFired(activation('R2', [2]));
+      conflictSet.markFired(activation('R2', [3]));
+      conflictSet.forgetFact(2);
+      expect(conflictSet.hasFired(activation('R1', [1, 2]))).toBe(false);
+      expect(conflictSet.hasFired(activation('R2', [2]))).toBe(false);
+      expect(conflictSet.hasFired(activation('R2', [3]))).toBe(true);
+    });
+
+    test('firedWith should list the tuples containing the fact', () => {
+      conflictSet.markFired(activation('R1', [1, 2]));
+      conflictSet.markFired(activation('R2', [3]));
+      expect(conflictSet.firedWith(2)).toEqual([{ ruleId: 'R1', factIds: [1, 2] }]);
+      expect(conflictSet.firedWith(4)).toEqual([]);
+    });
+
+    test('exportState and importState should round-trip the fired tuples', () => {
+      conflictSet.add(activation('R1', [1]));
+      conflictSet.markFired(activation('R1', [1, 2]));
+      const other = new ConflictSet();
+      other.importState(JSON.parse(JSON.stringify(conflictSet.exportState())));
+      expect(other.hasFired(activation('R1', [1, 2]))).toBe(true);
+      expect(other.size).toBe(0);
+      other.forgetFact(2);
+      expect(other.hasFired(activation('R1', [1, 2]))).toBe(false);
+    });
+
+    test('forgetFired should forget a single tuple', () => {
+      conflictSet.markFired(activation('R1', [1, 2]));
+      conflictSet.markFired(activation('R1', [1, 3]));
+      conflictSet.forgetFired(activation('R1', [1, 2]));
+      expect(conflictSet.hasFired(activation('R1', [1, 2]))).toBe(false);
+      expect(conflictSet.hasFired(activation('R1', [1, 3]))).toBe(true);
+    });
+
+    test('forgetRule should forget every tuple of the rule', () => {
+      conflictSet.markFired(activation('R1', [1]));
+      conflictSet.markFired(activation('R2', [1]));
+      conflictSet.forgetRule('R1');
+      expect(conflictSet.hasFired(activation('R1', [1]))).toBe(false);
+      expect(conflictSet.hasFired(activation('R2', [1]))).toBe(true);
+    });
+
+    test('clear should forget fired tuples', () => {
+      conflictSet.markFired(activation('R1', [1]));
+      conflictSet.clear();
+      expect(conflictSet.hasFired(activation('R1', [1]))).toBe(false);
+    });
+  });
+});
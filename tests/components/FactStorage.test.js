@@ -75,6 +75,20 @@ describe('FactStorage', () => {
     });
   });
 
+  describe('getAllFacts', () => {
+    test('should iterate over the facts of every type in assertion order', () => {
+      const user = factStorage.assert({ type: 'user', name: 'Alice' }).fact;
+      const product = factStorage.assert({ type: 'product', name: 'Laptop' }).fact;
+      const other = factStorage.assert({ type: 'user', name: 'Bob' }).fact;
+      factStorage.retract(other._id);
+      expect(Array.from(factStorage.getAllFacts())).toEqual([user, product]);
+    });
+
+    test('should be empty for an empty storage', () => {
+      expect(Array.from(factStorage.getAllFacts())).toEqual([]);
+    });
+  });
+
   describe('getFactEntry', () => {
     test('should retrieve a fact entry by its ID', () => {
       const asserted = factStorage.assert({ type: 'user', name: 'Alice' });
@@ -165,6 +179,252 @@ describe('FactStorage', () => {
       users = Array.from(factStorage.getFactsByType('user'));
       expect(users.length).toBe(0);
     });
+
+    test('restore should put a retracted entry back in assertion order', () => {
+      factStorage.createIndex('user', 'name');
+      const entry = factStorage.retract(fact1.fact._id);
+      expect(factStorage.restore(entry)).toBe(true);
+      expect(factStorage.getFactEntry(fact1.fact._id)).toBe(entry);
+      expect(Array.from(factStorage.getFactsByType('user'))).toEqual([fact1.fact, fact2.fact]);
+      expect(Array.from(factStorage.getAllFacts())).toEqual([fact1.fact, fact2.fact, fact3.fact]);
+      expect(factStorage.findByField('user', 'name', 'Alice')).toEqual([fact1.fact]);
+      expect(factStorage.restore(entry)).toBe(false);
+    });
+  });
+
+  describe('modify', () => {
+    let entry;
+
+    beforeEach(() => {
+      entry = factStorage.assert({ type: 'user', name: 'Alice', visits: 1 });
+    });
+
+    test('should update the fact in place and keep its _id', () => {
+      const { entry: modified, changes } = factStorage.modify(entry.fact._id, { visits: 2, plan: 'pro' });
+      expect(modified).toBe(entry);
+      expect(entry.fact).toEqual({ type: 'user', name: 'Alice', visits: 2, plan: 'pro', _id: 1 });
+      expect(changes).toEqual({ visits: { from: 1, to: 2 }, plan: { from: undefined, to: 'pro' } });
+      expect(Array.from(factStorage.getFactsByType('user'))[0]).toBe(entry.fact);
+    });
+
+    test('should only report fields whose values changed', () => {
+      const { changes } = factStorage.modify(entry.fact._id, { name: 'Alice', visits: 3 });
+      expect(changes).toEqual({ visits: { from: 1, to: 3 } });
+    });
+
+    test('should ignore _id and type updates', () => {
+      const { changes } = factStorage.modify(entry.fact._id, { _id: 42, type: 'admin' });
+      expect(changes).toEqual({});
+      expect(entry.fact._id).toBe(1);
+      expect(entry.fact.type).toBe('user');
+    });
+
+    test('should return null if fact ID does not exist', () => {
+      expect(factStorage.modify(999, { name: 'Ghost' })).toBeNull();
+    });
+  });
+
+  describe('exportState / importState', () => {
+    test('should round-trip facts with their ids, metadata and the id counter', () => {
+      factStorage.assert({ type: 'user', name: 'Alice' }, { logical: true, producedBy: 4 });
+      factStorage.assert({ type: 'order', total: 5 });
+      factStorage.retract(1);
+      factStorage.assert({ type: 'user', name: 'Bob' });
+      const exported = JSON.parse(JSON.stringify(factStorage.exportState()));
+
+      const restored = new FactStorage();
+      restored.importState(exported);
+      expect(restored.getFactEntry(2)).toEqual({ fact: { type: 'order', total: 5, _id: 2 }, metadata: {} });
+      expect([...restored.getFactsByType('user')]).toEqual([{ type: 'user', name: 'Bob', _id: 3 }]);
+      expect(restored.assert({ type: 'user' }).fact._id).toBe(4);
+    });
+
+    test('should export copies that are not affected by later changes', () => {
+      const { fact } = factStorage.assert({ type: 'user', name: 'Alice' });
+      const exported = factStorage.exportState();
+      factStorage.modify(fact._id, { name: 'Alicia' });
+      expect(exported.entries[0].fact.name).toBe('Alice');
+    });
+  });
+
+  describe('factEquality', () => {
+    let equalityStorage;
+
+    beforeEach(() => {
+      equalityStorage = new FactStorage({ factEquality: 'equality' });
+    });
+
+    test('should store every assertion in the identity mode', () => {
+      factStorage.assert({ type: 'flag', userId: 'u1' });
+      factStorage.assert({ type: 'flag', userId: 'u1' });
+      expect(factStorage.factEquality).toBe('identity');
+      expect(Array.from(factStorage.getFactsByType('flag'))).toHaveLength(2);
+      expect(factStorage.findEqual({ type: 'flag', userId: 'u1' })).toBeUndefined();
+    });
+
+    test('should return the stored entry for structurally equal facts in the equality mode', () => {
+      const first = equalityStorage.assert({ type: 'flag', userId: 'u1', tags: ['a'] });
+      const second = equalityStorage.assert({ tags: ['a'], userId: 'u1', type: 'flag' });
+      expect(second).toBe(first);
+      expect(Array.from(equalityStorage.getFactsByType('flag'))).toHaveLength(1);
+      expect(equalityStorage.assert({ type: 'flag', userId: 'u2', tags: ['a'] }).fact._id).toBe(2);
+    });
+
+    test('should compare Maps and Sets by content', () => {
+      const first = equalityStorage.assert({ type: 'flag', tags: new Set([1]) });
+      expect(equalityStorage.assert({ type: 'flag', tags: new Set([2]) }).fact._id).toBe(2);
+      expect(equalityStorage.assert({ type: 'flag', tags: new Set([1]) })).toBe(first);
+      expect(equalityStorage.assert({ type: 'flag', scores: new Map([['a', 1]]) }).fact._id).toBe(3);
+      expect(equalityStorage.assert({ type: 'flag', scores: new Map([['a', 2]]) }).fact._id).toBe(4);
+    });
+
+    test('should store facts that contain a cycle without comparing them', () => {
+      const node = { name: 'n' };
+      node.self = node;
+      expect(equalityStorage.assert({ type: 'graph', node }).fact._id).toBe(1);
+      expect(equalityStorage.assert({ type: 'graph', node }).fact._id).toBe(2);
+    });
+
+    test('should keep the content index in step with modifications and retractions', () => {
+      const { fact } = equalityStorage.assert({ type: 'flag', userId: 'u1' });
+      equalityStorage.modify(fact._id, { userId: 'u2' });
+      expect(equalityStorage.findEqual({ type: 'flag', userId: 'u1' })).toBeUndefined();
+      expect(equalityStorage.findEqual({ type: 'flag', userId: 'u2' }).fact).toBe(fact);
+
+      equalityStorage.retract(fact._id);
+      expect(equalityStorage.findEqual({ type: 'flag', userId: 'u2' })).toBeUndefined();
+    });
+
+    test('should index imported facts', () => {
+      equalityStorage.importState({ factIdCounter: 5, entries: [{ fact: { type: 'flag', userId: 'u1', _id: 5 }, metadata: {} }] });
+      expect(equalityStorage.assert({ type: 'flag', userId: 'u1' }).fact._id).toBe(5);
+    });
+
+    test('should reject unknown modes', () => {
+      expect(() => new FactStorage({ factEquality: 'strict' })).toThrow("FactStorage: 'factEquality' must be 'identity' or 'equality'.");
+    });
+  });
+
+  describe('natural keys', () => {
+    test('should index existing and new facts by their key', () => {
+      const first = factStorage.assert({ type: 'order', id: 'o-1' });
+      factStorage.defineKey('order', ['id']);
+      const second = factStorage.assert({ type: 'order', id: 'o-2' });
+      expect(factStorage.getFactByKey('order', ['o-1'])).toBe(first);
+      expect(factStorage.getFactByKey('order', ['o-2'])).toBe(second);
+      expect(factStorage.getFactByKey('order', ['o-3'])).toBeUndefined();
+      expect(factStorage.getFactByKey('user', ['o-1'])).toBeUndefined();
+    });
+
+    test('should support composite keys and follow modifications and retractions', () => {
+      factStorage.defineKey('orderLine', ['orderId', 'line']);
+      const { fact } = factStorage.assert({ type: 'orderLine', orderId: 'o-1', line: 1 });
+      factStorage.modify(fact._id, { line: 2 });
+      expect(factStorage.getFactByKey('orderLine', ['o-1', 1])).toBeUndefined();
+      expect(factStorage.getFactByKey('orderLine', ['o-1', 2]).fact).toBe(fact);
+
+      factStorage.retract(fact._id);
+      expect(factStorage.getFactByKey('orderLine', ['o-1', 2])).toBeUndefined();
+    });
+
+    test('should keep declared keys across clear and importState', () => {
+      factStorage.defineKey('order', ['id']);
+      factStorage.clear();
+      factStorage.importState({ factIdCounter: 3, entries: [{ fact: { type: 'order', id: 'o-1', _id: 3 }, metadata: {} }] });
+      expect(factStorage.getFactByKey('order', ['o-1']).fact._id).toBe(3);
+    });
+
+    test('should reject invalid key fields', () => {
+      expect(() => factStorage.defineKey('order', [])).toThrow("FactStorage: The key of 'order' must be a non-empty array of field names.");
+    });
+  });
+
+  describe('field indexes', () => {
+    test('should look up existing and new facts by field value', () => {
+      const first = factStorage.assert({ type: 'order', customerId: 'c1' }).fact;
+      factStorage.assert({ type: 'order', customerId: 'c2' });
+      factStorage.createIndex('order', 'customerId');
+      const third = factStorage.assert({ type: 'order', customerId: 'c1' }).fact;
+
+      expect(factStorage.getIndex('order', 'customerId')).toEqual({ sorted: false });
+      expect(factStorage.findByField('order', 'customerId', 'c1')).toEqual([first, third]);
+      expect(factStorage.findByField('order', 'customerId', 'c3')).toEqual([]);
+      expect(factStorage.findByField('order', 'status', 'open')).toBeUndefined();
+      expect(factStorage.findInRange('order', 'customerId', { gt: 0 })).toBeUndefined();
+    });
+
+    test('should follow modifications and retractions in assertion order', () => {
+      factStorage.createIndex('order', 'status');
+      const first = factStorage.assert({ type: 'order', status: 'open' }).fact;
+      const second = factStorage.assert({ type: 'order', status: 'open' }).fact;
+      factStorage.modify(first._id, { status: 'paid' });
+      factStorage.modify(first._id, { status: 'open' });
+      expect(factStorage.findByField('order', 'status', 'open')).toEqual([first, second]);
+
+      factStorage.retract(second._id);
+      expect(factStorage.findByField('order', 'status', 'open')).toEqual([first]);
+    });
+
+    test('should look up numeric ranges through a sorted index', () => {
+      const totals = [50, 250, 100, 500, 100].map(total => factStorage.assert({ type: 'order', total }).fact);
+      factStorage.assert({ type: 'order', total: 'n/a' });
+      factStorage.createIndex('order', 'total', { sorted: true });
+
+      expect(factStorage.getIndex('order', 'total')).toEqual({ sorted: true });
+      expect(factStorage.findInRange('order', 'total', { gte: 100, lt: 500 })).toEqual([totals[1], totals[2], totals[4]]);
+      expect(factStorage.findInRange('order', 'total', { gt: 100 })).toEqual([totals[1], totals[3]]);
+      expect(factStorage.findInRange('order', 'total', { lte: 50 })).toEqual([totals[0]]);
+      expect(factStorage.findByField('order', 'total', 100)).toEqual([totals[2], totals[4]]);
+
+      factStorage.modify(totals[2]._id, { total: 600 });
+      factStorage.retract(totals[4]._id);
+      expect(factStorage.findInRange('order', 'total', { gte: 100, lt: 500 })).toEqual([totals[1]]);
+      expect(factStorage.findInRange('order', 'total', { gt: 500 })).toEqual([totals[2]]);
+    });
+
+    test('should upgrade a hash index to a sorted one', () => {
+      factStorage.createIndex('order', 'total');
+      factStorage.createIndex('order', 'total', { sorted: true });
+      factStorage.createIndex('order', 'total');
+      const { fact } = factStorage.assert({ type: 'order', total: 10 });
+      expect(factStorage.getIndex('order', 'total')).toEqual({ sorted: true });
+      expect(factStorage.findInRange('order', 'total', { gte: 10 })).toEqual([fact]);
+    });
+
+    test('should keep indexes across clear and importState', () => {
+      factStorage.createIndex('order', 'status');
+      factStorage.assert({ type: 'order', status: 'open' });
+      factStorage.clear();
+      expect(factStorage.findByField('order', 'status', 'open')).toEqual([]);
+      factStorage.importState({ factIdCounter: 3, entries: [{ fact: { type: 'order', status: 'open', _id: 3 }, metadata: {} }] });
+      expect(factStorage.findByField('order', 'status', 'open').map(fact => fact._id)).toEqual([3]);
+    });
+
+    test('should reject invalid indexes', () => {
+      expect(() => factStorage.createIndex('order', '')).toThrow('FactStorage: createIndex() requires a fact type and a field name.');
+    });
+  });
+
+  describe('createEmpty', () => {
+    test('should create an empty storage with the same mode, keys and indexes', () => {
+      const storage = new FactStorage({ factEquality: 'equality' });
+      storage.defineKey('order', ['id']);
+      storage.createIndex('order', 'customerId');
+      storage.createIndex('order', 'total', { sorted: true });
+      storage.assert({ type: 'order', id: 'o1', customerId: 'c1', total: 10 });
+
+      const empty = storage.createEmpty();
+      expect(empty).toBeInstanceOf(FactStorage);
+      expect(empty.getAllFacts().next().done).toBe(true);
+      expect(empty.factEquality).toBe('equality');
+      expect(empty.getIndex('order', 'customerId')).toEqual({ sorted: false });
+      expect(empty.getIndex('order', 'total')).toEqual({ sorted: true });
+
+      const order = empty.assert({ type: 'order', id: 'o2', customerId: 'c2', total: 5 }).fact;
+      expect(empty.assert({ type: 'order', id: 'o2', customerId: 'c2', total: 5 }).fact).toBe(order);
+      expect(empty.getFactByKey('order', ['o2']).fact).toBe(order);
+      expect(storage.getFactByKey('order', ['o2'])).toBeUndefined();
+    });
   });
 
   describe('clear', () => {
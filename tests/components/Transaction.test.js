@@ -0,0 +1,56 @@
+import { Transaction } from '../../src/components/Transaction';
+
+describe('Transaction', () => {
+  let stored;
+  let transaction;
+
+  beforeEach(() => {
+    stored = new Map([[1, { type: 'user', name: 'Alice', _id: 1 }], [2, { type: 'user', name: 'Bob', _id: 2 }]]);
+    transaction = new Transaction(id => stored.get(id));
+  });
+
+  test('should record operations in order', () => {
+    transaction.recordAssert({ type: 'user', name: 'Carol' }, { logical: true });
+    transaction.recordModify(1, { name: 'Alicia' }, { ...stored.get(1), name: 'Alicia' });
+    transaction.recordRetract(2);
+
+    expect(transaction.size).toBe(3);
+    expect(transaction.operations).toEqual([
+      { type: 'assert', fact: { type: 'user', name: 'Carol' }, options: { logical: true } },
+      { type: 'modify', factId: 1, updates: { name: 'Alicia' } },
+      { type: 'retract', factId: 2 },
+    ]);
+  });
+
+  test('should read facts through its pending changes', () => {
+    transaction.recordModify(1, { name: 'Alicia' }, { ...stored.get(1), name: 'Alicia' });
+    transaction.recordRetract(2);
+
+    expect(transaction.getFact(1).name).toBe('Alicia');
+    expect(stored.get(1).name).toBe('Alice');
+    expect(transaction.getFact(2)).toBeNull();
+    expect(transaction.getFact(99)).toBeNull();
+  });
+
+  test('should find pending facts by the keys they were recorded with', () => {
+    const carol = { type: 'user', name: 'Carol' };
+    transaction.recordAssert(carol, {}, ['name:Carol']);
+    transaction.recordModify(1, { name: 'Alicia' }, { ...stored.get(1), name: 'Alicia' }, ['name:Alicia']);
+    expect(transaction.findPending('name:Carol')).toBe(carol);
+    expect(transaction.findPending('name:Alicia')).toEqual(expect.objectContaining({ _id: 1 }));
+
+    transaction.recordModify(1, { name: 'Ally' }, { ...stored.get(1), name: 'Ally' }, ['name:Ally']);
+    expect(transaction.findPending('name:Alicia')).toBeUndefined();
+    transaction.recordRetract(1);
+    expect(transaction.findPending('name:Ally')).toBeUndefined();
+    transaction.clear();
+    expect(transaction.findPending('name:Carol')).toBeUndefined();
+  });
+
+  test('should discard everything on clear', () => {
+    transaction.recordRetract(2);
+    transaction.clear();
+    expect(transaction.size).toBe(0);
+    expect(transaction.getFact(2)).toBe(stored.get(2));
+  });
+});
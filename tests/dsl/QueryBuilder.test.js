@@ -132,6 +132,17 @@ describe('QueryBuilder', () => {
     });
   });
 
+  describe('derives()', () => {
+    test('should set the derived goal pattern', () => {
+      const goal = { reportsTo: { employee: '?e', manager: '?m' } };
+      expect(Query('testDerives').derives(goal).build().derives).toBe(goal);
+    });
+
+    test('should throw for malformed goals', () => {
+      expect(() => Query('testDerivesError').derives([])).toThrow('Query [testDerivesError] .derives() goal must be { type: { field: valueOrVariable } }.');
+    });
+  });
+
   describe('offset()', () => {
     let qb;
     beforeEach(() => {
@@ -143,6 +143,94 @@ describe('RuleBuilder', () => {
     });
   });
 
+  describe('agendaGroup', () => {
+    test('should set the agenda group', () => {
+      expect(Rule('testGroup').agendaGroup('pricing').rule.agendaGroup).toBe('pricing');
+    });
+
+    test('should throw if the group is not a non-empty string', () => {
+      const rb = Rule('testGroupError');
+      expect(() => rb.agendaGroup('')).toThrow('Rule [testGroupError] agenda group must be a non-empty string.');
+      expect(() => rb.agendaGroup(5)).toThrow(TypeError);
+    });
+  });
+
+  describe('activationGroup', () => {
+    test('should set the activation group', () => {
+      expect(Rule('testActivationGroup').activationGroup('tier').rule.activationGroup).toBe('tier');
+    });
+
+    test('should throw if the group is not a non-empty string', () => {
+      const rb = Rule('testActivationGroupError');
+      expect(() => rb.activationGroup('  ')).toThrow('Rule [testActivationGroupError] activation group must be a non-empty string.');
+    });
+  });
+
+  describe('noLoop and lockOnActive', () => {
+    test('should enable the attributes', () => {
+      const rb = Rule('testFlags').noLoop().lockOnActive();
+      expect(rb.rule.noLoop).toBe(true);
+      expect(rb.rule.lockOnActive).toBe(true);
+    });
+
+    test('should allow disabling the attributes explicitly', () => {
+      const rb = Rule('testFlagsOff').noLoop(false).lockOnActive(false);
+      expect(rb.rule.noLoop).toBe(false);
+      expect(rb.rule.lockOnActive).toBe(false);
+    });
+
+    test('should throw if the argument is not a boolean', () => {
+      const rb = Rule('testFlagsError');
+      expect(() => rb.noLoop('yes')).toThrow('Rule [testFlagsError] .noLoop() argument must be a boolean. Got: string');
+      expect(() => rb.lockOnActive(1)).toThrow('Rule [testFlagsError] .lockOnActive() argument must be a boolean. Got: number');
+    });
+  });
+
+  describe('transactional', () => {
+    test('should enable transactional actions', () => {
+      expect(Rule('testTx').transactional().rule.transactional).toBe(true);
+      expect(Rule('testTxOff').transactional(false).rule.transactional).toBe(false);
+    });
+
+    test('should throw if the argument is not a boolean', () => {
+      expect(() => Rule('testTxError').transactional('yes')).toThrow('Rule [testTxError] .transactional() argument must be a boolean. Got: string');
+    });
+  });
+
+  describe('derives', () => {
+    test('should set the derived goal pattern', () => {
+      const goal = { eligible: { customerId: '?c' } };
+      expect(Rule('testDerives').derives(goal).rule.derives).toBe(goal);
+    });
+
+    test('should throw for malformed goals', () => {
+      const rb = Rule('testDerivesError');
+      const message = 'Rule [testDerivesError] .derives() goal must be { type: { field: valueOrVariable } }.';
+      expect(() => rb.derives({ a: {}, b: {} })).toThrow(message);
+      expect(() => rb.derives({ eligible: 'c1' })).toThrow(message);
+      expect(() => rb.derives({ eligible: { score: () => true } })).toThrow(message);
+    });
+  });
+
+  describe('timer and cron', () => {
+    test('should store the timer delay in milliseconds', () => {
+      expect(Rule('testTimer').timer('30s').rule.timer).toBe(30000);
+      expect(Rule('testTimer').timer(500).rule.timer).toBe(500);
+    });
+
+    test('should throw for invalid delays', () => {
+      expect(() => Rule('testTimerError').timer('soon')).toThrow('Rule [testTimerError] .timer() delay must be milliseconds or a duration');
+    });
+
+    test('should store a valid cron expression', () => {
+      expect(Rule('testCron').cron('0 2 * * *').rule.cron).toBe('0 2 * * *');
+    });
+
+    test('should throw for invalid cron expressions', () => {
+      expect(() => Rule('testCronError').cron('every day')).toThrow('Rule [testCronError] .cron() Invalid cron expression "every day"');
+    });
+  });
+
   describe('around', () => {
     test('should set the around advice function', () => {
       const rb = Rule('testAround').around(MOCK_AROUND_FN);
@@ -152,6 +152,11 @@ describe('Pattern Helpers (_)', () => {
       expect(p(11)).toBe(false);
       expect(p(NaN)).toBe(false);
     });
+    test('range predicates should describe their bounds', () => {
+      expect(_.gt(10).range).toEqual({ gt: 10 });
+      expect(_.lte(10).range).toEqual({ lte: 10 });
+      expect(_.between(5, 10).range).toEqual({ gte: 5, lte: 10 });
+    });
   });
 
   describe('IV. Collection Operators', () => {
@@ -250,6 +255,8 @@ describe('Pattern Helpers (_)', () => {
       expect(p('guest_123')).toBe(true);
       expect(p('user')).toBe(false);
       expect(p(null)).toBe(false);
+      expect(p.values).toBeUndefined();
+      expect(_.anyOf('order', 'invoice').values).toEqual(['order', 'invoice']);
     });
     test('not with predicate', () => {
       const p = _.not(_.gt(10));
@@ -324,6 +331,25 @@ describe('Pattern Helpers (_)', () => {
         into: '?orderIds',
       });
     });
+
+    test('window() should add a normalized window to the accumulator definition', () => {
+      const accDef = _.from(pattern).window({ time: '10m', field: 'at' }).count().into('?recent');
+      expect(accDef).toEqual({
+        _isAccumulator: true,
+        from: pattern,
+        window: { time: 600000, field: 'at' },
+        accumulate: 'count',
+        into: '?recent',
+      });
+      expect(_.from(pattern).window({ length: 100 }).sum('total').into('?sum').window).toEqual({ length: 100 });
+    });
+
+    test('window() should reject invalid windows', () => {
+      expect(() => _.from(pattern).window({})).toThrow("requires a 'time' and/or 'length'");
+      expect(() => _.from(pattern).window({ time: 'soon' })).toThrow(TypeError);
+      expect(() => _.from(pattern).window({ length: 0 })).toThrow("'length' must be a positive integer");
+      expect(() => _.from(pattern).window({ time: 1000, field: '' })).toThrow("'field' must be a non-empty string");
+    });
   });
 
   describe('IX. Guard & Select Expression Builders', () => {
@@ -331,6 +357,14 @@ describe('Pattern Helpers (_)', () => {
     const varB = '?b';
     const literal1 = 10;
 
+    test('temporal guards should create S-expressions with optional tolerances', () => {
+      expect(_.guard.before(varA, varB)).toEqual(['before', varA, varB]);
+      expect(_.guard.after(varA, varB, '0s', '5m')).toEqual(['after', varA, varB, '0s', '5m']);
+      expect(_.guard.meets(varA, varB, 100)).toEqual(['meets', varA, varB, 100]);
+      expect(_.guard.during(varA, varB)).toEqual(['during', varA, varB]);
+      expect(_.guard.overlaps(varA, varB, '1s')).toEqual(['overlaps', varA, varB, '1s']);
+      expect(_.guard.coincides(varA, varB, '1s', '2s')).toEqual(['coincides', varA, varB, '1s', '2s']);
+    });
     test('_.guard.gt should create a ">" S-expression', () => {
       expect(_.guard.gt(varA, literal1)).toEqual(['>', varA, literal1]);
     });
@@ -1,6 +1,13 @@
 // __tests__/dsl/templates.test.js
-import { deftemplate, getTemplate, clearAllTemplates } from '../../src/dsl/templates';
+import { deftemplate, createTemplate, getTemplate, clearAllTemplates } from '../../src/dsl/templates';
 import { _ } from '../../src/dsl/pattern-helpers'; // For using in schema.validate examples
+import { LeapEngine } from '../../src/engine/LeapEngine';
+import { FactStorage } from '../../src/components/FactStorage';
+import { Agenda } from '../../src/components/Agenda';
+import { PseudoClock } from '../../src/components/Clock';
+import { AdvancedMatcher } from '../../src/strategies/AdvancedMatcher';
+import { SalienceConflictResolver } from '../../src/strategies/SalienceConflictResolver';
+import { accumulators } from '../../src/strategies/Accumulators';
 
 describe('Templates (deftemplate)', () => {
   beforeEach(() => {
@@ -46,6 +53,28 @@ describe('Templates (deftemplate)', () => {
       expect(getTemplate('empty')).toEqual({ name: 'empty', schema: {} });
     });
 
+    test('should record the event timestamp and duration fields', () => {
+      const loginTemplate = deftemplate('login', { at: { type: 'number' } }, { timestamp: 'at', duration: 'length' });
+      expect(loginTemplate.timestamp).toBe('at');
+      expect(getTemplate('login')).toEqual({ name: 'login', schema: { at: { type: 'number' } }, timestamp: 'at', duration: 'length' });
+      expect(() => deftemplate('bad', {}, { timestamp: '' })).toThrow("deftemplate Error: Template 'bad': 'timestamp' option, if provided, must be a non-empty string.");
+      expect(() => createTemplate('bad', {}, { duration: 5 })).toThrow("'duration' option, if provided, must be a non-empty string.");
+    });
+
+    test('should record the natural key as an array of fields', () => {
+      expect(deftemplate('order', {}, { key: 'id' }).key).toEqual(['id']);
+      expect(getTemplate('order').key).toEqual(['id']);
+      expect(createTemplate('orderLine', {}, { key: ['orderId', 'line'] }).key).toEqual(['orderId', 'line']);
+      expect(() => deftemplate('bad', {}, { key: [] })).toThrow("deftemplate Error: Template 'bad': 'key' option, if provided, must be a field name or a non-empty array of field names.");
+      expect(() => createTemplate('bad', {}, { key: ['id', ''] })).toThrow("'key' option");
+    });
+
+    test('should record the fact lifetime in milliseconds', () => {
+      expect(deftemplate('heartbeat', {}, { expires: '90s' }).expires).toBe(90000);
+      expect(getTemplate('heartbeat').expires).toBe(90000);
+      expect(() => deftemplate('bad', {}, { expires: 'soon' })).toThrow("deftemplate Error: Template 'bad': 'expires' option, if provided, must be milliseconds or a duration such as '1h'.");
+    });
+
     test('should throw if a field schema is not an object', () => {
       const invalidSchema = { id: 'string' }; // Field schema should be an object
       expect(() => deftemplate('badField', invalidSchema))
@@ -158,6 +187,18 @@ describe('Templates (deftemplate)', () => {
     });
   });
 
+  describe('createTemplate()', () => {
+    test('should create a template without registering it', () => {
+      const template = createTemplate('unregistered', { id: { type: 'string' } });
+      expect(template.create({ id: 'x' })).toEqual({ id: 'x', type: 'unregistered' });
+      expect(getTemplate('unregistered')).toBeUndefined();
+    });
+
+    test('should validate the schema like deftemplate', () => {
+      expect(() => createTemplate('bad', { id: {} })).toThrow("A 'type' (non-empty string) is required");
+    });
+  });
+
   describe('clearAllTemplates()', () => {
     test('should clear all defined templates', () => {
       deftemplate('temp1', { f: { type: 'string' } });
@@ -176,4 +217,59 @@ describe('Templates (deftemplate)', () => {
       expect(() => clearAllTemplates()).not.toThrow();
     });
   });
+
+  describe('used by a LeapEngine', () => {
+    let clock;
+    let engine;
+
+    beforeEach(() => {
+      clock = new PseudoClock(0);
+      engine = new LeapEngine({
+        factStorage: new FactStorage(), agenda: new Agenda(), matcher: new AdvancedMatcher(),
+        resolver: new SalienceConflictResolver(), accumulators, clock,
+      });
+    });
+
+    test('should reject facts that do not satisfy a global template', () => {
+      deftemplate('user', { name: { type: 'string', required: true }, age: { type: 'number' } });
+      const schemaErrors = [];
+      engine.on('engine:schemaError', (data) => schemaErrors.push(data));
+
+      expect(engine.assertFact({ type: 'user', age: 'old' })).toBeNull();
+      expect(engine.getFacts({ type: 'user' })).toEqual([]);
+      expect(schemaErrors).toHaveLength(1);
+      const user = engine.assertFact({ type: 'user', name: 'Alice', age: 30 });
+      expect(engine.modifyFact(user._id, { age: 'thirty' })).toBeNull();
+      expect(schemaErrors).toHaveLength(2);
+    });
+
+    test('should apply the key of a global template', () => {
+      deftemplate('order', { id: { type: 'string' }, status: { type: 'string' } }, { key: 'id' });
+      const order = engine.upsertFact({ type: 'order', id: 'o-1', status: 'open' });
+      expect(engine.upsertFact({ type: 'order', id: 'o-1', status: 'paid' })).toBe(order);
+      expect(engine.getFactByKey('order', 'o-1')).toEqual({ type: 'order', id: 'o-1', status: 'paid', _id: order._id });
+    });
+
+    test('should expire the facts of a global template', async () => {
+      deftemplate('heartbeat', {}, { expires: '1m' });
+      engine.assertFact({ type: 'heartbeat' });
+      clock.advance('2m');
+      await engine.fireAll();
+      expect(engine.getFacts({ type: 'heartbeat' })).toEqual([]);
+    });
+
+    test('should time events by the timestamp field of a global template', async () => {
+      deftemplate('login', { at: { type: 'number' } }, { timestamp: 'at' });
+      const times = [];
+      engine.addDefinition({
+        id: 'Recent', type: 'rule', when: [_.from({ login: {} }).window({ time: '10m' }).count().into('?n')],
+        then: (ctx, b) => { times.push(b['?n']); },
+      });
+      clock.setTime(30 * 60000);
+      engine.assertFact({ type: 'login', at: 0 });
+      engine.assertFact({ type: 'login', at: 25 * 60000 });
+      await engine.fireAll();
+      expect(times).toEqual([1]);
+    });
+  });
 });
@@ -1,21 +1,40 @@
 import { LeapEngine } from '../../src/engine/LeapEngine';
 import { FactStorage } from '../../src/components/FactStorage';
 import { SimpleEventEmitter } from '../../src/utils/SimpleEventEmitter';
+import { Agenda } from '../../src/components/Agenda';
+import { AdvancedMatcher } from '../../src/strategies/AdvancedMatcher';
+import { SalienceConflictResolver } from '../../src/strategies/SalienceConflictResolver';
+import { accumulators } from '../../src/strategies/Accumulators';
+import { _ } from '../../src/dsl/pattern-helpers';
+import { PseudoClock } from '../../src/components/Clock';
+import { getTemplate } from '../../src/dsl/templates';
 
 // Mock dependencies
 jest.mock('../../src/components/FactStorage');
 // jest.mock('../../src/utils/SimpleEventEmitter'); // Use actual SimpleEventEmitter
+// Templates are looked up through a mock; tests/dsl/templates.test.js covers engines using deftemplate.
+jest.mock('../../src/dsl/templates', () => ({ ...jest.requireActual('../../src/dsl/templates'), getTemplate: jest.fn() }));
 
 // Mock global/assumed utilities
-const mockGetTemplate = jest.fn();
+const mockGetTemplate = getTemplate;
 const mockAccumulators = {
   count: jest.fn(() => jest.fn(facts => facts.length)),
   sum: jest.fn(field => jest.fn(facts => facts.reduce((acc, f) => acc + (f[field] || 0), 0))),
   // Add other accumulators as needed
 };
-global.getTemplate = mockGetTemplate;
 global.accumulators = mockAccumulators;
 
+// FactStorage is auto-mocked above; end-to-end scenarios use the real implementation.
+const { FactStorage: RealFactStorage } = jest.requireActual('../../src/components/FactStorage');
+const createRealEngine = (overrides = {}) => new LeapEngine({
+  factStorage: new RealFactStorage(),
+  agenda: new Agenda(),
+  matcher: new AdvancedMatcher(),
+  resolver: new SalienceConflictResolver(),
+  accumulators,
+  ...overrides,
+});
+
 
 describe('LeapEngine', () => {
   let engine;
@@ -79,6 +98,18 @@ describe('LeapEngine', () => {
     });
   });
 
+  // Asserts `fact` through the mocked FactStorage with a matcher that accepts only that fact,
+  // so the matching network adds an activation with `bindings` for every rule whose pattern
+  // covers the fact's type. Calls the prototype method so it also works when assertFact is spied.
+  const activate = (fact, bindings) => {
+    mockMatcher.match.mockImplementation((pattern, candidate, current) => (
+      candidate === fact ? { isMatch: true, bindings: { ...current, ...bindings } } : { isMatch: false, bindings: current }
+    ));
+    mockFactStorage.assert.mockReturnValueOnce({ fact, metadata: {} });
+    LeapEngine.prototype.assertFact.call(engine, fact);
+  };
+  const resolveFirst = pending => pending.next().value ?? null;
+
   describe('constructor', () => {
     test('should initialize with dependencies and an event emitter', () => {
       expect(engine).toBeInstanceOf(LeapEngine);
@@ -174,7 +205,7 @@ describe('LeapEngine', () => {
 
       const assertedFact = engine.assertFact(factData);
 
-      expect(mockFactStorage.assert).toHaveBeenCalledWith(factData);
+      expect(mockFactStorage.assert).toHaveBeenCalledWith(factData, { assertedAt: expect.any(Number) });
       expect(assertedFact).toEqual({ ...factData, _id: 1 });
       expect(mockAgenda.push).toHaveBeenCalledWith({ type: 'assert', fact: assertedFact });
       expect(listener).toHaveBeenCalledWith(
@@ -207,7 +238,7 @@ describe('LeapEngine', () => {
         mockGetTemplate.mockReturnValue({ schema: { status: { type: 'string', default: 'active' } } });
         const factData = { type: 'user', name: 'Bob' };
         engine.assertFact(factData);
-        expect(mockFactStorage.assert).toHaveBeenCalledWith({ type: 'user', name: 'Bob', status: 'active' });
+        expect(mockFactStorage.assert).toHaveBeenCalledWith({ type: 'user', name: 'Bob', status: 'active' }, { assertedAt: expect.any(Number) });
       });
 
       test('should apply functional default value from schema', () => {
@@ -216,7 +247,7 @@ describe('LeapEngine', () => {
         const factData = { type: 'order' };
         engine.assertFact(factData);
         expect(defaultFn).toHaveBeenCalled();
-        expect(mockFactStorage.assert).toHaveBeenCalledWith({ type: 'order', status: 'pending' });
+        expect(mockFactStorage.assert).toHaveBeenCalledWith({ type: 'order', status: 'pending' }, { assertedAt: expect.any(Number) });
       });
 
       test('should fail if required field is missing (and no default)', () => {
@@ -312,7 +343,7 @@ describe('LeapEngine', () => {
         const factData = { type: 'user', name: 123 }; // name is number, but no schema
         const result = engine.assertFact(factData);
         expect(result).not.toBeNull(); // Asserted without schema error
-        expect(mockFactStorage.assert).toHaveBeenCalledWith(factData);
+        expect(mockFactStorage.assert).toHaveBeenCalledWith(factData, { assertedAt: expect.any(Number) });
       });
 
       test('should fail for unknown type in schema definition', () => {
@@ -380,15 +411,37 @@ describe('LeapEngine', () => {
       jest.restoreAllMocks(); // Restore spies on engine methods
     });
 
-    test('modifyFact should retract old and assert new fact data', () => {
+    test('modifyFact should update the fact in place and emit fact:modified', () => {
+      const modifiedListener = jest.fn();
+      engine.on('fact:modified', modifiedListener);
+      const changes = { name: { from: 'Alice', to: 'Alicia' }, visits: { from: 1, to: 2 } };
+      mockFactStorage.modify.mockReturnValue({ entry: originalEntry, changes });
       const updates = { name: 'Alicia', visits: 2 };
-      engine.modifyFact(1, updates);
 
+      expect(engine.modifyFact(1, updates)).toBe(originalFact);
       expect(mockFactStorage.getFactEntry).toHaveBeenCalledWith(1);
-      expect(engine.retractFact).toHaveBeenCalledWith(1);
-      // _id is removed before assert, type is preserved
-      const expectedAssertData = { type: 'user', name: 'Alicia', visits: 2 };
-      expect(engine.assertFact).toHaveBeenCalledWith(expectedAssertData);
+      expect(mockFactStorage.modify).toHaveBeenCalledWith(1, updates);
+      expect(engine.retractFact).not.toHaveBeenCalled();
+      expect(engine.assertFact).not.toHaveBeenCalled();
+      expect(modifiedListener).toHaveBeenCalledWith(expect.objectContaining({ fact: originalFact, changes, by: 'direct' }));
+      expect(mockAgenda.push).toHaveBeenCalledWith({ type: 'modify', fact: originalFact, changes });
+    });
+
+    test('modifyFact should not emit fact:modified when nothing changed', () => {
+      const modifiedListener = jest.fn();
+      engine.on('fact:modified', modifiedListener);
+      mockFactStorage.modify.mockReturnValue({ entry: originalEntry, changes: {} });
+      expect(engine.modifyFact(1, { name: 'Alice' })).toBe(originalFact);
+      expect(modifiedListener).not.toHaveBeenCalled();
+    });
+
+    test('modifyFact should reject updates that violate the template schema', () => {
+      const schemaErrorListener = jest.fn();
+      engine.on('engine:schemaError', schemaErrorListener);
+      mockGetTemplate.mockImplementation(name => (name === 'user' ? { schema: { visits: { type: 'number' } } } : undefined));
+      expect(engine.modifyFact(1, { visits: 'many' })).toBeNull();
+      expect(mockFactStorage.modify).not.toHaveBeenCalled();
+      expect(schemaErrorListener).toHaveBeenCalled();
     });
 
     test('updateFact should call updateFn and then modifyFact', () => {
@@ -398,7 +451,9 @@ describe('LeapEngine', () => {
       engine.updateFact(1, updateFn);
 
       expect(mockFactStorage.getFactEntry).toHaveBeenCalledWith(1);
-      expect(updateFn).toHaveBeenCalledWith(originalFact); // updateFn gets the fact part
+      const { _id, ...withoutId } = originalFact;
+      expect(updateFn).toHaveBeenCalledWith(withoutId); // updateFn gets a copy of the fact part
+      expect(updateFn.mock.calls[0][0]).not.toBe(originalFact);
       expect(engine.modifyFact).toHaveBeenCalledWith(1, { visits: 2 });
     });
 
@@ -639,7 +694,7 @@ describe('LeapEngine', () => {
       rule1 = {
         id: 'R1',
         type: 'rule',
-        when: [{ type: 'trigger' }],
+        when: [{ trigger: { value: '?val' } }],
         pre: [],
         then: jest.fn(async (ctx, bindings) => {
             ctx.assertFact({ type: 'consequence', value: bindings['?val'] }, { logical: true });
@@ -670,20 +725,8 @@ describe('LeapEngine', () => {
       engine.on('rule:actionError', actionErrorListener);
       engine.on('engine:error', engineErrorListener);
 
-      // Setup agenda and resolver for a single activation
-      const task = { type: 'assert', fact: { type: 'trigger', value: 'testValue', _id: 1 } };
-      mockAgenda.tasks = [task]; // Prime the agenda
-      mockAgenda.hasTasks = true;
-
-      mockResolver.resolve.mockReturnValue({
-        rule: rule1,
-        bindings: { '?val': 'testValue' },
-        consumedFactIds: new Set([1]),
-      });
-
-      // Mock #findMatches to be a no-op generator for simplicity in these tests,
-      // as resolver is providing the activation.
-      engine._LeapEngine__findMatches = jest.fn(function*() {});
+      // Only R1 is under test: the resolver ignores other pending activations (e.g. OldRule's).
+      mockResolver.resolve.mockImplementation(pending => [...pending].find(a => a.rule.id === 'R1') ?? null);
 
       // Provide a default mock for mockFactStorage.assert for stability,
       // though specific tests (like TMS) will override it.
@@ -692,11 +735,15 @@ describe('LeapEngine', () => {
       });
     });
 
+    // Gives R1 a pending activation for a trigger fact.
+    const activateR1 = () => activate({ type: 'trigger', value: 'testValue', _id: 1 }, { '?val': 'testValue' });
+
      afterEach(() => {
         jest.restoreAllMocks(); // Important to restore spies on engine methods
     });
 
     test('run should process tasks from agenda and yield activations', async () => {
+      activateR1();
       const activations = [];
       for await (const activation of engine.run()) {
         activations.push(activation);
@@ -704,14 +751,14 @@ describe('LeapEngine', () => {
 
       expect(activations.length).toBe(1);
       expect(activations[0].rule.id).toBe('R1');
-      expect(activations[0].bindings).toEqual({ '?val': 'testValue' });
+      expect(activations[0].bindings).toEqual(expect.objectContaining({ '?val': 'testValue' }));
       expect(rule1.then).toHaveBeenCalled();
       expect(rule1.after).toHaveBeenCalled(); // after should be called
 
       // Check context method calls
       expect(contextAssertSpy).toHaveBeenCalledWith(
         { type: 'consequence', value: 'testValue' },
-        expect.objectContaining({ logical: true, producedBy: expect.any(Number) })
+        { ttl: undefined }
       );
       expect(contextUpdateSpy).toHaveBeenCalledWith(123, expect.any(Function));
       expect(contextModifySpy).toHaveBeenCalledWith(456, { modified: true });
@@ -727,6 +774,7 @@ describe('LeapEngine', () => {
     });
 
     test('fireAll should consume the run iterator', async () => {
+      activateR1();
       await engine.fireAll();
       expect(rule1.then).toHaveBeenCalledTimes(1);
       expect(fireAllStartedListener).toHaveBeenCalled();
@@ -737,12 +785,14 @@ describe('LeapEngine', () => {
       // Listener for collectActivations specific events if any, or rely on run's activationYielded
       const collectStartedListener = jest.fn();
       engine.on('engine:collectActivationsStarted', collectStartedListener);
+      activateR1();
       const collected = await engine.collectActivations();
       expect(collected.length).toBe(1);
       expect(collected[0].rule.id).toBe('R1');
     });
 
     test('Symbol.asyncIterator should allow iterating over the engine', async () => {
+        activateR1();
         const activations = [];
         for await (const activation of engine) { // Uses Symbol.asyncIterator
             activations.push(activation);
@@ -754,6 +804,7 @@ describe('LeapEngine', () => {
     test('pre-conditions should prevent rule firing if they fail', async () => {
       rule1.pre = [jest.fn(() => false)]; // Failing pre-condition
       engine._LeapEngine__executeGuard = rule1.pre[0]; // Simulate guard execution
+      activateR1();
 
       await engine.fireAll();
       expect(rule1.then).not.toHaveBeenCalled();
@@ -767,6 +818,7 @@ describe('LeapEngine', () => {
         bindings.aroundAfter = true;
       });
       rule1.around = aroundSpy;
+      activateR1();
 
       await engine.fireAll();
 
@@ -785,6 +837,7 @@ describe('LeapEngine', () => {
         rule1.then.mockImplementation(async () => { throw errorToThrow; });
         const typeErrorSpy = jest.fn();
         rule1.throws = { 'TypeError': typeErrorSpy };
+        activateR1();
 
         await engine.fireAll();
 
@@ -797,6 +850,7 @@ describe('LeapEngine', () => {
         const errorToThrow = new Error('Unhandled action error');
         rule1.then.mockImplementation(async () => { throw errorToThrow; });
         rule1.throws = undefined; // No specific handler
+        activateR1();
 
         // The engine's run loop catches and emits, but for fireAll, it might rethrow or just log.
         // Let's check for the emission.
@@ -818,7 +872,7 @@ describe('LeapEngine', () => {
 
       engine.assertFact.mockImplementation((factData, metadataInternal) => {
         // This mock simulates engine.assertFact's interaction with FactStorage.
-        // metadataInternal is what ctx.assertFact passes, e.g., { logical: true, producedBy: activationId }
+        // metadataInternal is what ctx.assertFact passes: the assertion options, e.g., { ttl: undefined }
         const factToStore = { ...factData };
         // Real engine.assertFact would do schema validation here.
         // It then calls this.#factStorage.assert.
@@ -835,7 +889,7 @@ describe('LeapEngine', () => {
       // This metadata is crucial for ctx.assertFact to update and for TMS to read.
       mockFactStorage.assert.mockImplementation((factToStore, metadata) => {
         let factId = factToStore._id;
-        if (metadata && metadata.logical && factToStore.type === 'consequence') {
+        if (factToStore.type === 'consequence') {
           factId = logicalFactOutputId;
         } else {
           factId = factId || Date.now(); // Assign an ID if not present
@@ -880,14 +934,8 @@ describe('LeapEngine', () => {
         }
       });
 
-      // 1. R1 fires, asserts F2 logically
-      mockAgenda.tasks = [{ type: 'assert', fact: triggerFact }];
-      mockAgenda.hasTasks = true;
-      mockResolver.resolve.mockReturnValueOnce({
-        rule: rule1, // rule1's 'then' asserts a logical fact
-        bindings: { '?val': 'testValue' }, // rule1.then uses bindings['?val']
-        consumedFactIds: new Set([triggerFact._id]),
-      });
+      // 1. R1 fires, asserts F2 logically (rule1.then uses bindings['?val'])
+      activate(triggerFact, { '?val': 'testValue' });
 
       await engine.fireAll(); // R1 fires
       expect(producedFactIdForTMS).toBe(logicalFactOutputId);
@@ -904,7 +952,7 @@ describe('LeapEngine', () => {
         if (idToRetract === producedFactIdForTMS) {
           // TMS will call retractFact on the logical fact.
           // FactStorage.retract should return the entry it's retracting.
-          // This entry should have the correct metadata (logical, producedBy)
+          // This entry should have the correct metadata (logical, justifiedBy)
           // which was set up by mockFactStorage.assert and ctx.assertFact.
           return mockFactStorage.getFactEntry(idToRetract);
         }
@@ -947,27 +995,23 @@ describe('LeapEngine', () => {
 
       const ruleWithGuard = {
         id: 'R_GUARD', type: 'rule',
-        when: [{ type: 'trigger', value: '?x' }],
+        when: [{ trigger: { value: '?x' } }],
         pre: [['>', '?x', 5]], // Guard: ?x > 5
         then: jest.fn()
       };
       engine.addDefinition(ruleWithGuard);
 
+      mockResolver.resolve.mockImplementation(resolveFirst);
+
       // Case 1: Guard passes
-      mockAgenda.tasks = [{ type: 'assert', fact: { type: 'trigger', value: 10, _id: 1 } }];
-      mockAgenda.hasTasks = true;
-      mockResolver.resolve.mockReturnValueOnce({ rule: ruleWithGuard, bindings: { '?x': 10 }, consumedFactIds: new Set([1])});
-      engine._LeapEngine__findMatches = jest.fn(function*() { yield { rule: ruleWithGuard, bindings: { '?x': 10 }, consumedFactIds: new Set([1])}; }); // Simulate match
+      activate({ type: 'trigger', value: 10, _id: 1 }, { '?x': 10 });
 
       await engine.fireAll();
       expect(ruleWithGuard.then).toHaveBeenCalledTimes(1);
 
       // Case 2: Guard fails
       ruleWithGuard.then.mockClear();
-      mockAgenda.tasks = [{ type: 'assert', fact: { type: 'trigger', value: 3, _id: 2 } }];
-      mockAgenda.hasTasks = true;
-      mockResolver.resolve.mockReturnValueOnce({ rule: ruleWithGuard, bindings: { '?x': 3 }, consumedFactIds: new Set([2])});
-      engine._LeapEngine__findMatches = jest.fn(function*() { yield { rule: ruleWithGuard, bindings: { '?x': 3 }, consumedFactIds: new Set([2])}; }); // Simulate match
+      activate({ type: 'trigger', value: 3, _id: 2 }, { '?x': 3 });
 
       await engine.fireAll();
       expect(ruleWithGuard.then).not.toHaveBeenCalled();
@@ -977,16 +1021,14 @@ describe('LeapEngine', () => {
     test('guard with path operator', async () => {
       const ruleWithPathGuard = {
         id: 'R_PATH_GUARD', type: 'rule',
-        when: [{ type: 'data', payload: '?p' }],
+        when: [{ data: { payload: '?p' } }],
         pre: [['===', ['path', '?p', 'user', 'id'], 123]],
         then: jest.fn()
       };
       engine.addDefinition(ruleWithPathGuard);
       const fact = { type: 'data', payload: { user: { id: 123 } }, _id: 1 };
-      mockAgenda.tasks = [{ type: 'assert', fact }];
-      mockAgenda.hasTasks = true;
-      mockResolver.resolve.mockReturnValueOnce({ rule: ruleWithPathGuard, bindings: { '?p': fact.payload }, consumedFactIds: new Set([1])});
-      engine._LeapEngine__findMatches = jest.fn(function*() { yield { rule: ruleWithPathGuard, bindings: { '?p': fact.payload }, consumedFactIds: new Set([1])}; });
+      mockResolver.resolve.mockImplementation(resolveFirst);
+      activate(fact, { '?p': fact.payload });
 
       await engine.fireAll();
       expect(ruleWithPathGuard.then).toHaveBeenCalled();
@@ -1001,16 +1043,14 @@ describe('LeapEngine', () => {
 
       const ruleWithBadGuard = {
         id: 'R_BAD_GUARD_TYPE', type: 'rule',
-        when: [{ type: 'trigger', name: '?name', count: '?count' }],
+        when: [{ trigger: { name: '?name', count: '?count' } }],
         pre: [['>', '?name', '?count']], // Comparing string with number
         then: jest.fn()
       };
       engine.addDefinition(ruleWithBadGuard);
       const fact = { type: 'trigger', name: 'Alice', count: 5, _id: 1 };
-      mockAgenda.tasks = [{ type: 'assert', fact }];
-      mockAgenda.hasTasks = true;
-      mockResolver.resolve.mockReturnValueOnce({ rule: ruleWithBadGuard, bindings: { '?name': 'Alice', '?count': 5 }, consumedFactIds: new Set([1])});
-      engine._LeapEngine__findMatches = jest.fn(function*() { yield { rule: ruleWithBadGuard, bindings: { '?name': 'Alice', '?count': 5 }, consumedFactIds: new Set([1])}; });
+      mockResolver.resolve.mockImplementation(resolveFirst);
+      activate(fact, { '?name': 'Alice', '?count': 5 });
 
       engine.fireAll(); // This will run, guard will fail internally and emit
       expect(guardErrorListener).toHaveBeenCalledWith(expect.objectContaining({ ruleId: 'R_BAD_GUARD_TYPE', error: expect.any(TypeError)}));
@@ -1022,25 +1062,14 @@ describe('LeapEngine', () => {
 
       const ruleDivZero = {
         id: 'R_DIV_ZERO', type: 'rule',
-        when: [{ type: 'operands', x: '?x', y: '?y' }],
+        when: [{ operands: { x: '?x', y: '?y' } }],
         pre: [['/', '?x', '?y']],
         then: jest.fn()
       };
       engine.addDefinition(ruleDivZero);
       const fact = { type: 'operands', x: 10, y: 0, _id: 1 };
-      mockAgenda.tasks = [{ type: 'assert', fact }];
-      mockAgenda.hasTasks = true;
-
-      // Ensure the actual #findMatches can find the rule via mocked dependencies
-      mockFactStorage.getFactsByType.mockImplementation((type) => {
-        if (type === 'operands') return [fact];
-        return [];
-      });
-      mockMatcher.match.mockImplementation((pattern, f, bindings) => {
-        if (f.type === 'operands') return { isMatch: true, bindings: { ...bindings, '?x': f.x, '?y': f.y } };
-        return { isMatch: false, bindings };
-      });
-      mockResolver.resolve.mockReturnValueOnce({ rule: ruleDivZero, bindings: { '?x': 10, '?y': 0 }, consumedFactIds: new Set([1])});
+      mockResolver.resolve.mockImplementation(resolveFirst);
+      activate(fact, { '?x': fact.x, '?y': fact.y });
       
       const localGuardErrorListener = jest.fn();
       engine.on('engine:guardError', localGuardErrorListener);
@@ -1238,4 +1267,1943 @@ describe('LeapEngine', () => {
       });
     });
   });
+
+  describe('Compiled matching network', () => {
+    let realEngine;
+
+    beforeEach(() => {
+      realEngine = createRealEngine();
+    });
+
+    test('should fire rules that join facts across types', async () => {
+      const fired = [];
+      realEngine.addDefinition({
+        id: 'BigSpender', type: 'rule',
+        when: [{ customer: { id: '?cid' } }, _.from({ order: { customerId: '?cid' } }).sum('total').into('?spent')],
+        pre: [_.guard.gt('?spent', 100)],
+        then: (ctx, b) => { fired.push(b['?cid']); },
+      });
+      realEngine.assertFact({ type: 'customer', id: 'c1' });
+      realEngine.assertFact({ type: 'order', customerId: 'c1', total: 150 });
+
+      await realEngine.fireAll();
+      expect(fired).toEqual(['c1']);
+    });
+
+    test('should match rules added after their facts were asserted', async () => {
+      const then = jest.fn();
+      realEngine.assertFact({ type: 'user', name: 'Alice' });
+      await realEngine.fireAll();
+
+      realEngine.addDefinition({ id: 'Late', type: 'rule', when: [{ user: { name: '?n' } }], then });
+      realEngine.assertFact({ type: 'ping' });
+      await realEngine.fireAll();
+      expect(then).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({ '?n': 'Alice' }));
+    });
+
+    test('should not offer matches invalidated by a retraction', async () => {
+      const then = jest.fn();
+      realEngine.addDefinition({ id: 'Greet', type: 'rule', when: [{ user: { name: '?n' } }], then });
+      const user = realEngine.assertFact({ type: 'user', name: 'Alice' });
+      realEngine.addDefinition({ id: 'Other', type: 'rule', when: [{ user: { name: 'Bob' } }], then: () => {} });
+      realEngine.retractFact(user._id);
+
+      await realEngine.fireAll();
+      expect(then).not.toHaveBeenCalled();
+    });
+
+    test('should emit engine:error for rules whose conditions cannot be compiled', () => {
+      const errorListener = jest.fn();
+      realEngine.on('engine:error', errorListener);
+      realEngine.addDefinition({ id: 'Broken', type: 'rule', when: [null], then: () => {} });
+      expect(errorListener).toHaveBeenCalledWith(expect.objectContaining({ error: expect.any(TypeError), definitionId: 'Broken' }));
+    });
+  });
+
+  describe('Conflict set', () => {
+    let realEngine;
+
+    beforeEach(() => {
+      realEngine = createRealEngine();
+    });
+
+    test('should fire every rule that matches the same fact, in salience order', async () => {
+      const fired = [];
+      realEngine.addDefinition({ id: 'Low', type: 'rule', salience: 1, when: [{ user: {} }], then: () => { fired.push('Low'); } });
+      realEngine.addDefinition({ id: 'High', type: 'rule', salience: 10, when: [{ user: {} }], then: () => { fired.push('High'); } });
+      realEngine.addDefinition({ id: 'Default', type: 'rule', when: [{ user: {} }], then: () => { fired.push('Default'); } });
+      realEngine.assertFact({ type: 'user', name: 'Alice' });
+
+      await realEngine.fireAll();
+      expect(fired).toEqual(['High', 'Low', 'Default']);
+    });
+
+    test('should keep activations pending across agenda tasks', async () => {
+      const fired = [];
+      realEngine.addDefinition({ id: 'Greet', type: 'rule', when: [{ user: { name: '?n' } }], then: (ctx, b) => { fired.push(b['?n']); } });
+      realEngine.assertFact({ type: 'user', name: 'Alice' });
+      realEngine.assertFact({ type: 'user', name: 'Bob' });
+      realEngine.assertFact({ type: 'ping' });
+
+      await realEngine.fireAll();
+      expect(fired).toEqual(['Alice', 'Bob']);
+    });
+
+    test('should re-resolve after each firing so new activations can overtake pending ones', async () => {
+      const fired = [];
+      realEngine.addDefinition({
+        id: 'Escalate', type: 'rule', when: [{ ticket: { id: '?id' } }],
+        then: (ctx, b) => { fired.push(`escalate ${b['?id']}`); if (b['?id'] === 1) ctx.assertFact({ type: 'alarm' }); },
+      });
+      realEngine.addDefinition({ id: 'Alarm', type: 'rule', salience: 5, when: [{ alarm: {} }], then: () => { fired.push('alarm'); } });
+      realEngine.assertFact({ type: 'ticket', id: 1 });
+      realEngine.assertFact({ type: 'ticket', id: 2 });
+
+      await realEngine.fireAll();
+      expect(fired).toEqual(['escalate 1', 'alarm', 'escalate 2']);
+    });
+
+    test('should take activations in resolver order from the conflict set instead of resolving it on each firing', async () => {
+      const resolver = new SalienceConflictResolver();
+      const resolveSpy = jest.spyOn(resolver, 'resolve');
+      const engine = createRealEngine({ resolver });
+      const fired = [];
+      engine.addDefinition({ id: 'Low', type: 'rule', salience: 1, when: [{ item: { n: '?n' } }], then: (ctx, b) => { fired.push(`low ${b['?n']}`); } });
+      engine.addDefinition({ id: 'High', type: 'rule', salience: 9, when: [{ item: { n: '?n' } }], then: (ctx, b) => { fired.push(`high ${b['?n']}`); } });
+      engine.assertFact({ type: 'item', n: 1 });
+      engine.assertFact({ type: 'item', n: 2 });
+
+      await engine.fireAll();
+      expect(fired).toEqual(['high 1', 'high 2', 'low 1', 'low 2']);
+      expect(resolveSpy).not.toHaveBeenCalled();
+    });
+
+    test('should cancel pending activations when a rule action retracts their facts', async () => {
+      const fired = [];
+      const cancelled = jest.fn();
+      realEngine.on('rule:activationCancelled', cancelled);
+      realEngine.addDefinition({
+        id: 'Cleanup', type: 'rule', salience: 10, when: [{ session: { expired: true } }],
+        then: (ctx) => { ctx.retractWhere({ session: { expired: true } }); fired.push('Cleanup'); },
+      });
+      realEngine.addDefinition({ id: 'Notify', type: 'rule', when: [{ session: { expired: true } }], then: () => { fired.push('Notify'); } });
+      realEngine.assertFact({ type: 'session', expired: true });
+
+      await realEngine.fireAll();
+      expect(fired).toEqual(['Cleanup']);
+      expect(cancelled).toHaveBeenCalledWith(expect.objectContaining({ ruleId: 'Notify', reason: 'invalidated' }));
+    });
+  });
+
+  describe('Refraction', () => {
+    let realEngine;
+    let fired;
+
+    beforeEach(() => {
+      realEngine = createRealEngine();
+      fired = [];
+      realEngine.addDefinition({
+        id: 'Unassigned', type: 'rule',
+        when: [{ ticket: { id: '?tid' } }, _.lacks({ assignment: { ticketId: '?tid' } })],
+        then: (ctx, b) => { fired.push(b['?tid']); },
+      });
+    });
+
+    test('should refire a rule when an accumulated value changes after it fired', async () => {
+      const totals = [];
+      realEngine.addDefinition({
+        id: 'Total', type: 'rule', when: [_.from({ order: {} }).sum('total').into('?t')],
+        then: (ctx, b) => { totals.push(b['?t']); },
+      });
+      await realEngine.fireAll();
+      realEngine.assertFact({ type: 'order', total: 10 });
+      await realEngine.fireAll();
+      realEngine.assertFact({ type: 'order', total: 20 });
+      await realEngine.fireAll();
+      expect(totals).toEqual([0, 10, 30]);
+    });
+
+    test('should not refire a rule when the same fact tuple matches again', async () => {
+      const suppressed = jest.fn();
+      realEngine.on('rule:activationSuppressed', suppressed);
+      realEngine.assertFact({ type: 'ticket', id: 't1' });
+      await realEngine.fireAll();
+
+      const assignment = realEngine.assertFact({ type: 'assignment', ticketId: 't1' });
+      realEngine.retractFact(assignment._id);
+      await realEngine.fireAll();
+
+      expect(fired).toEqual(['t1']);
+      expect(suppressed).toHaveBeenCalledWith(expect.objectContaining({ ruleId: 'Unassigned', reason: 'refraction' }));
+    });
+
+    test('should fire again once a field the rule reads was modified', async () => {
+      const ticket = realEngine.assertFact({ type: 'ticket', id: 't1' });
+      await realEngine.fireAll();
+
+      realEngine.modifyFact(ticket._id, { priority: 'high' }); // not read by the rule
+      await realEngine.fireAll();
+      realEngine.modifyFact(ticket._id, { id: 't1-reopened' });
+      await realEngine.fireAll();
+      expect(fired).toEqual(['t1', 't1-reopened']);
+    });
+
+    test('should fire again once the rule is redefined', async () => {
+      realEngine.assertFact({ type: 'ticket', id: 't1' });
+      await realEngine.fireAll();
+
+      realEngine.addDefinition({
+        id: 'Unassigned', type: 'rule',
+        when: [{ ticket: { id: '?tid' } }],
+        then: (ctx, b) => { fired.push(`${b['?tid']} again`); },
+      });
+      await realEngine.fireAll();
+      expect(fired).toEqual(['t1', 't1 again']);
+    });
+
+    test('should not record activations whose pre-conditions failed', async () => {
+      realEngine.addDefinition({
+        id: 'Large', type: 'rule',
+        when: [{ account: { id: '?a' } }, _.from({ deposit: { account: '?a' } }).sum('amount').into('?total')],
+        pre: [_.guard.gt('?total', 100)],
+        then: (ctx, b) => { fired.push(b['?total']); },
+      });
+      realEngine.assertFact({ type: 'account', id: 'a1' });
+      await realEngine.fireAll();
+      realEngine.assertFact({ type: 'deposit', account: 'a1', amount: 150 });
+      await realEngine.fireAll();
+      expect(fired).toEqual([150]);
+    });
+  });
+
+  describe('noLoop and lockOnActive', () => {
+    let realEngine;
+    let suppressed;
+
+    beforeEach(() => {
+      realEngine = createRealEngine();
+      suppressed = jest.fn();
+      realEngine.on('rule:activationSuppressed', suppressed);
+    });
+
+    const bumpRule = (id, attributes = {}) => ({
+      id, type: 'rule', ...attributes,
+      when: [{ '?c': { type: 'counter', value: '?v' } }],
+      then: jest.fn((ctx, b) => { if (b['?v'] < 5) ctx.modifyFact(b['?c']._id, { value: b['?v'] + 1 }); }),
+    });
+
+    test('should let a rule reactivate itself by modifying its own fact without noLoop', async () => {
+      const rule = bumpRule('Bump');
+      realEngine.addDefinition(rule);
+      realEngine.assertFact({ type: 'counter', value: 0 });
+      await realEngine.fireAll();
+      expect(rule.then).toHaveBeenCalledTimes(6);
+    });
+
+    test('noLoop should suppress activations caused by the rule itself', async () => {
+      const rule = bumpRule('Bump', { noLoop: true });
+      realEngine.addDefinition(rule);
+      realEngine.assertFact({ type: 'counter', value: 0 });
+      await realEngine.fireAll();
+
+      expect(rule.then).toHaveBeenCalledTimes(1);
+      expect(realEngine.getFacts({ type: 'counter' })[0].value).toBe(1);
+      expect(suppressed).toHaveBeenCalledWith(expect.objectContaining({ ruleId: 'Bump', reason: 'noLoop' }));
+    });
+
+    test('noLoop should not suppress activations caused by other rules', async () => {
+      const rule = bumpRule('Bump', { noLoop: true });
+      realEngine.addDefinition(rule);
+      realEngine.addDefinition({
+        id: 'Reset', type: 'rule', when: [{ '?c': { type: 'counter', value: 1 } }],
+        then: (ctx, b) => ctx.modifyFact(b['?c']._id, { value: 3 }),
+      });
+      realEngine.assertFact({ type: 'counter', value: 0 });
+      await realEngine.fireAll();
+      expect(rule.then).toHaveBeenCalledTimes(2);
+    });
+
+    test('lockOnActive should suppress activations created while the agenda group is active', async () => {
+      const rule = bumpRule('Bump', { lockOnActive: true });
+      realEngine.addDefinition(rule);
+      realEngine.assertFact({ type: 'counter', value: 0 });
+      realEngine.assertFact({ type: 'counter', value: 2 });
+      await realEngine.fireAll();
+
+      // Both activations pending when the run started fire; the ones their changes created do not.
+      expect(rule.then).toHaveBeenCalledTimes(2);
+      expect(suppressed).toHaveBeenCalledWith(expect.objectContaining({ ruleId: 'Bump', reason: 'lockOnActive' }));
+
+      realEngine.assertFact({ type: 'counter', value: 4 });
+      await realEngine.fireAll();
+      expect(rule.then).toHaveBeenCalledTimes(3);
+    });
+  });
+
+  describe('Agenda groups', () => {
+    let realEngine;
+    let fired;
+
+    const phaseRule = (id, agendaGroup, then = () => {}) => ({
+      id, type: 'rule', agendaGroup, when: [{ order: { id: '?id' } }],
+      then: (ctx, b) => { fired.push(id); then(ctx, b); },
+    });
+
+    beforeEach(() => {
+      realEngine = createRealEngine();
+      fired = [];
+    });
+
+    test('should only fire activations of the focused group and pop it when exhausted', async () => {
+      const popped = jest.fn();
+      realEngine.on('agenda:focusPopped', popped);
+      realEngine.addDefinition(phaseRule('Notify', undefined));
+      realEngine.addDefinition(phaseRule('Price', 'pricing'));
+      realEngine.addDefinition(phaseRule('Validate', 'validation'));
+      realEngine.assertFact({ type: 'order', id: 'o1' });
+
+      realEngine.setFocus('pricing');
+      realEngine.setFocus('validation');
+      expect(realEngine.getFocus()).toBe('validation');
+      await realEngine.fireAll();
+
+      expect(fired).toEqual(['Validate', 'Price', 'Notify']);
+      expect(popped).toHaveBeenCalledWith(expect.objectContaining({ group: 'validation', focus: 'pricing' }));
+      expect(realEngine.getFocus()).toBe('MAIN');
+    });
+
+    test('should leave activations of unfocused groups pending', async () => {
+      realEngine.addDefinition(phaseRule('Price', 'pricing'));
+      realEngine.assertFact({ type: 'order', id: 'o1' });
+      await realEngine.fireAll();
+      expect(fired).toEqual([]);
+
+      realEngine.setFocus('pricing');
+      await realEngine.fireAll();
+      expect(fired).toEqual(['Price']);
+    });
+
+    test('ctx.setFocus should let a rule hand over to the next phase', async () => {
+      realEngine.addDefinition(phaseRule('Validate', 'validation', ctx => ctx.setFocus('enrichment')));
+      realEngine.addDefinition(phaseRule('Enrich', 'enrichment', ctx => ctx.setFocus('pricing')));
+      realEngine.addDefinition(phaseRule('Price', 'pricing'));
+      realEngine.addDefinition(phaseRule('Audit', 'validation'));
+      realEngine.assertFact({ type: 'order', id: 'o1' });
+
+      realEngine.setFocus('validation');
+      await realEngine.fireAll();
+      // The remaining validation activation fires once the groups pushed above it are exhausted.
+      expect(fired).toEqual(['Validate', 'Enrich', 'Price', 'Audit']);
+    });
+
+    test('lockOnActive should only apply while the rule\'s group has the focus', async () => {
+      realEngine.addDefinition({ ...phaseRule('Price', 'pricing'), lockOnActive: true });
+      realEngine.addDefinition(phaseRule('Intake', undefined, (ctx, b) => {
+        if (b['?id'] === 'o1') ctx.assertFact({ type: 'order', id: 'o2' });
+      }));
+      realEngine.assertFact({ type: 'order', id: 'o1' });
+      await realEngine.fireAll();
+
+      realEngine.setFocus('pricing');
+      await realEngine.fireAll();
+      expect(fired).toEqual(['Intake', 'Intake', 'Price', 'Price']);
+    });
+
+    test('setFocus should emit engine:error for invalid group names', () => {
+      const errorListener = jest.fn();
+      realEngine.on('engine:error', errorListener);
+      realEngine.setFocus('');
+      expect(errorListener).toHaveBeenCalledWith(expect.objectContaining({ error: expect.any(Error) }));
+      expect(realEngine.getFocus()).toBe('MAIN');
+    });
+  });
+
+  describe('Activation groups', () => {
+    let realEngine;
+    let fired;
+
+    const tierRule = (id, salience, minSpend) => ({
+      id, type: 'rule', salience, activationGroup: 'discountTier',
+      when: [[{ customer: { id: '?cid', spend: '?spend' } }, _.guard.gte('?spend', minSpend)]],
+      then: (ctx, b) => { fired.push(`${id}:${b['?cid']}`); },
+    });
+
+    beforeEach(() => {
+      realEngine = createRealEngine();
+      fired = [];
+      realEngine.addDefinition(tierRule('TierA', 30, 1000));
+      realEngine.addDefinition(tierRule('TierB', 20, 500));
+      realEngine.addDefinition(tierRule('TierC', 10, 0));
+    });
+
+    test('should cancel the other pending activations of the group when one fires', async () => {
+      const cancelled = jest.fn();
+      realEngine.on('rule:activationCancelled', cancelled);
+      realEngine.assertFact({ type: 'customer', id: 'c1', spend: 700 });
+      await realEngine.fireAll();
+
+      expect(fired).toEqual(['TierB:c1']);
+      expect(cancelled).toHaveBeenCalledTimes(1);
+      expect(cancelled).toHaveBeenCalledWith(expect.objectContaining({
+        ruleId: 'TierC', reason: 'activationGroup', activationGroup: 'discountTier', firedRuleId: 'TierB',
+      }));
+    });
+
+    test('should fire one rule of the group per customer', async () => {
+      realEngine.assertFact({ type: 'customer', id: 'c1', spend: 700 });
+      realEngine.assertFact({ type: 'customer', id: 'c2', spend: 1200 });
+      realEngine.assertFact({ type: 'customer', id: 'c3', spend: 50 });
+      await realEngine.fireAll();
+      expect(fired.sort()).toEqual(['TierA:c2', 'TierB:c1', 'TierC:c3']);
+    });
+
+    test('should let later activations of the group fire in a new cycle', async () => {
+      realEngine.assertFact({ type: 'customer', id: 'c1', spend: 1200 });
+      await realEngine.fireAll();
+      realEngine.assertFact({ type: 'customer', id: 'c2', spend: 100 });
+      await realEngine.fireAll();
+      expect(fired).toEqual(['TierA:c1', 'TierC:c2']);
+    });
+
+    test('should not affect rules outside the group', async () => {
+      realEngine.addDefinition({ id: 'Welcome', type: 'rule', when: [{ customer: { id: '?cid' } }], then: (ctx, b) => { fired.push(`Welcome:${b['?cid']}`); } });
+      realEngine.assertFact({ type: 'customer', id: 'c1', spend: 1200 });
+      await realEngine.fireAll();
+      expect(fired).toEqual(['TierA:c1', 'Welcome:c1']);
+    });
+  });
+
+  describe('In-place modification', () => {
+    let realEngine;
+
+    beforeEach(() => {
+      realEngine = createRealEngine();
+    });
+
+    test('should keep the fact id and object identity', () => {
+      const order = realEngine.assertFact({ type: 'order', status: 'open', total: 10 });
+      const modifiedListener = jest.fn();
+      realEngine.on('fact:modified', modifiedListener);
+
+      const modified = realEngine.modifyFact(order._id, { status: 'paid' });
+      expect(modified).toBe(order);
+      expect(order).toEqual({ type: 'order', status: 'paid', total: 10, _id: order._id });
+      expect(realEngine.getFacts({ type: 'order' })).toEqual([order]);
+      expect(modifiedListener).toHaveBeenCalledWith(expect.objectContaining({
+        fact: order, changes: { status: { from: 'open', to: 'paid' } },
+      }));
+    });
+
+    test('should re-fire a rule that modifies a field its own pattern reads until its guard fails, unless it has noLoop', async () => {
+      const discountRule = (noLoop) => ({
+        id: 'Discount', type: 'rule', noLoop,
+        when: [{ order: { amount: '?amt' } }],
+        pre: [_.guard.gt('?amt', 50)],
+        then: jest.fn((ctx, b) => ctx.modifyFact(b.order._id, { amount: b['?amt'] * 0.9 })),
+      });
+
+      const looping = discountRule(false);
+      realEngine.addDefinition(looping);
+      const first = realEngine.assertFact({ type: 'order', amount: 100 });
+      await realEngine.fireAll();
+      expect(looping.then).toHaveBeenCalledTimes(7);
+      expect(first.amount).toBeCloseTo(47.83, 2);
+
+      const once = discountRule(true);
+      const engine = createRealEngine();
+      engine.addDefinition(once);
+      const second = engine.assertFact({ type: 'order', amount: 100 });
+      await engine.fireAll();
+      expect(once.then).toHaveBeenCalledTimes(1);
+      expect(second.amount).toBe(90);
+    });
+
+    test('updateFact should hand the updater a copy so direct mutations cannot bypass the diff', () => {
+      const order = realEngine.assertFact({ type: 'order', status: 'open', total: 10 });
+      const modifiedListener = jest.fn();
+      realEngine.on('fact:modified', modifiedListener);
+
+      realEngine.updateFact(order._id, current => {
+        expect(current).toEqual({ type: 'order', status: 'open', total: 10 });
+        current.total = 999;
+        return { status: 'paid' };
+      });
+      expect(order).toEqual({ type: 'order', status: 'paid', total: 10, _id: order._id });
+      expect(modifiedListener).toHaveBeenCalledWith(expect.objectContaining({ changes: { status: { from: 'open', to: 'paid' } } }));
+    });
+
+    test('should not cascade truth maintenance for logical facts of the modified fact', async () => {
+      realEngine.addDefinition({
+        id: 'Derive', type: 'rule', when: [{ order: { total: '?t' } }],
+        then: (ctx, b) => ctx.assertFact({ type: 'invoice', total: b['?t'] }, { logical: true }),
+      });
+      const order = realEngine.assertFact({ type: 'order', status: 'open', total: 10 });
+      await realEngine.fireAll();
+
+      realEngine.modifyFact(order._id, { status: 'paid' });
+      await realEngine.fireAll();
+      expect(realEngine.getFacts({ type: 'invoice' })).toHaveLength(1);
+    });
+
+    test('should only re-evaluate rules whose patterns read a changed field', async () => {
+      const byStatus = jest.fn();
+      const byTotal = jest.fn();
+      const byGuardPath = jest.fn();
+      realEngine.addDefinition({ id: 'ByStatus', type: 'rule', when: [{ order: { status: '?s' } }], then: byStatus });
+      realEngine.addDefinition({ id: 'ByTotal', type: 'rule', when: [{ order: { total: _.gt(5) } }], then: byTotal });
+      realEngine.addDefinition({
+        id: 'ByGuardPath', type: 'rule', when: [[{ '?o': { type: 'order' } }, _.guard.eq(['path', '?o', 'status'], 'paid')]], then: byGuardPath,
+      });
+      const order = realEngine.assertFact({ type: 'order', status: 'open', total: 10 });
+      await realEngine.fireAll();
+
+      realEngine.modifyFact(order._id, { status: 'paid' });
+      await realEngine.fireAll();
+
+      expect(byStatus).toHaveBeenCalledTimes(2);
+      expect(byStatus).toHaveBeenLastCalledWith(expect.anything(), expect.objectContaining({ '?s': 'paid' }));
+      expect(byTotal).toHaveBeenCalledTimes(1);
+      expect(byGuardPath).toHaveBeenCalledTimes(1);
+    });
+
+    test('should re-evaluate guards of later conditions that read a modified field of an earlier fact', async () => {
+      const then = jest.fn();
+      realEngine.addDefinition({
+        id: 'OverLimit', type: 'rule',
+        when: [{ order: { customerId: '?c' } }, [{ customer: { id: '?c', limit: '?lim' } }, _.guard.gt(_.guard.path('?order', 'total'), '?lim')]],
+        then,
+      });
+      realEngine.assertFact({ type: 'customer', id: 'c1', limit: 100 });
+      const order = realEngine.assertFact({ type: 'order', customerId: 'c1', total: 500 });
+      realEngine.modifyFact(order._id, { total: 10 });
+      await realEngine.fireAll();
+      expect(then).not.toHaveBeenCalled();
+
+      realEngine.modifyFact(order._id, { total: 200 });
+      await realEngine.fireAll();
+      expect(then).toHaveBeenCalledTimes(1);
+    });
+
+    test('should add and remove matches when the modified fields change the pattern outcome', async () => {
+      const then = jest.fn();
+      realEngine.addDefinition({
+        id: 'Large', type: 'rule',
+        when: [{ customer: { id: '?c' } }, [{ order: { customerId: '?c', total: '?t' } }, _.guard.gt('?t', 100)]],
+        then,
+      });
+      realEngine.assertFact({ type: 'customer', id: 'c1' });
+      const order = realEngine.assertFact({ type: 'order', customerId: 'c1', total: 50 });
+      await realEngine.fireAll();
+      expect(then).not.toHaveBeenCalled();
+
+      realEngine.modifyFact(order._id, { total: 150 });
+      realEngine.modifyFact(order._id, { total: 20 });
+      await realEngine.fireAll();
+      expect(then).not.toHaveBeenCalled();
+
+      realEngine.modifyFact(order._id, { total: 200 });
+      await realEngine.fireAll();
+      expect(then).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({ '?t': 200 }));
+    });
+
+    test('should re-evaluate accumulators over the modified field', async () => {
+      const totals = [];
+      realEngine.addDefinition({
+        id: 'Spend', type: 'rule',
+        when: [{ customer: { id: '?c' } }, _.from({ order: { customerId: '?c' } }).sum('total').into('?spent')],
+        then: (ctx, b) => { totals.push(b['?spent']); },
+      });
+      realEngine.assertFact({ type: 'customer', id: 'c1' });
+      const order = realEngine.assertFact({ type: 'order', customerId: 'c1', total: 50 });
+      await realEngine.fireAll();
+
+      realEngine.modifyFact(order._id, { total: 80 });
+      await realEngine.fireAll();
+      expect(totals).toEqual([50, 80]);
+    });
+  });
+
+  describe('Transactions', () => {
+    let realEngine;
+
+    beforeEach(() => {
+      realEngine = createRealEngine();
+    });
+
+    test('should buffer changes and apply them on commit', async () => {
+      const account = realEngine.assertFact({ type: 'account', balance: 100 });
+      const committed = jest.fn();
+      realEngine.on('transaction:committed', committed);
+
+      const result = await realEngine.transaction(async (tx) => {
+        tx.modifyFact(account._id, { balance: 40 });
+        const payment = tx.assertFact({ type: 'payment', amount: 60 });
+        expect(realEngine.getFacts({ type: 'payment' })).toHaveLength(0);
+        expect(account.balance).toBe(100);
+        expect(tx.getFact(account._id).balance).toBe(40);
+        return payment;
+      });
+
+      expect(account.balance).toBe(40);
+      expect(realEngine.getFacts({ type: 'payment' })).toEqual([expect.objectContaining({ amount: 60, _id: result._id })]);
+      expect(committed).toHaveBeenCalledWith(expect.objectContaining({ operations: 2 }));
+    });
+
+    test('should discard changes and rethrow when the work fails', async () => {
+      const account = realEngine.assertFact({ type: 'account', balance: 100 });
+      const rolledBack = jest.fn();
+      realEngine.on('transaction:rolledBack', rolledBack);
+      const failure = new Error('insufficient funds');
+
+      await expect(realEngine.transaction((tx) => {
+        tx.assertFact({ type: 'payment', amount: 60 });
+        tx.retractFact(account._id);
+        throw failure;
+      })).rejects.toBe(failure);
+
+      expect(realEngine.getFacts({ type: 'account' })).toEqual([account]);
+      expect(realEngine.getFacts({ type: 'payment' })).toHaveLength(0);
+      expect(rolledBack).toHaveBeenCalledWith(expect.objectContaining({ error: failure, operations: 2 }));
+    });
+
+    test('should see its own retractions and modifications in retractWhere', async () => {
+      const a = realEngine.assertFact({ type: 'task', status: 'open' });
+      const b = realEngine.assertFact({ type: 'task', status: 'open' });
+      await realEngine.transaction((tx) => {
+        tx.modifyFact(a._id, { status: 'done' });
+        tx.retractWhere({ task: { status: 'open' } });
+        expect(tx.getFact(b._id)).toBeNull();
+      });
+      expect(realEngine.getFacts({ type: 'task' })).toEqual([a]);
+      expect(a.status).toBe('done');
+    });
+
+    test('should reject invalid changes when they are made', async () => {
+      mockGetTemplate.mockImplementation(name => (name === 'payment' ? { schema: { amount: { type: 'number', required: true } } } : undefined));
+      const schemaErrorListener = jest.fn();
+      realEngine.on('engine:schemaError', schemaErrorListener);
+
+      await realEngine.transaction((tx) => {
+        expect(tx.assertFact({ type: 'payment' })).toBeNull();
+        tx.assertFact({ type: 'payment', amount: 5 });
+      });
+      expect(schemaErrorListener).toHaveBeenCalledTimes(1);
+      expect(realEngine.getFacts({ type: 'payment' })).toHaveLength(1);
+    });
+
+    test('should reject a transaction whose changes clash with each other', async () => {
+      mockGetTemplate.mockImplementation(name => (name === 'order' ? { name, schema: {}, key: ['id'] } : undefined));
+      const rolledBack = jest.fn();
+      realEngine.on('transaction:rolledBack', rolledBack);
+
+      await expect(realEngine.transaction((tx) => {
+        tx.assertFact({ type: 'order', id: 'o1' });
+        tx.assertFact({ type: 'order', id: 'o1' });
+        tx.assertFact({ type: 'order', id: 'o2' });
+      })).rejects.toThrow(/same key already exists \(a fact asserted in the same transaction\)/);
+
+      expect(realEngine.getFacts({ type: 'order' })).toHaveLength(0);
+      expect(rolledBack).toHaveBeenCalledWith(expect.objectContaining({ operations: 1 }));
+    });
+
+    test('should check clashes against working memory as changed by the transaction', async () => {
+      mockGetTemplate.mockImplementation(name => (name === 'order' ? { name, schema: {}, key: ['id'] } : undefined));
+      const o1 = realEngine.assertFact({ type: 'order', id: 'o1' });
+      const o2 = realEngine.assertFact({ type: 'order', id: 'o2' });
+
+      await realEngine.transaction((tx) => {
+        tx.retractFact(o1._id);
+        tx.assertFact({ type: 'order', id: 'o1', status: 'new' });
+        tx.modifyFact(o2._id, { id: 'o3' });
+        expect(() => tx.assertFact({ type: 'order', id: 'o3' })).toThrow(`same key already exists (fact ID ${o2._id})`);
+        tx.assertFact({ type: 'order', id: 'o2' });
+      });
+
+      expect(realEngine.getFacts({ type: 'order' }).map(order => order.id).sort()).toEqual(['o1', 'o2', 'o3']);
+    });
+
+    test('should return the equal fact asserted earlier in the same transaction in the equality mode', async () => {
+      const equalityEngine = createRealEngine({ factStorage: new RealFactStorage({ factEquality: 'equality' }) });
+      await equalityEngine.transaction((tx) => {
+        const flag = tx.assertFact({ type: 'flag', user: 'u1' });
+        expect(tx.assertFact({ type: 'flag', user: 'u1' })).toBe(flag);
+      });
+      expect(equalityEngine.getFacts({ type: 'flag' })).toHaveLength(1);
+    });
+
+    test('should apply nothing when a direct change made a buffered one invalid', async () => {
+      mockGetTemplate.mockImplementation(name => (name === 'order' ? { name, schema: {}, key: ['id'] } : undefined));
+      const account = realEngine.assertFact({ type: 'account', balance: 100 });
+      const rolledBack = jest.fn();
+      realEngine.on('transaction:rolledBack', rolledBack);
+
+      await expect(realEngine.transaction(async (tx) => {
+        tx.modifyFact(account._id, { balance: 40 });
+        tx.assertFact({ type: 'order', id: 'o1' });
+        tx.assertFact({ type: 'order', id: 'o2' });
+        await Promise.resolve();
+        realEngine.assertFact({ type: 'order', id: 'o2', by: 'someone else' });
+      })).rejects.toThrow("working memory changed while the transaction was open, so a buffered 'assert' operation");
+
+      expect(account.balance).toBe(100);
+      expect(realEngine.getFacts({ type: 'order' })).toEqual([expect.objectContaining({ id: 'o2', by: 'someone else' })]);
+      expect(rolledBack).toHaveBeenCalledWith(expect.objectContaining({ operations: 3 }));
+    });
+
+    test('should undo the changes applied before a buffered change fails, keeping the facts they touched', async () => {
+      const factStorage = new RealFactStorage();
+      const storageEngine = createRealEngine({ factStorage });
+      const fired = [];
+      storageEngine.addDefinition({
+        id: 'Audit', type: 'rule',
+        when: [{ account: { balance: '?b' } }],
+        then: (ctx, b) => { fired.push(b['?b']); ctx.assertFact({ type: 'audit', balance: b['?b'] }, { logical: true }); },
+      });
+      const account = storageEngine.assertFact({ type: 'account', balance: 100 });
+      const hold = storageEngine.assertFact({ type: 'hold', amount: 10 });
+      await storageEngine.fireAll();
+      const [audit] = storageEngine.getFacts({ type: 'audit' });
+      const assert = factStorage.assert.bind(factStorage);
+      jest.spyOn(factStorage, 'assert').mockImplementation((fact, metadata) => (fact.type === 'refund' ? null : assert(fact, metadata)));
+
+      await expect(storageEngine.transaction((tx) => {
+        tx.modifyFact(account._id, { balance: 40 });
+        tx.retractFact(hold._id);
+        tx.assertFact({ type: 'payment', amount: 60 });
+        tx.assertFact({ type: 'refund', amount: 60 });
+      })).rejects.toThrow("a buffered 'assert' operation could not be applied; working memory was restored");
+      await storageEngine.fireAll();
+
+      expect(storageEngine.getFacts({ type: 'account' })).toEqual([account]);
+      expect(storageEngine.getFacts({ type: 'account' })[0]).toBe(account);
+      expect(account.balance).toBe(100);
+      expect(storageEngine.getFacts({ type: 'hold' })[0]).toBe(hold);
+      expect(storageEngine.getFacts({ type: 'payment' })).toHaveLength(0);
+      expect(storageEngine.getFacts({ type: 'audit' })[0]).toBe(audit);
+      expect(fired).toEqual([100]);
+
+      // The restored activation still justifies the audit fact.
+      storageEngine.modifyFact(account._id, { balance: 50 });
+      await storageEngine.fireAll();
+      expect(storageEngine.getFacts({ type: 'audit' })).toEqual([expect.objectContaining({ balance: 50 })]);
+    });
+
+    test('should roll back a transactional rule action that throws before the throws handler runs', async () => {
+      let seenInHandler;
+      realEngine.addDefinition({
+        id: 'Ship', type: 'rule', transactional: true,
+        when: [{ order: { status: 'paid' } }],
+        then: (ctx, b) => {
+          ctx.assertFact({ type: 'shipment', order: 'o1' });
+          ctx.retractWhere({ order: { status: 'paid' } });
+          throw new RangeError('carrier unavailable');
+        },
+        throws: {
+          RangeError: (e, ctx) => {
+            seenInHandler = { shipments: realEngine.getFacts({ type: 'shipment' }).length, orders: realEngine.getFacts({ type: 'order' }).length };
+            ctx.assertFact({ type: 'alert', reason: e.message });
+          },
+        },
+      });
+      realEngine.assertFact({ type: 'order', status: 'paid' });
+      await realEngine.fireAll();
+
+      expect(seenInHandler).toEqual({ shipments: 0, orders: 1 });
+      expect(realEngine.getFacts({ type: 'alert' })).toHaveLength(1);
+    });
+
+    test('should commit a transactional rule action, keeping logical assertions', async () => {
+      realEngine.addDefinition({
+        id: 'Invoice', type: 'rule', transactional: true,
+        when: [{ order: { total: '?t' } }],
+        then: (ctx, b) => { ctx.assertFact({ type: 'invoice', total: b['?t'] }, { logical: true }); },
+      });
+      const order = realEngine.assertFact({ type: 'order', total: 10 });
+      await realEngine.fireAll();
+      expect(realEngine.getFacts({ type: 'invoice' })).toHaveLength(1);
+
+      realEngine.retractFact(order._id);
+      await realEngine.fireAll();
+      expect(realEngine.getFacts({ type: 'invoice' })).toHaveLength(0);
+    });
+
+    test('should report an error for a non-function argument', async () => {
+      const errorListener = jest.fn();
+      realEngine.on('engine:error', errorListener);
+      await expect(realEngine.transaction('nope')).resolves.toBeUndefined();
+      expect(errorListener).toHaveBeenCalledWith(expect.objectContaining({ error: expect.any(TypeError) }));
+    });
+  });
+
+  describe('Backward chaining (prove)', () => {
+    let realEngine;
+
+    beforeEach(() => {
+      realEngine = createRealEngine();
+    });
+
+    test('should prove a goal derived by a rule without running its action', async () => {
+      const then = jest.fn();
+      realEngine.addDefinition({
+        id: 'Eligibility', type: 'rule', when: [{ customer: { id: '?c', tier: 'gold' } }],
+        derives: { eligible: { customerId: '?c' } }, then,
+      });
+      realEngine.assertFact({ type: 'customer', id: 'c1', tier: 'gold' });
+      realEngine.assertFact({ type: 'customer', id: 'c2', tier: 'basic' });
+
+      expect(await realEngine.prove({ eligible: { customerId: 'c1' } })).toEqual([
+        expect.objectContaining({ '?eligible': { type: 'eligible', customerId: 'c1' } }),
+      ]);
+      expect(await realEngine.prove({ eligible: { customerId: 'c2' } })).toEqual([]);
+      expect((await realEngine.prove({ eligible: { customerId: '?who' } })).map(b => b['?who'])).toEqual(['c1']);
+      expect(then).not.toHaveBeenCalled();
+      expect(realEngine.getFacts({ type: 'eligible' })).toHaveLength(0);
+    });
+
+    test('should combine stored facts with chains of derived goals', async () => {
+      realEngine.addDefinition({
+        id: 'GoldFromSpend', type: 'query', when: [{ spend: { customerId: '?c', total: _.gte(1000) } }],
+        derives: { gold: { customerId: '?c' } },
+      });
+      realEngine.addDefinition({
+        id: 'EligibleIfGold', type: 'query', when: [{ gold: { customerId: '?c' } }],
+        derives: { eligible: { customerId: '?c' } },
+      });
+      realEngine.assertFact({ type: 'spend', customerId: 'c1', total: 1500 });
+      realEngine.assertFact({ type: 'gold', customerId: 'c2' });
+
+      const who = (await realEngine.prove({ eligible: { customerId: '?c' } })).map(b => b['?c']).sort();
+      expect(who).toEqual(['c1', 'c2']);
+    });
+
+    test('should terminate on recursive definitions over cyclic data', async () => {
+      realEngine.addDefinition({
+        id: 'Direct', type: 'query', when: [{ manages: { manager: '?m', employee: '?e' } }],
+        derives: { reportsTo: { employee: '?e', manager: '?m' } },
+      });
+      realEngine.addDefinition({
+        id: 'Transitive', type: 'query',
+        when: [{ manages: { manager: '?m', employee: '?e' } }, { reportsTo: { employee: '?m', manager: '?top' } }],
+        derives: { reportsTo: { employee: '?e', manager: '?top' } },
+      });
+      [['ceo', 'vp'], ['vp', 'lead'], ['lead', 'dev'], ['dev', 'ceo']].forEach(([manager, employee]) => {
+        realEngine.assertFact({ type: 'manages', manager, employee });
+      });
+
+      const managersOfDev = (await realEngine.prove({ reportsTo: { employee: 'dev', manager: '?m' } })).map(b => b['?m']).sort();
+      expect(managersOfDev).toEqual(['ceo', 'dev', 'lead', 'vp']);
+      const all = await realEngine.prove({ reportsTo: { employee: '?e', manager: '?m' } });
+      expect(all).toHaveLength(16);
+    });
+
+    test('should treat lacks conditions as negation as failure over derived goals', async () => {
+      realEngine.addDefinition({
+        id: 'Blocked', type: 'query', when: [{ chargeback: { customerId: '?c' } }],
+        derives: { blocked: { customerId: '?c' } },
+      });
+      realEngine.addDefinition({
+        id: 'Trusted', type: 'query', when: [{ customer: { id: '?c' } }, _.lacks({ blocked: { customerId: '?c' } })],
+        derives: { trusted: { customerId: '?c' } },
+      });
+      realEngine.assertFact({ type: 'customer', id: 'c1' });
+      realEngine.assertFact({ type: 'customer', id: 'c2' });
+      realEngine.assertFact({ type: 'chargeback', customerId: 'c2' });
+
+      expect((await realEngine.prove({ trusted: { customerId: '?c' } })).map(b => b['?c'])).toEqual(['c1']);
+    });
+
+    test('should report an error for malformed goals', async () => {
+      const errorListener = jest.fn();
+      realEngine.on('engine:error', errorListener);
+      expect(await realEngine.prove('eligible')).toEqual([]);
+      expect(errorListener).toHaveBeenCalledWith(expect.objectContaining({ error: expect.any(TypeError) }));
+    });
+  });
+
+  describe('evaluate', () => {
+    let realEngine;
+
+    beforeEach(() => {
+      realEngine = createRealEngine();
+      realEngine.addDefinition({
+        id: 'Minor', type: 'rule', when: [{ applicant: { name: '?n', age: _.lt(18) } }],
+        then: (ctx, b) => { ctx.assertFact({ type: 'decision', name: b['?n'], outcome: 'reject' }, { logical: true }); },
+      });
+      realEngine.addDefinition({ id: 'Decisions', type: 'query', when: [{ decision: { name: '?n', outcome: '?o' } }] });
+    });
+
+    test('should fire to quiescence, run the queries and return the outcome', async () => {
+      const result = await realEngine.evaluate(
+        [{ type: 'applicant', name: 'Ann', age: 17 }, { type: 'applicant', name: 'Bo', age: 30 }],
+        { queries: ['Decisions'] },
+      );
+
+      expect(result.firedRules).toEqual([{ ruleId: 'Minor', bindings: expect.objectContaining({ '?n': 'Ann' }) }]);
+      expect(result.facts.map(f => f.type)).toEqual(['applicant', 'applicant', 'decision']);
+      expect(result.queryResults.Decisions).toEqual([expect.objectContaining({ '?n': 'Ann', '?o': 'reject' })]);
+    });
+
+    test('should leave no working memory behind', async () => {
+      realEngine.assertFact({ type: 'applicant', name: 'Existing', age: 40 });
+      await realEngine.evaluate([{ type: 'applicant', name: 'Ann', age: 17 }]);
+      const second = await realEngine.evaluate([{ type: 'applicant', name: 'Cy', age: 12 }], { queries: ['Decisions'] });
+
+      expect(second.queryResults.Decisions).toHaveLength(1);
+      expect(second.facts).toHaveLength(2);
+      expect(realEngine.getFacts({ type: 'applicant' })).toHaveLength(1);
+      expect(realEngine.getFacts({ type: 'decision' })).toHaveLength(0);
+    });
+
+    test('should report errors from the throwaway engine and invalid input', async () => {
+      const errorListener = jest.fn();
+      const evaluatedListener = jest.fn();
+      realEngine.on('engine:error', errorListener);
+      realEngine.on('engine:evaluated', evaluatedListener);
+
+      const result = await realEngine.evaluate([{ name: 'no type' }]);
+      expect(result.facts).toEqual([]);
+      expect(errorListener).toHaveBeenCalledTimes(1);
+      expect(evaluatedListener).toHaveBeenCalledWith(expect.objectContaining({ factCount: 0, firedRuleCount: 0 }));
+
+      expect(await realEngine.evaluate(null)).toBeNull();
+      expect(errorListener).toHaveBeenCalledTimes(2);
+    });
+
+    test('should use a working memory configured like the engine\'s fact storage', async () => {
+      const factStorage = new RealFactStorage({ factEquality: 'equality' });
+      factStorage.createIndex('applicant', 'age', { sorted: true });
+      const equalityEngine = createRealEngine({ factStorage });
+      const createEmpty = jest.spyOn(factStorage, 'createEmpty');
+
+      const result = await equalityEngine.evaluate([{ type: 'applicant', name: 'Ann', age: 17 }, { type: 'applicant', name: 'Ann', age: 17 }]);
+
+      expect(result.facts).toHaveLength(1);
+      expect(createEmpty.mock.results[0].value.getIndex('applicant', 'age')).toEqual({ sorted: true });
+    });
+
+    test('should honour run limits', async () => {
+      realEngine.addDefinition({
+        id: 'Loop', type: 'rule', when: [{ counter: { n: '?n' } }],
+        then: (ctx, b) => { ctx.assertFact({ type: 'counter', n: b['?n'] + 1 }); },
+      });
+      const result = await realEngine.evaluate([{ type: 'counter', n: 0 }], { maxCycles: 5 });
+      expect(result.firedRules).toHaveLength(5);
+    });
+  });
+
+  describe('Sliding windows', () => {
+    let realEngine;
+    let alerts;
+    let now;
+
+    beforeEach(() => {
+      now = 1000000;
+      jest.spyOn(Date, 'now').mockImplementation(() => now);
+      realEngine = createRealEngine();
+      alerts = [];
+      realEngine.addDefinition({
+        id: 'CardVelocity', type: 'rule',
+        when: [
+          { card: { id: '?card' } },
+          _.from({ transaction: { card: '?card' } }).window({ time: '10m' }).count().into('?recent'),
+        ],
+        then: (ctx, b) => { alerts.push(b['?recent']); },
+      });
+      realEngine.assertFact({ type: 'card', id: 'c1' });
+    });
+
+    afterEach(() => {
+      Date.now.mockRestore();
+    });
+
+    test('should count the facts asserted within the window', async () => {
+      realEngine.assertFact({ type: 'transaction', card: 'c1' });
+      now += 5 * 60000;
+      realEngine.assertFact({ type: 'transaction', card: 'c1' });
+      await realEngine.fireAll();
+      expect(alerts).toEqual([2]);
+    });
+
+    test('should re-trigger the rule when a fact enters the window after it fired', async () => {
+      realEngine.assertFact({ type: 'transaction', card: 'c1' });
+      await realEngine.fireAll();
+      realEngine.assertFact({ type: 'transaction', card: 'c1' });
+      await realEngine.fireAll();
+      expect(alerts).toEqual([1, 2]);
+    });
+
+    test('should stop counting facts that fall out of the window and re-trigger the rule', async () => {
+      realEngine.assertFact({ type: 'transaction', card: 'c1' });
+      now += 5 * 60000;
+      realEngine.assertFact({ type: 'transaction', card: 'c1' });
+      await realEngine.fireAll();
+
+      now += 6 * 60000;
+      await realEngine.fireAll();
+      expect(alerts).toEqual([2, 1]);
+    });
+
+    test('should use a timestamp field when given, also in queries', async () => {
+      realEngine.addDefinition({
+        id: 'RecentTotal', type: 'query',
+        when: [_.from({ transaction: {} }).window({ time: '1h', field: 'at' }).sum('amount').into('?total')],
+      });
+      realEngine.assertFact({ type: 'transaction', card: 'c1', amount: 10, at: new Date(now - 2 * 3600000).toISOString() });
+      realEngine.assertFact({ type: 'transaction', card: 'c1', amount: 5, at: now - 60000 });
+      expect((await realEngine.queryAll('RecentTotal'))[0]['?total']).toBe(5);
+    });
+  });
+
+  describe('Clock', () => {
+    let clock;
+    let realEngine;
+
+    beforeEach(() => {
+      clock = new PseudoClock(1000);
+      realEngine = createRealEngine({ clock });
+    });
+
+    test('should expose the injected clock', () => {
+      expect(realEngine.clock).toBe(clock);
+    });
+
+    test('should stamp events, assertions and published topics with the clock time', async () => {
+      const asserted = jest.fn();
+      realEngine.on('fact:asserted', asserted);
+      realEngine.addDefinition({
+        id: 'Announce', type: 'rule', when: [{ order: { id: '?o' } }],
+        then: (ctx, b) => { ctx.publish('orders', { id: b['?o'] }); },
+      });
+      realEngine.assertFact({ type: 'order', id: 'o1' });
+      expect(asserted).toHaveBeenCalledWith(expect.objectContaining({ timestamp: 1000 }));
+
+      clock.advance('1h');
+      await realEngine.fireAll();
+      expect(realEngine.getFacts({ type: '_topic_event' })[0].timestamp).toBe(1000 + 3600000);
+    });
+
+    test('should expire accumulator windows as the clock advances', async () => {
+      const counts = [];
+      realEngine.addDefinition({
+        id: 'Recent', type: 'rule',
+        when: [_.from({ reading: {} }).window({ time: '10m' }).count().into('?n')],
+        then: (ctx, b) => { counts.push(b['?n']); },
+      });
+      realEngine.assertFact({ type: 'reading' });
+      clock.advance('9m');
+      realEngine.assertFact({ type: 'reading' });
+      await realEngine.fireAll();
+
+      clock.advance('1m');
+      await realEngine.fireAll();
+      clock.advance('9m');
+      await realEngine.fireAll();
+      expect(counts).toEqual([2, 1, 0]);
+    });
+  });
+
+  describe('Multi-justification truth maintenance', () => {
+    let realEngine;
+
+    beforeEach(() => {
+      realEngine = createRealEngine();
+      realEngine.addDefinition({
+        id: 'HighTemp', type: 'rule', when: [{ reading: { sensor: '?s', celsius: _.gt(80) } }],
+        then: (ctx) => { ctx.assertFact({ type: 'alert', level: 'high' }, { logical: true }); },
+      });
+      realEngine.addDefinition({
+        id: 'Smoke', type: 'rule', when: [{ smoke: { detected: true } }],
+        then: (ctx) => { ctx.assertFact({ level: 'high', type: 'alert' }, { logical: true }); },
+      });
+    });
+
+    test('should keep one logical fact justified by every activation that asserted it', async () => {
+      const justificationAdded = jest.fn();
+      realEngine.on('tms:justificationAdded', justificationAdded);
+      const reading = realEngine.assertFact({ type: 'reading', sensor: 's1', celsius: 90 });
+      const smoke = realEngine.assertFact({ type: 'smoke', detected: true });
+      await realEngine.fireAll();
+
+      const alerts = realEngine.getFacts({ type: 'alert' });
+      expect(alerts).toHaveLength(1);
+      expect(justificationAdded).toHaveBeenCalledWith(expect.objectContaining({ ruleId: 'Smoke', justifications: 2 }));
+      expect(realEngine.getJustifications(alerts[0]._id)).toEqual([
+        { activationId: 1, ruleId: 'HighTemp', factIds: [reading._id] },
+        { activationId: 2, ruleId: 'Smoke', factIds: [smoke._id] },
+      ]);
+    });
+
+    test('should retract a logical fact only when its last justification disappears', async () => {
+      const justificationRemoved = jest.fn();
+      realEngine.on('tms:justificationRemoved', justificationRemoved);
+      const reading = realEngine.assertFact({ type: 'reading', sensor: 's1', celsius: 90 });
+      const smoke = realEngine.assertFact({ type: 'smoke', detected: true });
+      await realEngine.fireAll();
+      const [alert] = realEngine.getFacts({ type: 'alert' });
+
+      realEngine.retractFact(reading._id);
+      await realEngine.fireAll();
+      expect(realEngine.getFacts({ type: 'alert' })).toEqual([alert]);
+      expect(justificationRemoved).toHaveBeenCalledWith(expect.objectContaining({ ruleId: 'HighTemp', justifications: 1 }));
+      expect(realEngine.getJustifications(alert._id)).toEqual([{ activationId: 2, ruleId: 'Smoke', factIds: [smoke._id] }]);
+
+      realEngine.retractFact(smoke._id);
+      await realEngine.fireAll();
+      expect(realEngine.getFacts({ type: 'alert' })).toEqual([]);
+      expect(realEngine.getJustifications(alert._id)).toBeNull();
+    });
+
+    test('should not merge logical facts with different content or with stated facts', async () => {
+      realEngine.assertFact({ type: 'alert', level: 'high' });
+      realEngine.assertFact({ type: 'reading', sensor: 's1', celsius: 90 });
+      await realEngine.fireAll();
+
+      const alerts = realEngine.getFacts({ type: 'alert' });
+      expect(alerts).toHaveLength(2);
+      expect(realEngine.getJustifications(alerts[0]._id)).toEqual([]);
+      expect(realEngine.getJustifications(alerts[1]._id)).toHaveLength(1);
+    });
+
+    test('should find the equal logical fact through a content index rather than scanning its type', async () => {
+      const factStorage = new RealFactStorage();
+      const indexedEngine = createRealEngine({ factStorage });
+      indexedEngine.addDefinition({
+        id: 'HighTemp', type: 'rule', when: [{ reading: { celsius: _.gt(80) } }],
+        then: (ctx) => { ctx.assertFact({ type: 'alert', level: 'high' }, { logical: true }); },
+      });
+      indexedEngine.assertFact({ type: 'reading', celsius: 90 });
+      await indexedEngine.fireAll();
+      const [alert] = indexedEngine.getFacts({ type: 'alert' });
+      const scan = jest.spyOn(factStorage, 'getFactsByType');
+
+      indexedEngine.assertFact({ type: 'reading', celsius: 95 });
+      await indexedEngine.fireAll();
+      expect(scan).not.toHaveBeenCalledWith('alert');
+      expect(indexedEngine.getFacts({ type: 'alert' })).toEqual([alert]);
+      expect(indexedEngine.getJustifications(alert._id)).toHaveLength(2);
+    });
+
+    test('should follow modifications of logical facts', async () => {
+      const reading = realEngine.assertFact({ type: 'reading', sensor: 's1', celsius: 90 });
+      await realEngine.fireAll();
+      const [alert] = realEngine.getFacts({ type: 'alert' });
+      realEngine.modifyFact(alert._id, { level: 'critical' });
+
+      realEngine.assertFact({ type: 'smoke', detected: true });
+      await realEngine.fireAll();
+      const alerts = realEngine.getFacts({ type: 'alert' });
+      expect(alerts.map(a => a.level).sort()).toEqual(['critical', 'high']);
+
+      realEngine.retractFact(reading._id);
+      await realEngine.fireAll();
+      expect(realEngine.getFacts({ type: 'alert' })).toEqual([expect.objectContaining({ level: 'high' })]);
+    });
+  });
+
+  describe('Non-monotonic truth maintenance', () => {
+    let realEngine;
+
+    beforeEach(() => {
+      realEngine = createRealEngine();
+    });
+
+    test('should retract conclusions drawn from a lacks condition once a blocking fact is asserted', async () => {
+      const factRetracted = jest.fn();
+      realEngine.on('tms:factRetracted', factRetracted);
+      realEngine.addDefinition({
+        id: 'Unpaid', type: 'rule', when: [{ order: { id: '?o' } }, _.lacks({ payment: { orderId: '?o' } })],
+        then: (ctx, b) => { ctx.assertFact({ type: 'unpaid', orderId: b['?o'] }, { logical: true }); },
+      });
+      realEngine.assertFact({ type: 'order', id: 'o1' });
+      await realEngine.fireAll();
+      expect(realEngine.getFacts({ type: 'unpaid' })).toHaveLength(1);
+
+      const payment = realEngine.assertFact({ type: 'payment', orderId: 'o1' });
+      expect(realEngine.getFacts({ type: 'unpaid' })).toEqual([]);
+      expect(factRetracted).toHaveBeenCalledWith(expect.objectContaining({ ruleId: 'Unpaid', reason: 'matchLost' }));
+
+      realEngine.retractFact(payment._id);
+      await realEngine.fireAll();
+      expect(realEngine.getFacts({ type: 'unpaid' })).toHaveLength(1);
+    });
+
+    test('should recompute conclusions drawn from an accumulated value when its inputs change', async () => {
+      realEngine.addDefinition({
+        id: 'Total', type: 'rule', when: [_.from({ item: {} }).sum('price').into('?total')],
+        then: (ctx, b) => { ctx.assertFact({ type: 'total', amount: b['?total'] }, { logical: true }); },
+      });
+      realEngine.assertFact({ type: 'item', price: 10 });
+      await realEngine.fireAll();
+      const cheap = realEngine.assertFact({ type: 'item', price: 5 });
+      await realEngine.fireAll();
+      expect(realEngine.getFacts({ type: 'total' }).map(f => f.amount)).toEqual([15]);
+
+      realEngine.retractFact(cheap._id);
+      await realEngine.fireAll();
+      expect(realEngine.getFacts({ type: 'total' }).map(f => f.amount)).toEqual([10]);
+    });
+
+    test('should recompute conclusions when a modification changes a field they were drawn from', async () => {
+      realEngine.addDefinition({
+        id: 'Invoice', type: 'rule', when: [{ order: { id: '?o', total: '?t' } }],
+        then: (ctx, b) => { ctx.assertFact({ type: 'invoice', orderId: b['?o'], total: b['?t'] }, { logical: true }); },
+      });
+      const order = realEngine.assertFact({ type: 'order', id: 'o1', total: 10 });
+      await realEngine.fireAll();
+      realEngine.modifyFact(order._id, { total: 12 });
+      await realEngine.fireAll();
+      expect(realEngine.getFacts({ type: 'invoice' }).map(f => f.total)).toEqual([12]);
+    });
+
+    test('should keep tracking negated dependencies across snapshots', async () => {
+      const unpaid = {
+        id: 'Unpaid', type: 'rule', when: [{ order: { id: '?o' } }, _.lacks({ payment: { orderId: '?o' } })],
+        then: (ctx, b) => { ctx.assertFact({ type: 'unpaid', orderId: b['?o'] }, { logical: true }); },
+      };
+      realEngine.addDefinition(unpaid);
+      realEngine.assertFact({ type: 'order', id: 'o1' });
+      await realEngine.fireAll();
+
+      const restored = createRealEngine();
+      restored.addDefinition(unpaid);
+      restored.restore(JSON.parse(JSON.stringify(realEngine.snapshot())));
+      restored.assertFact({ type: 'payment', orderId: 'o1' });
+      expect(restored.getFacts({ type: 'unpaid' })).toEqual([]);
+    });
+
+    test('should keep a conclusion that another activation still justifies', async () => {
+      realEngine.addDefinition({
+        id: 'Quiet', type: 'rule', when: [{ room: { id: '?r' } }, _.lacks({ noise: { room: '?r' } })],
+        then: (ctx, b) => { ctx.assertFact({ type: 'calm', room: b['?r'] }, { logical: true }); },
+      });
+      realEngine.addDefinition({
+        id: 'Empty', type: 'rule', when: [{ room: { id: '?r', occupants: 0 } }],
+        then: (ctx, b) => { ctx.assertFact({ type: 'calm', room: b['?r'] }, { logical: true }); },
+      });
+      realEngine.assertFact({ type: 'room', id: 'r1', occupants: 0 });
+      await realEngine.fireAll();
+      realEngine.assertFact({ type: 'noise', room: 'r1' });
+      await realEngine.fireAll();
+      const [calm] = realEngine.getFacts({ type: 'calm' });
+      expect(realEngine.getJustifications(calm._id).map(j => j.ruleId)).toEqual(['Empty']);
+    });
+  });
+
+  describe('Fact equality mode', () => {
+    let realEngine;
+
+    beforeEach(() => {
+      realEngine = createRealEngine({ factStorage: new RealFactStorage({ factEquality: 'equality' }) });
+    });
+
+    test('should ignore structurally equal assertions and fire once', async () => {
+      const flagged = jest.fn();
+      const duplicateIgnored = jest.fn();
+      realEngine.on('fact:duplicateIgnored', duplicateIgnored);
+      realEngine.addDefinition({ id: 'Flagged', type: 'rule', when: [{ flag: { userId: '?u' } }], then: flagged });
+
+      const first = realEngine.assertFact({ type: 'flag', userId: 'u1' });
+      const second = realEngine.assertFact({ type: 'flag', userId: 'u1' });
+      await realEngine.fireAll();
+
+      expect(second).toBe(first);
+      expect(realEngine.getFacts({ type: 'flag' })).toHaveLength(1);
+      expect(flagged).toHaveBeenCalledTimes(1);
+      expect(duplicateIgnored).toHaveBeenCalledWith(expect.objectContaining({ fact: first, factData: { type: 'flag', userId: 'u1' } }));
+    });
+
+    test('should not make a stated fact depend on a rule asserting an equal logical fact', async () => {
+      realEngine.addDefinition({
+        id: 'Flag', type: 'rule', when: [{ user: { id: '?u' } }],
+        then: (ctx, b) => { ctx.assertFact({ type: 'flag', userId: b['?u'] }, { logical: true }); },
+      });
+      const flag = realEngine.assertFact({ type: 'flag', userId: 'u1' });
+      const user = realEngine.assertFact({ type: 'user', id: 'u1' });
+      await realEngine.fireAll();
+      realEngine.retractFact(user._id);
+      await realEngine.fireAll();
+
+      expect(realEngine.getFacts({ type: 'flag' })).toEqual([flag]);
+      expect(realEngine.getJustifications(flag._id)).toEqual([]);
+    });
+
+    test('should assert facts that contain a cycle, directly and logically', async () => {
+      const node = { name: 'n' };
+      node.self = node;
+      realEngine.addDefinition({
+        id: 'Wrap', type: 'rule', when: [{ graph: { node: '?n' } }],
+        then: (ctx, b) => { ctx.assertFact({ type: 'wrapped', node: b['?n'] }, { logical: true }); },
+      });
+      realEngine.assertFact({ type: 'graph', node });
+      realEngine.assertFact({ type: 'graph', node });
+      await realEngine.fireAll();
+
+      expect(realEngine.getFacts({ type: 'graph' })).toHaveLength(2);
+      expect(realEngine.getFacts({ type: 'wrapped' })).toHaveLength(2);
+    });
+
+    test('should reject modifications that would duplicate another fact', () => {
+      const errorListener = jest.fn();
+      realEngine.on('engine:error', errorListener);
+      realEngine.assertFact({ type: 'flag', userId: 'u1' });
+      const other = realEngine.assertFact({ type: 'flag', userId: 'u2' });
+
+      expect(realEngine.modifyFact(other._id, { userId: 'u1' })).toBeNull();
+      expect(errorListener).toHaveBeenCalledWith(expect.objectContaining({
+        error: expect.objectContaining({ message: `Cannot modify fact: ID ${other._id} would become equal to fact ID 1.` }),
+      }));
+    });
+  });
+
+  describe('Natural keys', () => {
+    let realEngine;
+    let errorListener;
+
+    beforeEach(() => {
+      mockGetTemplate.mockImplementation(name => (name === 'order' ? { name, schema: {}, key: ['id'] } : undefined));
+      realEngine = createRealEngine();
+      errorListener = jest.fn();
+      realEngine.on('engine:error', errorListener);
+    });
+
+    test('upsertFact should assert new facts and modify the fact with the same key', async () => {
+      const statuses = [];
+      realEngine.addDefinition({
+        id: 'Status', type: 'rule', when: [{ order: { id: '?o', status: '?s' } }],
+        then: (ctx, b) => { statuses.push(b['?s']); },
+      });
+      const order = realEngine.upsertFact({ type: 'order', id: 'o-1', status: 'open', total: 10 });
+      await realEngine.fireAll();
+      const updated = realEngine.upsertFact({ type: 'order', id: 'o-1', status: 'shipped' });
+      await realEngine.fireAll();
+
+      expect(updated).toBe(order);
+      expect(realEngine.getFacts({ type: 'order' })).toEqual([{ type: 'order', id: 'o-1', status: 'shipped', total: 10, _id: order._id }]);
+      expect(statuses).toEqual(['open', 'shipped']);
+    });
+
+    test('getFactByKey should find facts by their key', () => {
+      const order = realEngine.assertFact({ type: 'order', id: 'o-1' });
+      expect(realEngine.getFactByKey('order', 'o-1')).toBe(order);
+      expect(realEngine.getFactByKey('order', 'o-2')).toBeNull();
+      realEngine.retractFact(order._id);
+      expect(realEngine.getFactByKey('order', 'o-1')).toBeNull();
+    });
+
+    test('should require key fields and keep keys unique', () => {
+      const schemaErrorListener = jest.fn();
+      realEngine.on('engine:schemaError', schemaErrorListener);
+      expect(realEngine.assertFact({ type: 'order' })).toBeNull();
+      expect(schemaErrorListener).toHaveBeenCalledWith(expect.objectContaining({
+        error: expect.objectContaining({ message: "Schema Validation Error: Key field 'id' is required for type 'order' but is missing or null." }),
+      }));
+
+      realEngine.assertFact({ type: 'order', id: 'o-1' });
+      const other = realEngine.assertFact({ type: 'order', id: 'o-2' });
+      expect(realEngine.assertFact({ type: 'order', id: 'o-1' })).toBeNull();
+      expect(realEngine.modifyFact(other._id, { id: 'o-1' })).toBeNull();
+      expect(errorListener).toHaveBeenCalledTimes(2);
+      expect(realEngine.getFacts({ type: 'order' })).toHaveLength(2);
+    });
+
+    test('should report types without a key', () => {
+      expect(realEngine.upsertFact({ type: 'user', name: 'Ann' })).toBeNull();
+      expect(realEngine.getFactByKey('user', 'Ann')).toBeNull();
+      expect(errorListener).toHaveBeenCalledWith(expect.objectContaining({
+        error: expect.objectContaining({ message: "Cannot upsert fact: the template of type 'user' must declare a 'key'." }),
+      }));
+    });
+  });
+
+  describe('Field indexes', () => {
+    let factStorage;
+    let realEngine;
+
+    beforeEach(() => {
+      factStorage = new RealFactStorage();
+      realEngine = createRealEngine({ factStorage, autoIndex: true });
+      ['c1', 'c2'].forEach(id => realEngine.assertFact({ type: 'customer', id }));
+      [['c1', 50, 'open'], ['c2', 120, 'open'], ['c1', 300, 'paid'], ['c2', 80, 'paid']]
+        .forEach(([customerId, total, status]) => realEngine.assertFact({ type: 'order', customerId, total, status }));
+    });
+
+    test('should index the fields queries join on and look up candidates through the index', async () => {
+      realEngine.addDefinition({
+        id: 'OrdersByCustomer', type: 'query', when: [{ customer: { id: '?c' } }, { order: { customerId: '?c', total: '?t' } }],
+      });
+      expect(factStorage.getIndex('order', 'customerId')).toEqual({ sorted: false });
+      const scanned = jest.spyOn(factStorage, 'getFactsByType');
+      const lookedUp = jest.spyOn(factStorage, 'findByField');
+
+      const results = await realEngine.queryAll('OrdersByCustomer');
+      expect(results.map(b => [b['?c'], b['?t']])).toEqual([['c1', 50], ['c1', 300], ['c2', 120], ['c2', 80]]);
+      expect(scanned.mock.calls.map(([type]) => type)).toEqual(['customer']);
+      expect(lookedUp).toHaveBeenCalledWith('order', 'customerId', 'c1');
+    });
+
+    test('should use sorted indexes for range predicates and query parameters', async () => {
+      realEngine.addDefinition({
+        id: 'LargeOrders', type: 'query', when: [{ order: { customerId: '?c', total: _.gte(100) } }],
+      });
+      expect(factStorage.getIndex('order', 'total')).toEqual({ sorted: true });
+      const ranged = jest.spyOn(factStorage, 'findInRange');
+
+      expect((await realEngine.queryAll('LargeOrders')).map(b => b['?c'])).toEqual(['c2', 'c1']);
+      expect(await realEngine.queryAll('LargeOrders', { '?c': 'c1' })).toHaveLength(1);
+      expect(ranged).toHaveBeenCalledWith('order', 'total', { gte: 100 });
+    });
+
+    test('should look up getFacts and retractWhere candidates through existing indexes', () => {
+      factStorage.createIndex('order', 'status');
+      const lookedUp = jest.spyOn(factStorage, 'findByField');
+
+      expect(realEngine.getFacts({ type: 'order', status: 'paid' }).map(f => f.total)).toEqual([300, 80]);
+      realEngine.retractWhere({ order: { status: 'open', customerId: 'c1' } });
+      expect(realEngine.getFacts({ type: 'order' }).map(f => f.total)).toEqual([120, 300, 80]);
+      expect(lookedUp).toHaveBeenCalledWith('order', 'status', 'paid');
+      expect(lookedUp).toHaveBeenCalledWith('order', 'status', 'open');
+    });
+
+    test('should not index rules matched by the network', () => {
+      realEngine.addDefinition({ id: 'Open', type: 'rule', when: [{ order: { status: 'open' } }], then: () => {} });
+      expect(factStorage.getIndex('order', 'status')).toBeUndefined();
+    });
+  });
+
+  describe('Type-agnostic patterns', () => {
+    let realEngine;
+    let order;
+    let invoice;
+
+    beforeEach(() => {
+      realEngine = createRealEngine();
+      order = realEngine.assertFact({ type: 'order', id: 'o-1', status: 'overdue' });
+      invoice = realEngine.assertFact({ type: 'invoice', id: 'i-1', status: 'overdue' });
+      realEngine.assertFact({ type: 'task', id: 't-1', status: 'overdue' });
+      realEngine.assertFact({ type: 'order', id: 'o-2', status: 'paid' });
+    });
+
+    test('getFacts should match facts of any type without a type', () => {
+      expect(realEngine.getFacts({ status: 'overdue' }).map(f => f.id)).toEqual(['o-1', 'i-1', 't-1']);
+      expect(realEngine.getFacts({ type: _.anyOf('order', 'invoice'), status: 'overdue' })).toEqual([order, invoice]);
+      expect(realEngine.getFacts()).toHaveLength(4);
+    });
+
+    test('rules should match facts of any type, or of the listed types', async () => {
+      const reminded = [];
+      const escalated = [];
+      realEngine.addDefinition({
+        id: 'Remind', type: 'rule', when: [{ '?doc': { status: 'overdue' } }], then: (ctx, b) => { reminded.push(b['?doc'].id); },
+      });
+      realEngine.addDefinition({
+        id: 'Escalate', type: 'rule', when: [{ '?doc': { type: _.anyOf('order', 'invoice'), status: 'overdue' } }],
+        then: (ctx, b) => { escalated.push(b['?doc'].id); },
+      });
+      await realEngine.fireAll();
+      realEngine.assertFact({ type: 'invoice', id: 'i-2', status: 'overdue' });
+      await realEngine.fireAll();
+
+      expect(reminded.sort()).toEqual(['i-1', 'i-2', 'o-1', 't-1']);
+      expect(escalated.sort()).toEqual(['i-1', 'i-2', 'o-1']);
+    });
+
+    test('queries should match facts of any type', async () => {
+      realEngine.addDefinition({
+        id: 'Overdue', type: 'query', when: [{ '?doc': { id: '?id', status: 'overdue' } }], select: { id: '?id' },
+      });
+      expect(await realEngine.queryAll('Overdue')).toEqual([{ id: 'o-1' }, { id: 'i-1' }, { id: 't-1' }]);
+    });
+
+    test('retractWhere should retract facts of any type, or of the listed types', () => {
+      realEngine.retractWhere({ '?doc': { type: _.anyOf('order', 'invoice'), status: 'overdue' } });
+      expect(realEngine.getFacts().map(f => f.id)).toEqual(['t-1', 'o-2']);
+      realEngine.retractWhere({ '?doc': { status: _.anyOf('overdue', 'paid') } });
+      expect(realEngine.getFacts()).toEqual([]);
+    });
+  });
+
+  describe('Retracting rules', () => {
+    let realEngine;
+    const discount = (percent) => ({
+      id: 'Discount', type: 'rule', when: [{ customer: { id: '?c', tier: 'gold' } }],
+      then: (ctx, b) => { ctx.assertFact({ type: 'discount', customerId: b['?c'], percent }, { logical: true }); },
+    });
+
+    beforeEach(async () => {
+      realEngine = createRealEngine();
+      realEngine.addDefinition(discount(10));
+      realEngine.assertFact({ type: 'customer', id: 'c1', tier: 'gold' });
+      await realEngine.fireAll();
+    });
+
+    test('should retract the logical facts of the rule when asked to', async () => {
+      const factRetracted = jest.fn();
+      realEngine.on('tms:factRetracted', factRetracted);
+      realEngine.retractDefinition('Discount', { retractLogicalFacts: true });
+      expect(realEngine.getFacts({ type: 'discount' })).toEqual([]);
+      expect(factRetracted).toHaveBeenCalledWith(expect.objectContaining({ ruleId: 'Discount', reason: 'ruleRetracted' }));
+
+      realEngine.addDefinition(discount(15));
+      await realEngine.fireAll();
+      expect(realEngine.getFacts({ type: 'discount' }).map(f => f.percent)).toEqual([15]);
+    });
+
+    test('should keep the logical facts as ordinary facts by default', async () => {
+      realEngine.retractDefinition('Discount');
+      const [kept] = realEngine.getFacts({ type: 'discount' });
+      expect(kept.percent).toBe(10);
+      expect(realEngine.getJustifications(kept._id)).toEqual([]);
+
+      realEngine.retractWhere({ customer: {} });
+      await realEngine.fireAll();
+      expect(realEngine.getFacts({ type: 'discount' })).toEqual([kept]);
+    });
+
+    test('should keep facts that other rules still justify', async () => {
+      realEngine.addDefinition({
+        id: 'LoyalDiscount', type: 'rule', when: [{ customer: { id: '?c', years: _.gte(5) } }],
+        then: (ctx, b) => { ctx.assertFact({ type: 'discount', customerId: b['?c'], percent: 10 }, { logical: true }); },
+      });
+      realEngine.assertFact({ type: 'customer', id: 'c1', tier: 'silver', years: 6 });
+      await realEngine.fireAll();
+
+      realEngine.retractDefinition('Discount', { retractLogicalFacts: true });
+      const [kept] = realEngine.getFacts({ type: 'discount' });
+      expect(realEngine.getJustifications(kept._id).map(j => j.ruleId)).toEqual(['LoyalDiscount']);
+    });
+
+    test('should cancel the pending activations of the rule', async () => {
+      const cancelled = jest.fn();
+      realEngine.on('rule:activationCancelled', cancelled);
+      realEngine.assertFact({ type: 'customer', id: 'c2', tier: 'gold' });
+      realEngine.retractDefinition('Discount');
+      await realEngine.fireAll();
+
+      expect(cancelled).toHaveBeenCalledWith(expect.objectContaining({ ruleId: 'Discount', reason: 'ruleRetracted' }));
+      expect(realEngine.getFacts({ type: 'discount' }).map(f => f.customerId)).toEqual(['c1']);
+      expect(realEngine.snapshot().activations).toEqual([]);
+    });
+  });
+
+  describe('Fact expiration', () => {
+    let clock;
+    let realEngine;
+
+    beforeEach(() => {
+      clock = new PseudoClock(1000);
+      realEngine = createRealEngine({ clock });
+    });
+
+    test('should retract facts once their ttl has passed and emit fact:expired', async () => {
+      const expired = jest.fn();
+      const retracted = jest.fn();
+      realEngine.on('fact:expired', expired);
+      realEngine.on('fact:retracted', retracted);
+      const heartbeat = realEngine.assertFact({ type: 'heartbeat', host: 'web-1' }, { ttl: '90s' });
+      realEngine.assertFact({ type: 'heartbeat', host: 'web-2' });
+
+      clock.advance('89s');
+      await realEngine.fireAll();
+      expect(realEngine.getFacts({ type: 'heartbeat' })).toHaveLength(2);
+
+      clock.advance('1s');
+      await realEngine.fireAll();
+      expect(realEngine.getFacts({ type: 'heartbeat' }).map(f => f.host)).toEqual(['web-2']);
+      expect(expired).toHaveBeenCalledWith({ fact: heartbeat, expiresAt: 91000, timestamp: 91000 });
+      expect(retracted).toHaveBeenCalledWith(expect.objectContaining({ factId: heartbeat._id }));
+    });
+
+    test('should run truth maintenance for the facts an expired fact supported', async () => {
+      realEngine.addDefinition({
+        id: 'Online', type: 'rule', when: [{ heartbeat: { host: '?h' } }],
+        then: (ctx, b) => { ctx.assertFact({ type: 'online', host: b['?h'] }, { logical: true }); },
+      });
+      realEngine.assertFact({ type: 'heartbeat', host: 'web-1' }, { ttl: 1000 });
+      await realEngine.fireAll();
+      expect(realEngine.getFacts({ type: 'online' })).toHaveLength(1);
+
+      clock.advance(1000);
+      await realEngine.fireAll();
+      expect(realEngine.getFacts({ type: 'online' })).toEqual([]);
+    });
+
+    test('should let rule actions assert facts with a ttl', async () => {
+      realEngine.addDefinition({
+        id: 'Remind', type: 'rule', when: [{ order: { id: '?o' } }],
+        then: (ctx, b) => { ctx.assertFact({ type: 'reminder', orderId: b['?o'] }, { ttl: '1m' }); },
+      });
+      realEngine.assertFact({ type: 'order', id: 'o1' });
+      await realEngine.fireAll();
+      clock.advance('1m');
+      await realEngine.fireAll();
+      expect(realEngine.getFacts({ type: 'reminder' })).toEqual([]);
+    });
+
+    test('should reject invalid ttls', () => {
+      const errorListener = jest.fn();
+      realEngine.on('engine:error', errorListener);
+      expect(realEngine.assertFact({ type: 'heartbeat' }, { ttl: 'forever' })).toBeNull();
+      expect(errorListener).toHaveBeenCalledWith(expect.objectContaining({
+        error: expect.objectContaining({ message: expect.stringContaining("Fact assertion error: invalid 'ttl'.") }),
+      }));
+      expect(realEngine.getFacts({ type: 'heartbeat' })).toEqual([]);
+    });
+
+    test('should keep fact expiries across snapshots', async () => {
+      realEngine.assertFact({ type: 'heartbeat', host: 'web-1' }, { ttl: '1m' });
+      const restored = createRealEngine({ clock });
+      restored.restore(JSON.parse(JSON.stringify(realEngine.snapshot())));
+      clock.advance('1m');
+      await restored.fireAll();
+      expect(restored.getFacts({ type: 'heartbeat' })).toEqual([]);
+    });
+  });
+
+  describe('Timers and cron rules', () => {
+    let clock;
+    let realEngine;
+    let fired;
+
+    beforeEach(() => {
+      clock = new PseudoClock(new Date(2026, 0, 1, 1, 0).getTime());
+      realEngine = createRealEngine({ clock });
+      fired = [];
+      realEngine.addDefinition({
+        id: 'CancelUnpaid', type: 'rule', timer: '30s',
+        when: [{ order: { id: '?o' } }, _.lacks({ payment: { orderId: '?o' } })],
+        then: (ctx, b) => { fired.push(`cancel ${b['?o']}`); },
+      });
+    });
+
+    test('a timer rule should fire once its conditions have held for the delay', async () => {
+      const scheduled = jest.fn();
+      realEngine.on('rule:timerScheduled', scheduled);
+      realEngine.assertFact({ type: 'order', id: 'o1' });
+      expect(scheduled).toHaveBeenCalledWith(expect.objectContaining({ ruleId: 'CancelUnpaid', dueAt: clock.now() + 30000 }));
+
+      await realEngine.fireAll();
+      clock.advance('29s');
+      await realEngine.fireAll();
+      expect(fired).toEqual([]);
+
+      clock.advance('1s');
+      await realEngine.fireAll();
+      clock.advance('1h');
+      await realEngine.fireAll();
+      expect(fired).toEqual(['cancel o1']);
+    });
+
+    test('a timer rule should not fire if its conditions stop holding first', async () => {
+      realEngine.assertFact({ type: 'order', id: 'o1' });
+      clock.advance('20s');
+      realEngine.assertFact({ type: 'payment', orderId: 'o1' });
+      clock.advance('1m');
+      await realEngine.fireAll();
+      expect(fired).toEqual([]);
+    });
+
+    test('a cron rule should fire for its matches at every occurrence', async () => {
+      const triggered = jest.fn();
+      realEngine.on('rule:cronTriggered', triggered);
+      realEngine.addDefinition({
+        id: 'CloseStaleCarts', type: 'rule', cron: '0 2 * * *',
+        when: [{ cart: { id: '?c', status: 'stale' } }],
+        then: (ctx, b) => { fired.push(`close ${b['?c']}`); },
+      });
+      realEngine.assertFact({ type: 'cart', id: 'c1', status: 'stale' });
+      await realEngine.fireAll();
+      expect(fired).toEqual([]);
+
+      clock.advance('1h');
+      await realEngine.fireAll();
+      expect(fired).toEqual(['close c1']);
+      expect(triggered).toHaveBeenCalledWith(expect.objectContaining({
+        ruleId: 'CloseStaleCarts', matchCount: 1, nextAt: new Date(2026, 0, 2, 2, 0).getTime(),
+      }));
+
+      clock.advance('1d');
+      await realEngine.fireAll();
+      expect(fired).toEqual(['close c1', 'close c1']);
+    });
+
+    test('should report invalid schedules in raw definitions', () => {
+      const errorListener = jest.fn();
+      realEngine.on('engine:error', errorListener);
+      realEngine.addDefinition({ id: 'BadCron', type: 'rule', cron: 'daily', when: [], then: () => {} });
+      expect(errorListener).toHaveBeenCalledWith(expect.objectContaining({ definitionId: 'BadCron' }));
+    });
+
+    test('should keep pending timers and cron occurrences in snapshots', async () => {
+      realEngine.assertFact({ type: 'order', id: 'o1' });
+      const snapshot = JSON.parse(JSON.stringify(realEngine.snapshot()));
+      expect(snapshot.timers).toEqual([{ ruleId: 'CancelUnpaid', factIds: [1], dueAt: clock.now() + 30000 }]);
+
+      const restored = createRealEngine({ clock });
+      restored.addDefinition({
+        id: 'CancelUnpaid', type: 'rule', timer: '30s',
+        when: [{ order: { id: '?o' } }, _.lacks({ payment: { orderId: '?o' } })],
+        then: (ctx, b) => { fired.push(`restored ${b['?o']}`); },
+      });
+      clock.advance('10s');
+      expect(restored.restore(snapshot)).toBe(true);
+      clock.advance('20s');
+      await restored.fireAll();
+      expect(fired).toEqual(['restored o1']);
+    });
+
+    test('fireUntilHalt should wake up for new facts and timers until halted', async () => {
+      const completed = jest.fn();
+      realEngine.on('engine:fireUntilHaltCompleted', completed);
+      realEngine.addDefinition({
+        id: 'Stop', type: 'rule', when: [{ shutdown: {} }],
+        then: (ctx) => { ctx.halt(); },
+      });
+      const running = realEngine.fireUntilHalt({ pollIntervalMs: 5 });
+      const tick = () => new Promise(resolve => setTimeout(resolve, 20));
+
+      realEngine.assertFact({ type: 'order', id: 'o1' });
+      await tick();
+      expect(fired).toEqual([]);
+
+      clock.advance('30s');
+      await tick();
+      expect(fired).toEqual(['cancel o1']);
+
+      realEngine.assertFact({ type: 'shutdown' });
+      await running;
+      expect(completed).toHaveBeenCalledWith(expect.objectContaining({ reason: 'halt' }));
+    });
+  });
+
+  describe('Temporal guards', () => {
+    let realEngine;
+    let fired;
+
+    beforeEach(() => {
+      realEngine = createRealEngine();
+      fired = [];
+    });
+
+    const addRule = (guard) => realEngine.addDefinition({
+      id: 'Temporal', type: 'rule',
+      when: [{ login: { user: '?u' } }, [{ purchase: { user: '?u', id: '?p' } }, guard]],
+      then: (ctx, b) => { fired.push(b['?p']); },
+    });
+
+    test('should compare events by their timestamp fields with tolerances', async () => {
+      addRule(_.guard.after('?purchase', '?login', '0s', '5m'));
+      realEngine.assertFact({ type: 'login', user: 'u1', timestamp: 1000000 });
+      realEngine.assertFact({ type: 'purchase', user: 'u1', id: 'soon', timestamp: 1000000 + 4 * 60000 });
+      realEngine.assertFact({ type: 'purchase', user: 'u1', id: 'late', timestamp: '1970-01-01T00:26:40.000Z' });
+      realEngine.assertFact({ type: 'purchase', user: 'u1', id: 'earlier', timestamp: 900000 });
+      await realEngine.fireAll();
+      expect(fired).toEqual(['soon']);
+    });
+
+    test('should use the timestamp and duration fields declared by the template', async () => {
+      mockGetTemplate.mockImplementation(type => (type === 'login' ? { name: 'login', schema: {}, timestamp: 'at', duration: 'length' } : undefined));
+      addRule(_.guard.during('?purchase', '?login'));
+      realEngine.assertFact({ type: 'login', user: 'u1', at: 0, length: '10m' });
+      realEngine.assertFact({ type: 'purchase', user: 'u1', id: 'inside', start: 60000, end: 120000 });
+      realEngine.assertFact({ type: 'purchase', user: 'u1', id: 'outside', start: 60000, end: 11 * 60000 });
+      await realEngine.fireAll();
+      expect(fired).toEqual(['inside']);
+    });
+
+    test('should fall back to the assertion time of facts', async () => {
+      const now = jest.spyOn(Date, 'now').mockReturnValue(5000);
+      addRule(_.guard.before('?login', '?purchase', 0, '1s'));
+      realEngine.assertFact({ type: 'login', user: 'u1' });
+      now.mockReturnValue(5500);
+      realEngine.assertFact({ type: 'purchase', user: 'u1', id: 'p1' });
+      now.mockRestore();
+      await realEngine.fireAll();
+      expect(fired).toEqual(['p1']);
+    });
+
+    test('should report events without a time and invalid tolerances as guard errors', async () => {
+      const guardErrors = jest.fn();
+      realEngine.on('engine:guardError', guardErrors);
+      addRule(_.guard.meets('?purchase', '?login', 'soon'));
+      realEngine.assertFact({ type: 'login', user: 'u1', timestamp: 0 });
+      realEngine.assertFact({ type: 'purchase', user: 'u1', id: 'p1', timestamp: 0 });
+      await realEngine.fireAll();
+      expect(fired).toEqual([]);
+      expect(guardErrors.mock.calls[0][0].error.message).toContain("Guard 'meets' in rule [Temporal] has an invalid tolerance");
+    });
+  });
+
+  describe('Snapshot and restore', () => {
+    const addRules = (target, log) => {
+      target.addDefinition({
+        id: 'Invoice', type: 'rule', when: [{ order: { id: '?o', total: '?t' } }],
+        then: (ctx, b) => { log.push(`invoice ${b['?o']}`); ctx.assertFact({ type: 'invoice', orderId: b['?o'], total: b['?t'] }, { logical: true }); },
+      });
+      target.addDefinition({
+        id: 'Notify', type: 'rule', agendaGroup: 'notify', when: [{ invoice: { orderId: '?o' } }],
+        then: (ctx, b) => { log.push(`notify ${b['?o']}`); },
+      });
+    };
+    let source;
+    let sourceLog;
+
+    beforeEach(() => {
+      sourceLog = [];
+      source = createRealEngine();
+      addRules(source, sourceLog);
+    });
+
+    const restoredCopy = () => {
+      const log = [];
+      const restored = createRealEngine();
+      addRules(restored, log);
+      expect(restored.restore(JSON.parse(JSON.stringify(source.snapshot())))).toBe(true);
+      return { restored, log };
+    };
+
+    test('should capture facts with their ids, metadata and the id counters', async () => {
+      source.assertFact({ type: 'order', id: 'o1', total: 10 });
+      await source.fireAll();
+      const snapshot = source.snapshot();
+
+      expect(snapshot.facts.entries).toEqual([
+        { fact: { type: 'order', id: 'o1', total: 10, _id: 1 }, metadata: { assertedAt: expect.any(Number) } },
+        { fact: { type: 'invoice', orderId: 'o1', total: 10, _id: 2 }, metadata: { assertedAt: expect.any(Number), logical: true, justifiedBy: [1] } },
+      ]);
+      expect(snapshot.facts.factIdCounter).toBe(2);
+      expect(snapshot.activationCounter).toBe(1);
+      expect(snapshot.activations).toEqual([{ id: 1, ruleId: 'Invoice', consumed: [1], produced: [2] }]);
+    });
+
+    test('should restore facts with their ids and keep assigning new ids after them', async () => {
+      source.assertFact({ type: 'order', id: 'o1', total: 10 });
+      await source.fireAll();
+      const { restored } = restoredCopy();
+
+      expect(restored.getFacts({ type: 'invoice' })).toEqual([{ type: 'invoice', orderId: 'o1', total: 10, _id: 2 }]);
+      expect(restored.assertFact({ type: 'order', id: 'o2', total: 5 })._id).toBe(3);
+    });
+
+    test('should not refire tuples that already fired and keep truth maintenance working', async () => {
+      const order = source.assertFact({ type: 'order', id: 'o1', total: 10 });
+      await source.fireAll();
+      const { restored, log } = restoredCopy();
+
+      await restored.fireAll();
+      expect(log).toEqual([]);
+
+      restored.retractFact(order._id);
+      await restored.fireAll();
+      expect(restored.getFacts({ type: 'invoice' })).toHaveLength(0);
+    });
+
+    test('should restore pending activations, agenda tasks and the focus stack', async () => {
+      source.assertFact({ type: 'order', id: 'o1', total: 10 });
+      source.assertFact({ type: 'invoice', orderId: 'manual', total: 0 });
+      source.setFocus('notify');
+      const snapshot = source.snapshot();
+      expect(snapshot.pendingActivations).toHaveLength(2);
+      expect(snapshot.agenda).toHaveLength(2);
+
+      const { restored, log } = restoredCopy();
+      expect(restored.getFocus()).toBe('notify');
+      await restored.fireAll();
+      // The notify group is popped once drained, so the new invoice waits for it to be focused again.
+      expect(log).toEqual(['notify manual', 'invoice o1']);
+    });
+
+    test('should reject snapshots of another version', () => {
+      const errorListener = jest.fn();
+      source.on('engine:error', errorListener);
+      expect(source.restore({ version: 99 })).toBe(false);
+      expect(errorListener).toHaveBeenCalled();
+    });
+
+    test('should require exportState hooks on the fact storage and agenda', () => {
+      const errorListener = jest.fn();
+      const custom = createRealEngine({ agenda: { push() {}, shift() {}, get hasTasks() { return false; } } });
+      custom.on('engine:error', errorListener);
+      expect(custom.snapshot()).toBeNull();
+      expect(errorListener).toHaveBeenCalledWith(expect.objectContaining({ error: expect.objectContaining({ message: expect.stringContaining('exportState') }) }));
+    });
+  });
+
+  describe('Halting and run limits', () => {
+    let realEngine;
+    let halted;
+    let loopRule;
+
+    beforeEach(() => {
+      realEngine = createRealEngine();
+      halted = jest.fn();
+      realEngine.on('engine:halted', halted);
+      // Each firing asserts a new tick, which retriggers the rule forever.
+      loopRule = {
+        id: 'Runaway', type: 'rule', when: [{ tick: { n: '?n' } }],
+        then: jest.fn((ctx, b) => { ctx.assertFact({ type: 'tick', n: b['?n'] + 1 }); }),
+      };
+      realEngine.addDefinition(loopRule);
+      realEngine.assertFact({ type: 'tick', n: 0 });
+    });
+
+    test('maxCycles should stop a runaway loop and report the busiest rules', async () => {
+      realEngine.addDefinition({ id: 'Observer', type: 'rule', when: [{ tick: { n: 0 } }], then: () => {} });
+      await realEngine.fireAll({ maxCycles: 10 });
+
+      expect(loopRule.then).toHaveBeenCalledTimes(9);
+      expect(halted).toHaveBeenCalledWith(expect.objectContaining({
+        reason: 'maxCycles', limit: 10, cycles: 10,
+        topRules: [{ ruleId: 'Runaway', firings: 9 }, { ruleId: 'Observer', firings: 1 }],
+      }));
+    });
+
+    test('maxFiringsPerRule should stop the run when a rule exceeds its limit', async () => {
+      await realEngine.fireAll({ maxFiringsPerRule: 3 });
+      expect(loopRule.then).toHaveBeenCalledTimes(3);
+      expect(halted).toHaveBeenCalledWith(expect.objectContaining({ reason: 'maxFiringsPerRule', ruleId: 'Runaway', limit: 3 }));
+    });
+
+    test('timeBudgetMs should stop the run once the budget is spent', async () => {
+      const nowSpy = jest.spyOn(Date, 'now');
+      let clock = 0;
+      nowSpy.mockImplementation(() => (clock += 10));
+      try {
+        await realEngine.fireAll({ timeBudgetMs: 100 });
+      } finally {
+        nowSpy.mockRestore();
+      }
+      expect(halted).toHaveBeenCalledWith(expect.objectContaining({ reason: 'timeBudget', limit: 100 }));
+      expect(loopRule.then.mock.calls.length).toBeGreaterThan(0);
+    });
+
+    test('ctx.halt should stop the run after the current action and keep pending activations', async () => {
+      loopRule.then.mockImplementation((ctx, b) => {
+        ctx.assertFact({ type: 'tick', n: b['?n'] + 1 });
+        if (b['?n'] === 2) ctx.halt();
+      });
+      await realEngine.fireAll();
+      expect(loopRule.then).toHaveBeenCalledTimes(3);
+      expect(halted).toHaveBeenCalledWith(expect.objectContaining({ reason: 'halt', cycles: 3 }));
+
+      // The next run resumes with the pending activation.
+      await realEngine.fireAll({ maxCycles: 1 });
+      expect(loopRule.then).toHaveBeenCalledTimes(4);
+    });
+
+    test('engine.halt should stop a run from the outside', async () => {
+      const seen = [];
+      for await (const activation of realEngine.run()) {
+        seen.push(activation.bindings['?n']);
+        if (seen.length === 2) realEngine.halt();
+      }
+      expect(seen).toEqual([0, 1]);
+      expect(halted).toHaveBeenCalledWith(expect.objectContaining({ reason: 'halt' }));
+    });
+
+    test('halt should have no effect when the engine is not running', async () => {
+      realEngine.halt();
+      await realEngine.fireAll({ maxCycles: 2 });
+      expect(loopRule.then).toHaveBeenCalledTimes(2);
+    });
+  });
 });
\ No newline at end of file
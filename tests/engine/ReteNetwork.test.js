@@ -0,0 +1,432 @@
+import { ReteNetwork } from '../../src/engine/ReteNetwork';
+import { AdvancedMatcher } from '../../src/strategies/AdvancedMatcher';
+import { accumulators } from '../../src/strategies/Accumulators';
+import { _ } from '../../src/dsl/pattern-helpers';
+
+describe('ReteNetwork', () => {
+  let network;
+  let matcher;
+  let storedFacts;
+  let nextId;
+
+  // Minimal guard evaluator supporting the comparison operators used below.
+  const evaluateGuard = ([op, a, b], bindings) => {
+    const resolve = v => (typeof v === 'string' && v.startsWith('?') ? bindings[v] : v);
+    if (op === '>') return resolve(a) > resolve(b);
+    if (op === '===') return resolve(a) === resolve(b);
+    throw new Error(`Unknown operator ${op}`);
+  };
+
+  const fact = (data) => {
+    const stored = { ...data, _id: ++nextId };
+    storedFacts.push(stored);
+    return stored;
+  };
+
+  beforeEach(() => {
+    storedFacts = [];
+    nextId = 0;
+    matcher = new AdvancedMatcher();
+    network = new ReteNetwork({
+      matcher,
+      accumulators,
+      evaluateGuard,
+      factSource: (type) => storedFacts.filter(f => type === null || f.type === type),
+    });
+  });
+
+  describe('addRule', () => {
+    test('should match facts that already exist when the rule is added', () => {
+      network.assertFact(fact({ type: 'user', name: 'Alice' }));
+      const { added } = network.addRule({ id: 'R1', when: [{ user: { name: '?n' } }] });
+
+      expect(added).toHaveLength(1);
+      expect(added[0].bindings['?n']).toBe('Alice');
+      expect(added[0].rule.id).toBe('R1');
+    });
+
+    test('should pick up stored facts for new alpha nodes', () => {
+      fact({ type: 'user', name: 'Alice' }); // stored, but not yet propagated
+      const { added } = network.addRule({ id: 'R1', when: [{ user: { name: '?n' } }] });
+      expect(added).toHaveLength(1);
+    });
+
+    test('should share alpha nodes between identical patterns', () => {
+      const isAdult = _.gte(18);
+      network.addRule({ id: 'R1', when: [{ user: { age: isAdult } }] });
+      network.addRule({ id: 'R2', when: [{ user: { age: isAdult } }, { order: { status: 'open' } }] });
+      network.addRule({ id: 'R3', when: [{ order: { status: 'open' } }] });
+      expect(network.alphaNodeCount).toBe(2);
+    });
+
+    test('should match a rule without conditions once', () => {
+      const { added } = network.addRule({ id: 'Init', when: [] });
+      expect(added).toHaveLength(1);
+      expect(network.assertFact(fact({ type: 'user' })).added).toHaveLength(0);
+    });
+
+    test('should replace a rule with the same id', () => {
+      network.assertFact(fact({ type: 'user', name: 'Alice' }));
+      const first = network.addRule({ id: 'R1', when: [{ user: { name: '?n' } }] });
+      const second = network.addRule({ id: 'R1', when: [{ user: { name: 'Bob' } }] });
+      expect(second.removed).toEqual(first.added);
+      expect(second.added).toHaveLength(0);
+    });
+
+    test('should accept conditions compiled beforehand', () => {
+      const rule = { id: 'R1', when: [{ user: { name: '?n' } }] };
+      const descriptors = ReteNetwork.compile(rule);
+      network.assertFact(fact({ type: 'user', name: 'Alice' }));
+      expect(network.addRule(rule, descriptors).added).toHaveLength(1);
+    });
+
+    test('should throw on malformed conditions and leave the network unchanged', () => {
+      expect(() => network.addRule({ id: 'Bad', when: [{ user: {} }, null] })).toThrow(TypeError);
+      expect(network.hasRule('Bad')).toBe(false);
+      expect(network.alphaNodeCount).toBe(0);
+    });
+  });
+
+  describe('assertFact', () => {
+    test('should join facts through bound variables', () => {
+      network.addRule({
+        id: 'Join',
+        when: [{ customer: { id: '?cid' } }, { order: { customerId: '?cid', total: '?t' } }],
+      });
+      network.assertFact(fact({ type: 'customer', id: 'c1' }));
+      network.assertFact(fact({ type: 'customer', id: 'c2' }));
+
+      const { added } = network.assertFact(fact({ type: 'order', customerId: 'c2', total: 10 }));
+      expect(added).toHaveLength(1);
+      expect(added[0].bindings).toEqual(expect.objectContaining({ '?cid': 'c2', '?t': 10 }));
+      expect([...added[0].consumedFactIds]).toEqual([2, 3]);
+    });
+
+    test('should only evaluate the new fact against stored partial matches', () => {
+      let calls = 0;
+      const countingMatcher = { match: (...args) => { calls++; return matcher.match(...args); } };
+      const counted = new ReteNetwork({ matcher: countingMatcher, accumulators, evaluateGuard, factSource: () => [] });
+      counted.addRule({
+        id: 'Join',
+        when: [{ customer: { id: '?cid' } }, { order: { customerId: '?cid' } }],
+      });
+      for (let i = 0; i < 20; i++) counted.assertFact(fact({ type: 'customer', id: `c${i}` }));
+      for (let i = 0; i < 20; i++) counted.assertFact(fact({ type: 'order', customerId: `c${i}` }));
+
+      calls = 0;
+      counted.assertFact(fact({ type: 'order', customerId: 'c3' }));
+      // One alpha test plus one join with the customer holding the same id; other facts are never visited.
+      expect(calls).toBe(1 + 1);
+
+      calls = 0;
+      counted.assertFact(fact({ type: 'customer', id: 'c4' }));
+      // One alpha test, one to bind the customer, plus one join with the order holding its id.
+      expect(calls).toBe(1 + 1 + 1);
+    });
+
+    test('should keep hashed joins in step with modified join fields', () => {
+      network.addRule({
+        id: 'Join',
+        when: [{ customer: { id: '?cid' } }, { order: { customerId: '?cid' } }],
+      });
+      const customer = fact({ type: 'customer', id: 'c1' });
+      const order = fact({ type: 'order', customerId: 'c2' });
+      network.assertFact(customer);
+      network.assertFact(order);
+      expect(network.getMatches('Join')).toHaveLength(0);
+
+      order.customerId = 'c1';
+      expect(network.modifyFact(order, ['customerId']).added).toHaveLength(1);
+      customer.id = 'c3';
+      expect(network.modifyFact(customer, ['id']).removed).toHaveLength(1);
+      expect(network.assertFact(fact({ type: 'customer', id: 'c1' })).added).toHaveLength(1);
+      expect(network.retractFact(order).removed).toHaveLength(1);
+      expect(network.assertFact(fact({ type: 'order', customerId: 'c3' })).added).toHaveLength(1);
+    });
+
+    test('should not produce duplicates when a rule joins a type with itself', () => {
+      network.addRule({ id: 'Pairs', when: [{ '?a': { type: 'n' } }, { '?b': { type: 'n' } }] });
+      network.assertFact(fact({ type: 'n' }));
+      const { added } = network.assertFact(fact({ type: 'n' }));
+      // (2,2), (1,2) and (2,1) are new; (1,1) already existed.
+      expect(added).toHaveLength(3);
+      expect(network.getMatches('Pairs')).toHaveLength(4);
+    });
+
+    test('should apply inline guards during joins', () => {
+      network.addRule({ id: 'Big', when: [[{ order: { total: '?t' } }, ['>', '?t', 100]]] });
+      expect(network.assertFact(fact({ type: 'order', total: 50 })).added).toHaveLength(0);
+      expect(network.assertFact(fact({ type: 'order', total: 150 })).added).toHaveLength(1);
+    });
+
+    test('should ignore facts already present in the alpha memory', () => {
+      network.addRule({ id: 'R1', when: [{ user: {} }] });
+      const user = fact({ type: 'user' });
+      expect(network.assertFact(user).added).toHaveLength(1);
+      expect(network.assertFact(user).added).toHaveLength(0);
+    });
+  });
+
+  describe('type-agnostic patterns', () => {
+    test('should match stored and new facts of any type', () => {
+      fact({ type: 'order', status: 'overdue' });
+      const { added } = network.addRule({ id: 'Overdue', when: [{ '?doc': { status: 'overdue' } }] });
+      expect(added.map(match => match.bindings['?doc'].type)).toEqual(['order']);
+
+      const invoice = fact({ type: 'invoice', status: 'overdue' });
+      expect(network.assertFact(invoice).added.map(match => match.bindings['?doc'])).toEqual([invoice]);
+      expect(network.retractFact(invoice).removed).toHaveLength(1);
+    });
+
+    test('should only visit the types listed by a type: _.anyOf(...) field', () => {
+      const countingMatcher = { match: jest.fn((pattern, value, bindings) => matcher.match(pattern, value, bindings)) };
+      const counted = new ReteNetwork({ matcher: countingMatcher, accumulators, evaluateGuard, factSource: () => [] });
+      counted.addRule({ id: 'Overdue', when: [{ '?doc': { type: _.anyOf('order', 'invoice'), status: 'overdue' } }] });
+
+      expect(counted.assertFact({ type: 'task', status: 'overdue', _id: 1 }).added).toEqual([]);
+      expect(countingMatcher.match).not.toHaveBeenCalled();
+      expect(counted.assertFact({ type: 'invoice', status: 'overdue', _id: 2 }).added).toHaveLength(1);
+    });
+  });
+
+  describe('lacks conditions', () => {
+    beforeEach(() => {
+      network.addRule({
+        id: 'Unassigned',
+        when: [{ ticket: { id: '?tid' } }, _.lacks({ assignment: { ticketId: '?tid' } })],
+      });
+    });
+
+    test('should match while no blocking fact exists', () => {
+      expect(network.assertFact(fact({ type: 'ticket', id: 't1' })).added).toHaveLength(1);
+    });
+
+    test('should remove matches when a blocking fact is asserted and restore them on retraction', () => {
+      network.assertFact(fact({ type: 'ticket', id: 't1' }));
+      network.assertFact(fact({ type: 'ticket', id: 't2' }));
+      const blocker = fact({ type: 'assignment', ticketId: 't1' });
+
+      const asserted = network.assertFact(blocker);
+      expect(asserted.removed).toHaveLength(1);
+      expect(asserted.removed[0].bindings['?tid']).toBe('t1');
+      expect(asserted.added).toHaveLength(0);
+
+      const retracted = network.retractFact(blocker);
+      expect(retracted.added).toHaveLength(1);
+      expect(retracted.added[0].bindings['?tid']).toBe('t1');
+      expect(retracted.removed).toHaveLength(0);
+    });
+
+    test('should only test a blocking fact against the partial matches it joins', () => {
+      let calls = 0;
+      const countingMatcher = { match: (...args) => { calls++; return matcher.match(...args); } };
+      const counted = new ReteNetwork({ matcher: countingMatcher, accumulators, evaluateGuard, factSource: () => [] });
+      counted.addRule({
+        id: 'Unassigned',
+        when: [{ ticket: { id: '?tid' } }, _.lacks({ assignment: { ticketId: '?tid' } })],
+      });
+      for (let i = 0; i < 20; i++) counted.assertFact(fact({ type: 'ticket', id: `t${i}` }));
+      for (let i = 0; i < 10; i++) counted.assertFact(fact({ type: 'assignment', ticketId: `t${i}` }));
+
+      calls = 0;
+      const blocker = fact({ type: 'assignment', ticketId: 't15' });
+      expect(counted.assertFact(blocker).removed).toHaveLength(1);
+      // One alpha test plus one test against the ticket it blocks; other tickets and assignments are not visited.
+      expect(calls).toBe(1 + 1);
+
+      calls = 0;
+      expect(counted.retractFact(blocker).added).toHaveLength(1);
+      expect(calls).toBe(0);
+    });
+  });
+
+  describe('accumulators', () => {
+    beforeEach(() => {
+      network.addRule({
+        id: 'Spend',
+        when: [{ customer: { id: '?cid' } }, _.from({ order: { customerId: '?cid' } }).sum('total').into('?spent')],
+      });
+      network.assertFact(fact({ type: 'customer', id: 'c1' }));
+    });
+
+    test('should bind the accumulated value', () => {
+      expect(network.getMatches('Spend')[0].bindings['?spent']).toBe(0);
+    });
+
+    test('should replace matches when the accumulated value changes', () => {
+      const order = fact({ type: 'order', customerId: 'c1', total: 40 });
+      const asserted = network.assertFact(order);
+      expect(asserted.removed[0].bindings['?spent']).toBe(0);
+      expect(asserted.added[0].bindings['?spent']).toBe(40);
+
+      const retracted = network.retractFact(order);
+      expect(retracted.added[0].bindings['?spent']).toBe(0);
+    });
+
+    test('should add and remove source facts without rescanning the alpha memory', () => {
+      let calls = 0;
+      const countingMatcher = { match: (...args) => { calls++; return matcher.match(...args); } };
+      const counted = new ReteNetwork({ matcher: countingMatcher, accumulators, evaluateGuard, factSource: () => [] });
+      counted.addRule({
+        id: 'Spend',
+        when: [{ customer: { id: '?cid' } }, _.from({ order: { customerId: '?cid' } }).sum('total').into('?spent')],
+      });
+      counted.assertFact(fact({ type: 'customer', id: 'c1' }));
+      for (let i = 0; i < 20; i++) counted.assertFact(fact({ type: 'order', customerId: 'c1', total: 1 }));
+
+      calls = 0;
+      const order = fact({ type: 'order', customerId: 'c1', total: 5 });
+      expect(counted.assertFact(order).added[0].bindings['?spent']).toBe(25);
+      // One alpha test plus one test against the customer's partial match.
+      expect(calls).toBe(1 + 1);
+
+      calls = 0;
+      order.total = 10;
+      expect(counted.modifyFact(order, ['total']).added[0].bindings['?spent']).toBe(30);
+      // The alpha pattern does not read `total`; only the customer's partial match re-tests the order.
+      expect(calls).toBe(1);
+
+      calls = 0;
+      expect(counted.retractFact(order).added[0].bindings['?spent']).toBe(20);
+      expect(calls).toBe(0);
+    });
+
+    test('should keep matches whose accumulated value is unaffected', () => {
+      const before = network.getMatches('Spend')[0];
+      const result = network.assertFact(fact({ type: 'order', customerId: 'other', total: 40 }));
+      expect(result).toEqual({ added: [], removed: [] });
+      expect(network.getMatches('Spend')[0]).toBe(before);
+    });
+  });
+
+  describe('windowed accumulators', () => {
+    let now;
+
+    beforeEach(() => {
+      now = 10000;
+      network = new ReteNetwork({
+        matcher,
+        accumulators,
+        evaluateGuard,
+        factSource: (type) => storedFacts.filter(f => f.type === type),
+        now: () => now,
+      });
+    });
+
+    test('should only count the most recent facts of a length window', () => {
+      network.addRule({ id: 'Last2', when: [_.from({ reading: {} }).window({ length: 2 }).sum('value').into('?sum')] });
+      [1, 2, 3].forEach((value, i) => network.assertFact(fact({ type: 'reading', value, assertedAt: i })));
+      expect(network.getMatches('Last2')[0].bindings['?sum']).toBe(5);
+    });
+
+    test('should re-evaluate a time window once a fact has left it', () => {
+      network.addRule({
+        id: 'Recent',
+        when: [{ card: { id: '?c' } }, _.from({ txn: { card: '?c' } }).window({ time: '1m', field: 'at' }).count().into('?n')],
+      });
+      network.assertFact(fact({ type: 'card', id: 'c1' }));
+      network.assertFact(fact({ type: 'txn', card: 'c1', at: 5000 }));
+      network.assertFact(fact({ type: 'txn', card: 'c1', at: 9000 }));
+      expect(network.getMatches('Recent')[0].bindings['?n']).toBe(2);
+      expect(network.nextWindowExpiry).toBe(65000);
+
+      now = 64000;
+      expect(network.expireWindows()).toEqual({ added: [], removed: [] });
+
+      now = 65000;
+      const expired = network.expireWindows();
+      expect(expired.removed[0].bindings['?n']).toBe(2);
+      expect(expired.added[0].bindings['?n']).toBe(1);
+      expect(network.nextWindowExpiry).toBe(69000);
+    });
+
+    test('should re-evaluate when the timestamp field of a fact is modified', () => {
+      network.addRule({ id: 'Recent', when: [_.from({ txn: {} }).window({ time: 1000, field: 'at' }).count().into('?n')] });
+      const txn = fact({ type: 'txn', at: 9500 });
+      network.assertFact(txn);
+      txn.at = 1000;
+      const result = network.modifyFact(txn, ['at']);
+      expect(result.added[0].bindings['?n']).toBe(0);
+    });
+  });
+
+  describe('retractFact', () => {
+    test('should remove every match that consumed the fact', () => {
+      network.addRule({ id: 'Join', when: [{ customer: { id: '?cid' } }, { order: { customerId: '?cid' } }] });
+      const customer = fact({ type: 'customer', id: 'c1' });
+      network.assertFact(customer);
+      network.assertFact(fact({ type: 'order', customerId: 'c1' }));
+      network.assertFact(fact({ type: 'order', customerId: 'c1' }));
+
+      const { removed } = network.retractFact(customer);
+      expect(removed).toHaveLength(2);
+      expect(network.getMatches('Join')).toHaveLength(0);
+    });
+
+    test('should ignore facts the network never saw', () => {
+      network.addRule({ id: 'R1', when: [{ user: {} }] });
+      expect(network.retractFact({ type: 'user', _id: 99 })).toEqual({ added: [], removed: [] });
+      expect(network.retractFact(undefined)).toEqual({ added: [], removed: [] });
+    });
+  });
+
+  describe('modifyFact', () => {
+    test('should only re-evaluate rules whose conditions read a changed field', () => {
+      network.addRule({ id: 'ByName', when: [{ user: { name: '?n' } }] });
+      network.addRule({ id: 'ByAge', when: [{ user: { age: '?a' } }] });
+      const user = fact({ type: 'user', name: 'Alice', age: 30 });
+      network.assertFact(user);
+      const byAge = network.getMatches('ByAge')[0];
+
+      user.name = 'Alicia';
+      const { added, removed } = network.modifyFact(user, ['name']);
+      expect(removed.map(m => m.rule.id)).toEqual(['ByName']);
+      expect(added.map(m => m.bindings['?n'])).toEqual(['Alicia']);
+      expect(network.getMatches('ByAge')[0]).toBe(byAge);
+    });
+
+    test('should record the fields guards of later conditions read from an earlier fact', () => {
+      const [order, customer] = ReteNetwork.compile({
+        id: 'R1',
+        when: [{ order: { customerId: '?c' } }, [{ customer: { id: '?c' } }, _.guard.gt(_.guard.path('?order', 'total'), 100)]],
+      });
+      expect([...order.fields]).toEqual(['customerId', 'total']);
+      expect([...customer.fields]).toEqual(['id']);
+
+      const [login] = ReteNetwork.compile({
+        id: 'R2', when: [{ '?login': { type: 'login' } }, [{ '?buy': { type: 'purchase' } }, _.guard.after('?buy', '?login')]],
+      });
+      expect(login.fields).toBeNull();
+    });
+
+    test('should move the fact in and out of alpha memories', () => {
+      network.addRule({ id: 'Big', when: [{ order: { total: _.gt(100) } }] });
+      const order = fact({ type: 'order', total: 50 });
+      network.assertFact(order);
+
+      order.total = 150;
+      expect(network.modifyFact(order, ['total']).added).toHaveLength(1);
+      order.total = 10;
+      expect(network.modifyFact(order, ['total']).removed).toHaveLength(1);
+      expect(network.getMatches('Big')).toHaveLength(0);
+    });
+  });
+
+  describe('removeRule', () => {
+    test('should report the rule matches as removed and release unused alpha nodes', () => {
+      network.addRule({ id: 'R1', when: [{ user: {} }] });
+      network.addRule({ id: 'R2', when: [{ user: {} }, { order: {} }] });
+      network.assertFact(fact({ type: 'user' }));
+
+      expect(network.removeRule('R1').removed).toHaveLength(1);
+      expect(network.alphaNodeCount).toBe(2);
+      network.removeRule('R2');
+      expect(network.alphaNodeCount).toBe(0);
+      expect(network.hasRule('R1')).toBe(false);
+    });
+
+    test('should return empty results for unknown rules', () => {
+      expect(network.removeRule('nope')).toEqual({ added: [], removed: [] });
+    });
+  });
+});
@@ -0,0 +1,158 @@
+import { RuleBase } from '../../src/engine/RuleBase';
+import { Session } from '../../src/engine/Session';
+import { ReteNetwork } from '../../src/engine/ReteNetwork';
+import { _ } from '../../src/dsl/pattern-helpers';
+import { PseudoClock } from '../../src/components/Clock';
+
+describe('RuleBase', () => {
+  let ruleBase;
+  let greeted;
+
+  const greetRule = {
+    id: 'Greet', type: 'rule', when: [{ user: { name: '?n' } }],
+    then: (ctx, b) => { greeted.push(b['?n']); },
+  };
+
+  beforeEach(() => {
+    greeted = [];
+    ruleBase = new RuleBase();
+  });
+
+  test('should give sessions the definitions added before they were created', async () => {
+    ruleBase.addDefinition(greetRule);
+    const session = ruleBase.newSession();
+
+    expect(session).toBeInstanceOf(Session);
+    expect(session.hasDefinition('Greet')).toBe(true);
+    session.assertFact({ type: 'user', name: 'Alice' });
+    await session.fireAll();
+    expect(greeted).toEqual(['Alice']);
+  });
+
+  test('should keep the working memory of each session isolated', async () => {
+    ruleBase.addDefinition(greetRule);
+    const alice = ruleBase.newSession();
+    const bob = ruleBase.newSession();
+
+    alice.assertFact({ type: 'user', name: 'Alice' });
+    bob.assertFact({ type: 'user', name: 'Bob' });
+    await alice.fireAll();
+
+    expect(greeted).toEqual(['Alice']);
+    expect(alice.getFacts({ type: 'user' })).toHaveLength(1);
+    expect(bob.getFacts({ type: 'user' })[0].name).toBe('Bob');
+  });
+
+  test('should propagate added and retracted definitions to live sessions', async () => {
+    const session = ruleBase.newSession();
+    session.assertFact({ type: 'user', name: 'Alice' });
+
+    ruleBase.addDefinition(greetRule);
+    await session.fireAll();
+    expect(greeted).toEqual(['Alice']);
+
+    expect(ruleBase.retractDefinition('Greet')).toBe(true);
+    expect(session.hasDefinition('Greet')).toBe(false);
+    expect(ruleBase.retractDefinition('Greet')).toBe(false);
+  });
+
+  test('should let sessions retract the logical facts of a retracted rule', async () => {
+    ruleBase.addDefinition({
+      id: 'Welcome', type: 'rule', when: [{ user: { name: '?n' } }],
+      then: (ctx, b) => { ctx.assertFact({ type: 'welcome', name: b['?n'] }, { logical: true }); },
+    });
+    const session = ruleBase.newSession();
+    session.assertFact({ type: 'user', name: 'Alice' });
+    await session.fireAll();
+
+    ruleBase.retractDefinition('Welcome', { retractLogicalFacts: true });
+    expect(session.getFacts({ type: 'welcome' })).toEqual([]);
+  });
+
+  test('should stop propagating to disposed sessions', () => {
+    const session = ruleBase.newSession();
+    expect(ruleBase.sessionCount).toBe(1);
+    session.dispose();
+    expect(session.disposed).toBe(true);
+    expect(ruleBase.sessionCount).toBe(0);
+
+    ruleBase.addDefinition(greetRule);
+    expect(session.hasDefinition('Greet')).toBe(false);
+  });
+
+  test('should keep definitions added through a session local to it', () => {
+    const first = ruleBase.newSession();
+    const second = ruleBase.newSession();
+    first.addDefinition({ ...greetRule, id: 'Local' });
+    expect(first.hasDefinition('Local')).toBe(true);
+    expect(second.hasDefinition('Local')).toBe(false);
+    expect(ruleBase.getDefinition('Local')).toBeUndefined();
+  });
+
+  test('should compile rule conditions once and share them with sessions', () => {
+    const compile = jest.spyOn(ReteNetwork, 'compile');
+    ruleBase.addDefinition(greetRule);
+    ruleBase.newSession();
+    ruleBase.newSession();
+    expect(compile).toHaveBeenCalledTimes(1);
+    expect(ruleBase.getCompiledConditions(greetRule)).toHaveLength(1);
+    expect(ruleBase.getCompiledConditions({ ...greetRule })).toBeUndefined();
+    compile.mockRestore();
+  });
+
+  test('should validate facts against its own templates', () => {
+    ruleBase.deftemplate('user', { name: { type: 'string', required: true } });
+    const session = ruleBase.newSession();
+    const schemaErrorListener = jest.fn();
+    session.on('engine:schemaError', schemaErrorListener);
+
+    expect(session.assertFact({ type: 'user' })).toBeNull();
+    expect(schemaErrorListener).toHaveBeenCalled();
+    expect(ruleBase.getTemplate('user').schema.name.type).toBe('string');
+  });
+
+  test('should time windows by the timestamp field its templates declare', async () => {
+    ruleBase.deftemplate('reading', {}, { timestamp: 'at' });
+    ruleBase.addDefinition({
+      id: 'Recent', type: 'query', when: [_.from({ reading: {} }).window({ time: '1m' }).count().into('?n')],
+    });
+    const session = ruleBase.newSession();
+    session.assertFact({ type: 'reading', at: Date.now() });
+    session.assertFact({ type: 'reading', at: Date.now() - 120000 });
+    expect((await session.queryAll('Recent'))[0]['?n']).toBe(1);
+  });
+
+  test('should expire facts after the lifetime its templates declare', async () => {
+    ruleBase.deftemplate('_topic_event', {}, { expires: '1h' });
+    ruleBase.addDefinition({
+      id: 'Announce', type: 'rule', when: [{ user: { name: '?n' } }],
+      then: (ctx, b) => { ctx.publish('users', { name: b['?n'] }); },
+    });
+    const clock = new PseudoClock();
+    const session = ruleBase.newSession({ clock });
+    const expired = jest.fn();
+    session.on('fact:expired', expired);
+    session.assertFact({ type: 'user', name: 'Alice' });
+    await session.fireAll();
+    expect(session.getFacts({ type: '_topic_event' })).toHaveLength(1);
+
+    clock.advance('1h');
+    await session.fireAll();
+    expect(session.getFacts({ type: '_topic_event' })).toEqual([]);
+    expect(session.getFacts({ type: 'user' })).toHaveLength(1);
+    expect(expired).toHaveBeenCalledWith(expect.objectContaining({ expiresAt: 3600000 }));
+  });
+
+  test('should create sessions with the requested fact equality mode', () => {
+    const session = ruleBase.newSession({ factEquality: 'equality' });
+    session.assertFact({ type: 'flag', userId: 'u1' });
+    session.assertFact({ type: 'flag', userId: 'u1' });
+    expect(session.getFacts({ type: 'flag' })).toHaveLength(1);
+  });
+
+  test('should reject invalid definitions', () => {
+    expect(() => ruleBase.addDefinition({ when: [] })).toThrow(TypeError);
+    expect(() => ruleBase.addDefinition({ id: 'Bad', when: [null] })).toThrow(TypeError);
+    expect(ruleBase.getDefinitions()).toEqual([]);
+  });
+});
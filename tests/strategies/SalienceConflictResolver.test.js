@@ -83,4 +83,13 @@ describe('SalienceConflictResolver', () => {
     // Expected: activationA (first one with salience 100)
     expect(resolver.resolve(iterator)).toBe(activationA);
   });
+
+  test('compare should order activations by descending salience, treating missing salience as 0', () => {
+    const high = { rule: { id: 'high', salience: 10 }, bindings: {}, consumedFactIds: new Set() };
+    const none = { rule: { id: 'none' }, bindings: {}, consumedFactIds: new Set() };
+    const low = { rule: { id: 'low', salience: -5 }, bindings: {}, consumedFactIds: new Set() };
+    expect(resolver.compare(high, none)).toBeLessThan(0);
+    expect(resolver.compare(low, none)).toBeGreaterThan(0);
+    expect(resolver.compare(none, { rule: { id: 'other', salience: 'invalid' } })).toBe(0);
+  });
 });
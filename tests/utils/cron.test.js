@@ -0,0 +1,56 @@
+import { parseCron, nextCronTime } from '../../src/utils/cron';
+
+describe('cron utilities', () => {
+  // Local times, matching the time zone cron schedules are evaluated in.
+  const at = (year, month, day, hour = 0, minute = 0) => new Date(year, month - 1, day, hour, minute).getTime();
+
+  describe('parseCron', () => {
+    test('should parse values, ranges, steps, lists and names', () => {
+      const schedule = parseCron('*/15 9-17 1,15 jan-mar mon-fri');
+      expect([...schedule.minutes]).toEqual([0, 15, 30, 45]);
+      expect([...schedule.hours]).toEqual([9, 10, 11, 12, 13, 14, 15, 16, 17]);
+      expect([...schedule.daysOfMonth]).toEqual([1, 15]);
+      expect([...schedule.months]).toEqual([1, 2, 3]);
+      expect([...schedule.daysOfWeek]).toEqual([1, 2, 3, 4, 5]);
+      expect(schedule.anyDayOfMonth).toBe(false);
+    });
+
+    test('should treat 7 as Sunday and accept shorthands', () => {
+      expect([...parseCron('0 0 * * 7').daysOfWeek]).toEqual([0]);
+      expect(parseCron('@daily')).toEqual(expect.objectContaining({ minutes: new Set([0]), hours: new Set([0]), anyDayOfMonth: true }));
+    });
+
+    test('should reject invalid expressions', () => {
+      expect(() => parseCron('0 2 * *')).toThrow('expected 5 fields');
+      expect(() => parseCron('60 * * * *')).toThrow("minute '60' is out of range");
+      expect(() => parseCron('0 5-2 * * *')).toThrow("invalid hour range '5-2'");
+      expect(() => parseCron('0 2 * * funday')).toThrow(TypeError);
+      expect(() => parseCron(null)).toThrow(TypeError);
+    });
+  });
+
+  describe('nextCronTime', () => {
+    test('should return the next occurrence, strictly after the given time', () => {
+      const daily = parseCron('0 2 * * *');
+      expect(nextCronTime(daily, at(2026, 1, 1, 1, 59))).toBe(at(2026, 1, 1, 2, 0));
+      expect(nextCronTime(daily, at(2026, 1, 1, 2, 0))).toBe(at(2026, 1, 2, 2, 0));
+      expect(nextCronTime(parseCron('*/15 * * * *'), at(2026, 1, 1, 10, 7))).toBe(at(2026, 1, 1, 10, 15));
+    });
+
+    test('should roll over months and years', () => {
+      expect(nextCronTime(parseCron('30 6 1 * *'), at(2026, 12, 15))).toBe(at(2027, 1, 1, 6, 30));
+      expect(nextCronTime(parseCron('0 0 29 2 *'), at(2026, 3, 1))).toBe(at(2028, 2, 29));
+    });
+
+    test('should match either day field when both are restricted', () => {
+      // 2026-01-02 is a Friday.
+      const schedule = parseCron('0 12 15 * fri');
+      expect(nextCronTime(schedule, at(2026, 1, 1))).toBe(at(2026, 1, 2, 12, 0));
+      expect(nextCronTime(schedule, at(2026, 1, 13))).toBe(at(2026, 1, 15, 12, 0));
+    });
+
+    test('should return Infinity for schedules that never occur', () => {
+      expect(nextCronTime(parseCron('0 0 30 2 *'), at(2026, 1, 1))).toBe(Infinity);
+    });
+  });
+});
@@ -0,0 +1,58 @@
+import { factContentKey, patternTypes, validateGoal } from '../../src/utils/facts';
+import { _ } from '../../src/dsl/pattern-helpers';
+
+describe('factContentKey', () => {
+  test('should be equal for facts with the same content, whatever their ids and key order', () => {
+    expect(factContentKey({ type: 'flag', userId: 'u1', _id: 3 })).toBe(factContentKey({ userId: 'u1', type: 'flag' }));
+    expect(factContentKey({ type: 'a', nested: { x: 1, y: [1, 2] } })).toBe(factContentKey({ nested: { y: [1, 2], x: 1 }, type: 'a' }));
+    expect(factContentKey({ type: 'a', at: new Date(5) })).toBe(factContentKey({ type: 'a', at: new Date(5) }));
+    expect(factContentKey({ type: 'a', note: undefined })).toBe(factContentKey({ type: 'a' }));
+  });
+
+  test('should differ when a value or its type differs', () => {
+    expect(factContentKey({ type: 'a', v: 1 })).not.toBe(factContentKey({ type: 'a', v: '1' }));
+    expect(factContentKey({ type: 'a', v: null })).not.toBe(factContentKey({ type: 'a', v: 'null' }));
+    expect(factContentKey({ type: 'a', v: [1, 2] })).not.toBe(factContentKey({ type: 'a', v: [2, 1] }));
+    expect(factContentKey({ type: 'a' })).not.toBe(factContentKey({ type: 'b' }));
+  });
+
+  test('should compare Maps and Sets by their entries in any order', () => {
+    expect(factContentKey({ type: 'a', s: new Set([1, 2]) })).toBe(factContentKey({ type: 'a', s: new Set([2, 1]) }));
+    expect(factContentKey({ type: 'a', s: new Set([1]) })).not.toBe(factContentKey({ type: 'a', s: new Set([2]) }));
+    expect(factContentKey({ type: 'a', m: new Map([['x', 1], ['y', 2]]) })).toBe(factContentKey({ type: 'a', m: new Map([['y', 2], ['x', 1]]) }));
+    expect(factContentKey({ type: 'a', m: new Map([['x', 1]]) })).not.toBe(factContentKey({ type: 'a', m: new Map([['x', 2]]) }));
+    expect(factContentKey({ type: 'a', v: new Set() })).not.toBe(factContentKey({ type: 'a', v: {} }));
+  });
+
+  test('should return null for facts that contain a cycle', () => {
+    const node = { name: 'n' };
+    node.self = node;
+    expect(factContentKey({ type: 'a', node })).toBeNull();
+    const shared = { x: 1 };
+    expect(factContentKey({ type: 'a', left: shared, right: shared })).toBe(factContentKey({ type: 'a', left: { x: 1 }, right: { x: 1 } }));
+  });
+});
+
+describe('patternTypes', () => {
+  test('should return the types listed by a type: _.anyOf(...) field', () => {
+    expect(patternTypes({ type: _.anyOf('order', 'invoice'), status: 'overdue' })).toEqual(['order', 'invoice']);
+  });
+
+  test('should return null for patterns that may match any type', () => {
+    expect(patternTypes({ status: 'overdue' })).toBeNull();
+    expect(patternTypes({ type: _.startsWith('ord') })).toBeNull();
+    expect(patternTypes(undefined)).toBeNull();
+  });
+});
+
+describe('validateGoal', () => {
+  test('should accept a pattern for one type with values and variables', () => {
+    expect(() => validateGoal({ eligible: { customerId: '?c', tier: 'gold' } })).not.toThrow();
+  });
+
+  test('should reject other goals', () => {
+    for (const goal of [null, [], { eligible: {}, other: {} }, { eligible: 'yes' }, { eligible: [] }, { eligible: { score: _.gt(5) } }]) {
+      expect(() => validateGoal(goal)).toThrow(new TypeError('goal must be { type: { field: valueOrVariable } }.'));
+    }
+  });
+});
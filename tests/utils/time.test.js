@@ -0,0 +1,113 @@
+import {
+  parseDuration, toTimestamp, selectWindow, holdsTemporalRelation,
+} from '../../src/utils/time';
+
+describe('time utilities', () => {
+  describe('parseDuration', () => {
+    test('should accept milliseconds and unit strings', () => {
+      expect(parseDuration(250)).toBe(250);
+      expect(parseDuration('500ms')).toBe(500);
+      expect(parseDuration('30s')).toBe(30000);
+      expect(parseDuration('10m')).toBe(600000);
+      expect(parseDuration('2h')).toBe(7200000);
+      expect(parseDuration('1d')).toBe(86400000);
+    });
+
+    test('should add up compound durations', () => {
+      expect(parseDuration('1h30m')).toBe(5400000);
+      expect(parseDuration('1m 30s')).toBe(90000);
+      expect(parseDuration('1.5s')).toBe(1500);
+    });
+
+    test('should reject invalid durations', () => {
+      expect(() => parseDuration(-1)).toThrow(TypeError);
+      expect(() => parseDuration(NaN)).toThrow(TypeError);
+      expect(() => parseDuration('10 minutes')).toThrow(TypeError);
+      expect(() => parseDuration('')).toThrow(TypeError);
+      expect(() => parseDuration(null)).toThrow(TypeError);
+    });
+  });
+
+  describe('toTimestamp', () => {
+    test('should read numbers, dates and date strings', () => {
+      expect(toTimestamp(1000)).toBe(1000);
+      expect(toTimestamp(new Date(2000))).toBe(2000);
+      expect(toTimestamp('1970-01-01T00:00:03.000Z')).toBe(3000);
+    });
+
+    test('should return undefined for values that are not points in time', () => {
+      expect(toTimestamp('not a date')).toBeUndefined();
+      expect(toTimestamp(new Date('invalid'))).toBeUndefined();
+      expect(toTimestamp(undefined)).toBeUndefined();
+      expect(toTimestamp(Infinity)).toBeUndefined();
+    });
+  });
+
+  describe('selectWindow', () => {
+    const facts = [
+      { _id: 1, at: 1000 },
+      { _id: 2, at: 5000 },
+      { _id: 3, at: 9000 },
+      { _id: 4 },
+    ];
+    const eventTime = fact => fact._id * 100;
+
+    test('should keep the facts of the last `time` milliseconds and report when the first leaves', () => {
+      const selected = selectWindow(facts, { time: 6000, field: 'at' }, { now: 10000, eventTime });
+      expect(selected.facts.map(f => f._id)).toEqual([2, 3]);
+      expect(selected.expiresAt).toBe(11000);
+    });
+
+    test('should keep the most recent facts of a length window in their original order', () => {
+      const selected = selectWindow(facts, { length: 2, field: 'at' }, { now: 10000, eventTime });
+      expect(selected.facts.map(f => f._id)).toEqual([2, 3]);
+      expect(selected.expiresAt).toBe(Infinity);
+    });
+
+    test('should use the event time when the window has no field', () => {
+      const selected = selectWindow(facts, { time: 250 }, { now: 400, eventTime });
+      expect(selected.facts.map(f => f._id)).toEqual([2, 3, 4]);
+    });
+
+    test('should apply both limits when given', () => {
+      const selected = selectWindow(facts, { time: 9500, length: 1, field: 'at' }, { now: 10000, eventTime });
+      expect(selected.facts.map(f => f._id)).toEqual([3]);
+    });
+  });
+
+  describe('holdsTemporalRelation', () => {
+    const event = (start, end = start) => ({ start, end });
+
+    test('before and after should check the distance between events, strictly by default', () => {
+      expect(holdsTemporalRelation('before', event(0, 10), event(20))).toBe(true);
+      expect(holdsTemporalRelation('before', event(0, 10), event(10))).toBe(false);
+      expect(holdsTemporalRelation('before', event(0, 10), event(10), [0])).toBe(true);
+      expect(holdsTemporalRelation('after', event(400000), event(0, 100000), ['0s', '5m'])).toBe(true);
+      expect(holdsTemporalRelation('after', event(500000), event(0, 100000), ['0s', '5m'])).toBe(false);
+      expect(holdsTemporalRelation('after', event(0), event(1000), ['-2s', '0s'])).toBe(true);
+    });
+
+    test('meets should check that one event starts when the other ends', () => {
+      expect(holdsTemporalRelation('meets', event(0, 10), event(10, 20))).toBe(true);
+      expect(holdsTemporalRelation('meets', event(0, 10), event(12, 20))).toBe(false);
+      expect(holdsTemporalRelation('meets', event(0, 10), event(12, 20), [5])).toBe(true);
+    });
+
+    test('during, overlaps and coincides should compare both bounds', () => {
+      expect(holdsTemporalRelation('during', event(5), event(0, 10))).toBe(true);
+      expect(holdsTemporalRelation('during', event(0, 5), event(0, 10))).toBe(false);
+      expect(holdsTemporalRelation('during', event(0, 5), event(0, 10), [0])).toBe(true);
+      expect(holdsTemporalRelation('overlaps', event(0, 10), event(5, 20))).toBe(true);
+      expect(holdsTemporalRelation('overlaps', event(0, 10), event(5, 20), [0, 3])).toBe(false);
+      expect(holdsTemporalRelation('overlaps', event(0, 30), event(5, 20))).toBe(false);
+      expect(holdsTemporalRelation('coincides', event(0, 10), event(0, 10))).toBe(true);
+      expect(holdsTemporalRelation('coincides', event(0, 10), event(1, 15), [1, 5])).toBe(true);
+      expect(holdsTemporalRelation('coincides', event(0, 10), event(1, 15), [1])).toBe(false);
+    });
+
+    test('should reject unknown relations and invalid tolerances', () => {
+      expect(() => holdsTemporalRelation('near', event(0), event(0))).toThrow("Unknown temporal relation 'near'");
+      expect(() => holdsTemporalRelation('before', event(0), event(1), ['later'])).toThrow(TypeError);
+    });
+  });
+});